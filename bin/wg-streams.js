@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * wg-streams - Command line inspector. See lib/cli.js
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const CLI = require('../lib/cli.js');
+
+CLI.main(process.argv.slice(2), function(err, output) {
+  if (err) {
+    process.stderr.write(err.message + "\n");
+    process.exitCode = 1;
+    return;
+  }
+  process.stdout.write(output);
+});
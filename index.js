@@ -3,13 +3,49 @@
  */
 // (C) Alexandre Morin 2015 - 2016
 
+const Reader = require('./lib/reader.js');
 const PullStream = require('./lib/pullstream.js');
 const Chunk = require('./lib/chunk.js');
+const BitReader = require('./lib/bitreader.js');
+const PushStream = require('./lib/pushstream.js');
+const PushChunk = require('./lib/pushchunk.js');
+const Schema = require('./lib/schema.js');
+const ID3 = require('./lib/id3.js');
+const EXIF = require('./lib/exif.js');
+const JPEG = require('./lib/jpeg.js');
+const BMFF = require('./lib/bmff.js');
+const RIFF = require('./lib/riff.js');
+const PNG = require('./lib/png.js');
+const EBML = require('./lib/ebml.js');
+const ZIP = require('./lib/zip.js');
+const Text = require('./lib/text.js');
+const HexDump = require('./lib/hexdump.js');
+const Errors = require('./lib/errors.js');
+const Trace = require('./lib/trace.js');
+const Limits = require('./lib/limits.js');
 
 /**
  * Public interface
  */
 module.exports = {
+  Reader: Reader,
   PullStream: PullStream,
-  Chunk: Chunk
+  Chunk: Chunk,
+  BitReader: BitReader,
+  PushStream: PushStream,
+  PushChunk: PushChunk,
+  Schema: Schema,
+  ID3: ID3,
+  EXIF: EXIF,
+  JPEG: JPEG,
+  BMFF: BMFF,
+  RIFF: RIFF,
+  PNG: PNG,
+  EBML: EBML,
+  ZIP: ZIP,
+  Text: Text,
+  HexDump: HexDump,
+  Errors: Errors,
+  Trace: Trace,
+  Limits: Limits
 };
@@ -0,0 +1,146 @@
+/**
+ * @file wg-streams - Bit readers
+ *
+ * A bit reader reads fields which are not aligned on byte boundaries (MPEG audio headers, H.264 SPS, FLAC, AAC ADTS...)
+ * from a Pull Stream or a Chunk. Bits are read most significant bit first.
+ *
+ * The bit reader shares the position of the underlying stream or chunk: bytes are read one by one from it when needed,
+ * so the stream position is always past the byte currently being read, and chunk boundaries are enforced.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Exception = require('wg-log').Exception;
+
+
+
+
+// ================================================================================
+// Bit readers
+// ================================================================================
+
+/**
+ * Create a bit reader
+ * @param {PullStream|Chunk} source - is the stream or chunk to read bytes from
+ */
+function BitReader(source) {
+  var that = this;
+  that.source = source;
+  that.current = 0;         // byte being read
+  that.bitsLeft = 0;        // number of bits of the current byte not yet read
+}
+
+/**
+ * Maximum number of bits which can be read at once (to fit in a javascript number)
+ */
+BitReader.MAX_BITS = 53;
+
+/**
+ * Read a given number of bits. Throws an error if trying to read past the end of the stream or chunk
+ * @param {integer} n - is the number of bits to read (0 to 53)
+ * @return {integer} - The unsigned value
+ */
+BitReader.prototype.readBits = function(n) {
+  var that = this;
+  if (n < 0 || n > BitReader.MAX_BITS) throw new Exception({n:n}, "Invalid number of bits");
+  var value = 0;
+  while (n > 0) {
+    if (that.bitsLeft === 0) {
+      that.current = that.source.readByte();
+      that.bitsLeft = 8;
+    }
+    var k = Math.min(n, that.bitsLeft);
+    var bits = (that.current >> (that.bitsLeft - k)) & ((1 << k) - 1);
+    value = value * (1 << k) + bits;
+    that.bitsLeft = that.bitsLeft - k;
+    n = n - k;
+  }
+  return value;
+}
+
+/**
+ * Read a single bit. Throws an error if trying to read past the end of the stream or chunk
+ * @return {integer} - 0 or 1
+ */
+BitReader.prototype.readBit = function() {
+  var that = this;
+  return that.readBits(1);
+}
+
+/**
+ * Skip a given number of bits. Throws an error if trying to skip past the end of the stream or chunk
+ * @param {integer} n - is the number of bits to skip
+ */
+BitReader.prototype.skipBits = function(n) {
+  var that = this;
+  while (n > 0) {
+    var k = Math.min(n, BitReader.MAX_BITS);
+    that.readBits(k);
+    n = n - k;
+  }
+}
+
+/**
+ * Read an unsigned Exp-Golomb code (ue(v) in H.264). Throws an error if trying to read past the end of the stream
+ * or chunk, or if the code is longer than 32 bits
+ * @return {integer} - The unsigned value
+ */
+BitReader.prototype.readUE = function() {
+  var that = this;
+  var leadingZeros = 0;
+  while (that.readBit() === 0) {
+    leadingZeros = leadingZeros + 1;
+    if (leadingZeros > 32) throw new Exception({leadingZeros:leadingZeros}, "Invalid Exp-Golomb code");
+  }
+  return Math.pow(2, leadingZeros) - 1 + that.readBits(leadingZeros);
+}
+
+/**
+ * Read a signed Exp-Golomb code (se(v) in H.264). Throws an error if trying to read past the end of the stream
+ * or chunk, or if the code is longer than 32 bits
+ * @return {integer} - The signed value
+ */
+BitReader.prototype.readSE = function() {
+  var that = this;
+  var k = that.readUE();
+  if (k % 2 === 1) return (k + 1) / 2;
+  return 0 - k / 2;
+}
+
+/**
+ * Skip the remaining bits of the current byte, if any, so that the next read starts on a byte boundary.
+ * The underlying stream or chunk can then be used directly again.
+ */
+BitReader.prototype.alignToByte = function() {
+  var that = this;
+  that.bitsLeft = 0;
+}
+
+/**
+ * Is the reader positioned on a byte boundary?
+ * @return {boolean} - true if there's no partially read byte
+ */
+BitReader.prototype.isAligned = function() {
+  var that = this;
+  return that.bitsLeft === 0;
+}
+
+/**
+ * Get the number of bits which can still be read before reaching the end of the stream or chunk
+ * @return {integer} - The number of bits
+ */
+BitReader.prototype.bitsRemaining = function() {
+  var that = this;
+  var source = that.source;
+  var position = source.stream ? source.stream.position : source.position;
+  var bytes = Math.max(source.maxPosition - position, 0);
+  return that.bitsLeft + 8 * bytes;
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = BitReader;
+}
@@ -0,0 +1,478 @@
+/**
+ * @file wg-streams - ISO base media file format (MP4, MOV, 3GP, HEIF...)
+ *
+ * Iterates over boxes (atoms), and builds a lazily parsed box tree: the children and the content of a box are only
+ * read when they are asked for. Boxes can have 32 bits sizes, 64 bits sizes ("largesize"), a size of 0 (the box
+ * extends to the end of its parent) and user types ("uuid"). Decoders are provided for the common boxes (ftyp,
+ * mvhd, tkhd, mdhd, hdlr, stsd, stco, co64, and meta/ilst iTunes tags).
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::BMFF');
+
+const ID3 = require('./id3.js');
+
+
+
+
+// ================================================================================
+// Box iterator
+// ================================================================================
+
+/**
+ * Read a box header at the current position
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from
+ * @return {Box} - the box. The source is positioned at the beginning of the box payload
+ */
+function readBoxHeader(source) {
+  var stream = source.stream || source;
+  var offset = stream.position;
+  var remaining = source.maxPosition - offset;
+  var size = source.readUInt32BE();
+  var type = source.readASCII4();
+  var headerSize = 8;
+  if (size === 1) {
+    size = Number(source.readUInt64BE());
+    headerSize = 16;
+  }
+  else if (size === 0) {
+    size = remaining;
+  }
+  var uuid;
+  if (type === "uuid") {
+    uuid = source.readBytes(16).toString('hex');
+    headerSize = headerSize + 16;
+  }
+  if (size < headerSize) throw new Exception({type:type, offset:offset, size:size}, "Invalid box size");
+  var box = new Box(source, { type: type, offset: offset, size: size, headerSize: headerSize, uuid: uuid });
+  if (size > remaining) {
+    log.debug({type:type, offset:offset, size:size, remaining:remaining}, "Truncated box");
+    box.size = remaining;
+    box.truncated = true;
+  }
+  return box;
+}
+
+/**
+ * Iterate over the boxes of a stream or chunk, from the current position to the end of the stream or chunk.
+ * For each box, the callback is called with the box and a chunk on the box payload. When the callback returns, the
+ * rest of the payload is skipped. Trailing bytes which are too short to hold a box header are ignored
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from
+ * @param {function} callback - is called with (box, chunk) for each box. It may return false to stop the iteration
+ */
+function forEachBox(source, callback) {
+  while (source.hasMore(8)) {
+    var box = readBoxHeader(source);
+    var chunk = source.chunk(box.type, box.size - box.headerSize);
+    var result = callback(box, chunk);
+    chunk.skip();
+    if (result === false) return;
+  }
+}
+
+
+
+// ================================================================================
+// Box tree
+// ================================================================================
+
+/**
+ * Boxes which only contain other boxes, and the number of bytes before the first child box
+ */
+const CONTAINERS = {
+  moov: 0, trak: 0, mdia: 0, minf: 0, stbl: 0, dinf: 0, edts: 0, udta: 0, mvex: 0, moof: 0, traf: 0, mfra: 0,
+  tref: 0, iprp: 0, ipco: 0, sinf: 0, schi: 0, ilst: 0,
+  meta: 4, stsd: 8
+};
+
+/**
+ * Sample entry types, for which the stsd decoder reads the visual or audio fields
+ */
+const VISUAL_ENTRIES = [ "avc1", "avc3", "hvc1", "hev1", "mp4v", "av01", "vp08", "vp09", "jpeg", "mjpa", "encv", "s263" ];
+const AUDIO_ENTRIES = [ "mp4a", "ac-3", "ec-3", "Opus", "alac", "fLaC", "enca", "samr", "sowt", "twos", "lpcm", ".mp3" ];
+
+/**
+ * Create a box. Boxes are lazily parsed: they only hold the position of the box in the stream
+ * @param {PullStream|Chunk} source - is the stream or chunk the box was read from (the payload of the parent box)
+ * @param {Object} header - is the box header { type, offset, size, headerSize, uuid }. The offset is the absolute
+ *                          position of the box in the stream, the size includes the header
+ */
+function Box(source, header) {
+  var that = this;
+  that.source = source;
+  that.stream = source.stream || source;
+  that.type = header.type;
+  that.offset = header.offset;
+  that.size = header.size;
+  that.headerSize = header.headerSize;
+  that.uuid = header.uuid;
+  that.truncated = false;
+  that.parent = undefined;
+  that._children = undefined;
+  that._value = undefined;
+}
+
+/**
+ * Get a chunk on the payload of the box (after the header). The chunk is created from the chunk of the parent box, so
+ * that it can not overflow its parent and errors report the path of the box (such as "moov > trak > mdia > mdhd").
+ * The stream is moved to the beginning of the payload
+ * @return {PullStream|Chunk} - the chunk. For the root box, the stream or chunk the tree was read from
+ */
+Box.prototype.chunk = function() {
+  var that = this;
+  that.source.seek(that.offset + that.headerSize - that.source.startPosition);
+  if (that.parent === undefined && that.headerSize === 0) return that.source;             // Root
+  return that.source.chunk(that.type, that.size - that.headerSize);
+}
+
+/**
+ * Is this box a container of other boxes?
+ * @return {boolean} - true for container boxes (moov, trak...), for meta and stsd, and for the items of ilst
+ */
+Box.prototype.isContainer = function() {
+  var that = this;
+  if (that.parent === undefined && that.headerSize === 0) return true;      // Root
+  if (CONTAINERS[that.type] !== undefined) return true;
+  if (that.parent && that.parent.type === "ilst") return true;
+  return false;
+}
+
+/**
+ * Get the child boxes. They are read the first time this function is called
+ * @return {Box[]} - the child boxes. Empty for boxes which are not containers
+ */
+Box.prototype.getChildren = function() {
+  var that = this;
+  if (that._children) return that._children;
+  that._children = [];
+  if (!that.isContainer()) return that._children;
+  var chunk = that.chunk();
+  var skip = CONTAINERS[that.type] || 0;
+  if (that.type === "meta" && chunk.hasMore(8) && chunk.peekBytes(8).toString('latin1', 4) === "hdlr") skip = 0;  // QuickTime meta (no version and flags)
+  chunk.skip(skip);
+  forEachBox(chunk, function(box) {
+    box.parent = that;
+    that._children.push(box);
+  });
+  return that._children;
+}
+
+/**
+ * Find all boxes matching a path
+ * @param {string} path - is a list of box types separated by "/", relative to this box (such as "moov/trak/tkhd")
+ * @return {Box[]} - the matching boxes
+ */
+Box.prototype.findAll = function(path) {
+  var that = this;
+  var boxes = [ that ];
+  path.split("/").forEach(function(type) {
+    var next = [];
+    boxes.forEach(function(box) {
+      box.getChildren().forEach(function(child) {
+        if (child.type === type) next.push(child);
+      });
+    });
+    boxes = next;
+  });
+  return boxes;
+}
+
+/**
+ * Find the first box matching a path
+ * @param {string} path - is a list of box types separated by "/", relative to this box (such as "moov/mvhd")
+ * @return {Box} - the box, or undefined if not found
+ */
+Box.prototype.find = function(path) {
+  return this.findAll(path)[0];
+}
+
+/**
+ * Decode the content of the box. The content is decoded the first time this function is called
+ * @return {Object} - the decoded content, or undefined if there is no decoder for this type of box
+ */
+Box.prototype.decode = function() {
+  var that = this;
+  if (that._value !== undefined) return that._value;
+  var decoder = DECODERS[that.type];
+  if (!decoder) return undefined;
+  that._value = decoder(that.chunk(), that);
+  return that._value;
+}
+
+/**
+ * Read the box tree of a stream or chunk, from the current position to its end. The tree is lazily parsed: the
+ * returned root box does not read anything until its children are asked for
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from
+ * @return {Box} - the root box (without type nor header), whose children are the top-level boxes
+ */
+function read(source) {
+  var stream = source.stream || source;
+  var offset = stream.position;
+  return new Box(source, { type: "", offset: offset, size: source.maxPosition - offset, headerSize: 0 });
+}
+
+
+
+// ================================================================================
+// Decoders
+// ================================================================================
+
+/**
+ * Read the version and flags of a full box
+ */
+function _readFullBox(chunk) {
+  var version = chunk.readByte();
+  var flags = chunk.read3BytesBE();
+  return { version: version, flags: flags };
+}
+
+/**
+ * Read a date, as a number of seconds since 1904-01-01 (32 bits for version 0 boxes, 64 bits for version 1 boxes)
+ */
+function _readDate(chunk, version) {
+  var seconds = version === 1 ? Number(chunk.readUInt64BE()) : chunk.readUInt32BE();
+  return new Date((seconds - 2082844800) * 1000);
+}
+
+/**
+ * Read a duration (32 bits for version 0 boxes, 64 bits for version 1 boxes)
+ */
+function _readDuration(chunk, version) {
+  return version === 1 ? Number(chunk.readUInt64BE()) : chunk.readUInt32BE();
+}
+
+/**
+ * Read the end of a box as a string, without trailing zeros
+ */
+function _readRemainingString(chunk, encoding) {
+  var bytes = chunk.readBytes(chunk.maxPosition - chunk.stream.position);
+  return bytes.toString(encoding).replace(/\u0000+$/, "");
+}
+
+/**
+ * ftyp: file type and compatibility
+ */
+function _decodeFtyp(chunk) {
+  var result = { majorBrand: chunk.readASCII4(), minorVersion: chunk.readUInt32BE(), compatibleBrands: [] };
+  while (chunk.hasMore(4)) result.compatibleBrands.push(chunk.readASCII4());
+  return result;
+}
+
+/**
+ * mvhd: movie header
+ */
+function _decodeMvhd(chunk) {
+  var result = _readFullBox(chunk);
+  result.creationTime = _readDate(chunk, result.version);
+  result.modificationTime = _readDate(chunk, result.version);
+  result.timescale = chunk.readUInt32BE();
+  result.duration = _readDuration(chunk, result.version);
+  result.rate = chunk.readFixed16_16BE();
+  result.volume = chunk.readFixed8_8BE();
+  chunk.skip(10 + 36 + 24);                       // reserved, matrix, pre_defined
+  result.nextTrackId = chunk.readUInt32BE();
+  return result;
+}
+
+/**
+ * tkhd: track header
+ */
+function _decodeTkhd(chunk) {
+  var result = _readFullBox(chunk);
+  result.enabled = (result.flags & 1) === 1;
+  result.creationTime = _readDate(chunk, result.version);
+  result.modificationTime = _readDate(chunk, result.version);
+  result.trackId = chunk.readUInt32BE();
+  chunk.skip(4);
+  result.duration = _readDuration(chunk, result.version);
+  chunk.skip(8);
+  result.layer = chunk.readInt16BE();
+  result.alternateGroup = chunk.readInt16BE();
+  result.volume = chunk.readFixed8_8BE();
+  chunk.skip(2 + 36);                             // reserved, matrix
+  result.width = chunk.readUFixed16_16BE();
+  result.height = chunk.readUFixed16_16BE();
+  return result;
+}
+
+/**
+ * mdhd: media header
+ */
+function _decodeMdhd(chunk) {
+  var result = _readFullBox(chunk);
+  result.creationTime = _readDate(chunk, result.version);
+  result.modificationTime = _readDate(chunk, result.version);
+  result.timescale = chunk.readUInt32BE();
+  result.duration = _readDuration(chunk, result.version);
+  var language = chunk.readUInt16BE();
+  result.language = String.fromCharCode(((language >> 10) & 0x1F) + 0x60, ((language >> 5) & 0x1F) + 0x60, (language & 0x1F) + 0x60);
+  return result;
+}
+
+/**
+ * hdlr: handler reference. The name is a null-terminated UTF-8 string, or a Pascal string in QuickTime files
+ */
+function _decodeHdlr(chunk) {
+  var result = _readFullBox(chunk);
+  chunk.skip(4);                                  // pre_defined
+  result.handlerType = chunk.readASCII4();
+  chunk.skip(12);                                 // reserved
+  var remaining = chunk.maxPosition - chunk.stream.position;
+  if (remaining > 0 && chunk.peekByte() === remaining - 1) chunk.skip(1);
+  result.name = _readRemainingString(chunk, 'utf8');
+  return result;
+}
+
+/**
+ * stsd: sample descriptions
+ */
+function _decodeStsd(chunk) {
+  var result = _readFullBox(chunk);
+  result.entries = [];
+  var count = chunk.readUInt32BE();
+  forEachBox(chunk, function(box, entryChunk) {
+    if (result.entries.length >= count) return false;
+    var entry = { format: box.type };
+    entryChunk.skip(6);                           // reserved
+    entry.dataReferenceIndex = entryChunk.readUInt16BE();
+    if (VISUAL_ENTRIES.indexOf(box.type) !== -1) {
+      entryChunk.skip(16);                        // pre_defined, reserved
+      entry.width = entryChunk.readUInt16BE();
+      entry.height = entryChunk.readUInt16BE();
+      entry.horizontalResolution = entryChunk.readUFixed16_16BE();
+      entry.verticalResolution = entryChunk.readUFixed16_16BE();
+      entryChunk.skip(4);                         // reserved
+      entry.frameCount = entryChunk.readUInt16BE();
+      var compressorName = entryChunk.readBytes(32);
+      entry.compressorName = compressorName.toString('utf8', 1, 1 + Math.min(compressorName[0], 31));
+      entry.depth = entryChunk.readUInt16BE();
+    }
+    else if (AUDIO_ENTRIES.indexOf(box.type) !== -1) {
+      entryChunk.skip(8);                         // reserved
+      entry.channelCount = entryChunk.readUInt16BE();
+      entry.sampleSize = entryChunk.readUInt16BE();
+      entryChunk.skip(4);                         // pre_defined, reserved
+      entry.sampleRate = entryChunk.readUFixed16_16BE();
+    }
+    result.entries.push(entry);
+  });
+  return result;
+}
+
+/**
+ * stco and co64: chunk offsets (32 and 64 bits)
+ */
+function _decodeChunkOffsets(chunk, box) {
+  var result = _readFullBox(chunk);
+  var count = chunk.readUInt32BE();
+  result.chunkOffsets = [];
+  for (var i=0; i<count; i++)
+    result.chunkOffsets.push(box.type === "co64" ? Number(chunk.readUInt64BE()) : chunk.readUInt32BE());
+  return result;
+}
+
+/**
+ * Names of the common iTunes tags
+ */
+const ITUNES_TAGS = {
+  "©nam": "title", "©ART": "artist", "aART": "albumArtist", "©alb": "album", "©day": "year",
+  "©gen": "genre", "©wrt": "composer", "©cmt": "comment", "©too": "encoder", "©lyr": "lyrics",
+  "©grp": "grouping", "cprt": "copyright", "desc": "description", "tmpo": "tempo", "cpil": "compilation"
+};
+
+/**
+ * ilst: iTunes tags. Each item contains one or more "data" boxes (and "mean" and "name" boxes for "----" items)
+ * @return {Object} - the common tags (title, artist, album, year, genre, track, disc, pictures...) and all the items
+ *                    by type in "items". Items with several values are arrays
+ */
+function _decodeIlst(chunk, box) {
+  var result = { items: {}, pictures: [] };
+  box.getChildren().forEach(function(item) {
+    var key = item.type;
+    var values = [];
+    item.getChildren().forEach(function(child) {
+      var childChunk = child.chunk();
+      if (child.type === "name") { childChunk.skip(4); key = _readRemainingString(childChunk, 'utf8'); }
+      if (child.type === "data") values.push(_readData(childChunk, item.type));
+    });
+    if (values.length === 0) return;
+    result.items[key] = values.length === 1 ? values[0] : values;
+    if (ITUNES_TAGS[key]) result[ITUNES_TAGS[key]] = values[0];
+    if (key === "gnre" && typeof values[0] === "number") result.genre = ID3.GENRES[values[0] - 1];
+    if (key === "trkn" || key === "disk") result[key === "trkn" ? "track" : "disc"] = values[0];
+    if (key === "covr") result.pictures = values;
+  });
+  return result;
+}
+
+/**
+ * Read the value of an iTunes "data" box
+ * @param {Chunk} chunk - is the chunk on the payload of the data box
+ * @param {string} itemType - is the type of the item which contains the data box
+ */
+function _readData(chunk, itemType) {
+  var type = chunk.readUInt32BE() & 0xFFFFFF;
+  chunk.skip(4);                                  // locale
+  var length = chunk.maxPosition - chunk.stream.position;
+  if (type === 1) return _readRemainingString(chunk, 'utf8');
+  if (type === 2) return chunk.readString(length, "utf16be");
+  if (type === 13 || type === 14 || type === 27)
+    return { mimeType: type === 13 ? "image/jpeg" : (type === 14 ? "image/png" : "image/bmp"), data: chunk.readBytes(length) };
+  if ((type === 21 || type === 22) && [ 1, 2, 3, 4 ].indexOf(length) !== -1) {
+    var bytes = chunk.readBytes(length);
+    return type === 21 ? bytes.readIntBE(0, length) : bytes.readUIntBE(0, length);
+  }
+  if ((itemType === "trkn" || itemType === "disk") && length >= 6) {
+    chunk.skip(2);
+    return { number: chunk.readUInt16BE(), total: chunk.readUInt16BE() };
+  }
+  if (itemType === "gnre" && length === 2) return chunk.readUInt16BE();
+  return chunk.readBytes(length);
+}
+
+/**
+ * meta: metadata. Only iTunes metadata (handler "mdir") is decoded
+ * @return {Object} - { handlerType, tags }, where tags are the decoded ilst box
+ */
+function _decodeMeta(chunk, box) {
+  var hdlr = box.find("hdlr");
+  var ilst = box.find("ilst");
+  return {
+    handlerType: hdlr ? hdlr.decode().handlerType : undefined,
+    tags: ilst ? ilst.decode() : undefined
+  };
+}
+
+/**
+ * Box decoders, by box type. Decoders are called with the chunk on the box payload and the box
+ */
+const DECODERS = {
+  ftyp: _decodeFtyp,
+  mvhd: _decodeMvhd,
+  tkhd: _decodeTkhd,
+  mdhd: _decodeMdhd,
+  hdlr: _decodeHdlr,
+  stsd: _decodeStsd,
+  stco: _decodeChunkOffsets,
+  co64: _decodeChunkOffsets,
+  meta: _decodeMeta,
+  ilst: _decodeIlst
+};
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    Box: Box,
+    DECODERS: DECODERS,
+    readBoxHeader: readBoxHeader,
+    forEachBox: forEachBox,
+    read: read
+  };
+}
@@ -0,0 +1,516 @@
+/**
+ * @file wg-streams - Command line inspector
+ *
+ * Looks inside binary files without writing a throwaway script:
+ *
+ *   wg-streams hexdump [--offset <n>] [--length <n>] <file>
+ *   wg-streams scan [--hex] <pattern> <file>
+ *   wg-streams sniff <file>
+ *   wg-streams dump [--format <id3|png|mp4|riff|jpeg|mkv|zip>] <file>
+ *
+ * All commands accept --json to output JSON instead of text. The dump command prints the chunk tree of the file, with
+ * the names, offsets and sizes of the chunks. Without --format, the format is guessed with sniff.
+ *
+ * Files are read through PullStream.openFile, so that large files are not loaded in memory.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Exception = require('wg-log').Exception;
+
+const PullStream = require('./pullstream.js');
+const HexDump = require('./hexdump.js');
+const ID3 = require('./id3.js');
+const PNG = require('./png.js');
+const BMFF = require('./bmff.js');
+const RIFF = require('./riff.js');
+const JPEG = require('./jpeg.js');
+const EBML = require('./ebml.js');
+const ZIP = require('./zip.js');
+
+
+
+
+// ================================================================================
+// Command line
+// ================================================================================
+
+/**
+ * Usage message
+ */
+const USAGE = [
+  "Usage: wg-streams <command> [options] <file>",
+  "",
+  "Commands:",
+  "  hexdump [--offset <n>] [--length <n>] <file>   hexadecimal dump (256 bytes by default)",
+  "  scan [--hex] <pattern> <file>                   offsets of all the occurrences of a pattern",
+  "  sniff <file>                                    identify the file type",
+  "  dump [--format <id3|png|mp4|riff|jpeg|mkv|zip>] <file>",
+  "                                                  chunk tree (format guessed by sniff by default)",
+  "",
+  "Options:",
+  "  --json   output JSON",
+  "  --hex    the scan pattern is hexadecimal (such as ffd8ff) instead of ISO-8859-1 text",
+  "",
+  "Numbers can be decimal or hexadecimal (0x...)"
+].join("\n");
+
+/**
+ * Parse the command line arguments
+ * @param {string[]} args - are the arguments, without the node executable and script (process.argv.slice(2))
+ * @return {Object} - the command { command, file, json, offset, length, pattern, hex, format }
+ */
+function parseArgs(args) {
+  var result = { json: false, hex: false };
+  var positional = [];
+  for (var i=0; i<args.length; i++) {
+    var arg = args[i];
+    if (arg === "--json") result.json = true;
+    else if (arg === "--hex") result.hex = true;
+    else if (arg === "--offset" || arg === "--length" || arg === "--format") {
+      if (i+1 >= args.length) throw new Exception({option:arg}, "Missing value for option " + arg);
+      var value = args[++i];
+      result[arg.substring(2)] = arg === "--format" ? value : _parseNumber(arg, value);
+    }
+    else if (arg.substring(0, 2) === "--") throw new Exception({option:arg}, "Unknown option " + arg);
+    else positional.push(arg);
+  }
+  result.command = positional.shift();
+  if (result.command === undefined) throw new Exception({}, "Missing command");
+  if (COMMANDS[result.command] === undefined) throw new Exception({command:result.command}, "Unknown command " + result.command);
+  if (result.command === "scan") result.pattern = positional.shift();
+  result.file = positional.shift();
+  if (result.file === undefined || positional.length > 0) throw new Exception({command:result.command}, "Invalid arguments for command " + result.command);
+  if (result.format !== undefined && DUMPERS[result.format] === undefined) throw new Exception({format:result.format}, "Unknown format " + result.format);
+  return result;
+}
+
+/**
+ * Parse a positive decimal or hexadecimal (0x...) number
+ */
+function _parseNumber(option, value) {
+  var n = /^0x[0-9a-f]+$/i.test(value) ? parseInt(value.substring(2), 16) : (/^[0-9]+$/.test(value) ? parseInt(value, 10) : NaN);
+  if (isNaN(n)) throw new Exception({option:option, value:value}, "Invalid number for option " + option);
+  return n;
+}
+
+/**
+ * Run a command on a stream
+ * @param {PullStream} stream - is the stream to inspect
+ * @param {Object} options - is the command, as returned by parseArgs
+ * @return {string} - the command output
+ */
+function run(stream, options) {
+  var result = COMMANDS[options.command](stream, options);
+  if (options.json) return JSON.stringify(result, undefined, 2) + "\n";
+  return FORMATTERS[options.command](result) + "\n";
+}
+
+/**
+ * Command line entry point: parse the arguments, open the file, run the command and close the file
+ * @param {string[]} args - are the arguments (process.argv.slice(2))
+ * @param {function} callback - is called with (err, output). Usage errors have the usage message appended
+ */
+function main(args, callback) {
+  var options;
+  try {
+    options = parseArgs(args);
+  } catch (err) {
+    err.message = err.message + "\n\n" + USAGE;
+    return callback(err);
+  }
+  var stream = new PullStream();
+  return stream.openFile(options.file, function(err) {
+    if (err) return callback(err);
+    var output;
+    try {
+      output = run(stream, options);
+    } catch (err) {
+      return stream.close(function() { return callback(err); });
+    }
+    return stream.close(function(err) {
+      return callback(err, output);
+    });
+  });
+}
+
+
+
+// ================================================================================
+// Commands
+// ================================================================================
+
+/**
+ * Default number of bytes of the hexdump command
+ */
+const DEFAULT_HEXDUMP_LENGTH = 256;
+
+/**
+ * Dump bytes of a stream
+ * @param {PullStream} stream - is the stream
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.offset - is the position of the first byte (default is 0)
+ * @param {integer} options.length - is the number of bytes (default is 256). Stops at the end of the stream
+ * @return {Object} - { offset, length, hex } where hex are the bytes in hexadecimal
+ */
+function hexdump(stream, options) {
+  options = options || {};
+  var offset = Math.min(options.offset || 0, stream.maxPosition);
+  var length = options.length === undefined ? DEFAULT_HEXDUMP_LENGTH : options.length;
+  length = Math.min(length, stream.maxPosition - offset);
+  stream.seek(offset);
+  return { offset: offset, length: length, hex: stream.readBytes(length).toString('hex') };
+}
+
+/**
+ * Find all the occurrences of a pattern in a stream
+ * @param {PullStream} stream - is the stream
+ * @param {Object} options - is the set of options
+ * @param {string} options.pattern - is the pattern, as ISO-8859-1 text
+ * @param {boolean} options.hex - is true if the pattern is hexadecimal (spaces are ignored)
+ * @return {Object} - { pattern, offsets } where pattern is the hexadecimal pattern
+ */
+function scan(stream, options) {
+  var pattern = options.pattern;
+  var needle;
+  if (options.hex) {
+    var hex = String(pattern).replace(/\s/g, "");
+    if (!/^([0-9a-f]{2})+$/i.test(hex)) throw new Exception({pattern:pattern}, "Invalid hexadecimal pattern");
+    needle = Buffer.from(hex, 'hex');
+  }
+  else needle = Buffer.from(String(pattern), 'latin1');
+  if (needle.length === 0) throw new Exception({pattern:pattern}, "Empty pattern");
+  stream.seek(0);
+  return { pattern: needle.toString('hex'), offsets: stream.findAll(needle) };
+}
+
+/**
+ * File types, recognized by their first bytes. Types which have a "format" can be dumped
+ */
+const TYPES = [
+  { type: "png",      description: "PNG image",                 mimeType: "image/png",        format: "png",  test: _startsWith(0, PNG.SIGNATURE) },
+  { type: "jpeg",     description: "JPEG image",                mimeType: "image/jpeg",       format: "jpeg", test: _startsWith(0, [ 0xFF, 0xD8, 0xFF ]) },
+  { type: "gif",      description: "GIF image",                 mimeType: "image/gif",                        test: _startsWith(0, "GIF8") },
+  { type: "tiff",     description: "TIFF image",                mimeType: "image/tiff",                       test: function(b) { return _startsWith(0, "II*\u0000")(b) || _startsWith(0, "MM\u0000*")(b); } },
+  { type: "webp",     description: "WebP image",                mimeType: "image/webp",       format: "riff", test: _form("RIFF", "WEBP") },
+  { type: "wav",      description: "WAV audio",                 mimeType: "audio/wav",        format: "riff", test: _form("RIFF", "WAVE") },
+  { type: "avi",      description: "AVI video",                 mimeType: "video/x-msvideo",  format: "riff", test: _form("RIFF", "AVI ") },
+  { type: "riff",     description: "RIFF file",                 mimeType: "application/octet-stream", format: "riff", test: function(b) { return _startsWith(0, "RIFF")(b) || _startsWith(0, "RIFX")(b); } },
+  { type: "aiff",     description: "AIFF audio",                mimeType: "audio/aiff",       format: "riff", test: function(b) { return _form("FORM", "AIFF")(b) || _form("FORM", "AIFC")(b); } },
+  { type: "iff",      description: "IFF file",                  mimeType: "application/octet-stream", format: "riff", test: _startsWith(0, "FORM") },
+  { type: "mp4",      description: "ISO base media file",       mimeType: "video/mp4",        format: "mp4",  test: _startsWith(4, "ftyp") },
+  { type: "mov",      description: "QuickTime movie",           mimeType: "video/quicktime",  format: "mp4",  test: function(b) { return _startsWith(4, "moov")(b) || _startsWith(4, "mdat")(b) || _startsWith(4, "wide")(b); } },
+  { type: "mp3",      description: "MP3 audio with ID3v2 tag",  mimeType: "audio/mpeg",       format: "id3",  test: _startsWith(0, "ID3") },
+  { type: "mp3",      description: "MP3 audio",                 mimeType: "audio/mpeg",       format: "id3",  test: function(b) { return b.length >= 2 && b[0] === 0xFF && (b[1] & 0xE0) === 0xE0 && (b[1] & 0x18) !== 0x08 && (b[1] & 0x06) !== 0; } },
+  { type: "flac",     description: "FLAC audio",                mimeType: "audio/flac",                       test: _startsWith(0, "fLaC") },
+  { type: "ogg",      description: "Ogg container",             mimeType: "audio/ogg",                        test: _startsWith(0, "OggS") },
+  { type: "matroska", description: "Matroska / WebM (EBML)",    mimeType: "video/x-matroska", format: "mkv",  test: _startsWith(0, [ 0x1A, 0x45, 0xDF, 0xA3 ]) },
+  { type: "pdf",      description: "PDF document",              mimeType: "application/pdf",                  test: _startsWith(0, "%PDF-") },
+  { type: "zip",      description: "ZIP archive",               mimeType: "application/zip",  format: "zip",  test: _startsWith(0, "PK\u0003\u0004") },
+  { type: "gzip",     description: "gzip compressed data",      mimeType: "application/gzip",                 test: _startsWith(0, [ 0x1F, 0x8B ]) }
+];
+
+/**
+ * Number of bytes read to identify a file
+ */
+const SNIFF_LENGTH = 16;
+
+/**
+ * Get a test function checking that bytes have a signature at a given offset
+ */
+function _startsWith(offset, signature) {
+  signature = typeof signature === "string" ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return function(bytes) {
+    return bytes.length >= offset + signature.length && bytes.slice(offset, offset + signature.length).equals(signature);
+  };
+}
+
+/**
+ * Get a test function for a RIFF or IFF container with a given form type
+ */
+function _form(id, formType) {
+  return function(bytes) { return _startsWith(0, id)(bytes) && _startsWith(8, formType)(bytes); };
+}
+
+/**
+ * Identify the type of a stream from its first bytes. The stream position is unchanged
+ * @param {PullStream} stream - is the stream
+ * @return {Object} - { type, description, mimeType, format }. The type is undefined if the file type is unknown.
+ *                    The format is the dump format, or undefined if the file can not be dumped
+ */
+function sniff(stream) {
+  var position = stream.tell();
+  stream.seek(0);
+  var bytes = stream.readBytes(Math.min(SNIFF_LENGTH, stream.maxPosition));
+  stream.seek(position);
+  for (var i=0; i<TYPES.length; i++) {
+    var type = TYPES[i];
+    if (type.test(bytes)) return { type: type.type, description: type.description, mimeType: type.mimeType, format: type.format };
+  }
+  return { type: undefined, description: "Unknown file type", mimeType: "application/octet-stream", format: undefined };
+}
+
+/**
+ * Read the chunk tree of a stream
+ * @param {PullStream} stream - is the stream
+ * @param {Object} options - is an optional set of options
+ * @param {string} options.format - is the file format (id3, png, mp4, riff, jpeg, mkv or zip). Default is the format found by sniff
+ * @return {Object} - the root node. Nodes are { name, offset, size, truncated, children }. Offsets are absolute, sizes
+ *                    include the chunk headers. The offset of nodes which are not stored as is in the file (such as
+ *                    ID3 frames of unsynchronised tags) is undefined
+ */
+function dump(stream, options) {
+  options = options || {};
+  var format = options.format || sniff(stream).format;
+  if (format === undefined) throw new Exception({fileName:stream.fileName}, "Unknown file format (use --format)");
+  var dumper = DUMPERS[format];
+  if (dumper === undefined) throw new Exception({format:format}, "Unknown format " + format);
+  stream.seek(0);
+  var root = _node(stream.fileName || format, 0, stream.maxPosition);
+  root.format = format;
+  root.children = dumper(stream);
+  return root;
+}
+
+/**
+ * Create a tree node
+ */
+function _node(name, offset, size, truncated) {
+  var node = { name: name, offset: offset, size: size };
+  if (truncated) node.truncated = true;
+  return node;
+}
+
+/**
+ * ID3v2 tag and its frames at the beginning of the file, ID3v1 tag at the end
+ */
+function _dumpID3(stream) {
+  var nodes = [];
+  var tags = ID3.read(stream);
+  var v2 = tags.v2;
+  if (v2) {
+    var tag = _node("ID3v" + v2.version, 0, 10 + v2.size);
+    tag.children = [ _node("header", 0, 10) ];
+    var frameHeaderSize = v2.major === 2 ? 6 : 10;
+    (v2.frames || []).forEach(function(frame) {
+      var offset = v2.flags.unsynchronisation ? undefined : 10 + frame.offset;
+      tag.children.push(_node(frame.id, offset, frameHeaderSize + frame.size));
+    });
+    nodes.push(tag);
+  }
+  var start = v2 ? 10 + v2.size + (v2.flags.footer ? 10 : 0) : 0;
+  var end = tags.v1 ? stream.maxPosition - 128 : stream.maxPosition;
+  if (end > start) nodes.push(_node("audio", start, end - start));
+  if (tags.v1) nodes.push(_node("ID3v1", stream.maxPosition - 128, 128));
+  return nodes;
+}
+
+/**
+ * PNG signature and chunks
+ */
+function _dumpPNG(stream) {
+  var nodes = [];
+  PNG.readSignature(stream);
+  nodes.push(_node("signature", 0, 8));
+  PNG.forEachChunk(stream, { verifyCRC: false }, function(header) {
+    nodes.push(_node(header.type, header.offset, header.length + 12, header.truncated));
+  });
+  return nodes;
+}
+
+/**
+ * ISO BMFF boxes, recursively
+ */
+function _dumpMP4(stream) {
+  function children(box) {
+    return box.getChildren().map(function(child) {
+      var node = _node(child.type, child.offset, child.size, child.truncated);
+      var grandChildren = children(child);
+      if (grandChildren.length > 0) node.children = grandChildren;
+      return node;
+    });
+  }
+  return children(BMFF.read(stream));
+}
+
+/**
+ * RIFF and IFF chunks, recursively. Containers are named after their id and form type (such as "LIST INFO")
+ */
+function _dumpRIFF(stream) {
+  function node(chunk) {
+    var name = chunk.formType !== undefined ? chunk.id + " " + chunk.formType : chunk.id;
+    var result = _node(name, chunk.offset, chunk.size + 8, chunk.truncated);
+    if (chunk.chunks) result.children = chunk.chunks.map(node);
+    return result;
+  }
+  return [ node(RIFF.read(stream)) ];
+}
+
+/**
+ * JPEG segments, including the entropy-coded data
+ */
+function _dumpJPEG(stream) {
+  var nodes = [];
+  var previous;
+  JPEG.walk(stream, { scanData: true }, function(segment) {
+    if (previous && previous.name === "SOS") {
+      var start = previous.offset + previous.size;
+      if (segment.offset > start) nodes.push(_node("scan data", start, segment.offset - start));
+    }
+    previous = _node(segment.name, segment.offset, segment.length === 0 && !_hasLength(segment) ? 2 : segment.length + 4);
+    nodes.push(previous);
+  });
+  return nodes;
+}
+
+/**
+ * Does a JPEG segment have a length field? Only standalone markers (SOI, EOI, RSTn, TEM) don't
+ */
+function _hasLength(segment) {
+  return !(segment.marker === 0xD8 || segment.marker === 0xD9 || segment.marker === 0x01 || (segment.marker >= 0xD0 && segment.marker <= 0xD7));
+}
+
+/**
+ * EBML elements, recursively. Clusters are listed without their blocks
+ */
+function _dumpMKV(stream) {
+  function children(source) {
+    var nodes = [];
+    var headers = [];
+    EBML.forEachElement(source, function(header, chunk) {
+      var node = _node(header.name, header.offset, undefined, header.truncated);
+      if (header.type === "master" && header.name !== "Cluster") node.children = children(chunk);
+      nodes.push(node);
+      headers.push(header);
+    });
+    // The size of elements of unknown size is known once they have been walked
+    headers.forEach(function(header, index) { nodes[index].size = header.headerSize + header.size; });
+    return nodes;
+  }
+  return children(stream);
+}
+
+/**
+ * ZIP entries (local header and data) in file order, central directory and end of central directory records. Unsafe
+ * entry names are listed
+ */
+function _dumpZIP(stream) {
+  var zip = ZIP.read(stream, { allowUnsafeNames: true });
+  var nodes = zip.entries.slice().sort(function(a, b) { return a.localHeaderOffset - b.localHeaderOffset; }).map(function(entry) {
+    return _node(entry.name, entry.localHeaderOffset, entry.dataOffset - entry.localHeaderOffset + entry.compressedSize);
+  });
+  var cd = zip.centralDirectory;
+  nodes.push(_node("central directory", cd.offset, cd.size));
+  nodes.push(_node("end of central directory", cd.offset + cd.size, stream.maxPosition - cd.offset - cd.size));
+  return nodes;
+}
+
+/**
+ * Chunk tree readers, by format
+ */
+const DUMPERS = {
+  id3: _dumpID3,
+  png: _dumpPNG,
+  mp4: _dumpMP4,
+  riff: _dumpRIFF,
+  jpeg: _dumpJPEG,
+  mkv: _dumpMKV,
+  zip: _dumpZIP
+};
+
+/**
+ * Commands, by name
+ */
+const COMMANDS = {
+  hexdump: hexdump,
+  scan: scan,
+  sniff: sniff,
+  dump: dump
+};
+
+
+
+// ================================================================================
+// Text output
+// ================================================================================
+
+/**
+ * Format the result of a hexdump command
+ */
+function _formatHexdump(result) {
+  if (result.length === 0) return "";
+  return HexDump.format(Buffer.from(result.hex, 'hex'), { offset: result.offset });
+}
+
+/**
+ * Format the result of a scan command: one line per match, with the hexadecimal and decimal offsets
+ */
+function _formatScan(result) {
+  var lines = result.offsets.map(function(offset) { return _hex(offset) + "  " + offset; });
+  lines.push(result.offsets.length + (result.offsets.length === 1 ? " match" : " matches"));
+  return lines.join("\n");
+}
+
+/**
+ * Format the result of a sniff command
+ */
+function _formatSniff(result) {
+  if (result.type === undefined) return result.description;
+  return result.type + ": " + result.description + " (" + result.mimeType + ")" + (result.format ? ", dump format " + result.format : "");
+}
+
+/**
+ * Format a chunk tree: one line per node, indented by depth, with the hexadecimal offset and the size
+ * @param {Object} root - is the root node, as returned by dump
+ * @return {string} - the text (without final new line)
+ */
+function formatTree(root) {
+  var lines = [];
+  function format(node, depth) {
+    var indent = "";
+    for (var i=0; i<depth; i++) indent = indent + "  ";
+    var offset = node.offset === undefined ? "????????" : _hex(node.offset);
+    lines.push(offset + "  " + indent + node.name + "  (" + node.size + (node.size === 1 ? " byte" : " bytes") + (node.truncated ? ", truncated" : "") + ")");
+    (node.children || []).forEach(function(child) { format(child, depth + 1); });
+  }
+  format(root, 0);
+  return lines.join("\n");
+}
+
+/**
+ * Format an offset as 8 hexadecimal digits
+ */
+function _hex(n) {
+  var str = n.toString(16);
+  while (str.length < 8) str = "0" + str;
+  return str;
+}
+
+/**
+ * Text formatters, by command name
+ */
+const FORMATTERS = {
+  hexdump: _formatHexdump,
+  scan: _formatScan,
+  sniff: _formatSniff,
+  dump: formatTree
+};
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    USAGE: USAGE,
+    TYPES: TYPES,
+    parseArgs: parseArgs,
+    run: run,
+    main: main,
+    hexdump: hexdump,
+    scan: scan,
+    sniff: sniff,
+    dump: dump,
+    formatTree: formatTree
+  };
+}
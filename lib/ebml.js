@@ -0,0 +1,566 @@
+/**
+ * @file wg-streams - EBML files (Matroska, WebM)
+ *
+ * Walks EBML elements as nested named chunks. Element IDs are mapped to names and types with a Matroska schema.
+ * Elements of unknown size (as written by live recorders for the Segment and Cluster elements) end at the first
+ * element which can not be one of their children.
+ *
+ * The metadata of Matroska and WebM files is read from the Segment Info, Tracks and Tags elements. Cues are found
+ * through the SeekHead: the walk stops at the first Cluster, so that the cluster data is never read.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::EBML');
+
+const Reader = require('./reader.js');
+const Errors = require('./errors.js');
+require('./varint.js');
+
+
+
+
+// ================================================================================
+// Schema
+// ================================================================================
+
+/**
+ * Element types
+ */
+const MASTER = "master";
+const UINT = "uint";
+const INT = "int";
+const FLOAT = "float";
+const STRING = "string";
+const UTF8 = "utf8";
+const DATE = "date";
+const BINARY = "binary";
+
+/**
+ * Elements, by ID. Each element is { id, name, type, level, multiple }. The level is the depth of the element (0 for
+ * the EBML header and the Segment), undefined for global elements which can appear at any level (Void, CRC-32).
+ * Multiple elements can occur more than once in their parent, and are decoded as arrays
+ */
+const ELEMENTS = {};
+[
+  // EBML header
+  [ 0x1A45DFA3, "EBML", MASTER, 0 ],
+  [ 0x4286, "EBMLVersion", UINT, 1 ],
+  [ 0x42F7, "EBMLReadVersion", UINT, 1 ],
+  [ 0x42F2, "EBMLMaxIDLength", UINT, 1 ],
+  [ 0x42F3, "EBMLMaxSizeLength", UINT, 1 ],
+  [ 0x4282, "DocType", STRING, 1 ],
+  [ 0x4287, "DocTypeVersion", UINT, 1 ],
+  [ 0x4285, "DocTypeReadVersion", UINT, 1 ],
+  // Global elements
+  [ 0xEC, "Void", BINARY ],
+  [ 0xBF, "CRC-32", BINARY ],
+  // Segment
+  [ 0x18538067, "Segment", MASTER, 0 ],
+  [ 0x114D9B74, "SeekHead", MASTER, 1, true ],
+  [ 0x4DBB, "Seek", MASTER, 2, true ],
+  [ 0x53AB, "SeekID", BINARY, 3 ],
+  [ 0x53AC, "SeekPosition", UINT, 3 ],
+  // Segment information
+  [ 0x1549A966, "Info", MASTER, 1 ],
+  [ 0x73A4, "SegmentUUID", BINARY, 2 ],
+  [ 0x7384, "SegmentFilename", UTF8, 2 ],
+  [ 0x2AD7B1, "TimestampScale", UINT, 2 ],
+  [ 0x4489, "Duration", FLOAT, 2 ],
+  [ 0x4461, "DateUTC", DATE, 2 ],
+  [ 0x7BA9, "Title", UTF8, 2 ],
+  [ 0x4D80, "MuxingApp", UTF8, 2 ],
+  [ 0x5741, "WritingApp", UTF8, 2 ],
+  // Clusters
+  [ 0x1F43B675, "Cluster", MASTER, 1, true ],
+  [ 0xE7, "Timestamp", UINT, 2 ],
+  [ 0xA7, "Position", UINT, 2 ],
+  [ 0xAB, "PrevSize", UINT, 2 ],
+  [ 0xA3, "SimpleBlock", BINARY, 2, true ],
+  [ 0xA0, "BlockGroup", MASTER, 2, true ],
+  [ 0xA1, "Block", BINARY, 3 ],
+  [ 0x9B, "BlockDuration", UINT, 3 ],
+  [ 0xFB, "ReferenceBlock", INT, 3, true ],
+  // Tracks
+  [ 0x1654AE6B, "Tracks", MASTER, 1 ],
+  [ 0xAE, "TrackEntry", MASTER, 2, true ],
+  [ 0xD7, "TrackNumber", UINT, 3 ],
+  [ 0x73C5, "TrackUID", UINT, 3 ],
+  [ 0x83, "TrackType", UINT, 3 ],
+  [ 0xB9, "FlagEnabled", UINT, 3 ],
+  [ 0x88, "FlagDefault", UINT, 3 ],
+  [ 0x55AA, "FlagForced", UINT, 3 ],
+  [ 0x9C, "FlagLacing", UINT, 3 ],
+  [ 0x23E383, "DefaultDuration", UINT, 3 ],
+  [ 0x536E, "Name", UTF8, 3 ],
+  [ 0x22B59C, "Language", STRING, 3 ],
+  [ 0x22B59D, "LanguageBCP47", STRING, 3 ],
+  [ 0x86, "CodecID", STRING, 3 ],
+  [ 0x63A2, "CodecPrivate", BINARY, 3 ],
+  [ 0x258688, "CodecName", UTF8, 3 ],
+  [ 0x56AA, "CodecDelay", UINT, 3 ],
+  [ 0x56BB, "SeekPreRoll", UINT, 3 ],
+  [ 0xE0, "Video", MASTER, 3 ],
+  [ 0x9A, "FlagInterlaced", UINT, 4 ],
+  [ 0xB0, "PixelWidth", UINT, 4 ],
+  [ 0xBA, "PixelHeight", UINT, 4 ],
+  [ 0x54B0, "DisplayWidth", UINT, 4 ],
+  [ 0x54BA, "DisplayHeight", UINT, 4 ],
+  [ 0x54B2, "DisplayUnit", UINT, 4 ],
+  [ 0x2383E3, "FrameRate", FLOAT, 4 ],
+  [ 0xE1, "Audio", MASTER, 3 ],
+  [ 0xB5, "SamplingFrequency", FLOAT, 4 ],
+  [ 0x78B5, "OutputSamplingFrequency", FLOAT, 4 ],
+  [ 0x9F, "Channels", UINT, 4 ],
+  [ 0x6264, "BitDepth", UINT, 4 ],
+  // Cues
+  [ 0x1C53BB6B, "Cues", MASTER, 1 ],
+  [ 0xBB, "CuePoint", MASTER, 2, true ],
+  [ 0xB3, "CueTime", UINT, 3 ],
+  [ 0xB7, "CueTrackPositions", MASTER, 3, true ],
+  [ 0xF7, "CueTrack", UINT, 4 ],
+  [ 0xF1, "CueClusterPosition", UINT, 4 ],
+  [ 0xF0, "CueRelativePosition", UINT, 4 ],
+  [ 0xB2, "CueDuration", UINT, 4 ],
+  [ 0x5378, "CueBlockNumber", UINT, 4 ],
+  // Chapters and attachments (names only)
+  [ 0x1043A770, "Chapters", MASTER, 1 ],
+  [ 0x45B9, "EditionEntry", MASTER, 2, true ],
+  [ 0xB6, "ChapterAtom", MASTER, 3, true ],
+  [ 0x73C4, "ChapterUID", UINT, 4 ],
+  [ 0x91, "ChapterTimeStart", UINT, 4 ],
+  [ 0x92, "ChapterTimeEnd", UINT, 4 ],
+  [ 0x80, "ChapterDisplay", MASTER, 4, true ],
+  [ 0x85, "ChapString", UTF8, 5 ],
+  [ 0x437C, "ChapLanguage", STRING, 5, true ],
+  [ 0x1941A469, "Attachments", MASTER, 1 ],
+  [ 0x61A7, "AttachedFile", MASTER, 2, true ],
+  [ 0x467E, "FileDescription", UTF8, 3 ],
+  [ 0x466E, "FileName", UTF8, 3 ],
+  [ 0x4660, "FileMediaType", STRING, 3 ],
+  [ 0x465C, "FileData", BINARY, 3 ],
+  [ 0x46AE, "FileUID", UINT, 3 ],
+  // Tags
+  [ 0x1254C367, "Tags", MASTER, 1 ],
+  [ 0x7373, "Tag", MASTER, 2, true ],
+  [ 0x63C0, "Targets", MASTER, 3 ],
+  [ 0x68CA, "TargetTypeValue", UINT, 4 ],
+  [ 0x63CA, "TargetType", STRING, 4 ],
+  [ 0x63C5, "TagTrackUID", UINT, 4, true ],
+  [ 0x67C8, "SimpleTag", MASTER, 3, true ],
+  [ 0x45A3, "TagName", UTF8, 4 ],
+  [ 0x447A, "TagLanguage", STRING, 4 ],
+  [ 0x4484, "TagDefault", UINT, 4 ],
+  [ 0x4487, "TagString", UTF8, 4 ],
+  [ 0x4485, "TagBinary", BINARY, 4 ]
+].forEach(function(element) {
+  ELEMENTS[element[0]] = { id: element[0], name: element[1], type: element[2], level: element[3], multiple: element[4] === true };
+});
+
+/**
+ * Get the name of an element
+ * @param {integer} id - is the element ID, with its length marker (such as 0x1A45DFA3)
+ * @return {string} - the element name, or the hexadecimal ID (such as "0x4A2B") for elements which are not in the schema
+ */
+function elementName(id) {
+  var element = ELEMENTS[id];
+  return element ? element.name : "0x" + id.toString(16).toUpperCase();
+}
+
+
+
+// ================================================================================
+// Element iterator
+// ================================================================================
+
+/**
+ * Levels of the elements of unknown size, by chunk. Iterating over the children of such a chunk stops at the first
+ * element whose level is the same or lower
+ */
+const UNKNOWN_SIZE_LEVELS = new WeakMap();
+
+/**
+ * Read an element header at the current position
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from
+ * @return {Object} - the header { id, name, type, level, offset, headerSize, size, unknownSize, truncated }. The offset
+ *                    is the absolute position of the element, the size is the size of the payload (undefined for
+ *                    elements of unknown size). Elements larger than the source are truncated to the source
+ */
+function readElementHeader(source) {
+  var stream = source.stream || source;
+  var offset = stream.position;
+  var id = source.readEBMLID();
+  var size = source.readEBMLSize();
+  var element = ELEMENTS[id] || { name: elementName(id), type: BINARY };
+  var header = {
+    id: id, name: element.name, type: element.type, level: element.level, offset: offset,
+    headerSize: stream.position - offset, size: size, unknownSize: false, truncated: false
+  };
+  if (size === Reader.EBML_UNKNOWN_SIZE) {
+    header.size = undefined;
+    header.unknownSize = true;
+    return header;
+  }
+  var remaining = source.maxPosition - stream.position;
+  if (size > remaining) {
+    log.debug({name:header.name, offset:offset, size:size, remaining:remaining}, "Truncated element");
+    header.size = remaining;
+    header.truncated = true;
+  }
+  return header;
+}
+
+/**
+ * Iterate over the elements of a stream or chunk, from the current position to the end of the stream or chunk (or to
+ * the end of the element of unknown size the chunk was created for).
+ * For each element, the callback is called with the element header and a chunk on the element payload, named after
+ * the element. When the callback returns, the rest of the payload is skipped. Elements of unknown size are given an
+ * unbounded chunk. When the callback returns, their end is found by walking their children (the header size is then
+ * set), unless the callback returned false.
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from
+ * @param {function} callback - is called with (header, chunk) for each element. It may return false to stop the iteration
+ */
+function forEachElement(source, callback) {
+  var stream = source.stream || source;
+  var parentLevel = UNKNOWN_SIZE_LEVELS.get(source);
+  while (source.hasMore(2)) {
+    var header = readElementHeader(source);
+    if (parentLevel !== undefined && header.level !== undefined && header.level <= parentLevel) {
+      stream.position = header.offset;                         // a sibling or parent: end of the element of unknown size
+      return;
+    }
+    var chunk;
+    if (header.unknownSize) {
+      chunk = source.chunk(header.name);
+      if (header.level !== undefined) UNKNOWN_SIZE_LEVELS.set(chunk, header.level);
+    }
+    else chunk = source.chunk(header.name, header.size);
+    var result = callback(header, chunk);
+    if (result === false) return;
+    if (header.unknownSize) {
+      chunk.seek(0);
+      _skipElements(chunk);
+      header.size = stream.position - header.offset - header.headerSize;
+    }
+    else chunk.skip();
+  }
+}
+
+/**
+ * Skip the elements of a chunk, up to its end (or to the end of the element of unknown size the chunk was created for)
+ */
+function _skipElements(chunk) {
+  forEachElement(chunk, function() {});
+}
+
+
+
+// ================================================================================
+// Values
+// ================================================================================
+
+/**
+ * Origin of EBML dates: 2001-01-01T00:00:00 UTC
+ */
+const DATE_ORIGIN = Date.UTC(2001, 0, 1);
+
+/**
+ * Read the value of an element
+ * @param {Object} header - is the element header
+ * @param {Chunk} chunk - is the chunk on the element payload, positioned at its beginning
+ * @return {*} - the value:
+ *               - master elements are decoded as objects, by child element name. Multiple elements are arrays. Void,
+ *                 CRC-32 and elements which are not in the schema are ignored
+ *               - integers are numbers, or BigInts if they are not safe integers (such as 64 bits UIDs)
+ *               - floats are numbers, dates are Date objects
+ *               - strings are ISO-8859-1 (ASCII) or UTF-8 strings, without trailing zeros
+ *               - binary elements are buffers
+ */
+function readValue(header, chunk) {
+  var size = chunk.maxPosition - chunk.stream.position;
+  switch (header.type) {
+    case MASTER:
+      var result = {};
+      forEachElement(chunk, function(childHeader, childChunk) {
+        var element = ELEMENTS[childHeader.id];
+        if (!element || element.level === undefined) return;
+        var value = readValue(childHeader, childChunk);
+        if (element.multiple) {
+          result[element.name] = result[element.name] || [];
+          result[element.name].push(value);
+        }
+        else result[element.name] = value;
+      });
+      return result;
+    case UINT:
+    case INT:
+      if (size > 8) throw new Exception({name:header.name, size:size}, "Invalid integer size");
+      var raw = BigInt(0);
+      var bytes = chunk.readBytes(size);
+      for (var i=0; i<size; i++) raw = (raw << BigInt(8)) | BigInt(bytes[i]);
+      if (header.type === INT && size > 0) raw = BigInt.asIntN(8 * size, raw);
+      return Number.isSafeInteger(Number(raw)) ? Number(raw) : raw;
+    case FLOAT:
+      if (size === 0) return 0;
+      if (size === 4) return chunk.readFloat32BE();
+      if (size === 8) return chunk.readFloat64BE();
+      throw new Exception({name:header.name, size:size}, "Invalid float size");
+    case DATE:
+      if (size !== 0 && size !== 8) throw new Exception({name:header.name, size:size}, "Invalid date size");
+      var nanoseconds = size === 0 ? BigInt(0) : chunk.readInt64BE();
+      return new Date(DATE_ORIGIN + Number(nanoseconds / BigInt(1000000)));
+    case STRING:
+      return chunk.readString(size, "latin1").replace(/\u0000+$/, "");
+    case UTF8:
+      return chunk.readString(size, "utf8").replace(/\u0000+$/, "");
+    default:
+      return chunk.readBytes(size);
+  }
+}
+
+
+
+// ================================================================================
+// Matroska metadata
+// ================================================================================
+
+/**
+ * Track types
+ */
+const TRACK_TYPES = { 1: "video", 2: "audio", 3: "complex", 0x10: "logo", 0x11: "subtitle", 0x12: "buttons", 0x20: "control", 0x21: "metadata" };
+
+/**
+ * Read the metadata of a Matroska or WebM file. The Segment is read up to its first Cluster. The elements which are
+ * after the clusters (typically Cues, and sometimes Tags) are read by seeking to the positions given in the SeekHead
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from, positioned at the beginning of the file
+ * @return {Object} - the metadata { ebml, segment, seekHead, info, tracks, tags, cues, warnings }
+ *                    - ebml is the EBML header { version, readVersion, maxIDLength, maxSizeLength, docType,
+ *                      docTypeVersion, docTypeReadVersion }
+ *                    - segment is { offset, dataOffset, size, unknownSize }. Positions in the SeekHead and Cues are
+ *                      relative to the dataOffset
+ *                    - seekHead is the list of { id, name, position }
+ *                    - info is { timestampScale, duration (in seconds), date, title, muxingApp, writingApp, segmentUUID }
+ *                    - tracks is the list of { number, uid, type, codecId, codecName, codecPrivate, name, language,
+ *                      enabled, default, forced, defaultDuration, video, audio }
+ *                    - tags is the list of { targetTypeValue, targetType, trackUIDs, simpleTags, values } where values
+ *                      are the tag strings by name
+ *                    - cues is the list of { time, positions } (undefined if there are no cues)
+ *                    - warnings are the decoding problems
+ */
+function read(source) {
+  if (!source.hasMore(4) || source.peekUInt32BE() !== 0x1A45DFA3) throw new Exception({}, "Not an EBML file (missing EBML header)");
+  var result = { seekHead: [], tracks: [], tags: [], warnings: [] };
+  forEachElement(source, function(header, chunk) {
+    if (header.name === "EBML") {
+      var ebml = readValue(header, chunk);
+      result.ebml = {
+        version: _default(ebml.EBMLVersion, 1), readVersion: _default(ebml.EBMLReadVersion, 1),
+        maxIDLength: _default(ebml.EBMLMaxIDLength, 4), maxSizeLength: _default(ebml.EBMLMaxSizeLength, 8),
+        docType: ebml.DocType, docTypeVersion: _default(ebml.DocTypeVersion, 1), docTypeReadVersion: _default(ebml.DocTypeReadVersion, 1)
+      };
+      return;
+    }
+    if (header.name === "Segment") {
+      _readSegment(header, chunk, result);
+      return false;
+    }
+  });
+  if (!result.segment) result.warnings.push("Missing Segment element");
+  return result;
+}
+
+/**
+ * Decoders of the Segment children, by element name
+ */
+const SEGMENT_DECODERS = {
+  SeekHead: _decodeSeekHead,
+  Info: _decodeInfo,
+  Tracks: _decodeTracks,
+  Tags: _decodeTags,
+  Cues: _decodeCues
+};
+
+/**
+ * Read the children of the Segment up to the first Cluster, and then the elements of the SeekHead which were not read
+ */
+function _readSegment(header, chunk, result) {
+  result.segment = { offset: header.offset, dataOffset: header.offset + header.headerSize, size: header.size, unknownSize: header.unknownSize };
+  var done = {};
+  var decode = function(childHeader, childChunk) {
+    var decoder = SEGMENT_DECODERS[childHeader.name];
+    if (!decoder) return;
+    done[childHeader.offset] = true;
+    if (childHeader.truncated) result.warnings.push("Truncated " + childHeader.name + " element at offset " + childHeader.offset);
+    try {
+      decoder(readValue(childHeader, childChunk), result);
+    } catch (err) {
+      if (err instanceof Errors.LimitError) throw err;
+      result.warnings.push("Invalid " + childHeader.name + " element at offset " + childHeader.offset + ": " + err.message);
+    }
+  };
+  try {
+    forEachElement(chunk, function(childHeader, childChunk) {
+      if (childHeader.name === "Cluster") return false;      // Don't read the cluster data
+      decode(childHeader, childChunk);
+    });
+  } catch (err) {
+    if (err instanceof Errors.LimitError) throw err;
+    result.warnings.push("Invalid Segment element: " + err.message);
+  }
+
+  // Elements after the clusters. The SeekHead list grows if it points to other SeekHeads
+  for (var i=0; i<result.seekHead.length; i++) {
+    var entry = result.seekHead[i];
+    var position = result.segment.dataOffset + entry.position;
+    if (!SEGMENT_DECODERS[entry.name] || done[position]) continue;
+    try {
+      chunk.seek(entry.position);
+      forEachElement(chunk, function(childHeader, childChunk) {
+        if (childHeader.id !== entry.id) throw new Exception({expected:entry.name, found:childHeader.name}, "Found " + childHeader.name + " instead of " + entry.name);
+        decode(childHeader, childChunk);
+        return false;
+      });
+    } catch (err) {
+      if (err instanceof Errors.LimitError) throw err;
+      result.warnings.push("Invalid SeekHead entry for " + entry.name + " at position " + entry.position + ": " + err.message);
+    }
+  }
+}
+
+/**
+ * Get a value, or a default value if undefined
+ */
+function _default(value, defaultValue) {
+  return value === undefined ? defaultValue : value;
+}
+
+/**
+ * SeekHead: positions of the top-level elements, relative to the Segment data
+ */
+function _decodeSeekHead(value, result) {
+  (value.Seek || []).forEach(function(seek) {
+    if (!seek.SeekID || seek.SeekID.length < 1 || seek.SeekID.length > 4 || seek.SeekPosition === undefined) return;
+    var id = seek.SeekID.readUIntBE(0, seek.SeekID.length);
+    result.seekHead.push({ id: id, name: elementName(id), position: Number(seek.SeekPosition) });
+  });
+}
+
+/**
+ * Segment information. The duration is converted to seconds
+ */
+function _decodeInfo(value, result) {
+  var timestampScale = _default(value.TimestampScale, 1000000);
+  result.info = {
+    timestampScale: timestampScale,
+    duration: value.Duration === undefined ? undefined : value.Duration * timestampScale / 1e9,
+    date: value.DateUTC,
+    title: value.Title,
+    muxingApp: value.MuxingApp,
+    writingApp: value.WritingApp,
+    segmentUUID: value.SegmentUUID ? value.SegmentUUID.toString('hex') : undefined
+  };
+}
+
+/**
+ * Tracks
+ */
+function _decodeTracks(value, result) {
+  (value.TrackEntry || []).forEach(function(entry) {
+    var track = {
+      number: entry.TrackNumber,
+      uid: entry.TrackUID,
+      type: TRACK_TYPES[entry.TrackType] || entry.TrackType,
+      codecId: entry.CodecID,
+      codecName: entry.CodecName,
+      codecPrivate: entry.CodecPrivate,
+      name: entry.Name,
+      language: entry.LanguageBCP47 || _default(entry.Language, "eng"),
+      enabled: _default(entry.FlagEnabled, 1) === 1,
+      default: _default(entry.FlagDefault, 1) === 1,
+      forced: _default(entry.FlagForced, 0) === 1,
+      defaultDuration: entry.DefaultDuration
+    };
+    if (entry.Video) {
+      track.video = {
+        pixelWidth: entry.Video.PixelWidth,
+        pixelHeight: entry.Video.PixelHeight,
+        displayWidth: _default(entry.Video.DisplayWidth, entry.Video.PixelWidth),
+        displayHeight: _default(entry.Video.DisplayHeight, entry.Video.PixelHeight),
+        interlaced: entry.Video.FlagInterlaced === 1
+      };
+    }
+    if (entry.Audio) {
+      track.audio = {
+        samplingFrequency: _default(entry.Audio.SamplingFrequency, 8000),
+        outputSamplingFrequency: _default(entry.Audio.OutputSamplingFrequency, _default(entry.Audio.SamplingFrequency, 8000)),
+        channels: _default(entry.Audio.Channels, 1),
+        bitDepth: entry.Audio.BitDepth
+      };
+    }
+    result.tracks.push(track);
+  });
+}
+
+/**
+ * Tags. Simple tags can be nested
+ */
+function _decodeTags(value, result) {
+  var simpleTag = function(tag) {
+    return {
+      name: tag.TagName,
+      language: _default(tag.TagLanguage, "und"),
+      default: _default(tag.TagDefault, 1) === 1,
+      string: tag.TagString,
+      binary: tag.TagBinary,
+      simpleTags: (tag.SimpleTag || []).map(simpleTag)
+    };
+  };
+  (value.Tag || []).forEach(function(tag) {
+    var targets = tag.Targets || {};
+    var simpleTags = (tag.SimpleTag || []).map(simpleTag);
+    var values = {};
+    simpleTags.forEach(function(simple) {
+      if (simple.name !== undefined && simple.string !== undefined && values[simple.name] === undefined) values[simple.name] = simple.string;
+    });
+    result.tags.push({
+      targetTypeValue: _default(targets.TargetTypeValue, 50),
+      targetType: targets.TargetType,
+      trackUIDs: targets.TagTrackUID || [],
+      simpleTags: simpleTags,
+      values: values
+    });
+  });
+}
+
+/**
+ * Cues. Times are in timestamp ticks (see info.timestampScale), cluster positions are relative to the Segment data
+ */
+function _decodeCues(value, result) {
+  result.cues = (value.CuePoint || []).map(function(point) {
+    return {
+      time: point.CueTime,
+      positions: (point.CueTrackPositions || []).map(function(position) {
+        return { track: position.CueTrack, clusterPosition: position.CueClusterPosition, relativePosition: position.CueRelativePosition };
+      })
+    };
+  });
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    ELEMENTS: ELEMENTS,
+    TRACK_TYPES: TRACK_TYPES,
+    elementName: elementName,
+    readElementHeader: readElementHeader,
+    forEachElement: forEachElement,
+    readValue: readValue,
+    read: read
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * @file wg-streams - Errors
+ *
+ * Typed errors thrown by streams and chunks. They describe where the error occurred: the path of the chunk names
+ * (such as "file > moov > trak[1] > stsd"), the position relative to the chunk and the absolute position in the
+ * stream, and a hexadecimal dump of the bytes around the position.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Exception = require('wg-log').Exception;
+
+const HexDump = require('./hexdump.js');
+
+
+
+
+// ================================================================================
+// Reader errors
+// ================================================================================
+
+/**
+ * Get the path of a stream or chunk: the names of the chunk and its ancestors, separated by " > "
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @return {string} - the path, or an empty string for a stream
+ */
+function getPath(reader) {
+  var names = [];
+  for (var chunk = reader; chunk; chunk = chunk.parent) {
+    if (chunk.name !== undefined) names.unshift(chunk.name);
+  }
+  return names.join(" > ");
+}
+
+/**
+ * Create an error which occurred while reading a stream or chunk, at the current position
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @param {Object} context - is the error context (logged with the error)
+ * @param {string} message - is the error message. The path and the chunk-relative offset are appended
+ */
+function ReaderError(reader, context, message) {
+  var that = this;
+  var stream = reader.stream || reader;
+  context = context || {};
+  that.path = getPath(reader);
+  that.position = stream.position;
+  that.offset = stream.position - reader.startPosition;
+  that.hexDump = HexDump.around(stream, stream.position);
+  context.path = that.path;
+  context.offset = that.offset;
+  context.position = that.position;
+  if (that.path) message = message + " in " + that.path;
+  message = message + " at offset " + that.offset;
+  Exception.call(that, context, message);
+  that.context = context;
+  that.message = message;
+}
+ReaderError.prototype = Object.create(Exception.prototype);
+ReaderError.prototype.constructor = ReaderError;
+ReaderError.prototype.name = "ReaderError";
+
+/**
+ * Create an error for a read past the end of a stream or chunk
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @param {integer} n - is the number of bytes which could not be read, or undefined if unknown
+ * @param {string} what - is an optional description of what was being read, such as "when reading UTF-8 string"
+ */
+function ShortReadError(reader, n, what) {
+  var that = this;
+  var stream = reader.stream || reader;
+  that.n = n;
+  that.remaining = reader.maxPosition - stream.position;
+  var message = "Short read (" + (reader.stream ? "chunk" : "stream") + " end boundary reached)";
+  if (what) message = message + " " + what;
+  if (n !== undefined) message = message + ": " + n + " bytes needed, " + that.remaining + " left";
+  ReaderError.call(that, reader, { n:n, maxPosition:reader.maxPosition }, message);
+}
+ShortReadError.prototype = Object.create(ReaderError.prototype);
+ShortReadError.prototype.constructor = ShortReadError;
+ShortReadError.prototype.name = "ShortReadError";
+
+/**
+ * Create an error for a chunk which does not fit in its parent chunk (or stream)
+ * @param {Chunk} chunk - is the chunk being created
+ * @param {integer} length - is the requested chunk length
+ * @param {integer} remaining - is the number of bytes left in the parent
+ */
+function ChunkOverflowError(chunk, length, remaining) {
+  var that = this;
+  that.length = length;
+  that.remaining = remaining;
+  var message = "Chunk overflows its " + (chunk.parent ? "parent" : "stream") + ": " + length + " bytes, " + remaining + " left";
+  ReaderError.call(that, chunk, { length:length, remaining:remaining }, message);
+}
+ChunkOverflowError.prototype = Object.create(ReaderError.prototype);
+ChunkOverflowError.prototype.constructor = ChunkOverflowError;
+ChunkOverflowError.prototype.name = "ChunkOverflowError";
+
+/**
+ * Create an error for an invalid variable-length integer (overlong encoding, overflow...). The position is the
+ * beginning of the integer
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @param {string} what - is the kind of integer, such as "LEB128 integer"
+ * @param {string} reason - is the reason why the integer is invalid, such as "overlong encoding"
+ */
+function VarIntError(reader, what, reason) {
+  var that = this;
+  that.reason = reason;
+  ReaderError.call(that, reader, { what:what, reason:reason }, "Invalid " + what + " (" + reason + ")");
+}
+VarIntError.prototype = Object.create(ReaderError.prototype);
+VarIntError.prototype.constructor = VarIntError;
+VarIntError.prototype.name = "VarIntError";
+
+/**
+ * Create an error for a resource limit which is exceeded (see Limits)
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @param {string} limit - is the name of the limit, such as "maxStringLength"
+ * @param {integer} max - is the value of the limit
+ * @param {string} what - is an optional description of what was being done, such as "when reading UTF-8 string"
+ */
+function LimitError(reader, limit, max, what) {
+  var that = this;
+  that.limit = limit;
+  that.max = max;
+  var message = "Limit exceeded (" + limit + " is " + max + ")";
+  if (what) message = message + " " + what;
+  ReaderError.call(that, reader, { limit:limit, max:max }, message);
+}
+LimitError.prototype = Object.create(ReaderError.prototype);
+LimitError.prototype.constructor = LimitError;
+LimitError.prototype.name = "LimitError";
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    getPath: getPath,
+    ReaderError: ReaderError,
+    ShortReadError: ShortReadError,
+    ChunkOverflowError: ChunkOverflowError,
+    VarIntError: VarIntError,
+    LimitError: LimitError
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * @file wg-streams - EXIF / TIFF structures
+ *
+ * Decodes a TIFF structure (as found in EXIF blocks of JPEG, PNG and WebP files, or in TIFF files): byte order
+ * header, chains of offset-based IFDs, all TIFF field types, the EXIF, GPS and Interoperability sub-IFDs, and the
+ * thumbnail of IFD1. Tags are returned by name and by numeric identifier.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::EXIF');
+
+const Errors = require('./errors.js');
+
+
+
+
+// ================================================================================
+// Tags
+// ================================================================================
+
+/**
+ * Field types: size in bytes of a single value, and name of the chunk reader
+ */
+const TYPES = {
+  1:  { name: "BYTE",      size: 1, reader: "readUInt8" },
+  2:  { name: "ASCII",     size: 1 },
+  3:  { name: "SHORT",     size: 2, reader: "readUInt16" },
+  4:  { name: "LONG",      size: 4, reader: "readUInt32" },
+  5:  { name: "RATIONAL",  size: 8, reader: "readRational" },
+  6:  { name: "SBYTE",     size: 1, reader: "readInt8" },
+  7:  { name: "UNDEFINED", size: 1 },
+  8:  { name: "SSHORT",    size: 2, reader: "readInt16" },
+  9:  { name: "SLONG",     size: 4, reader: "readInt32" },
+  10: { name: "SRATIONAL", size: 8, reader: "readSRational" },
+  11: { name: "FLOAT",     size: 4, reader: "readFloat32" },
+  12: { name: "DOUBLE",    size: 8, reader: "readFloat64" },
+  13: { name: "IFD",       size: 4, reader: "readUInt32" }
+};
+
+/**
+ * Tags of IFD0 / IFD1 (TIFF)
+ */
+const IMAGE_TAGS = {
+  0x00FE: "NewSubfileType", 0x0100: "ImageWidth", 0x0101: "ImageLength", 0x0102: "BitsPerSample", 0x0103: "Compression",
+  0x0106: "PhotometricInterpretation", 0x010D: "DocumentName", 0x010E: "ImageDescription", 0x010F: "Make", 0x0110: "Model",
+  0x0111: "StripOffsets", 0x0112: "Orientation", 0x0115: "SamplesPerPixel", 0x0116: "RowsPerStrip", 0x0117: "StripByteCounts",
+  0x011A: "XResolution", 0x011B: "YResolution", 0x011C: "PlanarConfiguration", 0x0128: "ResolutionUnit",
+  0x012D: "TransferFunction", 0x0131: "Software", 0x0132: "DateTime", 0x013B: "Artist", 0x013E: "WhitePoint",
+  0x013F: "PrimaryChromaticities", 0x0201: "JPEGInterchangeFormat", 0x0202: "JPEGInterchangeFormatLength",
+  0x0211: "YCbCrCoefficients", 0x0212: "YCbCrSubSampling", 0x0213: "YCbCrPositioning", 0x0214: "ReferenceBlackWhite",
+  0x02BC: "XMP", 0x8298: "Copyright", 0x8769: "ExifIFDPointer", 0x8825: "GPSInfoIFDPointer"
+};
+
+/**
+ * Tags of the EXIF sub-IFD
+ */
+const EXIF_TAGS = {
+  0x829A: "ExposureTime", 0x829D: "FNumber", 0x8822: "ExposureProgram", 0x8824: "SpectralSensitivity",
+  0x8827: "ISOSpeedRatings", 0x8828: "OECF", 0x8830: "SensitivityType", 0x9000: "ExifVersion",
+  0x9003: "DateTimeOriginal", 0x9004: "DateTimeDigitized", 0x9010: "OffsetTime", 0x9011: "OffsetTimeOriginal",
+  0x9012: "OffsetTimeDigitized", 0x9101: "ComponentsConfiguration", 0x9102: "CompressedBitsPerPixel",
+  0x9201: "ShutterSpeedValue", 0x9202: "ApertureValue", 0x9203: "BrightnessValue", 0x9204: "ExposureBiasValue",
+  0x9205: "MaxApertureValue", 0x9206: "SubjectDistance", 0x9207: "MeteringMode", 0x9208: "LightSource", 0x9209: "Flash",
+  0x920A: "FocalLength", 0x9214: "SubjectArea", 0x927C: "MakerNote", 0x9286: "UserComment", 0x9290: "SubSecTime",
+  0x9291: "SubSecTimeOriginal", 0x9292: "SubSecTimeDigitized", 0xA000: "FlashpixVersion", 0xA001: "ColorSpace",
+  0xA002: "PixelXDimension", 0xA003: "PixelYDimension", 0xA004: "RelatedSoundFile", 0xA005: "InteroperabilityIFDPointer",
+  0xA20B: "FlashEnergy", 0xA20E: "FocalPlaneXResolution", 0xA20F: "FocalPlaneYResolution",
+  0xA210: "FocalPlaneResolutionUnit", 0xA214: "SubjectLocation", 0xA215: "ExposureIndex", 0xA217: "SensingMethod",
+  0xA300: "FileSource", 0xA301: "SceneType", 0xA302: "CFAPattern", 0xA401: "CustomRendered", 0xA402: "ExposureMode",
+  0xA403: "WhiteBalance", 0xA404: "DigitalZoomRatio", 0xA405: "FocalLengthIn35mmFilm", 0xA406: "SceneCaptureType",
+  0xA407: "GainControl", 0xA408: "Contrast", 0xA409: "Saturation", 0xA40A: "Sharpness", 0xA40C: "SubjectDistanceRange",
+  0xA420: "ImageUniqueID", 0xA430: "CameraOwnerName", 0xA431: "BodySerialNumber", 0xA432: "LensSpecification",
+  0xA433: "LensMake", 0xA434: "LensModel", 0xA435: "LensSerialNumber"
+};
+
+/**
+ * Tags of the GPS sub-IFD
+ */
+const GPS_TAGS = {
+  0x0000: "GPSVersionID", 0x0001: "GPSLatitudeRef", 0x0002: "GPSLatitude", 0x0003: "GPSLongitudeRef",
+  0x0004: "GPSLongitude", 0x0005: "GPSAltitudeRef", 0x0006: "GPSAltitude", 0x0007: "GPSTimeStamp",
+  0x0008: "GPSSatellites", 0x0009: "GPSStatus", 0x000A: "GPSMeasureMode", 0x000B: "GPSDOP", 0x000C: "GPSSpeedRef",
+  0x000D: "GPSSpeed", 0x000E: "GPSTrackRef", 0x000F: "GPSTrack", 0x0010: "GPSImgDirectionRef",
+  0x0011: "GPSImgDirection", 0x0012: "GPSMapDatum", 0x0013: "GPSDestLatitudeRef", 0x0014: "GPSDestLatitude",
+  0x0015: "GPSDestLongitudeRef", 0x0016: "GPSDestLongitude", 0x0017: "GPSDestBearingRef", 0x0018: "GPSDestBearing",
+  0x0019: "GPSDestDistanceRef", 0x001A: "GPSDestDistance", 0x001B: "GPSProcessingMethod",
+  0x001C: "GPSAreaInformation", 0x001D: "GPSDateStamp", 0x001E: "GPSDifferential", 0x001F: "GPSHPositioningError"
+};
+
+/**
+ * Tags of the Interoperability sub-IFD
+ */
+const INTEROP_TAGS = {
+  0x0001: "InteroperabilityIndex", 0x0002: "InteroperabilityVersion", 0x1000: "RelatedImageFileFormat",
+  0x1001: "RelatedImageWidth", 0x1002: "RelatedImageLength"
+};
+
+
+
+// ================================================================================
+// TIFF structure
+// ================================================================================
+
+/**
+ * Read a TIFF structure
+ * @param {Chunk} chunk - is a chunk which starts with the TIFF header ("II*\0" or "MM\0*") and contains the whole
+ *                        structure. All offsets are relative to the beginning of the chunk
+ * @return {Object} - the decoded structure: { byteOrder, ifd0, exif, gps, interop, ifd1, thumbnail, warnings }.
+ *                    Each IFD is { byName, byId, entries }
+ */
+function read(chunk) {
+  var order = chunk.readShortBE();
+  if (order === 0x4949) chunk.setByteOrder("LE");
+  else if (order === 0x4D4D) chunk.setByteOrder("BE");
+  else throw new Exception({name:chunk.name, order:order}, "Invalid TIFF byte order");
+  var magic = chunk.readShort();
+  if (magic !== 42) throw new Exception({name:chunk.name, magic:magic}, "Invalid TIFF header");
+  var result = { byteOrder: chunk.byteOrder, warnings: [] };
+  var visited = {};
+  var offset = chunk.readUInt32();
+  log.debug({byteOrder:result.byteOrder, offset:offset}, "Reading TIFF structure");
+
+  result.ifd0 = _readIFD(chunk, offset, IMAGE_TAGS, result, visited);
+  if (result.ifd0) {
+    var exifOffset = _pointer(result.ifd0, "ExifIFDPointer", result);
+    if (exifOffset !== undefined) result.exif = _readIFD(chunk, exifOffset, EXIF_TAGS, result, visited);
+    var gpsOffset = _pointer(result.ifd0, "GPSInfoIFDPointer", result);
+    if (gpsOffset !== undefined) result.gps = _readIFD(chunk, gpsOffset, GPS_TAGS, result, visited);
+    var interopOffset = result.exif ? _pointer(result.exif, "InteroperabilityIFDPointer", result) : undefined;
+    if (interopOffset !== undefined) result.interop = _readIFD(chunk, interopOffset, INTEROP_TAGS, result, visited);
+    if (result.ifd0.next) result.ifd1 = _readIFD(chunk, result.ifd0.next, IMAGE_TAGS, result, visited);
+  }
+  if (result.ifd1) {
+    var thumbnailOffset = _pointer(result.ifd1, "JPEGInterchangeFormat", result);
+    var thumbnailLength = _pointer(result.ifd1, "JPEGInterchangeFormatLength", result);
+    if (thumbnailOffset !== undefined && thumbnailLength !== undefined) {
+      try {
+        chunk.seek(thumbnailOffset);
+        result.thumbnail = chunk.readBytes(thumbnailLength);
+      } catch (err) {
+        if (err instanceof Errors.LimitError) throw err;
+        result.warnings.push("Invalid thumbnail: " + err.message);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Get the value of a tag which is an offset or a length (such as ExifIFDPointer). Values come from the file and must be
+ * a single integer (SHORT, LONG or IFD type) before they are used to move in the chunk
+ * @param {Object} ifd - is the IFD
+ * @param {string} name - is the tag name
+ * @param {Object} result - is the structure being decoded (to record warnings)
+ * @return {integer} - the value, or undefined if the tag is missing or invalid
+ */
+function _pointer(ifd, name, result) {
+  var entry = undefined;
+  ifd.entries.forEach(function(e) { if (e.name === name) entry = e; });
+  if (entry === undefined) return undefined;
+  if ((entry.type !== "SHORT" && entry.type !== "LONG" && entry.type !== "IFD") || entry.count !== 1) {
+    result.warnings.push("Invalid " + name + " (" + entry.count + " " + entry.type + " values)");
+    return undefined;
+  }
+  return entry.value;
+}
+
+/**
+ * Read an IFD
+ * @param {Chunk} chunk - is the TIFF chunk
+ * @param {integer} offset - is the offset of the IFD, relative to the chunk start
+ * @param {Object} names - are the tag names, by tag id
+ * @param {Object} result - is the structure being decoded (to record warnings)
+ * @param {Object} visited - are the offsets of IFDs already read, to detect loops
+ * @return {Object} - the IFD { byName, byId, entries, next } or undefined if it cannot be read
+ */
+function _readIFD(chunk, offset, names, result, visited) {
+  if (visited[offset]) {
+    result.warnings.push("IFD loop at offset " + offset);
+    return undefined;
+  }
+  visited[offset] = true;
+  var ifd = { byName: {}, byId: {}, entries: [] };
+  try {
+    chunk.seek(offset);
+    var count = chunk.readUInt16();
+    for (var i=0; i<count; i++) {
+      chunk.seek(offset + 2 + i * 12);
+      var entry = _readEntry(chunk, names, result);
+      if (!entry) continue;
+      ifd.entries.push(entry);
+      ifd.byId[entry.id] = entry.value;
+      if (entry.name) ifd.byName[entry.name] = entry.value;
+    }
+    chunk.seek(offset + 2 + count * 12);
+    ifd.next = chunk.readUInt32();
+  } catch (err) {
+    if (err instanceof Errors.LimitError) throw err;
+    result.warnings.push("Invalid IFD at offset " + offset + ": " + err.message);
+  }
+  return ifd;
+}
+
+/**
+ * Read an IFD entry. The chunk is positioned at the beginning of the 12-bytes entry
+ * @return {Object} - the entry { id, name, type, count, value } or undefined if the entry is invalid
+ */
+function _readEntry(chunk, names, result) {
+  var id = chunk.readUInt16();
+  var typeId = chunk.readUInt16();
+  var count = chunk.readUInt32();
+  var type = TYPES[typeId];
+  var entry = { id: id, name: names[id], type: type ? type.name : typeId, count: count };
+  if (!type) {
+    result.warnings.push("Unknown type " + typeId + " for tag " + id);
+    return undefined;
+  }
+  try {
+    var size = type.size * count;
+    if (size > 4) chunk.seek(chunk.readUInt32());
+    if (!chunk.hasMore(size)) {
+      result.warnings.push("Invalid value for tag " + id + " (" + count + " " + type.name + " values do not fit in the chunk)");
+      return undefined;
+    }
+    if (typeId === 2) {
+      entry.value = chunk.readBytes(count).toString('latin1').replace(/\u0000+$/, "");
+    }
+    else if (typeId === 7) {
+      entry.value = chunk.readBytes(count);
+    }
+    else {
+      var values = [];
+      for (var i=0; i<count; i++) values.push(chunk[type.reader]());
+      entry.value = count === 1 ? values[0] : values;
+    }
+  } catch (err) {
+    if (err instanceof Errors.LimitError) throw err;
+    result.warnings.push("Invalid value for tag " + id + ": " + err.message);
+    return undefined;
+  }
+  return entry;
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    TYPES: TYPES,
+    IMAGE_TAGS: IMAGE_TAGS,
+    EXIF_TAGS: EXIF_TAGS,
+    GPS_TAGS: GPS_TAGS,
+    INTEROP_TAGS: INTEROP_TAGS,
+    read: read
+  };
+}
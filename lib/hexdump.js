@@ -0,0 +1,97 @@
+/**
+ * @file wg-streams - Hexadecimal dumps
+ *
+ * Formats bytes as a classic hexadecimal dump: one line per 16 bytes, with the offset, the bytes in hexadecimal and
+ * the printable ISO-8859-1 characters
+ *
+ *   00000010  48 65 6c 6c 6f 2c 20 77  6f 72 6c 64[21]0a 00 00  |Hello, world!...|
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+
+
+
+// ================================================================================
+// Hexadecimal dumps
+// ================================================================================
+
+/**
+ * Number of bytes per line
+ */
+const BYTES_PER_LINE = 16;
+
+/**
+ * Format bytes as a hexadecimal dump
+ * @param {Buffer} bytes - are the bytes to format
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.offset - is the offset of the first byte, displayed at the beginning of lines. Lines are
+ *                                   aligned on multiples of 16 of the offset. Default is 0
+ * @param {integer} options.highlight - is the offset of a byte to highlight with brackets (such as the position of an error)
+ * @return {string} - the dump, one line per 16 bytes (without final new line)
+ */
+function format(bytes, options) {
+  options = options || {};
+  var offset = options.offset || 0;
+  var lines = [];
+  var first = offset - (offset % BYTES_PER_LINE);
+  for (var lineOffset = first; lineOffset < offset + bytes.length; lineOffset = lineOffset + BYTES_PER_LINE) {
+    var hex = "";
+    var text = "";
+    for (var i=0; i<BYTES_PER_LINE; i++) {
+      var position = lineOffset + i;
+      var separator = (i === 8) ? "  " : " ";
+      if (position === options.highlight) separator = (i === 8) ? " [" : "[";
+      else if (position - 1 === options.highlight && i > 0) separator = (i === 8) ? "] " : "]";
+      hex = hex + separator;
+      if (position < offset || position >= offset + bytes.length) {
+        hex = hex + "  ";
+        text = text + " ";
+        continue;
+      }
+      var b = bytes[position - offset];
+      hex = hex + (b < 16 ? "0" : "") + b.toString(16);
+      text = text + ((b >= 0x20 && b < 0x7F) || b >= 0xA0 ? String.fromCharCode(b) : ".");
+    }
+    if (lineOffset + BYTES_PER_LINE - 1 === options.highlight) hex = hex + "]";
+    else hex = hex + " ";
+    lines.push(_pad(lineOffset.toString(16), 8) + " " + hex + " |" + text + "|");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Left pad a string with zeros
+ */
+function _pad(str, length) {
+  while (str.length < length) str = "0" + str;
+  return str;
+}
+
+/**
+ * Format the bytes around a position of a stream
+ * @param {PullStream} stream - is the stream
+ * @param {integer} position - is the absolute position, which is highlighted
+ * @param {integer} n - is the number of bytes to display before and after the position (default is 16)
+ * @return {string} - the dump, or an empty string if there's no data around the position
+ */
+function around(stream, position, n) {
+  if (n === undefined) n = BYTES_PER_LINE;
+  var size = stream._size();
+  var from = Math.max(0, Math.min(position, size) - n);
+  var to = Math.min(size, position + n);
+  if (to <= from) return "";
+  return format(stream._slice(from, to), { offset: from, highlight: position });
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    BYTES_PER_LINE: BYTES_PER_LINE,
+    format: format,
+    around: around
+  };
+}
@@ -0,0 +1,474 @@
+/**
+ * @file wg-streams - ID3 tags
+ *
+ * Reads ID3v1 (and v1.1) tags from the end of a file, and ID3v2.2, v2.3 and v2.4 tags from the beginning of a file.
+ * ID3v2 support includes syncsafe integers, unsynchronisation (tag and frame level), extended headers, compressed
+ * frames, the 4 text encodings, and decoding of the common frames (text, URL, TXXX, WXXX, COMM, APIC/PIC).
+ * Unknown frames are returned as raw buffers. Malformed frames are reported as warnings instead of failing the whole tag.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const zlib = require('zlib');
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::ID3');
+
+const PullStream = require('./pullstream.js');
+const Errors = require('./errors.js');
+
+
+
+
+// ================================================================================
+// ID3v1
+// ================================================================================
+
+/**
+ * ID3v1 genres (Winamp extensions included)
+ */
+const GENRES = [
+  "Blues", "Classic Rock", "Country", "Dance", "Disco", "Funk", "Grunge", "Hip-Hop", "Jazz", "Metal",
+  "New Age", "Oldies", "Other", "Pop", "R&B", "Rap", "Reggae", "Rock", "Techno", "Industrial",
+  "Alternative", "Ska", "Death Metal", "Pranks", "Soundtrack", "Euro-Techno", "Ambient", "Trip-Hop", "Vocal", "Jazz+Funk",
+  "Fusion", "Trance", "Classical", "Instrumental", "Acid", "House", "Game", "Sound Clip", "Gospel", "Noise",
+  "AlternRock", "Bass", "Soul", "Punk", "Space", "Meditative", "Instrumental Pop", "Instrumental Rock", "Ethnic", "Gothic",
+  "Darkwave", "Techno-Industrial", "Electronic", "Pop-Folk", "Eurodance", "Dream", "Southern Rock", "Comedy", "Cult", "Gangsta",
+  "Top 40", "Christian Rap", "Pop/Funk", "Jungle", "Native American", "Cabaret", "New Wave", "Psychadelic", "Rave", "Showtunes",
+  "Trailer", "Lo-Fi", "Tribal", "Acid Punk", "Acid Jazz", "Polka", "Retro", "Musical", "Rock & Roll", "Hard Rock",
+  "Folk", "Folk-Rock", "National Folk", "Swing", "Fast Fusion", "Bebob", "Latin", "Revival", "Celtic", "Bluegrass",
+  "Avantgarde", "Gothic Rock", "Progressive Rock", "Psychedelic Rock", "Symphonic Rock", "Slow Rock", "Big Band", "Chorus", "Easy Listening", "Acoustic",
+  "Humour", "Speech", "Chanson", "Opera", "Chamber Music", "Sonata", "Symphony", "Booty Bass", "Primus", "Porn Groove",
+  "Satire", "Slow Jam", "Club", "Tango", "Samba", "Folklore", "Ballad", "Power Ballad", "Rhythmic Soul", "Freestyle",
+  "Duet", "Punk Rock", "Drum Solo", "A capella", "Euro-House", "Dance Hall"
+];
+
+/**
+ * Read an ID3v1 tag from the last 128 bytes of a stream. The stream position is left unchanged
+ * @param {PullStream} stream - is the stream
+ * @return {Object} - the tag, or undefined if there's no ID3v1 tag
+ */
+function readV1(stream) {
+  if (stream.maxPosition < 128) return undefined;
+  var position = stream.tell();
+  try {
+    stream.seek(stream.maxPosition - 128);
+    var chunk = stream.chunk("ID3v1", 128);
+    if (chunk.readASCII3() !== "TAG") return undefined;
+    var tag = { version: "1.0" };
+    tag.title = _trimV1(chunk.readBytes(30));
+    tag.artist = _trimV1(chunk.readBytes(30));
+    tag.album = _trimV1(chunk.readBytes(30));
+    tag.year = _trimV1(chunk.readBytes(4));
+    var comment = chunk.readBytes(30);
+    if (comment[28] === 0 && comment[29] !== 0) {
+      tag.version = "1.1";
+      tag.track = comment[29];
+      comment = comment.slice(0, 28);
+    }
+    tag.comment = _trimV1(comment);
+    var genre = chunk.readByte();
+    if (genre !== 0xFF) {
+      tag.genreId = genre;
+      tag.genre = GENRES[genre];
+    }
+    return tag;
+  } finally {
+    stream.seek(position);
+  }
+}
+
+/**
+ * Decode an ID3v1 field: ISO-8859-1, padded with zeros or spaces
+ */
+function _trimV1(buffer) {
+  var end = buffer.indexOf(0);
+  if (end === -1) end = buffer.length;
+  return buffer.toString('latin1', 0, end).replace(/\s+$/, "");
+}
+
+
+
+// ================================================================================
+// ID3v2
+// ================================================================================
+
+/**
+ * Text encodings
+ */
+const ENCODING_ISO_8859_1 = 0;
+const ENCODING_UTF16 = 1;
+const ENCODING_UTF16BE = 2;
+const ENCODING_UTF8 = 3;
+
+/**
+ * Picture types (APIC)
+ */
+const PICTURE_TYPES = [
+  "Other", "32x32 pixels file icon", "Other file icon", "Cover (front)", "Cover (back)", "Leaflet page", "Media",
+  "Lead artist", "Artist", "Conductor", "Band", "Composer", "Lyricist", "Recording location", "During recording",
+  "During performance", "Movie/video screen capture", "A bright coloured fish", "Illustration", "Band/artist logotype",
+  "Publisher/Studio logotype"
+];
+
+/**
+ * Decode a syncsafe integer (7 significant bits per byte)
+ * @param {integer} value - is the raw 32 bits value
+ * @return {integer} - the decoded value
+ */
+function syncsafe(value) {
+  return ((value >>> 24) & 0x7F) * 0x200000 + ((value >>> 16) & 0x7F) * 0x4000 + ((value >>> 8) & 0x7F) * 0x80 + (value & 0x7F);
+}
+
+/**
+ * Undo unsynchronisation: every 0xFF 0x00 sequence is replaced by 0xFF
+ * @param {Buffer} buffer - is the unsynchronised data
+ * @return {Buffer} - the data (a new buffer)
+ */
+function resynchronise(buffer) {
+  var result = Buffer.alloc(buffer.length);
+  var length = 0;
+  for (var i=0; i<buffer.length; i++) {
+    result[length++] = buffer[i];
+    if (buffer[i] === 0xFF && buffer[i+1] === 0x00) i++;
+  }
+  return result.slice(0, length);
+}
+
+/**
+ * Read an ID3v2 tag at the current position of a stream. If there's no ID3v2 tag, the stream position is left unchanged.
+ * Otherwise, the stream is positioned after the tag
+ * @param {PullStream} stream - is the stream
+ * @return {Object} - the tag, or undefined if there's no ID3v2 tag
+ */
+function readV2(stream) {
+  if (!stream.hasMore(10) || stream.peekASCII3() !== "ID3") return undefined;
+  var header = stream.chunk("ID3v2 header", 10);
+  header.skip(3);
+  var tag = { major: header.readByte(), revision: header.readByte() };
+  tag.version = "2." + tag.major + "." + tag.revision;
+  var flags = header.readByte();
+  // v2.2 has no extended header: the bit means compression
+  tag.flags = {
+    unsynchronisation: (flags & 0x80) !== 0,
+    extendedHeader: tag.major >= 3 && (flags & 0x40) !== 0,
+    experimental: (flags & 0x20) !== 0,
+    footer: tag.major >= 4 && (flags & 0x10) !== 0
+  };
+  if (tag.major === 2) tag.flags.compression = (flags & 0x40) !== 0;
+  tag.size = syncsafe(header.readLong());
+  tag.frames = [];
+  tag.warnings = [];
+  if (tag.major < 2 || tag.major > 4) {
+    tag.warnings.push("Unsupported version " + tag.version);
+    stream.skip(Math.min(tag.size, stream.maxPosition - stream.position));
+    return tag;
+  }
+  if (tag.flags.compression) {
+    // No compression scheme was ever defined: the specification says to ignore the whole tag
+    tag.warnings.push("Compressed ID3v2.2 tags are not supported");
+    stream.skip(Math.min(tag.size, stream.maxPosition - stream.position));
+    return tag;
+  }
+  log.debug({version:tag.version, size:tag.size}, "Reading ID3v2 tag");
+
+  // Tag body. Tolerate tags claiming to be larger than the file
+  var size = tag.size;
+  if (!stream.hasMore(size)) {
+    tag.warnings.push("Tag size (" + size + ") exceeds file size");
+    size = stream.maxPosition - stream.position;
+  }
+  var data = stream.readBytes(size);
+  if (tag.flags.footer && stream.hasMore(10)) stream.skip(10);
+  if (tag.flags.unsynchronisation && tag.major < 4) data = resynchronise(data);
+  var body = PullStream.derive(stream, data).chunk("ID3v2 v" + tag.version);
+
+  if (tag.flags.extendedHeader) _readExtendedHeader(tag, body);
+  while (body.hasMore(tag.major === 2 ? 6 : 10)) {
+    var frame = _readFrame(tag, body);
+    if (!frame) break;
+    tag.frames.push(frame);
+  }
+  _summarize(tag);
+  return tag;
+}
+
+/**
+ * Read the extended header of a tag
+ */
+function _readExtendedHeader(tag, body) {
+  var size = body.readLong();
+  // v2.3: plain size, excluding the size field. v2.4: syncsafe size, including the size field
+  var length = tag.major === 4 ? syncsafe(size) - 4 : size;
+  tag.extendedHeader = { size: length };
+  var extended = body.chunk("Extended header", Math.max(Math.min(length, body.maxPosition - body.stream.position), 0));
+  if (tag.major === 3 && extended.hasMore(6)) {
+    var flags = extended.readShort();
+    tag.extendedHeader.paddingSize = extended.readLong();
+    if ((flags & 0x8000) !== 0 && extended.hasMore(4)) tag.extendedHeader.crc = extended.readLong();
+  }
+  if (tag.major === 4 && extended.hasMore(2)) {
+    extended.skip(1);                           // number of flag bytes
+    var flags4 = extended.readByte();
+    tag.extendedHeader.update = (flags4 & 0x40) !== 0;
+  }
+  extended.skip();
+}
+
+/**
+ * Is a frame identifier valid (uppercase letters and digits)?
+ */
+function _isFrameId(id) {
+  return /^[A-Z0-9]{3,4}$/.test(id);
+}
+
+/**
+ * Read a frame. Returns undefined when reaching the padding or an invalid frame
+ */
+function _readFrame(tag, body) {
+  var offset = body.tell();
+  var id, size, flags = 0;
+  if (tag.major === 2) {
+    id = body.readASCII3();
+    size = body.read3Bytes();
+  }
+  else {
+    id = body.readASCII4();
+    var rawSize = body.readLong();
+    flags = body.readShort();
+    size = tag.major === 4 ? syncsafe(rawSize) : rawSize;
+    // Some taggers (iTunes) write v2.4 frames with plain sizes. Use the plain size if it leads to a valid frame and the
+    // syncsafe size does not
+    if (tag.major === 4 && size !== rawSize && !_nextFrameIsValid(body, size) && _nextFrameIsValid(body, rawSize))
+      size = rawSize;
+  }
+  if (id.charCodeAt(0) === 0) return undefined;          // padding
+  if (!_isFrameId(id)) {
+    tag.warnings.push("Invalid frame identifier at offset " + body.tell());
+    return undefined;
+  }
+  if (!body.hasMore(size)) {
+    tag.warnings.push("Frame " + id + " is truncated");
+    size = body.maxPosition - body.stream.position;
+  }
+  var frame = { id: id, offset: offset, size: size };
+  var data = body.readBytes(size);
+  try {
+    data = _frameData(tag, frame, flags, data);
+    if (data !== undefined) _decodeFrame(tag, frame, PullStream.derive(body, data).chunk(id));
+  } catch (err) {
+    if (err instanceof Errors.LimitError) throw err;
+    tag.warnings.push("Failed to decode frame " + id + ": " + err.message);
+    frame.data = data;
+  }
+  return frame;
+}
+
+/**
+ * Check whether a frame (or the padding, or the end of tag) follows a frame of a given size
+ */
+function _nextFrameIsValid(body, size) {
+  var next = body.stream.position + size;
+  if (next === body.maxPosition) return true;
+  if (next + 4 > body.maxPosition) return false;
+  var id = body.stream._slice(next, next + 4);
+  return id[0] === 0 || _isFrameId(id.toString('latin1'));
+}
+
+/**
+ * Process the frame flags: remove the frame header extra bytes, undo unsynchronisation and decompress
+ * @return {Buffer} - the frame data, or undefined if it cannot be decoded (encrypted)
+ */
+function _frameData(tag, frame, flags, data) {
+  if (tag.major === 3) {
+    frame.flags = { compressed: (flags & 0x0080) !== 0, encrypted: (flags & 0x0040) !== 0, grouped: (flags & 0x0020) !== 0 };
+    var offset = 0;
+    if (frame.flags.compressed) {
+      if (data.length < 4) throw new Exception({id:frame.id}, "Missing decompressed size");
+      frame.decompressedSize = data.readUInt32BE(0);
+      offset = offset + 4;
+    }
+    if (frame.flags.encrypted) offset = offset + 1;
+    if (frame.flags.grouped) offset = offset + 1;
+    data = data.slice(offset);
+  }
+  else if (tag.major === 4) {
+    frame.flags = {
+      grouped: (flags & 0x0040) !== 0, compressed: (flags & 0x0008) !== 0, encrypted: (flags & 0x0004) !== 0,
+      unsynchronised: (flags & 0x0002) !== 0 || tag.flags.unsynchronisation, dataLengthIndicator: (flags & 0x0001) !== 0
+    };
+    var offset4 = 0;
+    if (frame.flags.grouped) offset4 = offset4 + 1;
+    if (frame.flags.encrypted) offset4 = offset4 + 1;
+    if (frame.flags.dataLengthIndicator) {
+      if (data.length < offset4 + 4) throw new Exception({id:frame.id}, "Missing data length indicator");
+      if (frame.flags.compressed) frame.decompressedSize = syncsafe(data.readUInt32BE(offset4));
+      offset4 = offset4 + 4;
+    }
+    data = data.slice(offset4);
+    if (frame.flags.unsynchronised) data = resynchronise(data);
+  }
+  if (frame.flags && frame.flags.encrypted) {
+    frame.data = data;
+    return undefined;
+  }
+  if (frame.flags && frame.flags.compressed) data = _inflate(frame, data);
+  return data;
+}
+
+/**
+ * Decompress the data of a frame. The output can not be larger than the decompressed size declared in the frame
+ * header (v2.3) or in the data length indicator (v2.4)
+ */
+function _inflate(frame, data) {
+  if (frame.decompressedSize === undefined) throw new Exception({id:frame.id}, "Compressed frame without data length indicator");
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: Math.max(frame.decompressedSize, 1) });
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE")
+      throw new Exception({id:frame.id, size:frame.decompressedSize}, "Decompressed data larger than the declared size (" + frame.decompressedSize + " bytes)");
+    throw err;
+  }
+}
+
+/**
+ * Read a string in a given ID3 text encoding
+ * @param {Chunk} chunk - is the chunk to read from
+ * @param {integer} encoding - is the ID3 text encoding
+ * @param {boolean} terminated - if true, reads a null-terminated string. Otherwise reads till the end of the chunk
+ * @return {string} - the string
+ */
+function _readText(chunk, encoding, terminated) {
+  var values = [];
+  do {
+    var position = chunk.tell();
+    var text;
+    if (encoding === ENCODING_UTF16) {
+      text = chunk.readZStringUTF16(true);
+    }
+    else if (encoding === ENCODING_UTF16BE) {
+      text = chunk.readZString("utf16be", { allowShortRead: true });
+    }
+    else if (encoding === ENCODING_UTF8) {
+      text = chunk.readZStringUTF8(true);
+    }
+    else {
+      text = chunk.readZString88591(true);
+    }
+    // Tolerate (and remove) terminal and BOM characters left by some taggers
+    values.push(text.replace(/^\uFEFF/, "").replace(/\u0000+$/, ""));
+  // Multiple values (v2.4) are separated by null characters. A trailing odd byte (UTF-16) is not a value
+  } while (!terminated && chunk.hasMore() && chunk.tell() > position);
+  while (values.length > 1 && values[values.length - 1] === "") values.pop();
+  return values.join("\u0000");
+}
+
+/**
+ * Decode the content of a frame
+ */
+function _decodeFrame(tag, frame, chunk) {
+  var id = frame.id;
+  if (id === "TXXX" || id === "TXX") {
+    var encoding = chunk.readByte();
+    frame.description = _readText(chunk, encoding, true);
+    frame.text = _readText(chunk, encoding, false);
+  }
+  else if (id[0] === "T") {
+    var encodingT = chunk.hasMore() ? chunk.readByte() : ENCODING_ISO_8859_1;
+    frame.text = _readText(chunk, encodingT, false);
+    frame.values = frame.text.split("\u0000");
+  }
+  else if (id === "WXXX" || id === "WXX") {
+    var encodingW = chunk.readByte();
+    frame.description = _readText(chunk, encodingW, true);
+    frame.url = _readText(chunk, ENCODING_ISO_8859_1, true);
+  }
+  else if (id[0] === "W") {
+    frame.url = _readText(chunk, ENCODING_ISO_8859_1, true);
+  }
+  else if (id === "COMM" || id === "COM" || id === "USLT" || id === "ULT") {
+    var encodingC = chunk.readByte();
+    frame.language = chunk.readASCII3();
+    frame.description = _readText(chunk, encodingC, true);
+    frame.text = _readText(chunk, encodingC, false);
+  }
+  else if (id === "APIC" || id === "PIC") {
+    var encodingP = chunk.readByte();
+    if (id === "PIC") {
+      var format = chunk.readASCII3();
+      frame.mimeType = format === "JPG" ? "image/jpeg" : "image/" + format.toLowerCase();
+    }
+    else {
+      frame.mimeType = chunk.readZString88591(true);
+      if (frame.mimeType.indexOf("/") === -1) frame.mimeType = "image/" + frame.mimeType.toLowerCase();
+    }
+    frame.pictureType = chunk.readByte();
+    frame.pictureTypeName = PICTURE_TYPES[frame.pictureType];
+    frame.description = _readText(chunk, encodingP, true);
+    frame.data = chunk.readBuffer();
+  }
+  else {
+    frame.data = chunk.readBuffer();
+  }
+}
+
+/**
+ * Frames summarized as tag properties
+ */
+const SUMMARY = {
+  title: [ "TIT2", "TT2" ],
+  artist: [ "TPE1", "TP1" ],
+  albumArtist: [ "TPE2", "TP2" ],
+  album: [ "TALB", "TAL" ],
+  year: [ "TDRC", "TYER", "TYE" ],
+  track: [ "TRCK", "TRK" ],
+  disc: [ "TPOS", "TPA" ],
+  genre: [ "TCON", "TCO" ],
+  composer: [ "TCOM", "TCM" ]
+};
+
+/**
+ * Add the common properties (title, artist...) to a tag
+ */
+function _summarize(tag) {
+  Object.keys(SUMMARY).forEach(function(key) {
+    var frame = tag.frames.find(function(frame) { return SUMMARY[key].indexOf(frame.id) !== -1 && frame.text !== undefined; });
+    if (frame) tag[key] = frame.text;
+  });
+  // Genres may be written "(17)" or "(17)Rock" or "17"
+  if (tag.genre !== undefined) {
+    var match = /^\(?(\d+)\)?$/.exec(tag.genre) || /^\((\d+)\)/.exec(tag.genre);
+    if (match && GENRES[parseInt(match[1], 10)]) tag.genre = GENRES[parseInt(match[1], 10)];
+  }
+  var comment = tag.frames.find(function(frame) { return frame.id === "COMM" || frame.id === "COM"; });
+  if (comment) tag.comment = comment.text;
+  tag.pictures = tag.frames.filter(function(frame) { return frame.id === "APIC" || frame.id === "PIC"; });
+}
+
+/**
+ * Read the ID3v2 tag at the beginning of a stream, and the ID3v1 tag at its end. The stream is positioned after the ID3v2 tag
+ * @param {PullStream} stream - is the stream, positioned at the beginning of the file
+ * @return {Object} - { v2, v1 } where v2 and v1 are the tags (undefined if not found)
+ */
+function read(stream) {
+  var v1 = readV1(stream);
+  var v2 = readV2(stream);
+  return { v2: v2, v1: v1 };
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    GENRES: GENRES,
+    PICTURE_TYPES: PICTURE_TYPES,
+    syncsafe: syncsafe,
+    resynchronise: resynchronise,
+    read: read,
+    readV1: readV1,
+    readV2: readV2
+  };
+}
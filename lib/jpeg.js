@@ -0,0 +1,237 @@
+/**
+ * @file wg-streams - JPEG files
+ *
+ * Walks the segments of a JPEG file (SOI, APPn, DQT, SOFn, DHT, SOS...) as named chunks, and decodes the metadata
+ * segments: frame header (SOFn), JFIF (APP0), EXIF (APP1) and comments (COM).
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::JPEG');
+
+const EXIF = require('./exif.js');
+const Errors = require('./errors.js');
+
+
+
+
+// ================================================================================
+// Markers
+// ================================================================================
+
+/**
+ * Marker names, by marker code (second byte of the marker)
+ */
+const MARKERS = {
+  0x01: "TEM",
+  0xC4: "DHT", 0xC8: "JPG", 0xCC: "DAC",
+  0xD8: "SOI", 0xD9: "EOI", 0xDA: "SOS", 0xDB: "DQT", 0xDC: "DNL", 0xDD: "DRI", 0xDE: "DHP", 0xDF: "EXP",
+  0xFE: "COM"
+};
+for (var i=0; i<16; i++) {
+  if (MARKERS[0xC0 + i] === undefined) MARKERS[0xC0 + i] = "SOF" + i;
+  MARKERS[0xE0 + i] = "APP" + i;
+  if (i < 8) MARKERS[0xD0 + i] = "RST" + i;
+}
+
+/**
+ * Get the name of a marker
+ * @param {integer} marker - is the marker code (such as 0xE1)
+ * @return {string} - the marker name (such as "APP1")
+ */
+function markerName(marker) {
+  return MARKERS[marker] || ("0x" + marker.toString(16).toUpperCase());
+}
+
+/**
+ * Is the marker a standalone marker (without length and payload)?
+ */
+function _isStandalone(marker) {
+  return marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9);
+}
+
+/**
+ * Is the marker a start of frame marker?
+ */
+function _isSOF(marker) {
+  return marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+}
+
+
+
+// ================================================================================
+// Segments
+// ================================================================================
+
+/**
+ * Walk the segments of a JPEG file. The stream (or chunk) should be positioned at the beginning of the file (SOI marker).
+ * For each segment, the callback is called with a segment descriptor and a chunk on the segment payload (after the
+ * length field). When the callback returns, the rest of the payload is skipped.
+ *
+ * By default, the walk stops after the first SOS (start of scan) segment, which is where the metadata ends. With the
+ * "scanData" option, the entropy-coded data following SOS segments is skipped and the walk continues up to the EOI marker.
+ *
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from
+ * @param {Object} options - is an optional set of options
+ * @param {boolean} options.scanData - if true, walk the whole file instead of stopping at the first scan
+ * @param {function} callback - is called for each segment with (segment, chunk). The segment is { marker, name, offset, length }.
+ *                              The offset is the position of the marker. The length is the payload length (0 for
+ *                              standalone markers). The callback may return false to stop the walk
+ */
+function walk(source, options, callback) {
+  if (typeof options === "function") { callback = options; options = {}; }
+  options = options || {};
+  var soi = source.readShortBE();
+  if (soi !== 0xFFD8) throw new Exception({soi:soi}, "Not a JPEG file (missing SOI marker)");
+  if (callback({ marker: 0xD8, name: "SOI", offset: source.tell() - 2, length: 0 }) === false) return;
+
+  while (source.hasMore()) {
+    var offset = source.tell();
+    var prefix = source.readByte();
+    if (prefix !== 0xFF) throw new Exception({offset:offset, prefix:prefix}, "Invalid JPEG marker");
+    var marker = source.readByte();
+    while (marker === 0xFF) {                  // Fill bytes
+      offset = offset + 1;
+      marker = source.readByte();
+    }
+    var segment = { marker: marker, name: markerName(marker), offset: offset, length: 0 };
+    log.debug(segment, "JPEG segment");
+    if (_isStandalone(marker)) {
+      if (callback(segment) === false) return;
+      if (marker === 0xD9) return;
+      continue;
+    }
+    var length = source.readShortBE();
+    if (length < 2) throw new Exception({offset:offset, marker:segment.name, length:length}, "Invalid JPEG segment length");
+    segment.length = length - 2;
+    var chunk = source.chunk(segment.name, segment.length);
+    var result = callback(segment, chunk);
+    chunk.skip();
+    if (result === false) return;
+    if (marker === 0xDA) {
+      if (!options.scanData) return;
+      _skipEntropyCodedData(source);
+    }
+  }
+}
+
+/**
+ * Skip the entropy-coded data which follows a SOS segment. Stuffed bytes (0xFF 0x00) and restart markers are part
+ * of the data. Stops before the next marker, or at the end of the source
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from
+ */
+function _skipEntropyCodedData(source) {
+  while (source.hasMore()) {
+    if (source.readByte() !== 0xFF) continue;
+    if (!source.hasMore()) return;
+    var next = source.peekByte();
+    if (next === 0x00 || (next >= 0xD0 && next <= 0xD7)) { source.skip(1); continue; }
+    if (next === 0xFF) continue;
+    source.seek(source.tell() - 1);
+    return;
+  }
+}
+
+/**
+ * Get the list of segments of a JPEG file
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from, positioned at the beginning of the file
+ * @param {Object} options - is an optional set of options (see walk)
+ * @return {Object[]} - the segments { marker, name, offset, length }
+ */
+function readSegments(source, options) {
+  var segments = [];
+  walk(source, options, function(segment) {
+    segments.push(segment);
+  });
+  return segments;
+}
+
+
+
+// ================================================================================
+// Metadata
+// ================================================================================
+
+/**
+ * Read the metadata of a JPEG file. The file is read up to the first scan.
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from, positioned at the beginning of the file
+ * @return {Object} - the metadata { segments, frame, jfif, exif, comments, warnings }
+ *                    - frame is the frame header { type, precision, width, height, components }
+ *                    - jfif is the JFIF header { version, units, xDensity, yDensity }
+ *                    - exif is the decoded TIFF structure (see EXIF.read)
+ */
+function read(source) {
+  var result = { segments: [], comments: [], warnings: [] };
+  walk(source, function(segment, chunk) {
+    result.segments.push(segment);
+    if (!chunk) return;
+    try {
+      if (_isSOF(segment.marker) && !result.frame) result.frame = _readFrame(segment, chunk);
+      else if (segment.name === "APP0" && !result.jfif) result.jfif = _readJFIF(chunk);
+      else if (segment.name === "APP1" && !result.exif) result.exif = _readEXIF(segment, chunk);
+      else if (segment.name === "COM") result.comments.push(chunk.readBytes(segment.length).toString('latin1'));
+    } catch (err) {
+      if (err instanceof Errors.LimitError) throw err;
+      result.warnings.push("Invalid " + segment.name + " segment at offset " + segment.offset + ": " + err.message);
+    }
+  });
+  return result;
+}
+
+/**
+ * Read a frame header (SOFn segment)
+ */
+function _readFrame(segment, chunk) {
+  var frame = { type: segment.name, components: [] };
+  frame.precision = chunk.readByte();
+  frame.height = chunk.readShortBE();
+  frame.width = chunk.readShortBE();
+  var count = chunk.readByte();
+  for (var i=0; i<count; i++) {
+    var id = chunk.readByte();
+    var sampling = chunk.readByte();
+    var table = chunk.readByte();
+    frame.components.push({ id: id, horizontalSampling: sampling >> 4, verticalSampling: sampling & 0x0F, quantizationTable: table });
+  }
+  return frame;
+}
+
+/**
+ * Read a JFIF header (APP0 segment). Returns undefined for other APP0 segments (such as JFXX)
+ */
+function _readJFIF(chunk) {
+  if (!chunk.hasMore(5) || chunk.readBytes(5).toString('latin1') !== "JFIF\u0000") return undefined;
+  var major = chunk.readByte();
+  var minor = chunk.readByte();
+  return {
+    version: major + "." + (minor < 10 ? "0" + minor : minor),
+    units: chunk.readByte(),
+    xDensity: chunk.readShortBE(),
+    yDensity: chunk.readShortBE()
+  };
+}
+
+/**
+ * Read an EXIF block (APP1 segment). Returns undefined for other APP1 segments (such as XMP)
+ */
+function _readEXIF(segment, chunk) {
+  if (!chunk.hasMore(6) || chunk.readBytes(6).toString('latin1') !== "Exif\u0000\u0000") return undefined;
+  return EXIF.read(chunk.chunk("EXIF", segment.length - 6));
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    MARKERS: MARKERS,
+    markerName: markerName,
+    walk: walk,
+    readSegments: readSegments,
+    read: read
+  };
+}
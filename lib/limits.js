@@ -0,0 +1,138 @@
+/**
+ * @file wg-streams - Resource limits
+ *
+ * Limits bound the resources a parser can use on a stream, so that crafted input (such as user uploads) can not make
+ * it build huge strings, nest chunks without end, scan the whole data over and over or run for too long. Limits are
+ * set on a PullStream with setLimits, and are honoured by the stream, its chunks and the reader functions. A limit
+ * which is exceeded throws a LimitError.
+ *
+ * Limits are off by default and cost nothing until setLimits is called.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Errors = require('./errors.js');
+
+
+
+
+// ================================================================================
+// Limits
+// ================================================================================
+
+/**
+ * Create limits for a stream. Limits are created with PullStream.setLimits. Undefined limits are not checked
+ * @param {Object} options - is the set of limits
+ * @param {integer} options.maxStringLength - is the maximum length of a string, in bytes (terminator excluded)
+ * @param {integer} options.maxChunkDepth - is the maximum nesting depth of chunks (1 for a chunk of the stream)
+ * @param {integer} options.maxChunks - is the maximum number of chunks created
+ * @param {integer} options.maxScanBytes - is the maximum number of bytes searched by scans and null terminated string
+ *                                         readers, in total
+ * @param {integer} options.timeout - is the wall-clock budget, in milliseconds, from the time the limits are set
+ */
+function Limits(options) {
+  var that = this;
+  options = options || {};
+  that.maxStringLength = options.maxStringLength;
+  that.maxChunkDepth = options.maxChunkDepth;
+  that.maxChunks = options.maxChunks;
+  that.maxScanBytes = options.maxScanBytes;
+  that.timeout = options.timeout;
+  that.reset();
+}
+
+/**
+ * Limits for untrusted input ("hardened mode")
+ */
+Limits.HARDENED = {
+  maxStringLength: 64 * 1024,
+  maxChunkDepth: 32,
+  maxChunks: 100000,
+  maxScanBytes: 64 * 1024 * 1024,
+  timeout: 5000
+};
+
+/**
+ * Reset the usage counters (number of chunks and bytes scanned) and restart the wall-clock budget, for instance before
+ * parsing another part of the stream
+ */
+Limits.prototype.reset = function() {
+  var that = this;
+  that.chunks = 0;
+  that.bytesScanned = 0;
+  that.deadline = that.timeout === undefined ? undefined : Date.now() + that.timeout;
+}
+
+/**
+ * Check the wall-clock budget
+ * @param {PullStream|Chunk} reader - is the stream or chunk being read
+ */
+Limits.prototype.checkTime = function(reader) {
+  var that = this;
+  if (that.deadline !== undefined && Date.now() > that.deadline)
+    throw new Errors.LimitError(reader, "timeout", that.timeout);
+}
+
+/**
+ * Check a string length
+ * @param {PullStream|Chunk} reader - is the stream or chunk being read
+ * @param {integer} length - is the string length, in bytes
+ * @param {string} what - is the kind of string, such as "when reading UTF-8 string"
+ */
+Limits.prototype.checkString = function(reader, length, what) {
+  var that = this;
+  if (that.maxStringLength !== undefined && length > that.maxStringLength)
+    throw new Errors.LimitError(reader, "maxStringLength", that.maxStringLength, what);
+}
+
+/**
+ * Count a new chunk, and check its depth
+ * @param {Chunk} chunk - is the new chunk
+ */
+Limits.prototype.checkChunk = function(chunk) {
+  var that = this;
+  that.checkTime(chunk);
+  that.chunks = that.chunks + 1;
+  if (that.maxChunks !== undefined && that.chunks > that.maxChunks)
+    throw new Errors.LimitError(chunk, "maxChunks", that.maxChunks, "when creating chunk");
+  if (that.maxChunkDepth === undefined) return;
+  var depth = 0;
+  for (var parent = chunk; parent; parent = parent.parent) depth = depth + 1;
+  if (depth > that.maxChunkDepth)
+    throw new Errors.LimitError(chunk, "maxChunkDepth", that.maxChunkDepth, "when creating chunk");
+}
+
+/**
+ * Search a pattern in a range of the stream (see PullStream._find), within the scan budget. Throws an error if the
+ * budget runs out before the pattern is found. The bytes searched are counted: up to the end of the match if found,
+ * or the whole range otherwise
+ * @param {PullStream|Chunk} reader - is the stream or chunk being searched
+ * @param {Buffer|Uint8Array|string|integer[]} needle - is the pattern
+ * @param {integer} from - is the absolute position where the search starts
+ * @param {integer} to - is the absolute position where the search ends
+ * @param {boolean} backward - is true to find the last match instead of the first one
+ * @return {integer} - the absolute position of the match, or -1 if not found
+ */
+Limits.prototype.find = function(reader, needle, from, to, backward) {
+  var that = this;
+  var stream = reader.stream || reader;
+  that.checkTime(reader);
+  var n = Math.max(to - from, 0);
+  if (that.maxScanBytes !== undefined) n = Math.min(n, Math.max(that.maxScanBytes - that.bytesScanned, 0));
+  var found = backward ? stream._find(needle, to - n, to, true) : stream._find(needle, from, from + n, false);
+  if (found === -1) {
+    that.bytesScanned = that.bytesScanned + n;
+    if (n < to - from) throw new Errors.LimitError(reader, "maxScanBytes", that.maxScanBytes, "when scanning");
+    return -1;
+  }
+  that.bytesScanned = that.bytesScanned + (backward ? to - found : found + needle.length - from);
+  return found;
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = Limits;
+}
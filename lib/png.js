@@ -0,0 +1,308 @@
+/**
+ * @file wg-streams - PNG files
+ *
+ * Iterates over the chunks of a PNG file, verifying their CRC-32, and decodes the metadata chunks: IHDR, tEXt, zTXt,
+ * iTXt, eXIf and pHYs. Compressed payloads are inflated with zlib and read through a new PullStream.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const zlib = require('zlib');
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::PNG');
+
+const PullStream = require('./pullstream.js');
+const Errors = require('./errors.js');
+const EXIF = require('./exif.js');
+
+
+
+
+// ================================================================================
+// CRC-32
+// ================================================================================
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320)
+ */
+const CRC_TABLE = new Uint32Array(256);
+for (var n=0; n<256; n++) {
+  var c = n;
+  for (var k=0; k<8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * Compute the CRC-32 of bytes (as used by PNG, zlib, ZIP...)
+ * @param {Buffer} buffer - are the bytes
+ * @param {integer} crc - is the CRC of the previous bytes, to compute a CRC incrementally. Default is 0
+ * @return {integer} - the CRC, as an unsigned 32 bits integer
+ */
+function crc32(buffer, crc) {
+  var c = (crc || 0) ^ 0xFFFFFFFF;
+  for (var i=0; i<buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+
+
+// ================================================================================
+// Chunks
+// ================================================================================
+
+/**
+ * PNG file signature
+ */
+const SIGNATURE = Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]);
+
+/**
+ * Read and check the PNG signature. Throws an error if the signature is invalid
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from, positioned at the beginning of the file
+ */
+function readSignature(source) {
+  var signature = source.readBytes(8);
+  if (!signature.equals(SIGNATURE)) throw new Exception({signature:signature.toString('hex')}, "Not a PNG file (invalid signature)");
+}
+
+/**
+ * Iterate over the chunks of a PNG file, after the signature, up to the IEND chunk (included).
+ * For each chunk, the callback is called with a header and a chunk on the chunk data. The data chunk is named after the
+ * chunk type. When the callback returns, the rest of the data and the CRC are skipped.
+ *
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from, positioned after the signature
+ * @param {Object} options - is an optional set of options
+ * @param {boolean} options.verifyCRC - is false to skip the CRC verification (default is true)
+ * @param {boolean} options.failOnCRCError - is true to throw an error when a CRC does not match (default is false)
+ * @param {function} callback - is called with (header, chunk) for each chunk. The header is { type, offset, length,
+ *                              crc, crcValid, truncated }. The offset is the absolute position of the chunk. crcValid is
+ *                              undefined if the CRC was not verified. The callback may return false to stop the iteration
+ *
+ * A chunk which is truncated (the file ends before its data or CRC) is given with the bytes left and the truncated flag,
+ * and ends the iteration
+ */
+function forEachChunk(source, options, callback) {
+  if (typeof options === "function") { callback = options; options = {}; }
+  options = options || {};
+  var stream = source.stream || source;
+  while (source.hasMore(12)) {
+    var offset = stream.position;
+    var length = source.readUInt32BE();
+    var type = source.readASCII4();
+    var header = { type: type, offset: offset, length: length, crc: undefined, crcValid: undefined, truncated: false };
+    var remaining = source.maxPosition - stream.position;
+    if (length + 4 > remaining) {
+      header.truncated = true;
+      log.debug(header, "Truncated chunk");
+      callback(header, source.chunk(type, Math.min(length, remaining)));
+      return source.skip();
+    }
+    var chunk = source.chunk(type, length);
+    if (options.verifyCRC !== false) {
+      var data = chunk.readBytes(length);
+      header.crc = source.readUInt32BE();
+      header.crcValid = crc32(data, crc32(Buffer.from(type, 'latin1'))) === header.crc;
+      chunk.seek(0);
+      if (!header.crcValid) {
+        log.debug(header, "Invalid CRC");
+        if (options.failOnCRCError) throw new Exception(header, "Invalid CRC for chunk " + type);
+      }
+    }
+    var result = callback(header, chunk);
+    chunk.seek(length);
+    if (header.crc === undefined) header.crc = source.readUInt32BE();
+    else source.skip(4);
+    if (result === false || type === "IEND") return;
+  }
+}
+
+/**
+ * Inflate (zlib) the remaining bytes of a chunk. Throws an error if the decompressed data is invalid or too large
+ * @param {Chunk} chunk - is the chunk, positioned at the beginning of the compressed bytes
+ * @param {integer} maxLength - is the maximum size of the decompressed data, or undefined for no limit
+ * @return {PullStream} - a new stream over the decompressed bytes
+ */
+function inflate(chunk, maxLength) {
+  var bytes = chunk.readBytes(_remaining(chunk));
+  var data;
+  try {
+    data = zlib.inflateSync(bytes, maxLength === undefined ? {} : { maxOutputLength: Math.max(maxLength, 1) });
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE")
+      throw new Exception({name:chunk.name, maxLength:maxLength}, "Decompressed data too large (more than " + maxLength + " bytes)");
+    throw new Exception({name:chunk.name, err:err.message}, "Invalid compressed data");
+  }
+  return PullStream.derive(chunk, data);
+}
+
+/**
+ * Get the number of bytes remaining in a chunk
+ */
+function _remaining(chunk) {
+  return chunk.maxPosition - chunk.stream.position;
+}
+
+
+
+// ================================================================================
+// Metadata
+// ================================================================================
+
+/**
+ * Default maximum size of decompressed texts, when neither the maxTextLength option nor the maxStringLength limit of
+ * the stream is set
+ */
+const MAX_TEXT_LENGTH = 1024 * 1024;
+
+/**
+ * Read the metadata of a PNG file. The file is read up to the IEND chunk
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from, positioned at the beginning of the file
+ * @param {Object} options - is an optional set of options (see forEachChunk)
+ * @param {integer} options.maxTextLength - is the maximum size of decompressed texts (zTXt, iTXt), in bytes. Larger
+ *                                          texts are skipped with a warning. Default is the maxStringLength limit of
+ *                                          the stream, or 1 MB
+ * @return {Object} - the metadata { chunks, header, text, exif, physical, warnings }
+ *                    - chunks are the chunk headers
+ *                    - header is the image header (IHDR) { width, height, bitDepth, colorType, compressionMethod,
+ *                      filterMethod, interlaceMethod }
+ *                    - text are the texts (tEXt, zTXt, iTXt) by keyword
+ *                    - exif is the decoded TIFF structure of the eXIf chunk (see EXIF.read)
+ *                    - physical are the physical dimensions (pHYs) { pixelsPerUnitX, pixelsPerUnitY, unit }
+ *                    - warnings are the decoding problems, including CRC mismatches
+ */
+function read(source, options) {
+  options = options || {};
+  readSignature(source);
+  var result = { chunks: [], text: {}, warnings: [] };
+  forEachChunk(source, options, function(header, chunk) {
+    result.chunks.push(header);
+    if (header.crcValid === false) result.warnings.push("Invalid CRC for chunk " + header.type + " at offset " + header.offset);
+    if (header.truncated) result.warnings.push("Chunk " + header.type + " at offset " + header.offset + " is truncated");
+    var decoder = DECODERS[header.type];
+    if (!decoder) return;
+    try {
+      decoder(chunk, result, options);
+    } catch (err) {
+      if (err instanceof Errors.LimitError) throw err;
+      result.warnings.push("Invalid chunk " + header.type + " at offset " + header.offset + ": " + err.message);
+    }
+  });
+  return result;
+}
+
+/**
+ * IHDR: image header
+ */
+function _decodeIHDR(chunk, result) {
+  result.header = {
+    width: chunk.readUInt32BE(),
+    height: chunk.readUInt32BE(),
+    bitDepth: chunk.readByte(),
+    colorType: chunk.readByte(),
+    compressionMethod: chunk.readByte(),
+    filterMethod: chunk.readByte(),
+    interlaceMethod: chunk.readByte()
+  };
+}
+
+/**
+ * tEXt: ISO-8859-1 text
+ */
+function _decodeTEXt(chunk, result) {
+  var keyword = chunk.readZString88591();
+  result.text[keyword] = chunk.readString88591();
+}
+
+/**
+ * zTXt: compressed ISO-8859-1 text
+ */
+function _decodeZTXt(chunk, result, options) {
+  var keyword = chunk.readZString88591();
+  var method = chunk.readByte();
+  if (method !== 0) throw new Exception({keyword:keyword, method:method}, "Unsupported compression method");
+  var stream = inflate(chunk, _maxTextLength(chunk, options));
+  result.text[keyword] = stream.readString88591();
+}
+
+/**
+ * iTXt: international (UTF-8) text, optionally compressed
+ */
+function _decodeITXt(chunk, result, options) {
+  var keyword = chunk.readZString88591();
+  var compressed = chunk.readByte() === 1;
+  var method = chunk.readByte();
+  var language = chunk.readZString88591();
+  var translatedKeyword = chunk.readZStringUTF8();
+  var text;
+  if (compressed) {
+    if (method !== 0) throw new Exception({keyword:keyword, method:method}, "Unsupported compression method");
+    var stream = inflate(chunk, _maxTextLength(chunk, options));
+    text = stream.readStringUTF8();
+  }
+  else {
+    text = chunk.readStringUTF8();
+  }
+  result.text[keyword] = text;
+  if (language || translatedKeyword) {
+    result.international = result.international || {};
+    result.international[keyword] = { language: language, translatedKeyword: translatedKeyword, text: text };
+  }
+}
+
+/**
+ * Get the maximum size of a decompressed text: the maxTextLength option, the maxStringLength limit of the stream, or
+ * MAX_TEXT_LENGTH
+ */
+function _maxTextLength(chunk, options) {
+  if (options.maxTextLength !== undefined) return options.maxTextLength;
+  var limits = chunk.stream.limits;
+  if (limits !== undefined && limits.maxStringLength !== undefined) return limits.maxStringLength;
+  return MAX_TEXT_LENGTH;
+}
+
+/**
+ * eXIf: TIFF structure
+ */
+function _decodeEXIf(chunk, result) {
+  result.exif = EXIF.read(chunk.chunk("eXIf", _remaining(chunk)));
+}
+
+/**
+ * pHYs: physical pixel dimensions. The unit is 0 (unknown) or 1 (meter)
+ */
+function _decodePHYs(chunk, result) {
+  result.physical = {
+    pixelsPerUnitX: chunk.readUInt32BE(),
+    pixelsPerUnitY: chunk.readUInt32BE(),
+    unit: chunk.readByte()
+  };
+}
+
+/**
+ * Chunk decoders, by chunk type. Decoders are called with the chunk on the data, the metadata being built and the
+ * options of read
+ */
+const DECODERS = {
+  IHDR: _decodeIHDR,
+  tEXt: _decodeTEXt,
+  zTXt: _decodeZTXt,
+  iTXt: _decodeITXt,
+  eXIf: _decodeEXIf,
+  pHYs: _decodePHYs
+};
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    SIGNATURE: SIGNATURE,
+    crc32: crc32,
+    readSignature: readSignature,
+    forEachChunk: forEachChunk,
+    inflate: inflate,
+    read: read
+  };
+}
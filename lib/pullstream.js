@@ -12,7 +12,11 @@ const Exception = require('wg-log').Exception;
 
 const log = Log.getLogger('wg-streams::PullStream');
 
+const Reader = require('./reader.js');
 const Chunk = require('./chunk.js');
+const Trace = require('./trace.js');
+const Limits = require('./limits.js');
+require('./varint.js');                 // variable-length integer readers
 
 
 
@@ -21,22 +25,61 @@ const Chunk = require('./chunk.js');
 // ================================================================================
 
 /**
- * Create a new pull-stream
+ * Create a new pull-stream. The read, skip, string and scan functions are inherited from Reader
  */
 function PullStream() {
+  this.startPosition = 0;
   this.buffer = undefined;
+  this.bufferOffset = 0;
+  this.fd = undefined;
+  this.windowSize = undefined;
   this.position = 0;
   this.maxPosition = undefined;
+  this.byteOrder = PullStream.BIG_ENDIAN;
+  this.marks = [];
+  this.tracer = undefined;
+  this.limits = undefined;
 }
+PullStream.prototype = Object.create(Reader.prototype);
+PullStream.prototype.constructor = PullStream;
+
+/**
+ * Byte orders (same values as Reader.BIG_ENDIAN and Reader.LITTLE_ENDIAN)
+ */
+PullStream.BIG_ENDIAN = Reader.BIG_ENDIAN;
+PullStream.LITTLE_ENDIAN = Reader.LITTLE_ENDIAN;
+
+/**
+ * Call a loader with a callback, and return a promise instead. Loaders return a promise when they are called
+ * without callback
+ * @param {PullStream} stream - is the stream being loaded
+ * @param {function} fn - is the loader, called with the callback
+ * @return {Promise} - a promise resolved with the stream once loaded, or rejected with the loader error
+ */
+function _promise(stream, fn) {
+  return new Promise(function(resolve, reject) {
+    return fn(function(err) {
+      if (err) return reject(err);
+      return resolve(stream);
+    });
+  });
+}
+
 /**
  * Create pull-stream for file
  * @param {string} fileName - is the file name (fully qualified)
+ * @param {function} callback - is called when the file is loaded. If undefined, a promise is returned
+ * @return {Promise} - a promise resolved with the stream, if no callback is given
  */
 PullStream.prototype.fromFile = function(fileName, callback) {
   var that = this;
+  if (callback === undefined) return _promise(that, function(callback) { return that.fromFile(fileName, callback); });
   that.fileName = fileName;
   that.buffer = undefined;
+  that.bufferOffset = 0;
+  that.fd = undefined;
   that.position = 0;
+  that.marks = [];
   log.debug({fileName:fileName}, "Reading file");
   return fs.readFile(fileName, function(err, data) {
     if (err) return callback(err);
@@ -47,162 +90,353 @@ PullStream.prototype.fromFile = function(fileName, callback) {
 }
 
 /**
- * Create a chunk (slice) from the current position and with given length
- * @param {string} name - is the chunk name, used for troubleshooting
- * @param {integer} length - is the chunk length, or undefined for an unlimited chunk (taking the whole file)
- * @param {Chunk} - the newly created chunk
+ * Create pull-stream for data already in memory. The data is not copied
+ * @param {Buffer|Uint8Array|ArrayBuffer} buffer - is the data. Any typed array or DataView is accepted
+ * @return {PullStream} - the stream itself
  */
-PullStream.prototype.chunk = function(name, length) {
-  return new Chunk(name, this, length);
+PullStream.prototype.fromBuffer = function(buffer) {
+  var that = this;
+  if (buffer instanceof ArrayBuffer)
+    buffer = Buffer.from(buffer);
+  else if (ArrayBuffer.isView(buffer) && !Buffer.isBuffer(buffer))
+    buffer = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  if (!Buffer.isBuffer(buffer)) throw new Exception({type:typeof buffer}, "Invalid buffer");
+  that.buffer = buffer;
+  that.bufferOffset = 0;
+  that.fd = undefined;
+  that.position = 0;
+  that.marks = [];
+  that.maxPosition = buffer.length;
+  return that;
+}
+
+/**
+ * Create pull-stream for data derived from another stream or chunk, such as decompressed or resynchronised data. The
+ * data is not copied. The new stream shares the limits of the stream the data comes from (see setLimits), so that
+ * parsers reading untrusted input through derived streams are bound by the same limits and usage counters
+ * @param {PullStream|Chunk} source - is the stream or chunk the data comes from
+ * @param {Buffer|Uint8Array|ArrayBuffer} buffer - is the data
+ * @return {PullStream} - the new stream
+ */
+PullStream.derive = function(source, buffer) {
+  var stream = new PullStream().fromBuffer(buffer);
+  stream.limits = (source.stream || source).limits;
+  return stream;
+}
+
+/**
+ * Create pull-stream for a range of an open file descriptor. The range is loaded in memory, and position 0 of the
+ * stream is the first byte of the range. The file descriptor is not closed
+ * @param {integer} fd - is the file descriptor
+ * @param {integer} offset - is the position of the range in the file (default to 0)
+ * @param {integer} length - is the length of the range, or undefined to read till the end of file
+ * @param {function} callback - is called when the range is loaded. If undefined, a promise is returned
+ * @return {Promise} - a promise resolved with the stream, if no callback is given
+ */
+PullStream.prototype.fromFd = function(fd, offset, length, callback) {
+  var that = this;
+  if (callback === undefined) return _promise(that, function(callback) { return that.fromFd(fd, offset, length, callback); });
+  if (offset === undefined) offset = 0;
+  that.buffer = undefined;
+  that.bufferOffset = 0;
+  that.fd = undefined;
+  that.position = 0;
+  that.marks = [];
+  log.debug({fd:fd, offset:offset, length:length}, "Reading file descriptor");
+  return fs.fstat(fd, function(err, stats) {
+    if (err) return callback(err);
+    if (length === undefined || offset + length > stats.size) length = Math.max(stats.size - offset, 0);
+    var buffer = Buffer.alloc(length);
+    var read = function(from) {
+      if (from >= length) {
+        that.fromBuffer(buffer);
+        return callback();
+      }
+      return fs.read(fd, buffer, from, length - from, offset + from, function(err, bytesRead) {
+        if (err) return callback(err);
+        if (bytesRead === 0) return callback(new Exception({fd:fd, offset:offset, length:length, read:from}, "Short read (unexpected end of file)"));
+        return read(from + bytesRead);
+      });
+    };
+    return read(0);
+  });
+}
+
+/**
+ * Create pull-stream for a Node readable stream. The data is collected in memory until the readable stream ends
+ * @param {stream.Readable} readable - is the readable stream
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.maxBytes - is the maximum number of bytes to collect. If the readable stream provides more, it
+ *                                     is destroyed and an error is returned. Default is no limit
+ * @param {function} callback - is called when the readable stream ends. If undefined, a promise is returned
+ * @return {Promise} - a promise resolved with the stream, if no callback is given
+ */
+PullStream.prototype.fromReadable = function(readable, options, callback) {
+  var that = this;
+  if (typeof options === "function") { callback = options; options = undefined; }
+  if (callback === undefined) return _promise(that, function(callback) { return that.fromReadable(readable, options, callback); });
+  options = options || {};
+  var buffers = [];
+  var length = 0;
+  var done = false;
+  var finish = function(err) {
+    if (done) return;
+    done = true;
+    readable.removeListener('data', onData);
+    readable.removeListener('end', onEnd);
+    if (err) return callback(err);
+    that.fromBuffer(Buffer.concat(buffers, length));
+    return callback();
+  };
+  var onData = function(data) {
+    if (typeof data === "string") data = Buffer.from(data);
+    length = length + data.length;
+    if (options.maxBytes !== undefined && length > options.maxBytes) {
+      if (typeof readable.destroy === "function") readable.destroy();
+      return finish(new Exception({maxBytes:options.maxBytes}, "Readable stream is too large"));
+    }
+    buffers.push(data);
+  };
+  var onEnd = function() { return finish(); };
+  readable.on('data', onData);
+  readable.on('end', onEnd);
+  readable.on('error', finish);
 }
 
 /**
- * Is there any more data in this stream?
- * @param {integer} n - the expected number of bytes, or undefined. If undefined, we'll check there's at least one byte
- * @return {boolean} - a boolean value indicating whether there's more data too read or not
+ * Default size of the windows used when reading a file by windows
+ */
+PullStream.DEFAULT_WINDOW_SIZE = 65536;
+
+/**
+ * Create pull-stream for file, without loading the whole file in memory. The file is opened and read by windows of
+ * fixed size which are loaded synchronously when a read crosses the window boundaries. The stream must be closed after use.
+ * @param {string} fileName - is the file name (fully qualified)
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.windowSize - is the size of the window (default to PullStream.DEFAULT_WINDOW_SIZE)
+ * @param {function} callback - is called when the file is opened. If undefined, a promise is returned
+ * @return {Promise} - a promise resolved with the stream, if no callback is given
  */
-PullStream.prototype.hasMore = function(n) {
-  var that= this;
-  if (n === undefined) n = 1;
-  var remaining = that.maxPosition - that.position;
-  if (n > remaining) return false;
-  return true;
+PullStream.prototype.openFile = function(fileName, options, callback) {
+  var that = this;
+  if (typeof options === "function") { callback = options; options = undefined; }
+  if (callback === undefined) return _promise(that, function(callback) { return that.openFile(fileName, options, callback); });
+  options = options || {};
+  that.fileName = fileName;
+  that.buffer = Buffer.alloc(0);
+  that.bufferOffset = 0;
+  that.fd = undefined;
+  that.windowSize = options.windowSize || PullStream.DEFAULT_WINDOW_SIZE;
+  that.position = 0;
+  that.marks = [];
+  log.debug({fileName:fileName, windowSize:that.windowSize}, "Opening file");
+  return fs.open(fileName, 'r', function(err, fd) {
+    if (err) return callback(err);
+    return fs.fstat(fd, function(err, stats) {
+      if (err) return fs.close(fd, function() { return callback(err); });
+      that.fd = fd;
+      that.fileSize = stats.size;
+      that.maxPosition = stats.size;
+      return callback();
+    });
+  });
 }
 
 /**
- * Skip a certain number of bytes
- * @param {integer} length - is the number of bytes to skip
+ * Close the file opened with openFile. Does nothing for in-memory streams
+ * @param {function} callback - is called when the file is closed. If undefined, a promise is returned
+ * @return {Promise} - a promise resolved with the stream, if no callback is given
  */
-PullStream.prototype.skip = function(length) {
+PullStream.prototype.close = function(callback) {
   var that = this;
-  if (length <=0) return;
-  that.ensureCapacity(length);
-  that.position = that.position + length;
+  if (callback === undefined) return _promise(that, function(callback) { return that.close(callback); });
+  var fd = that.fd;
+  that.fd = undefined;
+  that.buffer = undefined;
+  that.bufferOffset = 0;
+  if (fd === undefined) return callback();
+  log.debug({fileName:that.fileName}, "Closing file");
+  return fs.close(fd, callback);
 }
 
 /**
- * Ensures that there's more bytes to read. If not, will throw an exception
- * @param {integer} n - the expected number of bytes
+ * Make sure the next n bytes (starting at the current position) are in the buffer. For streams opened with openFile,
+ * this will load a new window if the bytes are not in the current window. The caller is responsible for checking
+ * the stream capacity first.
+ * @param {integer} n - the number of bytes
+ * @return {integer} - the index of the current position in the buffer
  */
-PullStream.prototype.ensureCapacity = function(n) {
+PullStream.prototype._window = function(n) {
   var that = this;
-  var remaining = that.maxPosition - that.position;
-  if (n > remaining) throw new Exception({position:that.position, maxPosition:that.maxPosition, n:n}, "Short read (stream end boundary reached)");
+  var index = that.position - that.bufferOffset;
+  if (that.fd === undefined) return index;
+  if (index >= 0 && index + n <= that.buffer.length) return index;
+  var length = Math.min(Math.max(that.windowSize, n), that.maxPosition - that.position);
+  that.buffer = that._readFile(that.position, length);
+  that.bufferOffset = that.position;
+  return 0;
 }
 
 /**
- * Read a single byte from the stream. Throws an error if trying to read past the end of the stream
- * @return {integer} - The next byte in the stream
+ * Read a range of the file opened with openFile into a new buffer
+ * @param {integer} position - is the absolute position in the file
+ * @param {integer} length - is the number of bytes to read
+ * @return {Buffer} - the buffer
  */
-PullStream.prototype.readByte = function() {
+PullStream.prototype._readFile = function(position, length) {
   var that = this;
-  that.ensureCapacity(1);
-  var byte = that.buffer[that.position];
-  that.position = that.position + 1;
-  return byte;
+  log.debug({fileName:that.fileName, position:position, length:length}, "Reading window");
+  var buffer = Buffer.alloc(length);
+  var offset = 0;
+  while (offset < length) {
+    var read = fs.readSync(that.fd, buffer, offset, length - offset, position + offset);
+    if (read === 0) throw new Exception({fileName:that.fileName, position:position+offset, maxPosition:that.maxPosition}, "Short read (unexpected end of file)");
+    offset = offset + read;
+  }
+  return buffer;
 }
 
 /**
- * Read a single short from the stream. Throws an error if trying to read past the end of the stream
- * @return {integer} - The next short in the stream (big endian)
+ * Get a range of bytes of the stream as a buffer, without moving the current position. The caller is responsible
+ * for checking the range is within the stream. The buffer may share memory with the stream buffer
+ * @param {integer} from - is the absolute position of the first byte
+ * @param {integer} to - is the absolute position following the last byte
+ * @return {Buffer} - the bytes
  */
-PullStream.prototype.readShort = function() {
+PullStream.prototype._slice = function(from, to) {
   var that = this;
-  that.ensureCapacity(2);
-  var b1 = that.buffer[that.position];
-  var b2 = that.buffer[that.position+1];
-  that.position = that.position + 2;
-  return (b1<<8)+b2;
+  if (to <= from) return Buffer.alloc(0);
+  var index = from - that.bufferOffset;
+  if (that.fd === undefined || (index >= 0 && index + to - from <= that.buffer.length))
+    return that.buffer.slice(index, index + to - from);
+  return that._readFile(from, to - from);
 }
 
 /**
- * Read a single 3-bytes from the stream. Throws an error if trying to read past the end of the stream
- * @return {integer} - The next 3-bytes in the stream (big endian)
+ * Get the size of the stream data (the buffer, or the file opened with openFile), regardless of the stream end
+ * boundary (maxPosition)
+ * @return {integer} - the number of bytes
  */
-PullStream.prototype.read3Bytes = function() {
+PullStream.prototype._size = function() {
   var that = this;
-  that.ensureCapacity(3);
-  var b1 = that.buffer[that.position];
-  var b2 = that.buffer[that.position+1];
-  var b3 = that.buffer[that.position+2];
-  that.position = that.position + 3;
-  return (((b1<<8)+b2)<<8)+b3;
+  if (that.fd !== undefined) return that.fileSize;
+  return that.buffer ? that.bufferOffset + that.buffer.length : 0;
 }
 
 /**
- * Read a single long from the stream. Throws an error if trying to read past the end of the stream
- * @return {integer} - The next long in the stream (big endian)
+ * Start tracing the stream: the reads, skips and chunk creations of the stream and of its chunks are recorded until
+ * stopTrace is called
+ * @param {Object} options - is an optional set of options (see Trace)
+ * @return {Trace} - the trace
  */
-PullStream.prototype.readLong = function() {
+PullStream.prototype.startTrace = function(options) {
   var that = this;
-  that.ensureCapacity(4);
-  var b1 = that.buffer[that.position];
-  var b2 = that.buffer[that.position+1];
-  var b3 = that.buffer[that.position+2];
-  var b4 = that.buffer[that.position+3];
-  that.position = that.position + 4;
-  return (((((b1<<8)+b2)<<8)+b3)<<8)+b4
+  that.tracer = new Trace(that, options);
+  return that.tracer;
 }
 
 /**
- * Read a single 3-bytes from the stream as a string. Throws an error if trying to read past the end of the stream
- * @return {string} - The 3-characters string
+ * Stop tracing the stream
+ * @return {Trace} - the trace, or undefined if the stream was not traced
  */
-PullStream.prototype.readASCII3 = function() {
+PullStream.prototype.stopTrace = function() {
   var that = this;
-  that.ensureCapacity(3);
-  var b1 = that.buffer[that.position];
-  var b2 = that.buffer[that.position+1];
-  var b3 = that.buffer[that.position+2];
-  that.position = that.position + 3;
-  return String.fromCharCode(b1, b2, b3);
+  var tracer = that.tracer;
+  that.tracer = undefined;
+  return tracer;
 }
 
 /**
- * Read a single 4-bytes from the stream as a string. Throws an error if trying to read past the end of the stream
- * @return {string} - The 4-characters string
+ * Set resource limits on the stream and its chunks, for untrusted input: string length, chunk depth, number of chunks,
+ * bytes scanned and wall-clock budget. A limit which is exceeded throws a LimitError. Limits.HARDENED are suggested
+ * limits for user uploads
+ * @param {Object} options - is the set of limits (see Limits), or undefined to remove the limits
+ * @return {Limits} - the limits, with their usage counters
  */
-PullStream.prototype.readASCII4 = function() {
+PullStream.prototype.setLimits = function(options) {
   var that = this;
-  that.ensureCapacity(4);
-  var b1 = that.buffer[that.position];
-  var b2 = that.buffer[that.position+1];
-  var b3 = that.buffer[that.position+2];
-  var b4 = that.buffer[that.position+3];
-  that.position = that.position + 4;
-  return String.fromCharCode(b1, b2, b3, b4);
+  that.limits = options === undefined ? undefined : new Limits(options);
+  return that.limits;
 }
 
 /**
- * Scan the stream looking for a "magic" 3-bytes number
- * @return {boolean} - A boolean indicating whether the magic number was found. If so the stream is left at the
- *             position right after the magic number is found.
+ * Create a chunk (slice) from the current position and with given length
+ * @param {string} name - is the chunk name, used for troubleshooting
+ * @param {integer} length - is the chunk length, or undefined for an unlimited chunk (taking the whole file)
+ * @param {Chunk} - the newly created chunk
+ */
+PullStream.prototype.chunk = function(name, length) {
+  return new Chunk(name, this, length);
+}
+
+/**
+ * Convert a search pattern to a buffer
+ * @param {Buffer|Uint8Array|string|integer[]} needle - is the pattern. Strings are converted as ISO-8859-1
+ * @return {Buffer} - the pattern
+ */
+function _toNeedle(needle) {
+  if (typeof needle === "string") needle = Buffer.from(needle, 'latin1');
+  else if (!Buffer.isBuffer(needle)) needle = Buffer.from(needle);
+  if (needle.length === 0) throw new Exception({}, "Invalid search pattern (empty)");
+  return needle;
+}
+
+/**
+ * Search a pattern in a range of the stream, without moving the current position. The caller is responsible for
+ * checking the range is within the stream. Streams opened with openFile are searched by blocks of the window size
+ * @param {Buffer|Uint8Array|string|integer[]} needle - is the pattern
+ * @param {integer} from - is the absolute position where the search starts
+ * @param {integer} to - is the absolute position where the search ends. Matches are fully contained in [from, to[
+ * @param {boolean} backward - is true to find the last match instead of the first one
+ * @return {integer} - the absolute position of the match, or -1 if not found
  */
-PullStream.prototype.scan3Bytes = function(expected) {
+PullStream.prototype._find = function(needle, from, to, backward) {
   var that = this;
-  var magic = 0;
-  while (that.hasMore()) {
-    var b = that.readByte();
-    magic = ((magic & 0XFFFF) << 8) + b;
-    if (magic === expected) return true;
+  needle = _toNeedle(needle);
+  if (to - from < needle.length) return -1;
+  var index;
+  if (that.fd === undefined) {
+    var region = that.buffer.subarray(from - that.bufferOffset, to - that.bufferOffset);
+    index = backward ? region.lastIndexOf(needle) : region.indexOf(needle);
+    return index === -1 ? -1 : from + index;
+  }
+  var block = Math.max(that.windowSize, 2 * needle.length);
+  var overlap = needle.length - 1;
+  var start, end;
+  if (!backward) {
+    for (start = from; ; start = end - overlap) {
+      end = Math.min(start + block, to);
+      index = that._slice(start, end).indexOf(needle);
+      if (index !== -1) return start + index;
+      if (end === to) return -1;
+    }
+  }
+  for (end = to; ; end = start + overlap) {
+    start = Math.max(end - block, from);
+    index = that._slice(start, end).lastIndexOf(needle);
+    if (index !== -1) return start + index;
+    if (start === from) return -1;
   }
-  return false;
 }
 
 /**
- * Scan the stream looking for a "magic" long (4 bytes) number
- * @return {boolean} - A boolean indicating whether the magic number was found. If so the stream is left at the
- *             position right after the magic number is found.
+ * Find all the occurrences of a pattern in a range of the stream, without moving the current position. Occurrences
+ * do not overlap. The caller is responsible for checking the range is within the stream
+ * @param {Buffer|Uint8Array|string|integer[]} needle - is the pattern
+ * @param {integer} from - is the absolute position where the search starts
+ * @param {integer} to - is the absolute position where the search ends
+ * @return {integer[]} - the absolute positions of the matches
  */
-PullStream.prototype.scanLong = function(expected) {
+PullStream.prototype._findAll = function(needle, from, to) {
   var that = this;
-  var magic = 0;
-  while (that.hasMore()) {
-    var b = that.readByte();
-    magic = ((magic & 0XFFFFFF) << 8) + b;
-    if (magic === expected) return true;
+  needle = _toNeedle(needle);
+  var positions = [];
+  var found = that._find(needle, from, to, false);
+  while (found !== -1) {
+    positions.push(found);
+    found = that._find(needle, found + needle.length, to, false);
   }
-  return false;
+  return positions;
 }
 
 
@@ -0,0 +1,169 @@
+/**
+ * @file wg-streams - Writable chunks
+ *
+ * A writable chunk is the writing counterpart of a Chunk. It's a light overlay on a Push Stream which starts with a
+ * length field. The length field is reserved when the chunk is created, and filled in when the chunk is closed.
+ * Writable chunks can be hierarchical
+ *
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::PushChunk');
+
+
+
+
+// ================================================================================
+// Writable chunks
+// ================================================================================
+
+/**
+ * Create a writable chunk at the current position of a push stream, and reserve its length field
+ *
+ * @param {string} name - is a friendly name for the chunk, used to troubleshoot
+ * @param {PushStream} stream - is the underlying push stream
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.lengthSize - is the size of the length field in bytes (1, 2, 3, 4 or 8, default to 4),
+ *                                       or 0 for a chunk without length field
+ * @param {boolean} options.inclusive - if true, the length counts the length field itself (as in ISO BMFF boxes).
+ *                                      Otherwise (default) the length counts the bytes written after the length field
+ * @param {integer} options.align - if set, padding bytes (0) are written when the chunk is closed so that its
+ *                                  size is a multiple of align. Padding is not counted in the length (as in RIFF)
+ * @param {string} options.byteOrder - is the byte order of the chunk. Default is inherited from the stream
+ */
+function PushChunk(name, stream, options) {
+  var that = this;
+  options = options || {};
+  that.name = name;
+  that.stream = stream;
+  that.byteOrder = options.byteOrder || stream.byteOrder || PushChunk.BIG_ENDIAN;
+  that.lengthSize = options.lengthSize === undefined ? 4 : options.lengthSize;
+  that.inclusive = options.inclusive === true;
+  that.align = options.align;
+  that.startPosition = stream.position;
+  that.closed = false;
+  if ([ 0, 1, 2, 3, 4, 8 ].indexOf(that.lengthSize) === -1) throw new Exception({name:name, lengthSize:that.lengthSize}, "Invalid chunk length size");
+  log.debug({name:name, position:that.startPosition, lengthSize:that.lengthSize}, "New writable chunk");
+  if (that.lengthSize > 0) that.stream.writeBytes(Buffer.alloc(that.lengthSize));
+}
+
+/**
+ * Byte orders (same values as PushStream.BIG_ENDIAN and PushStream.LITTLE_ENDIAN)
+ */
+PushChunk.BIG_ENDIAN = "BE";
+PushChunk.LITTLE_ENDIAN = "LE";
+
+/**
+ * Create a writable sub-chunk at the current position. The sub-chunk inherits the chunk byte order
+ * @param {string} name - is the chunk name, used for troubleshooting
+ * @param {Object} options - are the chunk options
+ * @return {PushChunk} - the newly created chunk
+ */
+PushChunk.prototype.chunk = function(name, options) {
+  var that = this;
+  options = Object.assign({ byteOrder: that.byteOrder }, options);
+  return new PushChunk(name, that.stream, options);
+}
+
+/**
+ * Set the byte order used by the numeric writers of this chunk. This overrides the byte order inherited from
+ * the stream or parent chunk. The length field is written with the byte order in effect when the chunk is closed
+ * @param {string} byteOrder - is PushChunk.BIG_ENDIAN or PushChunk.LITTLE_ENDIAN
+ */
+PushChunk.prototype.setByteOrder = function(byteOrder) {
+  var that = this;
+  if (byteOrder !== PushChunk.BIG_ENDIAN && byteOrder !== PushChunk.LITTLE_ENDIAN)
+    throw new Exception({name:that.name, byteOrder:byteOrder}, "Invalid byte order");
+  that.byteOrder = byteOrder;
+}
+
+/**
+ * Get the number of bytes written in the chunk so far, as it would be written in the length field
+ * @return {integer} - the length
+ */
+PushChunk.prototype.getLength = function() {
+  var that = this;
+  var from = that.inclusive ? that.startPosition : that.startPosition + that.lengthSize;
+  return that.stream.position - from;
+}
+
+/**
+ * Close the chunk: fill in the length field and write padding if needed. The chunk ends at the current position
+ * of the stream. Throws an error if the chunk is already closed or if the length does not fit in the length field
+ * @return {integer} - the chunk length, as written in the length field
+ */
+PushChunk.prototype.close = function() {
+  var that = this;
+  if (that.closed) throw new Exception({name:that.name}, "Chunk already closed");
+  var length = that.getLength();
+  var end = that.stream.position;
+  log.debug({name:that.name, length:length}, "Closing writable chunk");
+  if (that.lengthSize > 0) {
+    if (that.lengthSize < 8 && length >= Math.pow(2, 8 * that.lengthSize))
+      throw new Exception({name:that.name, length:length, lengthSize:that.lengthSize}, "Chunk too large for its length field");
+    that.stream.seek(that.startPosition);
+    if (that.lengthSize === 1) that.stream.writeUInt8(length);
+    else that.stream["writeUInt" + (that.lengthSize*8) + that.byteOrder](length);
+    that.stream.seek(end);
+  }
+  if (that.align) {
+    var size = end - that.startPosition;
+    var padding = (that.align - (size % that.align)) % that.align;
+    if (padding > 0) that.stream.writeBytes(Buffer.alloc(padding));
+  }
+  that.closed = true;
+  return length;
+}
+
+/**
+ * Define a writer on the PushChunk prototype, which delegates to the stream writer of the same name.
+ * @param {string} name - is the writer name, such as "writeInt16"
+ * @param {boolean} hasByteOrder - if true, BE and LE variants are also defined, and the writer without suffix uses the chunk byte order
+ */
+function _defineWriter(name, hasByteOrder) {
+  if (!hasByteOrder) {
+    PushChunk.prototype[name] = function() {
+      return this.stream[name].apply(this.stream, arguments);
+    };
+    return;
+  }
+  PushChunk.prototype[name] = function(value) {
+    return this.stream[name + this.byteOrder](value);
+  };
+  PushChunk.prototype[name + "BE"] = function(value) {
+    return this.stream[name + "BE"](value);
+  };
+  PushChunk.prototype[name + "LE"] = function(value) {
+    return this.stream[name + "LE"](value);
+  };
+}
+
+/**
+ * Writers. They have the same names and parameters as the PushStream writers
+ */
+const WRITERS = [
+  "writeByte", "writeInt8", "writeUInt8", "writeBytes",
+  "writeASCII3", "writeASCII4",
+  "writeString88591", "writeStringUTF8", "writeStringUTF16",
+  "writeZString88591", "writeZStringUTF8", "writeZStringUTF16"
+];
+const BYTE_ORDER_WRITERS = [
+  "writeShort", "write3Bytes", "writeLong",
+  "writeInt16", "writeInt24", "writeInt32", "writeInt64",
+  "writeUInt16", "writeUInt24", "writeUInt32", "writeUInt64",
+  "writeFloat32", "writeFloat64"
+];
+WRITERS.forEach(function(name) { _defineWriter(name, false); });
+BYTE_ORDER_WRITERS.forEach(function(name) { _defineWriter(name, true); });
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = PushChunk;
+}
@@ -0,0 +1,327 @@
+/**
+ * @file wg-streams - Push Streams
+ *
+ * Push-streams are the writing counterpart of pull-streams. They provide a synchronous interface to build
+ * binary data in a growable memory buffer, with the same naming and byte order conventions as the pull-streams.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::PushStream');
+
+const PushChunk = require('./pushchunk.js');
+
+
+
+// ================================================================================
+// Push Streams
+// ================================================================================
+
+/**
+ * Create a new, empty, push-stream
+ * @param {integer} initialSize - is the initial size of the buffer (it will grow as needed)
+ */
+function PushStream(initialSize) {
+  this.buffer = Buffer.alloc(initialSize || 1024);
+  this.position = 0;
+  this.length = 0;
+  this.byteOrder = PushStream.BIG_ENDIAN;
+}
+
+/**
+ * Byte orders (same values as PullStream.BIG_ENDIAN and PullStream.LITTLE_ENDIAN)
+ */
+PushStream.BIG_ENDIAN = "BE";
+PushStream.LITTLE_ENDIAN = "LE";
+
+/**
+ * Set the default byte order used by the numeric writers (writeShort, write3Bytes, writeLong...).
+ * Chunks created afterwards inherit this byte order.
+ * @param {string} byteOrder - is PushStream.BIG_ENDIAN or PushStream.LITTLE_ENDIAN
+ */
+PushStream.prototype.setByteOrder = function(byteOrder) {
+  var that = this;
+  if (byteOrder !== PushStream.BIG_ENDIAN && byteOrder !== PushStream.LITTLE_ENDIAN)
+    throw new Exception({byteOrder:byteOrder}, "Invalid byte order");
+  that.byteOrder = byteOrder;
+}
+
+/**
+ * Create a writable chunk at the current position. The chunk length field is reserved now and filled when the
+ * chunk is closed
+ * @param {string} name - is the chunk name, used for troubleshooting
+ * @param {Object} options - are the chunk options (see PushChunk)
+ * @return {PushChunk} - the newly created chunk
+ */
+PushStream.prototype.chunk = function(name, options) {
+  return new PushChunk(name, this, options);
+}
+
+/**
+ * Get the data written so far
+ * @return {Buffer} - a copy of the data
+ */
+PushStream.prototype.toBuffer = function() {
+  var that = this;
+  return Buffer.from(that.buffer.slice(0, that.length));
+}
+
+/**
+ * Get the current write position
+ * @return {integer} - the position, from the beginning of the stream
+ */
+PushStream.prototype.tell = function() {
+  var that = this;
+  return that.position;
+}
+
+/**
+ * Move to an absolute position in the stream, to overwrite data which was already written. Throws an error if the
+ * position is past the data written so far
+ * @param {integer} position - is the position, from the beginning of the stream
+ */
+PushStream.prototype.seek = function(position) {
+  var that = this;
+  if (position < 0 || position > that.length) throw new Exception({position:that.position, length:that.length, seek:position}, "Seek out of the stream");
+  that.position = position;
+}
+
+/**
+ * Make room in the buffer for writing more bytes at the current position
+ * @param {integer} n - the number of bytes about to be written
+ * @return {integer} - the current position, where the bytes should be written
+ */
+PushStream.prototype._reserve = function(n) {
+  var that = this;
+  var needed = that.position + n;
+  if (needed > that.buffer.length) {
+    var size = that.buffer.length * 2;
+    while (size < needed) size = size * 2;
+    log.debug({size:size}, "Growing buffer");
+    var buffer = Buffer.alloc(size);
+    that.buffer.copy(buffer, 0, 0, that.length);
+    that.buffer = buffer;
+  }
+  return that.position;
+}
+
+/**
+ * Record that bytes were written at the current position
+ * @param {integer} n - the number of bytes written
+ */
+PushStream.prototype._advance = function(n) {
+  var that = this;
+  that.position = that.position + n;
+  if (that.position > that.length) that.length = that.position;
+}
+
+/**
+ * Write a single byte to the stream
+ * @param {integer} byte - is the byte (0 to 255)
+ */
+PushStream.prototype.writeByte = function(byte) {
+  var that = this;
+  var index = that._reserve(1);
+  that.buffer.writeUInt8(byte, index);
+  that._advance(1);
+}
+
+/**
+ * Write a signed or unsigned integer to the stream
+ * @param {integer} value - is the value
+ * @param {integer} n - is the number of bytes (1 to 6)
+ * @param {boolean} signed - is true to write a two's complement signed integer
+ * @param {string} byteOrder - is PushStream.BIG_ENDIAN or PushStream.LITTLE_ENDIAN
+ */
+PushStream.prototype._writeInteger = function(value, n, signed, byteOrder) {
+  var that = this;
+  var index = that._reserve(n);
+  if (byteOrder === PushStream.LITTLE_ENDIAN) {
+    if (signed) that.buffer.writeIntLE(value, index, n); else that.buffer.writeUIntLE(value, index, n);
+  }
+  else {
+    if (signed) that.buffer.writeIntBE(value, index, n); else that.buffer.writeUIntBE(value, index, n);
+  }
+  that._advance(n);
+}
+
+/**
+ * Write a signed or unsigned 64 bits integer to the stream
+ * @param {BigInt|integer} value - is the value
+ * @param {boolean} signed - is true to write a two's complement signed integer
+ * @param {string} byteOrder - is PushStream.BIG_ENDIAN or PushStream.LITTLE_ENDIAN
+ */
+PushStream.prototype._writeBigInteger = function(value, signed, byteOrder) {
+  var that = this;
+  var index = that._reserve(8);
+  value = BigInt(value);
+  if (byteOrder === PushStream.LITTLE_ENDIAN) {
+    if (signed) that.buffer.writeBigInt64LE(value, index); else that.buffer.writeBigUInt64LE(value, index);
+  }
+  else {
+    if (signed) that.buffer.writeBigInt64BE(value, index); else that.buffer.writeBigUInt64BE(value, index);
+  }
+  that._advance(8);
+}
+
+/**
+ * Write an IEEE-754 floating point number to the stream
+ * @param {number} value - is the value
+ * @param {integer} n - is the number of bytes (4 for single precision, 8 for double precision)
+ * @param {string} byteOrder - is PushStream.BIG_ENDIAN or PushStream.LITTLE_ENDIAN
+ */
+PushStream.prototype._writeFloat = function(value, n, byteOrder) {
+  var that = this;
+  var index = that._reserve(n);
+  if (byteOrder === PushStream.LITTLE_ENDIAN) {
+    if (n === 4) that.buffer.writeFloatLE(value, index); else that.buffer.writeDoubleLE(value, index);
+  }
+  else {
+    if (n === 4) that.buffer.writeFloatBE(value, index); else that.buffer.writeDoubleBE(value, index);
+  }
+  that._advance(n);
+}
+
+/**
+ * Define a numeric writer on the PushStream prototype, along with its BE and LE variants.
+ * The writer without suffix uses the stream byte order
+ * @param {string} name - is the writer name, such as "writeInt16"
+ * @param {function} write - is the write function. It's called on the stream, with the value and the byte order as parameters
+ */
+function _defineWriter(name, write) {
+  PushStream.prototype[name] = function(value) { return write.call(this, value, this.byteOrder); };
+  PushStream.prototype[name + "BE"] = function(value) { return write.call(this, value, PushStream.BIG_ENDIAN); };
+  PushStream.prototype[name + "LE"] = function(value) { return write.call(this, value, PushStream.LITTLE_ENDIAN); };
+}
+
+/**
+ * Numeric writers, mirroring the PullStream readers. Each writer takes the value as parameter
+ *
+ *   writeShort, write3Bytes, writeLong         unsigned 16, 24 and 32 bits
+ *   writeInt8, writeUInt8                      signed and unsigned 8 bits
+ *   writeInt16, writeInt24, writeInt32         signed integers (also writeUInt16, writeUInt24, writeUInt32)
+ *   writeInt64, writeUInt64                    signed and unsigned 64 bits (BigInt or integer)
+ *   writeFloat32, writeFloat64                 IEEE-754 single and double precision
+ *
+ * Each writer (except 8 bits writers) also exists with a BE and LE suffix. Writers without suffix use the stream byte order
+ */
+_defineWriter("writeShort", function(value, byteOrder) { return this._writeInteger(value, 2, false, byteOrder); });
+_defineWriter("write3Bytes", function(value, byteOrder) { return this._writeInteger(value, 3, false, byteOrder); });
+_defineWriter("writeLong", function(value, byteOrder) { return this._writeInteger(value, 4, false, byteOrder); });
+PushStream.prototype.writeInt8 = function(value) { return this._writeInteger(value, 1, true); }
+PushStream.prototype.writeUInt8 = function(value) { return this._writeInteger(value, 1, false); }
+const INTEGER_SIZES = [ 2, 3, 4, 8 ];
+INTEGER_SIZES.forEach(function(n) {
+  _defineWriter("writeInt" + (n*8), function(value, byteOrder) {
+    if (n === 8) return this._writeBigInteger(value, true, byteOrder);
+    return this._writeInteger(value, n, true, byteOrder);
+  });
+  _defineWriter("writeUInt" + (n*8), function(value, byteOrder) {
+    if (n === 8) return this._writeBigInteger(value, false, byteOrder);
+    return this._writeInteger(value, n, false, byteOrder);
+  });
+});
+_defineWriter("writeFloat32", function(value, byteOrder) { return this._writeFloat(value, 4, byteOrder); });
+_defineWriter("writeFloat64", function(value, byteOrder) { return this._writeFloat(value, 8, byteOrder); });
+
+/**
+ * Write bytes to the stream
+ * @param {Buffer|Uint8Array|integer[]} bytes - are the bytes to write
+ */
+PushStream.prototype.writeBytes = function(bytes) {
+  var that = this;
+  if (!Buffer.isBuffer(bytes)) bytes = Buffer.from(bytes);
+  var index = that._reserve(bytes.length);
+  bytes.copy(that.buffer, index);
+  that._advance(bytes.length);
+}
+
+/**
+ * Write a 3-characters string to the stream. Throws an error if the string does not have exactly 3 characters
+ * @param {string} str - is the string
+ */
+PushStream.prototype.writeASCII3 = function(str) {
+  var that = this;
+  if (str.length !== 3) throw new Exception({str:str}, "Invalid 3-characters string");
+  that.writeBytes(Buffer.from(str, 'latin1'));
+}
+
+/**
+ * Write a 4-characters string to the stream. Throws an error if the string does not have exactly 4 characters
+ * @param {string} str - is the string
+ */
+PushStream.prototype.writeASCII4 = function(str) {
+  var that = this;
+  if (str.length !== 4) throw new Exception({str:str}, "Invalid 4-characters string");
+  that.writeBytes(Buffer.from(str, 'latin1'));
+}
+
+/**
+ * Write a ISO-8859-1 string to the stream (without terminal 0)
+ * @param {string} str - is the string
+ */
+PushStream.prototype.writeString88591 = function(str) {
+  var that = this;
+  that.writeBytes(Buffer.from(str, 'latin1'));
+}
+
+/**
+ * Write a UTF-8 string to the stream (without terminal 0)
+ * @param {string} str - is the string
+ */
+PushStream.prototype.writeStringUTF8 = function(str) {
+  var that = this;
+  that.writeBytes(Buffer.from(str, 'utf8'));
+}
+
+/**
+ * Write a UTF-16 (little endian) string to the stream (without BOM or terminal 0)
+ * @param {string} str - is the string
+ */
+PushStream.prototype.writeStringUTF16 = function(str) {
+  var that = this;
+  that.writeBytes(Buffer.from(str, 'ucs2'));
+}
+
+/**
+ * Write a ISO-8859-1 null terminated string to the stream
+ * @param {string} str - is the string
+ */
+PushStream.prototype.writeZString88591 = function(str) {
+  var that = this;
+  that.writeString88591(str);
+  that.writeByte(0);
+}
+
+/**
+ * Write a UTF-8 null terminated string to the stream
+ * @param {string} str - is the string
+ */
+PushStream.prototype.writeZStringUTF8 = function(str) {
+  var that = this;
+  that.writeStringUTF8(str);
+  that.writeByte(0);
+}
+
+/**
+ * Write a UTF-16 null terminated string to the stream, preceded by a little endian BOM (0xFF 0xFE)
+ * @param {string} str - is the string
+ * @param {boolean} withoutBOM - Optionally set to true to omit the BOM
+ */
+PushStream.prototype.writeZStringUTF16 = function(str, withoutBOM) {
+  var that = this;
+  if (withoutBOM !== true) that.writeBytes([ 0xFF, 0xFE ]);
+  that.writeStringUTF16(str);
+  that.writeBytes([ 0x00, 0x00 ]);
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = PushStream;
+}
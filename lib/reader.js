@@ -0,0 +1,938 @@
+/**
+ * @file wg-streams - Readers
+ *
+ * The reader functions shared by Pull Streams and Chunks. Both inherit from Reader, so that every read, skip, string
+ * and scan function works the same way on a stream and on a chunk. A reader has
+ *   - stream, the underlying PullStream (undefined for a PullStream, which is its own stream)
+ *   - startPosition, the absolute position of the beginning of the reader (0 for a PullStream)
+ *   - maxPosition, the absolute position of the end of the reader
+ *   - byteOrder, the byte order of the numeric readers without BE or LE suffix
+ *   - marks, the stack of positions remembered by mark()
+ *
+ * The stream may have resource limits (see Limits), which are checked by the reader functions: wall-clock budget on
+ * every read, string lengths, and bytes searched by scans and null terminated string readers.
+ *
+ * Positions given to and returned by the reader functions are relative to startPosition. Bytes are accessed through
+ * the low level functions of the PullStream (_window, _slice, _find), which do not check boundaries: readers check
+ * their capacity first.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Exception = require('wg-log').Exception;
+
+const BitReader = require('./bitreader.js');
+const Text = require('./text.js');
+const Errors = require('./errors.js');
+
+
+
+
+// ================================================================================
+// Readers
+// ================================================================================
+
+/**
+ * Base class of PullStream and Chunk. Not meant to be created directly
+ */
+function Reader() {
+}
+
+/**
+ * Byte orders
+ */
+Reader.BIG_ENDIAN = "BE";
+Reader.LITTLE_ENDIAN = "LE";
+
+/**
+ * Get the underlying stream of a reader
+ */
+function _stream(reader) {
+  return reader.stream || reader;
+}
+
+/**
+ * Get the kind of reader ("stream" or "chunk"), used in error messages
+ */
+function _kind(reader) {
+  return reader.stream ? "chunk" : "stream";
+}
+
+/**
+ * Set the byte order used by the numeric readers without BE or LE suffix (readShort, read3Bytes, readLong, readInt16...).
+ * Chunks created afterwards inherit this byte order. Setting the byte order of a chunk leaves the stream byte order
+ * unchanged
+ * @param {string} byteOrder - is Reader.BIG_ENDIAN or Reader.LITTLE_ENDIAN
+ */
+Reader.prototype.setByteOrder = function(byteOrder) {
+  var that = this;
+  if (byteOrder !== Reader.BIG_ENDIAN && byteOrder !== Reader.LITTLE_ENDIAN)
+    throw new Exception({name:that.name, byteOrder:byteOrder}, "Invalid byte order");
+  that.byteOrder = byteOrder;
+}
+
+/**
+ * Get the path of the stream or chunk, for troubleshooting: the names of the chunk and of its ancestors
+ * @return {string} - the path, such as "file > moov > trak[1] > stsd", or an empty string for a stream
+ */
+Reader.prototype.getPath = function() {
+  return Errors.getPath(this);
+}
+
+/**
+ * Create a bit reader starting at the current position. Reads will fail past the end of the stream or chunk
+ * @return {BitReader} - the bit reader
+ */
+Reader.prototype.bitReader = function() {
+  return new BitReader(this);
+}
+
+/**
+ * Is there any more data to read?
+ * @param {integer} n - the expected number of bytes, or undefined. If undefined, we'll check there's at least one byte
+ * @return {boolean} - a boolean value indicating whether there's more data too read or not
+ */
+Reader.prototype.hasMore = function(n) {
+  var that = this;
+  if (n === undefined) n = 1;
+  var remaining = that.maxPosition - _stream(that).position;
+  if (n > remaining) return false;
+  return true;
+}
+
+/**
+ * Ensures that there's more bytes to read. If not, will throw a ShortReadError
+ * @param {integer} n - the expected number of bytes
+ */
+Reader.prototype.ensureCapacity = function(n) {
+  var that = this;
+  var remaining = that.maxPosition - _stream(that).position;
+  if (n > remaining) throw new Errors.ShortReadError(that, n);
+}
+
+/**
+ * Skip a certain number of bytes
+ * @param {integer} n - is the number of bytes to skip. If undefined, then skip to the end
+ */
+Reader.prototype.skip = function(n) {
+  var that = this;
+  var stream = _stream(that);
+  if (n === undefined) n = that.maxPosition - stream.position;
+  if (n <= 0) return;
+  that.ensureCapacity(n);
+  var position = stream.position;
+  stream.position = stream.position + n;
+  if (stream.tracer !== undefined && stream.tracer.depth === 0) stream.tracer.record(that, "skip", position);
+}
+
+/**
+ * Move the end boundary. Throws an error if the new end is before the current position, or past the end of the parent
+ * chunk or stream (for a chunk) or of the data (for a stream)
+ * @param {integer} n - the number of bytes to extend to. A negative number shrinks the stream or chunk
+ */
+Reader.prototype.extend = function(n) {
+  var that = this;
+  var stream = _stream(that);
+  var maxPosition = that.maxPosition + n;
+  var limit = that.stream ? (that.parent || stream).maxPosition : stream._size();
+  if (maxPosition > limit) throw new Errors.ReaderError(that, {maxPosition:that.maxPosition, n:n, limit:limit}, "Extend past the end of the " + (that.stream ? (that.parent ? "parent" : "stream") : "data"));
+  if (maxPosition < stream.position) throw new Errors.ReaderError(that, {maxPosition:that.maxPosition, n:n}, "Extend before the current position");
+  that.maxPosition = maxPosition;
+}
+
+/**
+ * Get the current position
+ * @return {integer} - the position, relative to the beginning of the stream or chunk
+ */
+Reader.prototype.tell = function() {
+  var that = this;
+  return _stream(that).position - that.startPosition;
+}
+
+/**
+ * Move to a position. Throws an error if the position is outside of the stream or chunk
+ * @param {integer} offset - is the position, relative to the beginning of the stream or chunk
+ */
+Reader.prototype.seek = function(offset) {
+  var that = this;
+  var stream = _stream(that);
+  if (!Number.isSafeInteger(offset)) throw new Errors.ReaderError(that, {seek:offset}, "Invalid seek offset (not an integer)");
+  var position = that.startPosition + offset;
+  if (offset < 0) throw new Errors.ReaderError(that, {startPosition:that.startPosition, seek:offset}, "Seek before the " + _kind(that) + " start");
+  if (position > stream.position) that.ensureCapacity(position - stream.position);
+  stream.position = position;
+}
+
+/**
+ * Remember the current position. Marks are stacked, a subsequent call to reset() will move back to this position
+ */
+Reader.prototype.mark = function() {
+  var that = this;
+  that.marks.push(that.tell());
+}
+
+/**
+ * Move back to the position remembered by the last call to mark(), and remove the mark
+ */
+Reader.prototype.reset = function() {
+  var that = this;
+  if (that.marks.length === 0) throw new Errors.ReaderError(that, {}, "Reset without mark");
+  that.seek(that.marks.pop());
+}
+
+/**
+ * Remove the last mark without changing the current position
+ */
+Reader.prototype.unmark = function() {
+  var that = this;
+  if (that.marks.length === 0) throw new Errors.ReaderError(that, {}, "Unmark without mark");
+  that.marks.pop();
+}
+
+
+
+// ================================================================================
+// Reader definitions
+// ================================================================================
+
+/**
+ * Define a reader on both PullStream and Chunk, along with its "peek" counterpart if its name starts with "read".
+ * This is also the extension point for third-party readers: the read function is called on the stream or chunk, and
+ * can use any other reader function (readByte, readBytes, ensureCapacity...)
+ *
+ *   Reader.defineReader("readVarInt", function() { ... });
+ *   Reader.defineReader("readColor", function(byteOrder) { ... }, { byteOrder: true });
+ *
+ * @param {string} name - is the reader name, such as "readInt16"
+ * @param {function} read - is the read function. It's called with the reader arguments, preceded by the byte order
+ *                          if options.byteOrder is set
+ * @param {Object} options - is an optional set of options
+ * @param {boolean} options.byteOrder - is true to define BE and LE variants. The reader without suffix uses the
+ *                                      byte order of the stream or chunk
+ */
+Reader.defineReader = function(name, read, options) {
+  options = options || {};
+  if (!options.byteOrder) {
+    _define(name, read);
+    return;
+  }
+  var withByteOrder = function(byteOrder) {
+    return function() {
+      var args = Array.prototype.slice.call(arguments);
+      return read.apply(this, [ byteOrder || this.byteOrder ].concat(args));
+    };
+  };
+  _define(name, withByteOrder(undefined));
+  _define(name + "BE", withByteOrder(Reader.BIG_ENDIAN));
+  _define(name + "LE", withByteOrder(Reader.LITTLE_ENDIAN));
+}
+
+/**
+ * Define a single function on the Reader prototype, and its "peek" counterpart. The peek function returns the same
+ * value but leaves the position unchanged (peekByte, peekShort, peekZStringUTF8, peekBuffer...).
+ * When the stream is traced (see PullStream.startTrace), the outermost reader call is recorded. When the stream has
+ * limits (see PullStream.setLimits), the wall-clock budget is checked before each call
+ */
+function _define(name, read) {
+  Reader.prototype[name] = function() {
+    var that = this;
+    var stream = _stream(that);
+    if (stream.limits !== undefined) stream.limits.checkTime(that);
+    var tracer = stream.tracer;
+    if (tracer === undefined || tracer.depth > 0) return read.apply(that, arguments);
+    var position = stream.position;
+    tracer.depth = tracer.depth + 1;
+    try {
+      var value = read.apply(that, arguments);
+      tracer.record(that, name, position, value);
+      return value;
+    } catch (err) {
+      tracer.record(that, name, position, undefined, err);
+      throw err;
+    } finally {
+      tracer.depth = tracer.depth - 1;
+    }
+  };
+  if (name.substring(0, 4) !== "read") return;
+  Reader.prototype["peek" + name.substring(4)] = function() {
+    var that = this;
+    var stream = _stream(that);
+    var tracer = stream.tracer;
+    var position = stream.position;
+    if (tracer !== undefined) tracer.depth = tracer.depth + 1;       // peeks are not traced
+    try {
+      return that[name].apply(that, arguments);
+    } finally {
+      stream.position = position;
+      if (tracer !== undefined) tracer.depth = tracer.depth - 1;
+    }
+  };
+}
+
+
+
+// ================================================================================
+// Numeric readers
+// ================================================================================
+
+/**
+ * Read a signed or unsigned integer at the current position of a stream, and move past it
+ * @param {PullStream} stream - is the stream. The caller is responsible for checking the capacity first
+ * @param {integer} n - is the number of bytes (1 to 6)
+ * @param {boolean} signed - is true to read a two's complement signed integer
+ * @param {string} byteOrder - is Reader.BIG_ENDIAN or Reader.LITTLE_ENDIAN
+ * @return {integer} - The integer
+ */
+function _readInteger(stream, n, signed, byteOrder) {
+  var index = stream._window(n);
+  var value;
+  if (byteOrder === Reader.LITTLE_ENDIAN)
+    value = signed ? stream.buffer.readIntLE(index, n) : stream.buffer.readUIntLE(index, n);
+  else
+    value = signed ? stream.buffer.readIntBE(index, n) : stream.buffer.readUIntBE(index, n);
+  stream.position = stream.position + n;
+  return value;
+}
+
+/**
+ * Read a signed or unsigned 64 bits integer at the current position of a stream, and move past it
+ * @param {PullStream} stream - is the stream. The caller is responsible for checking the capacity first
+ * @param {boolean} signed - is true to read a two's complement signed integer
+ * @param {string} byteOrder - is Reader.BIG_ENDIAN or Reader.LITTLE_ENDIAN
+ * @return {BigInt} - The integer
+ */
+function _readBigInteger(stream, signed, byteOrder) {
+  var index = stream._window(8);
+  var value;
+  if (byteOrder === Reader.LITTLE_ENDIAN)
+    value = signed ? stream.buffer.readBigInt64LE(index) : stream.buffer.readBigUInt64LE(index);
+  else
+    value = signed ? stream.buffer.readBigInt64BE(index) : stream.buffer.readBigUInt64BE(index);
+  stream.position = stream.position + 8;
+  return value;
+}
+
+/**
+ * Read an IEEE-754 floating point number at the current position of a stream, and move past it
+ * @param {PullStream} stream - is the stream. The caller is responsible for checking the capacity first
+ * @param {integer} n - is the number of bytes (4 for single precision, 8 for double precision)
+ * @param {string} byteOrder - is Reader.BIG_ENDIAN or Reader.LITTLE_ENDIAN
+ * @return {number} - The floating point number
+ */
+function _readFloat(stream, n, byteOrder) {
+  var index = stream._window(n);
+  var value;
+  if (byteOrder === Reader.LITTLE_ENDIAN)
+    value = n === 4 ? stream.buffer.readFloatLE(index) : stream.buffer.readDoubleLE(index);
+  else
+    value = n === 4 ? stream.buffer.readFloatBE(index) : stream.buffer.readDoubleBE(index);
+  stream.position = stream.position + n;
+  return value;
+}
+
+/**
+ * Read an 80 bits IEEE-754 extended precision floating point number (as used by AIFF sample rates) at the current
+ * position of a stream, and move past it. The 64 bits mantissa is rounded to a double.
+ * @param {PullStream} stream - is the stream. The caller is responsible for checking the capacity first
+ * @param {string} byteOrder - is Reader.BIG_ENDIAN or Reader.LITTLE_ENDIAN
+ * @return {number} - The floating point number
+ */
+function _readExtended(stream, byteOrder) {
+  var index = stream._window(10);
+  var buffer = stream.buffer;
+  var signAndExponent, hi, lo;
+  if (byteOrder === Reader.LITTLE_ENDIAN) {
+    lo = buffer.readUInt32LE(index);
+    hi = buffer.readUInt32LE(index + 4);
+    signAndExponent = buffer.readUInt16LE(index + 8);
+  }
+  else {
+    signAndExponent = buffer.readUInt16BE(index);
+    hi = buffer.readUInt32BE(index + 2);
+    lo = buffer.readUInt32BE(index + 6);
+  }
+  stream.position = stream.position + 10;
+  var sign = (signAndExponent & 0x8000) ? -1 : 1;
+  var exponent = signAndExponent & 0x7FFF;
+  if (exponent === 0x7FFF) {
+    if ((hi & 0x7FFFFFFF) === 0 && lo === 0) return sign * Infinity;
+    return NaN;
+  }
+  if (exponent === 0 && hi === 0 && lo === 0) return sign * 0;
+  var mantissa = hi * 0x100000000 + lo;
+  return sign * mantissa * Math.pow(2, exponent - 16383 - 63);
+}
+
+/**
+ * Define a fixed size numeric reader, along with its BE and LE variants. The reader checks the capacity, and then
+ * decodes the value from the stream
+ * @param {string} name - is the reader name, such as "readInt16"
+ * @param {integer} n - is the number of bytes read
+ * @param {function} decode - is called with (stream, byteOrder) and returns the value
+ */
+function _defineNumericReader(name, n, decode) {
+  Reader.defineReader(name, function(byteOrder) {
+    this.ensureCapacity(n);
+    return decode(_stream(this), byteOrder);
+  }, { byteOrder: true });
+}
+
+/**
+ * Unsigned integer readers (historical names)
+ *
+ *   readShort, readShortBE, readShortLE      16 bits
+ *   read3Bytes, read3BytesBE, read3BytesLE   24 bits
+ *   readLong, readLongBE, readLongLE         32 bits
+ *
+ * Readers without a BE or LE suffix use the byte order of the stream or chunk
+ */
+Reader.defineReader("readByte", function() {
+  this.ensureCapacity(1);
+  return _readInteger(_stream(this), 1, false);
+});
+[ [ "readShort", 2 ], [ "read3Bytes", 3 ], [ "readLong", 4 ] ].forEach(function(reader) {
+  _defineNumericReader(reader[0], reader[1], function(stream, byteOrder) { return _readInteger(stream, reader[1], false, byteOrder); });
+});
+
+/**
+ * Signed and unsigned integer readers. Throw an error if trying to read past the end of the stream or chunk
+ *
+ *   readInt8, readUInt8
+ *   readInt16, readInt16BE, readInt16LE, readUInt16, readUInt16BE, readUInt16LE
+ *   readInt24, readInt24BE, readInt24LE, readUInt24, readUInt24BE, readUInt24LE
+ *   readInt32, readInt32BE, readInt32LE, readUInt32, readUInt32BE, readUInt32LE
+ *   readInt64, readInt64BE, readInt64LE, readUInt64, readUInt64BE, readUInt64LE
+ *
+ * Readers without a BE or LE suffix use the byte order of the stream or chunk. 64 bits readers return a BigInt
+ */
+Reader.defineReader("readInt8", function() {
+  this.ensureCapacity(1);
+  return _readInteger(_stream(this), 1, true);
+});
+Reader.defineReader("readUInt8", function() {
+  this.ensureCapacity(1);
+  return _readInteger(_stream(this), 1, false);
+});
+const INTEGER_SIZES = [ 2, 3, 4, 8 ];
+INTEGER_SIZES.forEach(function(n) {
+  _defineNumericReader("readInt" + (n*8), n, function(stream, byteOrder) {
+    if (n === 8) return _readBigInteger(stream, true, byteOrder);
+    return _readInteger(stream, n, true, byteOrder);
+  });
+  _defineNumericReader("readUInt" + (n*8), n, function(stream, byteOrder) {
+    if (n === 8) return _readBigInteger(stream, false, byteOrder);
+    return _readInteger(stream, n, false, byteOrder);
+  });
+});
+
+/**
+ * Floating point, fixed point and rational readers. Throw an error if trying to read past the end of the stream or chunk
+ *
+ *   readFloat32, readFloat64         IEEE-754 single and double precision
+ *   readFloat80                      IEEE-754 extended precision (AIFF)
+ *   readFixed16_16, readUFixed16_16  signed and unsigned 16.16 fixed point (ISO BMFF matrices, dimensions)
+ *   readFixed8_8, readUFixed8_8      signed and unsigned 8.8 fixed point (ISO BMFF volume)
+ *   readFixed2_30                    signed 2.30 fixed point (ISO BMFF matrices)
+ *   readRational, readSRational      unsigned and signed 32/32 bits rationals (TIFF/EXIF). NaN if the denominator is 0
+ *
+ * Each reader also exists with a BE and LE suffix. Readers without suffix use the byte order of the stream or chunk
+ */
+_defineNumericReader("readFloat32", 4, function(stream, byteOrder) { return _readFloat(stream, 4, byteOrder); });
+_defineNumericReader("readFloat64", 8, function(stream, byteOrder) { return _readFloat(stream, 8, byteOrder); });
+_defineNumericReader("readFloat80", 10, function(stream, byteOrder) { return _readExtended(stream, byteOrder); });
+[ [ "readFixed16_16", 16, 16, true ], [ "readUFixed16_16", 16, 16, false ], [ "readFixed8_8", 8, 8, true ],
+  [ "readUFixed8_8", 8, 8, false ], [ "readFixed2_30", 2, 30, true ] ].forEach(function(reader) {
+  var integerBits = reader[1], fractionBits = reader[2], signed = reader[3];
+  _defineNumericReader(reader[0], (integerBits + fractionBits) / 8, function(stream, byteOrder) {
+    var value = _readInteger(stream, (integerBits + fractionBits) / 8, signed, byteOrder);
+    return value / Math.pow(2, fractionBits);
+  });
+});
+[ [ "readRational", false ], [ "readSRational", true ] ].forEach(function(reader) {
+  _defineNumericReader(reader[0], 8, function(stream, byteOrder) {
+    var numerator = _readInteger(stream, 4, reader[1], byteOrder);
+    var denominator = _readInteger(stream, 4, reader[1], byteOrder);
+    if (denominator === 0) return NaN;
+    return numerator / denominator;
+  });
+});
+
+
+
+// ================================================================================
+// Bytes and strings
+// ================================================================================
+
+/**
+ * Read a given number of bytes. Throws an error if trying to read past the end of the stream or chunk
+ * @param {integer} n - is the number of bytes to read
+ * @return {Buffer} - The bytes. The buffer may share memory with the stream
+ */
+Reader.defineReader("readBytes", function(n) {
+  var that = this;
+  var stream = _stream(that);
+  that.ensureCapacity(n);
+  var bytes = stream._slice(stream.position, stream.position + n);
+  stream.position = stream.position + n;
+  return bytes;
+});
+
+/**
+ * Read the bytes up to the end of the stream or chunk, as a buffer. The position is left unchanged
+ * @return {Buffer} - The buffer. It may share memory with the stream
+ */
+Reader.defineReader("readBuffer", function() {
+  var that = this;
+  var stream = _stream(that);
+  return stream._slice(stream.position, that.maxPosition);
+});
+
+/**
+ * Read a single 3-bytes as a string. Throws an error if trying to read past the end of the stream or chunk
+ * @return {string} - The 3-characters string
+ */
+Reader.defineReader("readASCII3", function() {
+  this.ensureCapacity(3);
+  return _stream(this).readBytes(3).toString('latin1');
+});
+
+/**
+ * Read a single 4-bytes as a string. Throws an error if trying to read past the end of the stream or chunk
+ * @return {string} - The 4-characters string
+ */
+Reader.defineReader("readASCII4", function() {
+  this.ensureCapacity(4);
+  return _stream(this).readBytes(4).toString('latin1');
+});
+
+/**
+ * Read a ISO-8859-1 null terminated string. This will read as much bytes as possible, until reaching a terminal 0.
+ * If there's no terminal 0, then an exception will be thrown trying to read past the end of the stream or chunk.
+ *
+ * @param {boolean} allowShortRead - Optionally set to true to accept strings without a final 0 (will read till the end)
+ * @return {string} - The decoded string (without the termination 0)
+ */
+Reader.defineReader("readZString88591", function(allowShortRead) {
+  var that = this;
+  var stream = _stream(that);
+  var from = stream.position;
+  var end = _findZStringEnd(that, that.maxPosition, 1, "when reading ISO-8859-1 string");
+  if (end !== -1) {
+    stream.position = end + 1;
+    return stream._slice(from, end).toString('latin1');
+  }
+  stream.position = that.maxPosition;
+  if (allowShortRead === true) return stream._slice(from, that.maxPosition).toString('latin1');
+  throw new Errors.ShortReadError(that, undefined, "when reading ISO-8859-1 string");
+});
+
+/**
+ * Read a UNICODE null terminated string, with an optional byte order mark (little endian if none). This will read as
+ * much bytes as possible, until reaching a terminal 0. If there's no terminal 0, then an exception will be thrown
+ * trying to read past the end of the stream or chunk.
+ *
+ * @param {boolean} allowShortRead - Optionally set to true to accept strings without a final 0 (will read till the end)
+ * @return {string} - The decoded string (without the termination 0)
+ */
+Reader.defineReader("readZStringUTF16", function(allowShortRead) {
+  var that = this;
+  var stream = _stream(that);
+  var from = stream.position;
+  var bytes = [];             // little endian copy of the string bytes
+  var bigEndian = false;
+  var override = undefined;   // replaces the next byte when fixing a malformed BOM
+  var next = function() {
+    var b = stream.readByte();
+    if (override !== undefined) { b = override; override = undefined; }
+    return b;
+  };
+  while ((that.maxPosition - stream.position) > 1) {
+    var b1 = next();
+    var b2 = next();
+    if (b1 === 0xFF && b2 === 0x00) {
+      // Some ID3 tags have malformed BOMs. In this case, the BOM is 0xFF 0x00 0xFE which should be read 0xFE 0xFF 0x00
+      b2 = b1;
+      b1 = stream.hasMore() ? stream.peekByte() : undefined;
+      override = 0;
+    }
+    if (b1 === 0xFF && b2 === 0xFE) continue;
+    if (b1 === 0xFE && b2 === 0xFF) { bigEndian = true; continue; }
+    if (b1 === 0x00 && b2 === 0x00) {
+      return Buffer.from(bytes).toString('ucs2');
+    }
+    if (bigEndian) bytes.push(b2, b1);
+    else bytes.push(b1, b2);
+    if (stream.limits !== undefined && stream.limits.maxStringLength < bytes.length) {
+      stream.position = from;
+      stream.limits.checkString(that, bytes.length, "when reading UTF-16 string");
+    }
+  }
+  if (allowShortRead === true) {
+    return Buffer.from(bytes).toString('ucs2');
+  }
+  throw new Errors.ShortReadError(that, undefined, "when reading UTF-16 string");
+});
+
+/**
+ * Read a UTF-8 null terminated string. This will read as much bytes as possible, until reaching a terminal 0.
+ * If there's no terminal 0, then an exception will be thrown trying to read past the end of the stream or chunk.
+ *
+ * @param {boolean} allowShortRead - Optionally set to true to accept strings without a final 0 (will read till the end)
+ * @return {string} - The decoded string (without the termination 0)
+ */
+Reader.defineReader("readZStringUTF8", function(allowShortRead) {
+  var that = this;
+  var stream = _stream(that);
+  var from = stream.position;
+  var end = _findZStringEnd(that, that.maxPosition, 1, "when reading UTF-8 string");
+  if (end !== -1) {
+    stream.position = end + 1;
+    return stream._slice(from, end).toString('utf8');
+  }
+  stream.position = that.maxPosition;
+  if (allowShortRead === true) return stream._slice(from, that.maxPosition).toString('utf8');
+  throw new Errors.ShortReadError(that, undefined, "when reading UTF-8 string");
+});
+
+/**
+ * Find the terminator of a null terminated string starting at the current position, within the maximum string length
+ * of the stream limits if any. Throws a LimitError if the string is longer
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @param {integer} to - is the absolute position where the search ends
+ * @param {integer} unitSize - is the code unit size, 1 or 2 bytes
+ * @param {string} what - is the kind of string, for error messages
+ * @return {integer} - the absolute position of the terminator, or -1 if not found
+ */
+function _findZStringEnd(reader, to, unitSize, what) {
+  var stream = _stream(reader);
+  var from = stream.position;
+  var limits = stream.limits;
+  if (limits === undefined || limits.maxStringLength === undefined || from + limits.maxStringLength + unitSize >= to)
+    return _findTerminator(reader, from, to, unitSize);
+  var end = _findTerminator(reader, from, from + limits.maxStringLength + unitSize, unitSize);
+  if (end === -1) limits.checkString(reader, limits.maxStringLength + unitSize, what);
+  return end;
+}
+
+/**
+ * Read a ISO-8859-1 string. This will read as much bytes as possible until the end of the stream or chunk.
+ *
+ * @return {string} - The decoded string
+ */
+Reader.defineReader("readString88591", function() {
+  var that = this;
+  var remaining = that.maxPosition - _stream(that).position;
+  if (remaining <= 0) return "";
+  _checkString(that, remaining, "when reading ISO-8859-1 string");
+  return that.readBytes(remaining).toString('latin1');
+});
+
+/**
+ * Read a UTF-8 string up to the end of the stream or chunk. The position is left unchanged
+ *
+ * @return {string} - The decoded string
+ */
+Reader.defineReader("readStringUTF8", function() {
+  _checkString(this, this.maxPosition - _stream(this).position, "when reading UTF-8 string");
+  return this.readBuffer().toString('utf8');
+});
+
+/**
+ * Read a UTF-16 (little endian) string up to the end of the stream or chunk. The position is left unchanged
+ *
+ * @return {string} - The decoded string
+ */
+Reader.defineReader("readStringUTF16", function() {
+  _checkString(this, this.maxPosition - _stream(this).position, "when reading UTF-16 string");
+  return this.readBuffer().toString('ucs2');
+});
+
+/**
+ * Read a fixed length string with an explicit encoding. The bytes are decoded without being modified. If decoding
+ * fails (strict mode), the position is unchanged
+ * @param {integer} length - is the number of bytes to read
+ * @param {string} encoding - is the encoding: "latin1", "windows-1252", "ascii", "utf8", "utf16" (byte order detected
+ *                            from the byte order mark), "utf16le" or "utf16be" (see Text.getEncoding). Default is "latin1"
+ * @param {Object} options - is an optional set of options
+ * @param {string} options.errors - is "replace" (default) to replace invalid bytes with U+FFFD, or "strict" to throw an error
+ * @param {string} options.defaultByteOrder - is the byte order of "utf16" strings without byte order mark ("LE" by default)
+ * @param {boolean} options.details - is true to return { value, encoding, bytesRead } instead of the string. The encoding
+ *                                    is the encoding actually used (such as "utf16be" for "utf16")
+ * @return {string|Object} - The decoded string, or its details
+ */
+Reader.defineReader("readString", function(length, encoding, options) {
+  var that = this;
+  options = options || {};
+  _checkString(that, length, "when reading " + (encoding || "latin1") + " string");
+  var decoded = Text.decode(that.peekBytes(length), encoding || "latin1", options);
+  that.skip(length);
+  return _decoded(decoded, length, options);
+});
+
+/**
+ * Read a null terminated string with an explicit encoding. The terminator is a 0 byte, or two 0 bytes aligned on a code
+ * unit for UTF-16. It is consumed but is not part of the string. The bytes are decoded without being modified. If
+ * reading fails, the position is unchanged
+ * @param {string} encoding - is the encoding (see readString). Default is "latin1"
+ * @param {Object} options - is an optional set of options (see readString), and
+ * @param {boolean} options.allowShortRead - is true to accept strings without terminator (reads till the end)
+ * @param {integer} options.maxLength - is the maximum number of bytes of the string, terminator included. A longer
+ *                                      string is truncated if allowShortRead is set, and throws an error otherwise
+ * @return {string|Object} - The decoded string, or its details. bytesRead counts the terminator
+ */
+Reader.defineReader("readZString", function(encoding, options) {
+  var that = this;
+  var stream = _stream(that);
+  options = options || {};
+  encoding = encoding || "latin1";
+  var unitSize = Text.getEncoding(encoding).unitSize;
+  var from = stream.position;
+  var to = that.maxPosition;
+  if (options.maxLength !== undefined) to = Math.min(to, from + options.maxLength);
+  var end = _findZStringEnd(that, to, unitSize, "when reading " + encoding + " string");
+  var bytesRead;
+  if (end !== -1) bytesRead = end - from + unitSize;
+  else {
+    if (options.allowShortRead !== true && to < that.maxPosition)
+      throw new Errors.ReaderError(that, {maxLength:options.maxLength, encoding:encoding}, "String too long (more than " + options.maxLength + " bytes) when reading " + encoding + " string");
+    if (options.allowShortRead !== true)
+      throw new Errors.ShortReadError(that, undefined, "when reading " + encoding + " string");
+    end = to;
+    bytesRead = to - from;
+  }
+  var decoded = Text.decode(stream._slice(from, end), encoding, options);
+  that.skip(bytesRead);
+  return _decoded(decoded, bytesRead, options);
+});
+
+/**
+ * Find the terminator of a null terminated string
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @param {integer} from - is the absolute position of the string
+ * @param {integer} to - is the absolute position where the search ends
+ * @param {integer} unitSize - is the code unit size, 1 or 2 bytes
+ * @return {integer} - the absolute position of the terminator, or -1 if not found
+ */
+function _findTerminator(reader, from, to, unitSize) {
+  var terminator = Buffer.alloc(unitSize);
+  var found = _find(reader, terminator, from, to, false);
+  while (found !== -1 && (found - from) % unitSize !== 0) found = _find(reader, terminator, found + 1, to, false);
+  return found;
+}
+
+/**
+ * Check a string length against the stream limits, if any
+ */
+function _checkString(reader, length, what) {
+  var limits = _stream(reader).limits;
+  if (limits !== undefined) limits.checkString(reader, length, what);
+}
+
+/**
+ * Get the result of a string reader, depending on the "details" option
+ */
+function _decoded(decoded, bytesRead, options) {
+  if (!options.details) return decoded.value;
+  return { value: decoded.value, encoding: decoded.encoding, bytesRead: bytesRead };
+}
+
+
+
+// ================================================================================
+// Scanning
+// ================================================================================
+
+/**
+ * Scan forward, from the current position, looking for a pattern. The search never goes past the end of the stream or chunk
+ * @param {Buffer|Uint8Array|string|integer[]} needle - is the pattern. Strings are converted as ISO-8859-1
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.limit - is the maximum number of bytes to search. The match must be within these bytes
+ * @return {integer} - the position of the match (as returned by tell), or -1 if not found. If found, the reader is
+ *                     left at the beginning of the match. Otherwise, the position is unchanged
+ */
+Reader.prototype.scan = function(needle, options) {
+  var that = this;
+  var stream = _stream(that);
+  options = options || {};
+  var to = that.maxPosition;
+  if (options.limit !== undefined) to = Math.min(to, stream.position + options.limit);
+  var found = _find(that, needle, stream.position, to, false);
+  if (found === -1) return -1;
+  stream.position = found;
+  return found - that.startPosition;
+}
+
+/**
+ * Scan backward, from the end of the stream or chunk, looking for a pattern. This is useful to find trailers and
+ * footers, such as ZIP end of central directory records or ID3v1 tags. The search does not go before the current position
+ * @param {Buffer|Uint8Array|string|integer[]} needle - is the pattern. Strings are converted as ISO-8859-1
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.limit - is the maximum number of bytes to search, from the end of the stream or chunk
+ * @return {integer} - the position of the last match (as returned by tell), or -1 if not found. If found, the reader
+ *                     is left at the beginning of the match. Otherwise, the position is unchanged
+ */
+Reader.prototype.scanBackward = function(needle, options) {
+  var that = this;
+  var stream = _stream(that);
+  options = options || {};
+  var from = stream.position;
+  if (options.limit !== undefined) from = Math.max(from, that.maxPosition - options.limit);
+  var found = _find(that, needle, from, that.maxPosition, true);
+  if (found === -1) return -1;
+  stream.position = found;
+  return found - that.startPosition;
+}
+
+/**
+ * Find all the occurrences of a pattern, from the current position, without moving the current position.
+ * Occurrences do not overlap
+ * @param {Buffer|Uint8Array|string|integer[]} needle - is the pattern. Strings are converted as ISO-8859-1
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.limit - is the maximum number of bytes to search
+ * @return {integer[]} - the positions of the matches (as returned by tell)
+ */
+Reader.prototype.findAll = function(needle, options) {
+  var that = this;
+  var stream = _stream(that);
+  options = options || {};
+  var to = that.maxPosition;
+  if (options.limit !== undefined) to = Math.min(to, stream.position + options.limit);
+  if (stream.limits === undefined) {
+    return stream._findAll(needle, stream.position, to).map(function(position) {
+      return position - that.startPosition;
+    });
+  }
+  var positions = [];
+  var found = _find(that, needle, stream.position, to, false);
+  while (found !== -1) {
+    positions.push(found - that.startPosition);
+    found = _find(that, needle, found + needle.length, to, false);
+  }
+  return positions;
+}
+
+/**
+ * Search a pattern in a range of a stream or chunk, within the scan budget of the stream limits if any
+ * (see PullStream._find and Limits.find)
+ */
+function _find(reader, needle, from, to, backward) {
+  var stream = _stream(reader);
+  if (stream.limits === undefined) return stream._find(needle, from, to, backward);
+  return stream.limits.find(reader, needle, from, to, backward);
+}
+
+/**
+ * Scan looking for a "magic" 3-bytes number (big endian)
+ * @return {boolean} - A boolean indicating whether the magic number was found. If so the reader is left at the
+ *             position right after the magic number is found. Otherwise, it's left at the end of the stream or chunk
+ */
+Reader.prototype.scan3Bytes = function(expected) {
+  var that = this;
+  var needle = Buffer.alloc(3);
+  needle.writeUIntBE(expected, 0, 3);
+  if (that.scan(needle) === -1) { that.skip(); return false; }
+  that.skip(3);
+  return true;
+}
+
+/**
+ * Scan looking for a "magic" long (4 bytes) number (big endian)
+ * @return {boolean} - A boolean indicating whether the magic number was found. If so the reader is left at the
+ *             position right after the magic number is found. Otherwise, it's left at the end of the stream or chunk
+ */
+Reader.prototype.scanLong = function(expected) {
+  var that = this;
+  var needle = Buffer.alloc(4);
+  needle.writeUInt32BE(expected >>> 0, 0);
+  if (that.scan(needle) === -1) { that.skip(); return false; }
+  that.skip(4);
+  return true;
+}
+
+
+
+// ================================================================================
+// Chunk sequences
+// ================================================================================
+
+/**
+ * Iterate over a sequence of chunks, such as the chunks of a RIFF file or the boxes of an ISO base media file. Each
+ * chunk starts with a header, read by a header reader function which returns the chunk name and length. The
+ * iteration stops at the end of the stream or chunk, or when the header reader returns undefined.
+ *
+ * The iterator is asynchronous (for await), and lazy: the next header is read when the next chunk is requested, after
+ * skipping what is left of the previous chunk (and its padding). Errors reject the promise of the next chunk.
+ *
+ *     for await (var chunk of stream.chunks(Reader.typeAndLength)) {
+ *       if (chunk.name === "fmt ") ...
+ *     }
+ *
+ * @param {function} readHeader - is the header reader, called with the stream or chunk being iterated. It returns
+ *                                { name, length, padding } or undefined. The length does not include the header, and
+ *                                is undefined for a chunk till the end. Padding is an optional number of bytes after
+ *                                the chunk. The whole header is available as chunk.header
+ * @return {Object} - an async iterable object
+ */
+Reader.prototype.chunks = function(readHeader) {
+  var that = this;
+  var current = undefined;
+  var done = false;
+  // Move after the current chunk and its padding
+  var skipCurrent = function() {
+    if (current === undefined) return;
+    var padding = current.header.padding || 0;
+    current.skip();
+    current = undefined;
+    that.skip(Math.min(padding, that.maxPosition - _stream(that).position));
+  };
+  var end = function() {
+    done = true;
+    return Promise.resolve({ value: undefined, done: true });
+  };
+  var iterator = {
+    next: function() {
+      if (done) return end();
+      try {
+        skipCurrent();
+        if (!that.hasMore()) return end();
+        var header = readHeader(that);
+        if (header === undefined || header === null) return end();
+        current = that.chunk(header.name, header.length);
+        current.header = header;
+        return Promise.resolve({ value: current, done: false });
+      } catch (err) {
+        done = true;
+        return Promise.reject(err);
+      }
+    },
+    // Called when leaving the loop early (break, return or exception): the reader is left after the current chunk
+    return: function() {
+      if (!done) {
+        try { skipCurrent(); } catch (err) { done = true; return Promise.reject(err); }
+      }
+      return end();
+    }
+  };
+  iterator[Symbol.asyncIterator] = function() { return iterator; };
+  return iterator;
+}
+
+/**
+ * Header reader for chunks starting with a 4 characters type and a 4 bytes length (in the byte order of the reader),
+ * such as RIFF and IFF chunks. Use with Reader.chunks
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @return {Object} - the header { name, length }
+ */
+Reader.typeAndLength = function(reader) {
+  var name = reader.readASCII4();
+  var length = reader.readLong();
+  return { name: name, length: length };
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = Reader;
+}
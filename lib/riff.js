@@ -0,0 +1,308 @@
+/**
+ * @file wg-streams - RIFF and IFF containers (WAV, AVI, WebP, AIFF...)
+ *
+ * RIFF files are made of little endian chunks, IFF (and AIFF) files of big endian chunks. In both cases, chunks are
+ * padded to an even size. Containers (RIFF, RIFX, LIST, FORM, CAT, PROP) start with a form type and contain other
+ * chunks. Each chunk is returned as a named Chunk, along with the decoded content of the common chunks: WAV "fmt ",
+ * "data" and "INFO" lists, WebP "VP8X", "EXIF" and "XMP ", and AIFF "COMM".
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::RIFF');
+
+const EXIF = require('./exif.js');
+const Errors = require('./errors.js');
+
+
+
+
+// ================================================================================
+// Chunk iterator
+// ================================================================================
+
+/**
+ * Container chunks, which start with a form type followed by sub-chunks
+ */
+const CONTAINERS = [ "RIFF", "RIFX", "LIST", "FORM", "CAT ", "PROP" ];
+
+/**
+ * Iterate over the chunks of a stream or chunk, from the current position to the end of the stream or chunk.
+ * For each chunk, the callback is called with a header and a chunk on the chunk payload. The payload chunk is named
+ * after the chunk id and uses the byte order of the container. When the callback returns, the rest of the payload and
+ * the padding byte are skipped.
+ * Chunks which are larger than their container (such as streamed WAV files) are truncated and flagged as such.
+ *
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from
+ * @param {string} byteOrder - is "LE" for RIFF files and "BE" for IFF files
+ * @param {function} callback - is called with (header, chunk) for each chunk. The header is { id, offset, size, truncated }.
+ *                              The offset is the absolute position of the chunk header. The callback may return false
+ *                              to stop the iteration
+ */
+function forEachChunk(source, byteOrder, callback) {
+  var stream = source.stream || source;
+  while (source.hasMore(8)) {
+    var offset = stream.position;
+    var id = source.readASCII4();
+    var size = byteOrder === "LE" ? source.readUInt32LE() : source.readUInt32BE();
+    var header = { id: id, offset: offset, size: size, truncated: false };
+    var remaining = source.maxPosition - stream.position;
+    if (size > remaining) {
+      log.debug({id:id, offset:offset, size:size, remaining:remaining}, "Truncated chunk");
+      header.size = remaining;
+      header.truncated = true;
+    }
+    var chunk = source.chunk(id, header.size);
+    chunk.setByteOrder(byteOrder);
+    var result = callback(header, chunk);
+    chunk.skip();
+    if ((header.size & 1) === 1 && source.hasMore()) source.skip(1);
+    if (result === false) return;
+  }
+}
+
+
+
+// ================================================================================
+// Chunk tree
+// ================================================================================
+
+/**
+ * Read a RIFF or IFF file. The chunk tree is read recursively, and the common chunks are decoded
+ * @param {PullStream|Chunk} source - is the stream or chunk to read from, positioned at the beginning of the file
+ * @return {Object} - the root chunk { id, formType, byteOrder, offset, size, chunk, chunks, warnings }.
+ *                    Each node of the tree is { id, offset, size, truncated, chunk } with:
+ *                    - formType and chunks (the list of sub-chunks) for containers
+ *                    - value, the decoded content, for known chunks. The value of LIST INFO containers is the
+ *                      set of tags (title, artist...)
+ *                    For WAV files, the root also has a "format" (the fmt chunk) and a "duration" (in seconds).
+ *                    For AIFF files, the root also has a "format" (the COMM chunk) and a "duration".
+ *                    For WebP files, the root also has "exif" and "xmp"
+ */
+function read(source) {
+  var id = source.peekASCII4();
+  var byteOrder;
+  if (id === "RIFF") byteOrder = "LE";
+  else if (id === "RIFX" || id === "FORM") byteOrder = "BE";
+  else throw new Exception({id:id}, "Not a RIFF or IFF file");
+  var root;
+  var warnings = [];
+  forEachChunk(source, byteOrder, function(header, chunk) {
+    root = _readNode(header, chunk, byteOrder, warnings, undefined);
+    return false;
+  });
+  if (!root) throw new Exception({id:id}, "Truncated RIFF or IFF file");
+  root.byteOrder = byteOrder;
+  root.warnings = warnings;
+  _summarize(root);
+  return root;
+}
+
+/**
+ * Read a chunk (and its sub-chunks for containers)
+ * @param {Object} header - is the chunk header
+ * @param {Chunk} chunk - is the chunk on the payload
+ * @param {string} byteOrder - is the file byte order
+ * @param {string[]} warnings - collects the decoding problems
+ * @param {Object} parent - is the parent node, or undefined for the root
+ * @return {Object} - the tree node
+ */
+function _readNode(header, chunk, byteOrder, warnings, parent) {
+  var node = { id: header.id, offset: header.offset, size: header.size, truncated: header.truncated, chunk: chunk };
+  if (CONTAINERS.indexOf(header.id) !== -1 && chunk.hasMore(4)) {
+    node.formType = chunk.readASCII4();
+    node.chunks = [];
+    forEachChunk(chunk, byteOrder, function(childHeader, childChunk) {
+      node.chunks.push(_readNode(childHeader, childChunk, byteOrder, warnings, node));
+    });
+    if (node.id === "LIST" && node.formType === "INFO") node.value = _decodeInfo(node);
+    return node;
+  }
+  var decoder = DECODERS[header.id];
+  if (parent && parent.formType === "INFO") decoder = _decodeInfoString;
+  if (decoder) {
+    try {
+      node.value = decoder(chunk, node, parent);
+    } catch (err) {
+      if (err instanceof Errors.LimitError) throw err;
+      warnings.push("Invalid chunk " + header.id + " at offset " + header.offset + ": " + err.message);
+    }
+  }
+  return node;
+}
+
+/**
+ * Find the first node of a given id in a list of nodes (not recursive)
+ */
+function _find(nodes, id) {
+  for (var i=0; i<nodes.length; i++) if (nodes[i].id === id) return nodes[i];
+  return undefined;
+}
+
+/**
+ * Add summary properties to the root of the tree, depending on the form type
+ */
+function _summarize(root) {
+  var chunks = root.chunks || [];
+  var fmt = _find(chunks, root.formType === "WAVE" ? "fmt " : "COMM");
+  var data = _find(chunks, root.formType === "WAVE" ? "data" : "SSND");
+  var info = chunks.filter(function(node) { return node.id === "LIST" && node.formType === "INFO"; })[0];
+  var exif = _find(chunks, "EXIF");
+  var xmp = _find(chunks, "XMP ");
+  if (fmt && fmt.value) root.format = fmt.value;
+  if (root.formType === "WAVE" && fmt && fmt.value && data && fmt.value.byteRate > 0)
+    root.duration = data.size / fmt.value.byteRate;
+  if ((root.formType === "AIFF" || root.formType === "AIFC") && fmt && fmt.value && fmt.value.sampleRate > 0)
+    root.duration = fmt.value.sampleFrames / fmt.value.sampleRate;
+  if (info) root.info = info.value;
+  if (exif) root.exif = exif.value;
+  if (xmp) root.xmp = xmp.value;
+}
+
+
+
+// ================================================================================
+// Decoders
+// ================================================================================
+
+/**
+ * INFO list tags
+ */
+const INFO_TAGS = {
+  INAM: "title", IART: "artist", IPRD: "album", ICMT: "comment", ICRD: "date", IGNR: "genre", ITRK: "track",
+  IPRT: "track", ICOP: "copyright", ISFT: "software", IENG: "engineer", ISBJ: "subject", IKEY: "keywords"
+};
+
+/**
+ * WAV "fmt ": audio format
+ */
+function _decodeFmt(chunk) {
+  var result = {
+    formatTag: chunk.readUInt16(),
+    channels: chunk.readUInt16(),
+    sampleRate: chunk.readUInt32(),
+    byteRate: chunk.readUInt32(),
+    blockAlign: chunk.readUInt16()
+  };
+  if (chunk.hasMore(2)) result.bitsPerSample = chunk.readUInt16();
+  if (chunk.hasMore(2)) {
+    var extraSize = chunk.readUInt16();
+    if (result.formatTag === 0xFFFE && extraSize >= 22) {
+      result.validBitsPerSample = chunk.readUInt16();
+      result.channelMask = chunk.readUInt32();
+      result.subFormat = chunk.readBytes(16).toString('hex');
+    }
+  }
+  return result;
+}
+
+/**
+ * WAV "data": sample data, which is not read
+ */
+function _decodeData(chunk, node) {
+  return { length: node.size };
+}
+
+/**
+ * String in an INFO list (null-terminated)
+ */
+function _decodeInfoString(chunk, node) {
+  return chunk.readBytes(node.size).toString('latin1').replace(/\u0000+$/, "");
+}
+
+/**
+ * LIST INFO: tags, by name
+ */
+function _decodeInfo(node) {
+  var tags = {};
+  node.chunks.forEach(function(child) {
+    if (child.value === undefined) return;
+    tags[INFO_TAGS[child.id] || child.id] = child.value;
+  });
+  return tags;
+}
+
+/**
+ * WebP "VP8X": extended format header
+ */
+function _decodeVP8X(chunk) {
+  var flags = chunk.readByte();
+  chunk.skip(3);
+  return {
+    icc: (flags & 0x20) !== 0,
+    alpha: (flags & 0x10) !== 0,
+    exif: (flags & 0x08) !== 0,
+    xmp: (flags & 0x04) !== 0,
+    animation: (flags & 0x02) !== 0,
+    canvasWidth: chunk.read3BytesLE() + 1,
+    canvasHeight: chunk.read3BytesLE() + 1
+  };
+}
+
+/**
+ * WebP "EXIF": TIFF structure, sometimes preceded by an "Exif\0\0" header
+ */
+function _decodeEXIF(chunk, node) {
+  var length = node.size;
+  if (chunk.hasMore(6) && chunk.peekBytes(6).toString('latin1') === "Exif\u0000\u0000") {
+    chunk.skip(6);
+    length = length - 6;
+  }
+  return EXIF.read(chunk.chunk("EXIF", length));
+}
+
+/**
+ * WebP "XMP ": XMP packet (UTF-8)
+ */
+function _decodeXMP(chunk, node) {
+  return chunk.readBytes(node.size).toString('utf8');
+}
+
+/**
+ * AIFF "COMM": audio format. AIFF-C adds the compression type and name
+ */
+function _decodeCOMM(chunk, node) {
+  var result = {
+    channels: chunk.readInt16(),
+    sampleFrames: chunk.readUInt32(),
+    sampleSize: chunk.readInt16(),
+    sampleRate: chunk.readFloat80()
+  };
+  if (chunk.hasMore(4)) {
+    result.compressionType = chunk.readASCII4();
+    if (chunk.hasMore()) {
+      var length = chunk.readByte();
+      result.compressionName = chunk.readBytes(Math.min(length, node.size - 23)).toString('latin1');
+    }
+  }
+  return result;
+}
+
+/**
+ * Chunk decoders, by chunk id. Decoders are called with the chunk on the payload, the node and the parent node
+ */
+const DECODERS = {
+  "fmt ": _decodeFmt,
+  "data": _decodeData,
+  "VP8X": _decodeVP8X,
+  "EXIF": _decodeEXIF,
+  "XMP ": _decodeXMP,
+  "COMM": _decodeCOMM
+};
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    CONTAINERS: CONTAINERS,
+    INFO_TAGS: INFO_TAGS,
+    DECODERS: DECODERS,
+    forEachChunk: forEachChunk,
+    read: read
+  };
+}
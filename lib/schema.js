@@ -0,0 +1,225 @@
+/**
+ * @file wg-streams - Schemas
+ *
+ * A schema describes the layout of a binary record as data: a list of named fields, each of them being read
+ * with the Chunk readers. Parsing a schema returns a plain object.
+ *
+ *   var FRAME = { fields: [
+ *     { name: "id",    type: "ASCII4" },
+ *     { name: "size",  type: "UInt32" },
+ *     { name: "flags", type: "UInt16" },
+ *     { name: "data",  type: "bytes", length: "size" }
+ *   ]};
+ *   var HEADER = { name: "header", byteOrder: "BE", fields: [
+ *     { name: "magic",    type: "ASCII3" },
+ *     { name: "version",  type: "UInt16LE" },
+ *     { name: "flags",    type: "Byte" },
+ *     { name: "extended", type: "UInt32", if: function(record) { return record.flags & 0x40; } },
+ *     { name: "count",    type: "UInt16" },
+ *     { name: "frames",   type: "array", count: "count", of: { type: "struct", schema: FRAME } }
+ *   ]};
+ *   var header = Schema.parse(HEADER, stream);
+ *
+ * Field types are
+ *   - the name of a Chunk reader without the "read" prefix: "Byte", "UInt16", "Int32LE", "Float64", "ASCII4", "ZStringUTF8"...
+ *   - "bytes": a buffer of "length" bytes
+ *   - "skip": "length" bytes are skipped, nothing is stored
+ *   - "struct": a nested record, described by "fields" or "schema", read in the same chunk
+ *   - "chunk": a nested record, described by "fields" or "schema", read in a sub-chunk of "length" bytes (or the rest
+ *     of the current chunk). The remainder of the sub-chunk is skipped
+ *   - "array": a list of elements described by "of". The number of elements is given by "count". Otherwise the
+ *     elements are read until the end of a sub-chunk of "length" bytes, or until the end of the current chunk
+ *   - a function(chunk, record) which reads and returns the value
+ *
+ * Field attributes
+ *   - name: is the name of the field in the record. Fields without name are read but not stored
+ *   - byteOrder: is the byte order of the field ("BE" or "LE"). The default is inherited from the enclosing schema or chunk
+ *   - if: is a condition. The field is only read if the condition is true. It's either the name of a field of the record
+ *     or a function(record, root)
+ *   - length, count: are either numbers, the name of a field of the record, or a function(record, root)
+ *   - transform: is an optional function(value, record) applied to the value read
+ *
+ * Errors are reported with the path of the field that failed, such as "header.frames[3].size"
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Exception = require('wg-log').Exception;
+
+
+
+
+// ================================================================================
+// Schemas
+// ================================================================================
+
+/**
+ * Parse a record
+ * @param {Object} schema - is the record schema: { name, byteOrder, fields }
+ * @param {PullStream|Chunk} source - is the stream or chunk to read the record from, at its current position
+ * @return {Object} - the record
+ */
+function parse(schema, source) {
+  var path = schema.name || "";
+  var chunk = source.stream ? source : source.chunk(path || "schema");
+  var root = {};
+  _withByteOrder(chunk, schema.byteOrder, function() {
+    _parseFields(schema.fields, chunk, path, root, root);
+  });
+  return root;
+}
+
+/**
+ * Parse a list of fields into a record
+ * @param {Object[]} fields - are the field descriptions
+ * @param {Chunk} chunk - is the chunk to read from
+ * @param {string} path - is the path of the record, used for error messages
+ * @param {Object} record - is the record being built
+ * @param {Object} root - is the top-level record
+ */
+function _parseFields(fields, chunk, path, record, root) {
+  if (!Array.isArray(fields)) _fail(path, chunk, undefined, "Invalid schema (missing fields)");
+  fields.forEach(function(field) {
+    var fieldPath = field.name === undefined ? path : (path ? path + "." + field.name : field.name);
+    if (field.if !== undefined) {
+      var condition = typeof field.if === "string" ? record[field.if] : _evaluate(field.if, record, root, fieldPath, chunk);
+      if (!condition) return;
+    }
+    var value = _parseField(field, chunk, fieldPath, record, root);
+    if (field.name !== undefined && field.type !== "skip") record[field.name] = value;
+  });
+}
+
+/**
+ * Parse a single field (or array element)
+ * @param {Object} field - is the field description
+ * @param {Chunk} chunk - is the chunk to read from
+ * @param {string} path - is the path of the field, used for error messages
+ * @param {Object} record - is the record which contains the field
+ * @param {Object} root - is the top-level record
+ * @return {*} - the field value
+ */
+function _parseField(field, chunk, path, record, root) {
+  var value;
+  _withByteOrder(chunk, field.byteOrder, function() {
+    try {
+      value = _read(field, chunk, path, record, root);
+      if (field.transform) value = field.transform(value, record);
+    } catch (err) {
+      _fail(path, chunk, err);
+    }
+  });
+  return value;
+}
+
+/**
+ * Read the value of a field
+ */
+function _read(field, chunk, path, record, root) {
+  var type = field.type;
+  if (typeof type === "function") return type(chunk, record);
+  if (type === "bytes") return chunk.readBytes(_evaluate(field.length, record, root, path, chunk));
+  if (type === "skip") return chunk.skip(_evaluate(field.length, record, root, path, chunk));
+  if (type === "struct") {
+    var struct = {};
+    _parseFields(_fieldsOf(field), chunk, path, struct, root);
+    return struct;
+  }
+  if (type === "chunk") {
+    var length = field.length === undefined ? undefined : _evaluate(field.length, record, root, path, chunk);
+    var subChunk = chunk.chunk(path, length);
+    var result = {};
+    _parseFields(_fieldsOf(field), subChunk, path, result, root);
+    subChunk.skip();
+    return result;
+  }
+  if (type === "array") return _readArray(field, chunk, path, record, root);
+  var reader = chunk["read" + type];
+  if (typeof type !== "string" || typeof reader !== "function") _fail(path, chunk, undefined, "Unknown field type " + type);
+  return reader.call(chunk);
+}
+
+/**
+ * Read the elements of an array field
+ */
+function _readArray(field, chunk, path, record, root) {
+  var of = field.of;
+  if (!of) _fail(path, chunk, undefined, "Invalid schema (array without element type)");
+  var elements = [];
+  if (field.count !== undefined) {
+    var count = _evaluate(field.count, record, root, path, chunk);
+    for (var i=0; i<count; i++)
+      elements.push(_parseField(of, chunk, path + "[" + i + "]", record, root));
+    return elements;
+  }
+  var arrayChunk = chunk;
+  if (field.length !== undefined) arrayChunk = chunk.chunk(path, _evaluate(field.length, record, root, path, chunk));
+  while (arrayChunk.hasMore()) {
+    var position = arrayChunk.tell();
+    elements.push(_parseField(of, arrayChunk, path + "[" + elements.length + "]", record, root));
+    // Elements which do not consume any byte would be read forever
+    if (arrayChunk.tell() === position) _fail(path, arrayChunk, undefined, "Invalid schema (array element of 0 bytes)");
+  }
+  return elements;
+}
+
+/**
+ * Get the list of fields of a "struct" or "chunk" field
+ */
+function _fieldsOf(field) {
+  if (field.schema) return field.schema.fields;
+  return field.fields;
+}
+
+/**
+ * Evaluate a length, count or condition
+ * @param {integer|string|function} expr - is a constant, the name of a field of the record, or a function(record, root)
+ */
+function _evaluate(expr, record, root, path, chunk) {
+  if (typeof expr === "function") return expr(record, root);
+  if (typeof expr === "string") {
+    if (!(expr in record)) _fail(path, chunk, undefined, "Unknown field " + expr);
+    return record[expr];
+  }
+  return expr;
+}
+
+/**
+ * Execute a function with a temporary byte order on a chunk
+ */
+function _withByteOrder(chunk, byteOrder, fn) {
+  if (byteOrder === undefined) return fn();
+  var previous = chunk.byteOrder;
+  chunk.setByteOrder(byteOrder);
+  try {
+    return fn();
+  } finally {
+    chunk.byteOrder = previous;
+  }
+}
+
+/**
+ * Throw an error for a field. Errors already thrown for a field (nested fields) are re-thrown unchanged,
+ * so that the path is the path of the innermost field
+ * @param {string} path - is the path of the field
+ * @param {Chunk} chunk - is the chunk being read
+ * @param {Error} err - is the original error, if any
+ * @param {string} message - is the error message, if there's no original error
+ */
+function _fail(path, chunk, err, message) {
+  if (err && err.fieldPath !== undefined) throw err;
+  if (err) message = err.message;
+  var e = new Exception({path:path, position:chunk.stream.position, chunk:chunk.name}, "Failed to parse " + path + ": " + message);
+  e.fieldPath = path;
+  throw e;
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    parse: parse
+  };
+}
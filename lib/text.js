@@ -0,0 +1,208 @@
+/**
+ * @file wg-streams - Text decoding
+ *
+ * Decodes bytes into strings with an explicit encoding: ISO-8859-1, Windows-1252, IBM code page 437, ASCII, UTF-8 and
+ * UTF-16 (little endian, big endian, or detected from a byte order mark). Decoding never modifies the bytes, so that buffers shared
+ * with a stream can be decoded safely.
+ *
+ * Invalid bytes (non-ASCII bytes in ASCII, malformed UTF-8 sequences, unpaired UTF-16 surrogates, odd number of
+ * UTF-16 bytes) are replaced by U+FFFD, or throw an error in strict mode.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Exception = require('wg-log').Exception;
+
+
+
+
+// ================================================================================
+// Encodings
+// ================================================================================
+
+/**
+ * Encodings, by name. Each encoding has a canonical name and a code unit size (in bytes)
+ */
+const ENCODINGS = {
+  "latin1":       { name: "latin1",       unitSize: 1 },
+  "iso-8859-1":   { name: "latin1",       unitSize: 1 },
+  "windows-1252": { name: "windows-1252", unitSize: 1 },
+  "cp1252":       { name: "windows-1252", unitSize: 1 },
+  "cp437":        { name: "cp437",        unitSize: 1 },
+  "ibm437":       { name: "cp437",        unitSize: 1 },
+  "ascii":        { name: "ascii",        unitSize: 1 },
+  "utf8":         { name: "utf8",         unitSize: 1 },
+  "utf-8":        { name: "utf8",         unitSize: 1 },
+  "utf16":        { name: "utf16",        unitSize: 2 },
+  "utf-16":       { name: "utf16",        unitSize: 2 },
+  "utf16le":      { name: "utf16le",      unitSize: 2 },
+  "utf-16le":     { name: "utf16le",      unitSize: 2 },
+  "ucs2":         { name: "utf16le",      unitSize: 2 },
+  "utf16be":      { name: "utf16be",      unitSize: 2 },
+  "utf-16be":     { name: "utf16be",      unitSize: 2 }
+};
+
+/**
+ * Get an encoding. Throws an error if the encoding is not supported
+ * @param {string} encoding - is the encoding name (case insensitive), such as "utf8", "utf-16be" or "windows-1252"
+ * @return {Object} - the encoding { name, unitSize }
+ */
+function getEncoding(encoding) {
+  var result = ENCODINGS[String(encoding).toLowerCase()];
+  if (!result) throw new Exception({encoding:encoding}, "Unsupported encoding");
+  return result;
+}
+
+/**
+ * Windows-1252 characters for bytes 0x80 to 0x9F. Other bytes are the same as ISO-8859-1. Undefined bytes (0x81,
+ * 0x8D, 0x8F, 0x90, 0x9D) are mapped to the control characters of the same value
+ */
+const WINDOWS_1252 = [
+  0x20AC, 0x0081, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x008D, 0x017D, 0x008F,
+  0x0090, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x009D, 0x017E, 0x0178
+];
+
+/**
+ * IBM code page 437 characters for bytes 0x80 to 0xFF (the default encoding of ZIP file names). Bytes below 0x80 are
+ * ASCII
+ */
+const CP437 = [
+  0x00C7, 0x00FC, 0x00E9, 0x00E2, 0x00E4, 0x00E0, 0x00E5, 0x00E7, 0x00EA, 0x00EB, 0x00E8, 0x00EF, 0x00EE, 0x00EC, 0x00C4, 0x00C5,
+  0x00C9, 0x00E6, 0x00C6, 0x00F4, 0x00F6, 0x00F2, 0x00FB, 0x00F9, 0x00FF, 0x00D6, 0x00DC, 0x00A2, 0x00A3, 0x00A5, 0x20A7, 0x0192,
+  0x00E1, 0x00ED, 0x00F3, 0x00FA, 0x00F1, 0x00D1, 0x00AA, 0x00BA, 0x00BF, 0x2310, 0x00AC, 0x00BD, 0x00BC, 0x00A1, 0x00AB, 0x00BB,
+  0x2591, 0x2592, 0x2593, 0x2502, 0x2524, 0x2561, 0x2562, 0x2556, 0x2555, 0x2563, 0x2551, 0x2557, 0x255D, 0x255C, 0x255B, 0x2510,
+  0x2514, 0x2534, 0x252C, 0x251C, 0x2500, 0x253C, 0x255E, 0x255F, 0x255A, 0x2554, 0x2569, 0x2566, 0x2560, 0x2550, 0x256C, 0x2567,
+  0x2568, 0x2564, 0x2565, 0x2559, 0x2558, 0x2552, 0x2553, 0x256B, 0x256A, 0x2518, 0x250C, 0x2588, 0x2584, 0x258C, 0x2590, 0x2580,
+  0x03B1, 0x00DF, 0x0393, 0x03C0, 0x03A3, 0x03C3, 0x00B5, 0x03C4, 0x03A6, 0x0398, 0x03A9, 0x03B4, 0x221E, 0x03C6, 0x03B5, 0x2229,
+  0x2261, 0x00B1, 0x2265, 0x2264, 0x2320, 0x2321, 0x00F7, 0x2248, 0x00B0, 0x2219, 0x00B7, 0x221A, 0x207F, 0x00B2, 0x25A0, 0x00A0
+];
+
+/**
+ * Replacement character, for invalid bytes
+ */
+const REPLACEMENT = "\uFFFD";
+
+
+
+// ================================================================================
+// Decoding
+// ================================================================================
+
+/**
+ * Decode bytes. The bytes are not modified
+ * @param {Buffer} bytes - are the bytes to decode
+ * @param {string} encoding - is the encoding name (see getEncoding)
+ * @param {Object} options - is an optional set of options
+ * @param {string} options.errors - is "replace" (default) to replace invalid bytes with U+FFFD, or "strict" to throw an error
+ * @param {string} options.defaultByteOrder - is the byte order of "utf16" strings without byte order mark: "LE"
+ *                                            (default) or "BE"
+ * @return {Object} - { value, encoding }. The encoding is the canonical name of the encoding actually used. For "utf16",
+ *                    it's "utf16le" or "utf16be", and the byte order mark is not part of the value
+ */
+function decode(bytes, encoding, options) {
+  options = options || {};
+  var strict = options.errors === "strict";
+  var name = getEncoding(encoding).name;
+  if (name === "utf16") {
+    name = options.defaultByteOrder === "BE" ? "utf16be" : "utf16le";
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) { name = "utf16le"; bytes = bytes.subarray(2); }
+    else if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) { name = "utf16be"; bytes = bytes.subarray(2); }
+  }
+  var value;
+  if (name === "latin1") value = bytes.toString('latin1');
+  else if (name === "windows-1252") value = _decodeWindows1252(bytes);
+  else if (name === "cp437") value = _decodeCP437(bytes);
+  else if (name === "ascii") value = _decodeASCII(bytes, strict);
+  else if (name === "utf8") value = _decodeUTF8(bytes, strict);
+  else value = _decodeUTF16(bytes, name === "utf16be", strict);
+  return { value: value, encoding: name };
+}
+
+/**
+ * Windows-1252
+ */
+function _decodeWindows1252(bytes) {
+  var str = "";
+  for (var i=0; i<bytes.length; i++) {
+    var b = bytes[i];
+    str = str + String.fromCharCode(b >= 0x80 && b < 0xA0 ? WINDOWS_1252[b - 0x80] : b);
+  }
+  return str;
+}
+
+/**
+ * IBM code page 437
+ */
+function _decodeCP437(bytes) {
+  var str = "";
+  for (var i=0; i<bytes.length; i++) {
+    var b = bytes[i];
+    str = str + String.fromCharCode(b >= 0x80 ? CP437[b - 0x80] : b);
+  }
+  return str;
+}
+
+/**
+ * ASCII. Bytes above 0x7F are invalid
+ */
+function _decodeASCII(bytes, strict) {
+  var str = "";
+  for (var i=0; i<bytes.length; i++) {
+    var b = bytes[i];
+    if (b < 0x80) { str = str + String.fromCharCode(b); continue; }
+    if (strict) throw new Exception({offset:i, byte:b}, "Invalid ASCII character at offset " + i);
+    str = str + REPLACEMENT;
+  }
+  return str;
+}
+
+/**
+ * UTF-8. Malformed sequences are replaced as per the WHATWG encoding standard (as does Buffer.toString)
+ */
+function _decodeUTF8(bytes, strict) {
+  if (!strict) return bytes.toString('utf8');
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes);
+  } catch (err) {
+    throw new Exception({length:bytes.length}, "Invalid UTF-8 string");
+  }
+}
+
+/**
+ * UTF-16. Bytes are read in pairs without copying or swapping the buffer
+ */
+function _decodeUTF16(bytes, bigEndian, strict) {
+  var units = [];
+  var n = bytes.length >> 1;
+  for (var i=0; i<n; i++) units.push(bigEndian ? (bytes[2*i] << 8) | bytes[2*i+1] : (bytes[2*i+1] << 8) | bytes[2*i]);
+  var str = "";
+  for (i=0; i<n; i++) {
+    var unit = units[i];
+    if (unit >= 0xD800 && unit <= 0xDBFF && i+1 < n && units[i+1] >= 0xDC00 && units[i+1] <= 0xDFFF) {
+      str = str + String.fromCharCode(unit, units[i+1]);
+      i = i + 1;
+    }
+    else if (unit >= 0xD800 && unit <= 0xDFFF) {
+      if (strict) throw new Exception({offset:2*i, unit:unit}, "Invalid UTF-16 string (unpaired surrogate at offset " + (2*i) + ")");
+      str = str + REPLACEMENT;
+    }
+    else str = str + String.fromCharCode(unit);
+  }
+  if ((bytes.length & 1) === 1) {
+    if (strict) throw new Exception({length:bytes.length}, "Invalid UTF-16 string (odd number of bytes)");
+    str = str + REPLACEMENT;
+  }
+  return str;
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    ENCODINGS: ENCODINGS,
+    getEncoding: getEncoding,
+    decode: decode
+  };
+}
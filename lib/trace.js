@@ -0,0 +1,261 @@
+/**
+ * @file wg-streams - Read traces
+ *
+ * A trace records what a parser reads from a stream: every read, skip and chunk creation, with its absolute offset,
+ * its length, the reader function, the decoded value and the enclosing chunk. Reads made by other readers (such as
+ * readByte calls made by readZString88591) are not recorded separately, and peeks are not recorded.
+ *
+ * Traces can be exported as JSON, or as annotated hexadecimal dumps (text or self-contained HTML) to see which bytes
+ * were read as what, and to compare how two versions of a parser read the same file.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const HexDump = require('./hexdump.js');
+const Errors = require('./errors.js');
+
+
+
+
+// ================================================================================
+// Traces
+// ================================================================================
+
+/**
+ * Create a trace for a stream. Traces are created with PullStream.startTrace
+ * @param {PullStream} stream - is the traced stream
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.maxEntries - is the maximum number of entries recorded (default is Trace.DEFAULT_MAX_ENTRIES).
+ *                                       Other entries are counted in "dropped"
+ */
+function Trace(stream, options) {
+  var that = this;
+  options = options || {};
+  that.stream = stream;
+  that.maxEntries = options.maxEntries || Trace.DEFAULT_MAX_ENTRIES;
+  that.entries = [];
+  that.dropped = 0;
+  that.depth = 0;           // number of reader calls in progress. Only the outermost call is recorded
+}
+
+/**
+ * Default maximum number of entries
+ */
+Trace.DEFAULT_MAX_ENTRIES = 100000;
+
+/**
+ * Maximum number of bytes of a buffer value shown in a trace
+ */
+const MAX_VALUE_BYTES = 16;
+
+/**
+ * Record a read or a skip which just happened
+ * @param {PullStream|Chunk} reader - is the stream or chunk which was read
+ * @param {string} method - is the reader function, such as "readLong" or "skip"
+ * @param {integer} position - is the absolute position before the read
+ * @param {*} value - is the value read
+ * @param {Error} error - is the error thrown by the reader, if any
+ */
+Trace.prototype.record = function(reader, method, position, value, error) {
+  var that = this;
+  var entry = {
+    offset: position,
+    length: that.stream.position - position,
+    method: method,
+    chunk: reader.stream ? reader.name : undefined,
+    path: Errors.getPath(reader),
+    value: _value(value)
+  };
+  if (error) entry.error = error.message;
+  that._add(entry);
+}
+
+/**
+ * Record the creation of a chunk
+ * @param {Chunk} chunk - is the new chunk
+ */
+Trace.prototype.recordChunk = function(chunk) {
+  var that = this;
+  that._add({
+    offset: chunk.startPosition,
+    length: chunk.maxPosition - chunk.startPosition,
+    method: "chunk",
+    chunk: chunk.name,
+    path: Errors.getPath(chunk),
+    value: undefined
+  });
+}
+
+/**
+ * Add an entry, unless the maximum number of entries is reached
+ */
+Trace.prototype._add = function(entry) {
+  var that = this;
+  if (that.entries.length >= that.maxEntries) { that.dropped = that.dropped + 1; return; }
+  that.entries.push(entry);
+}
+
+/**
+ * Convert a value to a printable and JSON compatible value
+ */
+function _value(value) {
+  if (Buffer.isBuffer(value)) {
+    var hex = value.slice(0, MAX_VALUE_BYTES).toString('hex');
+    return "<" + value.length + " bytes: " + hex + (value.length > MAX_VALUE_BYTES ? "..." : "") + ">";
+  }
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(_value);
+  if (value !== null && typeof value === "object") {
+    var result = {};
+    Object.keys(value).forEach(function(key) { result[key] = _value(value[key]); });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Get a one line description of an entry value
+ */
+function _describe(entry) {
+  var str = entry.method;
+  if (entry.path) str = str + " [" + entry.path + "]";
+  if (entry.value !== undefined) str = str + " = " + JSON.stringify(entry.value);
+  if (entry.error !== undefined) str = str + " ! " + entry.error;
+  return str;
+}
+
+
+
+// ================================================================================
+// Exports
+// ================================================================================
+
+/**
+ * Get the trace as a JSON compatible object. Called by JSON.stringify
+ * @return {Object} - { fileName, size, entries, dropped }. Each entry is { offset, length, method, chunk, path, value, error }
+ */
+Trace.prototype.toJSON = function() {
+  var that = this;
+  return {
+    fileName: that.stream.fileName,
+    size: that.stream._size(),
+    entries: that.entries,
+    dropped: that.dropped
+  };
+}
+
+/**
+ * Export the trace as an annotated hexadecimal dump: one line per entry (offset, length and description), followed by
+ * the bytes which were read. The stream must not be closed
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.maxBytes - is the maximum number of bytes dumped per entry (default is 64)
+ * @return {string} - the text
+ */
+Trace.prototype.toText = function(options) {
+  var that = this;
+  options = options || {};
+  var maxBytes = options.maxBytes === undefined ? 64 : options.maxBytes;
+  var lines = [];
+  that.entries.forEach(function(entry) {
+    lines.push(_hex(entry.offset, 8) + "  " + entry.length + (entry.length === 1 ? " byte  " : " bytes  ") + _describe(entry));
+    if (entry.method === "chunk" || entry.method === "skip" || entry.length <= 0) return;
+    var n = Math.min(entry.length, maxBytes);
+    var dump = HexDump.format(that.stream._slice(entry.offset, entry.offset + n), { offset: entry.offset });
+    lines.push(dump.split("\n").map(function(line) { return "    " + line; }).join("\n"));
+    if (n < entry.length) lines.push("    ... " + (entry.length - n) + " more bytes");
+  });
+  if (that.dropped > 0) lines.push("... " + that.dropped + " entries dropped");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Export the trace as a self-contained HTML page: a byte map (hexadecimal dump where the bytes of each read are
+ * highlighted and described in a tooltip) and the list of entries. The stream must not be closed
+ * @param {Object} options - is an optional set of options
+ * @param {string} options.title - is the page title (default is the file name)
+ * @param {integer} options.maxBytes - is the maximum number of bytes in the byte map, from the beginning of the
+ *                                     stream (default is 65536)
+ * @return {string} - the HTML page
+ */
+Trace.prototype.toHTML = function(options) {
+  var that = this;
+  options = options || {};
+  var maxBytes = options.maxBytes === undefined ? 65536 : options.maxBytes;
+  var title = options.title || that.stream.fileName || "Trace";
+  var size = Math.min(that.stream._size(), maxBytes);
+  var bytes = that.stream._slice(0, size);
+
+  // Owner (entry index) of each byte. Later reads override earlier ones, skips and chunks don't own bytes
+  var owners = new Int32Array(size).fill(-1);
+  var skipped = new Uint8Array(size);
+  that.entries.forEach(function(entry, index) {
+    var from = Math.min(entry.offset, size), to = Math.min(entry.offset + entry.length, size);
+    for (var i=from; i<to; i++) {
+      if (entry.method === "skip") skipped[i] = 1;
+      else if (entry.method !== "chunk") owners[i] = index;
+    }
+  });
+
+  var html = [];
+  html.push("<!DOCTYPE html>");
+  html.push("<html><head><meta charset=\"utf-8\"><title>" + _escape(title) + "</title><style>");
+  html.push("body { font-family: sans-serif; } pre, td.mono { font-family: monospace; } table { border-collapse: collapse; }");
+  html.push("td, th { padding: 1px 6px; text-align: left; vertical-align: top; } span.s { color: #999; } span.e { color: #c00; }");
+  html.push("span.c0 { background: #cde; } span.c1 { background: #ecd; } span.c2 { background: #dec; } span.c3 { background: #edc; }");
+  html.push("tr.e td { color: #c00; }");
+  html.push("</style></head><body>");
+  html.push("<h1>" + _escape(title) + "</h1>");
+  html.push("<h2>Byte map</h2><pre>");
+  for (var line=0; line<size; line=line+HexDump.BYTES_PER_LINE) {
+    var str = _hex(line, 8) + " ";
+    for (var i=line; i<line+HexDump.BYTES_PER_LINE && i<size; i++) {
+      var hex = _hex(bytes[i], 2);
+      var owner = owners[i];
+      if (i - line === 8) str = str + " ";
+      if (owner !== -1) {
+        var entry = that.entries[owner];
+        var css = entry.error !== undefined ? "e" : ("c" + (owner % 4));
+        str = str + " <span class=\"" + css + "\" title=\"" + _escape(_hex(entry.offset, 8) + " " + _describe(entry)) + "\">" + hex + "</span>";
+      }
+      else if (skipped[i]) str = str + " <span class=\"s\">" + hex + "</span>";
+      else str = str + " " + hex;
+    }
+    html.push(str);
+  }
+  if (size < that.stream._size()) html.push("... " + (that.stream._size() - size) + " more bytes");
+  html.push("</pre>");
+  html.push("<h2>Entries</h2><table><tr><th>Offset</th><th>Length</th><th>Method</th><th>Chunk</th><th>Value</th></tr>");
+  that.entries.forEach(function(entry) {
+    var value = entry.error !== undefined ? entry.error : (entry.value === undefined ? "" : JSON.stringify(entry.value));
+    html.push("<tr" + (entry.error !== undefined ? " class=\"e\"" : "") + "><td class=\"mono\">" + _hex(entry.offset, 8) + "</td><td>" + entry.length +
+      "</td><td>" + _escape(entry.method) + "</td><td>" + _escape(entry.path) + "</td><td class=\"mono\">" + _escape(value) + "</td></tr>");
+  });
+  html.push("</table>");
+  if (that.dropped > 0) html.push("<p>" + that.dropped + " entries dropped</p>");
+  html.push("</body></html>");
+  return html.join("\n") + "\n";
+}
+
+/**
+ * Format a number as hexadecimal, left padded with zeros
+ */
+function _hex(n, length) {
+  var str = n.toString(16);
+  while (str.length < length) str = "0" + str;
+  return str;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function _escape(str) {
+  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = Trace;
+}
@@ -0,0 +1,305 @@
+/**
+ * @file wg-streams - Variable-length integers
+ *
+ * Readers for the variable-length and packed integers used by binary formats. They are defined on both PullStream
+ * and Chunk with Reader.defineReader:
+ *
+ *   readSyncsafe(n)                                   ID3v2 syncsafe integer: n bytes (default 4) of 7 bits, most significant first
+ *   readULEB128, readSLEB128                          unsigned and signed LEB128 (WebAssembly, DWARF)
+ *   readULEB128BigInt, readSLEB128BigInt              same, as 64 bits BigInts
+ *   readVLQ                                           MIDI variable-length quantity (delta times): 1 to 4 bytes, most significant first
+ *   readEBMLID                                        EBML element ID (Matroska, WebM): 1 to 4 bytes, with the length marker (0x1A45DFA3)
+ *   readEBMLSize                                      EBML element data size: 1 to 8 bytes, without the length marker
+ *   readProtobufVarint, readProtobufVarintBigInt      protobuf varint (uint32, uint64, int32, int64 fields)
+ *   readProtobufSInt, readProtobufSIntBigInt          protobuf zigzag varint (sint32, sint64 fields)
+ *
+ * Readers without the BigInt suffix return numbers, and reject values which are not safe integers.
+ * When a variable-length integer runs past the end of the stream or chunk, a ShortReadError is thrown. Invalid
+ * encodings throw a VarIntError: overlong encodings (which use more bytes than needed, except for EBML sizes which
+ * muxers commonly pad), values which overflow the reader, and more bytes than the format allows. In both cases, the
+ * position is left at the beginning of the integer.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Exception = require('wg-log').Exception;
+
+const Reader = require('./reader.js');
+const Errors = require('./errors.js');
+
+
+
+
+// ================================================================================
+// Helpers
+// ================================================================================
+
+const MAX_SAFE_INTEGER = BigInt(Number.MAX_SAFE_INTEGER);
+const MIN_SAFE_INTEGER = BigInt(Number.MIN_SAFE_INTEGER);
+const MAX_UINT64 = (BigInt(1) << BigInt(64)) - BigInt(1);
+const MIN_INT64 = -(BigInt(1) << BigInt(63));
+const MAX_INT64 = (BigInt(1) << BigInt(63)) - BigInt(1);
+
+/**
+ * Read the bytes of an integer made of 7 bits groups, where the most significant bit of each byte is set if more
+ * bytes follow (LEB128, MIDI VLQ, protobuf). The reader is moved past the integer
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @param {string} what - is the name of the integer, for error messages
+ * @param {integer} maxBytes - is the maximum number of bytes of the integer
+ * @return {integer[]} - the bytes
+ */
+function _readGroups(reader, what, maxBytes) {
+  var stream = reader.stream || reader;
+  var start = stream.position;
+  var available = reader.maxPosition - start;
+  var bytes = stream._slice(start, start + Math.min(maxBytes, available));
+  for (var i=0; i<bytes.length; i++) {
+    if ((bytes[i] & 0x80) === 0) {
+      stream.position = start + i + 1;
+      return Array.from(bytes.slice(0, i + 1));
+    }
+  }
+  if (bytes.length === maxBytes) throw new Errors.VarIntError(reader, what, "more than " + maxBytes + " bytes");
+  throw new Errors.ShortReadError(reader, available + 1, "when reading " + what);
+}
+
+/**
+ * Check that a value is a safe integer, and convert it to a number
+ */
+function _toNumber(reader, what, value) {
+  if (value > MAX_SAFE_INTEGER || value < MIN_SAFE_INTEGER) throw new Errors.VarIntError(reader, what, "value does not fit in a number");
+  return Number(value);
+}
+
+/**
+ * Run a reader function, and restore the position if it fails
+ */
+function _atomic(reader, fn) {
+  var stream = reader.stream || reader;
+  var position = stream.position;
+  try {
+    return fn();
+  } catch (err) {
+    stream.position = position;
+    throw err;
+  }
+}
+
+
+
+// ================================================================================
+// Syncsafe integers
+// ================================================================================
+
+/**
+ * ID3v2 syncsafe integer: the most significant bit of each byte is 0. Sizes of ID3v2 tags (and of v2.4 frames) are 4
+ * bytes syncsafe integers, the CRC of the v2.4 extended header is a 5 bytes syncsafe integer
+ * @param {integer} n - is the number of bytes (1 to 7, default is 4)
+ */
+Reader.defineReader("readSyncsafe", function(n) {
+  var that = this;
+  if (n === undefined) n = 4;
+  if (n < 1 || n > 7) throw new Exception({n:n}, "Invalid syncsafe integer size");
+  that.ensureCapacity(n);
+  var stream = that.stream || that;
+  var bytes = stream._slice(stream.position, stream.position + n);
+  var value = 0;
+  for (var i=0; i<n; i++) {
+    if ((bytes[i] & 0x80) !== 0) throw new Errors.VarIntError(that, "syncsafe integer", "most significant bit set in byte " + i);
+    value = value * 128 + bytes[i];
+  }
+  stream.position = stream.position + n;
+  return value;
+});
+
+
+
+// ================================================================================
+// LEB128 and protobuf varints
+// ================================================================================
+
+/**
+ * Maximum number of bytes of a 64 bits LEB128 integer or protobuf varint
+ */
+const MAX_LEB128_BYTES = 10;
+
+/**
+ * Read an unsigned LEB128 integer (least significant group first) of at most 64 bits
+ * @return {BigInt} - the value
+ */
+function _readULEB128(reader, what) {
+  var bytes = _readGroups(reader, what, MAX_LEB128_BYTES);
+  if (bytes.length > 1 && bytes[bytes.length - 1] === 0) throw new Errors.VarIntError(reader, what, "overlong encoding");
+  var value = BigInt(0);
+  for (var i=bytes.length-1; i>=0; i--) value = (value << BigInt(7)) | BigInt(bytes[i] & 0x7F);
+  if (value > MAX_UINT64) throw new Errors.VarIntError(reader, what, "more than 64 bits");
+  return value;
+}
+
+/**
+ * Read a signed LEB128 integer of at most 64 bits
+ * @return {BigInt} - the value
+ */
+function _readSLEB128(reader, what) {
+  var bytes = _readGroups(reader, what, MAX_LEB128_BYTES);
+  var n = bytes.length;
+  if (n > 1) {
+    var last = bytes[n - 1], signOfPrevious = bytes[n - 2] & 0x40;
+    if ((last === 0x00 && !signOfPrevious) || (last === 0x7F && signOfPrevious)) throw new Errors.VarIntError(reader, what, "overlong encoding");
+  }
+  var value = BigInt(0);
+  for (var i=n-1; i>=0; i--) value = (value << BigInt(7)) | BigInt(bytes[i] & 0x7F);
+  if ((bytes[n - 1] & 0x40) !== 0) value = value - (BigInt(1) << BigInt(7 * n));
+  if (value > MAX_INT64 || value < MIN_INT64) throw new Errors.VarIntError(reader, what, "more than 64 bits");
+  return value;
+}
+
+/**
+ * Unsigned and signed LEB128 integers (WebAssembly, DWARF)
+ */
+Reader.defineReader("readULEB128", function() {
+  var that = this;
+  return _atomic(that, function() { return _toNumber(that, "LEB128 integer", _readULEB128(that, "LEB128 integer")); });
+});
+Reader.defineReader("readULEB128BigInt", function() {
+  var that = this;
+  return _atomic(that, function() { return _readULEB128(that, "LEB128 integer"); });
+});
+Reader.defineReader("readSLEB128", function() {
+  var that = this;
+  return _atomic(that, function() { return _toNumber(that, "LEB128 integer", _readSLEB128(that, "LEB128 integer")); });
+});
+Reader.defineReader("readSLEB128BigInt", function() {
+  var that = this;
+  return _atomic(that, function() { return _readSLEB128(that, "LEB128 integer"); });
+});
+
+/**
+ * Protobuf varints: unsigned LEB128 of at most 10 bytes. Negative int32 and int64 fields are written as 64 bits two's
+ * complement, use BigInt.asIntN(64, stream.readProtobufVarintBigInt()) to decode them. sint32 and sint64 fields are
+ * zigzag encoded (0, -1, 1, -2... are written 0, 1, 2, 3...)
+ */
+Reader.defineReader("readProtobufVarint", function() {
+  var that = this;
+  return _atomic(that, function() { return _toNumber(that, "protobuf varint", _readULEB128(that, "protobuf varint")); });
+});
+Reader.defineReader("readProtobufVarintBigInt", function() {
+  var that = this;
+  return _atomic(that, function() { return _readULEB128(that, "protobuf varint"); });
+});
+Reader.defineReader("readProtobufSInt", function() {
+  var that = this;
+  return _atomic(that, function() { return _toNumber(that, "protobuf varint", _zigzag(_readULEB128(that, "protobuf varint"))); });
+});
+Reader.defineReader("readProtobufSIntBigInt", function() {
+  var that = this;
+  return _atomic(that, function() { return _zigzag(_readULEB128(that, "protobuf varint")); });
+});
+
+/**
+ * Decode a zigzag encoded value
+ */
+function _zigzag(value) {
+  return (value >> BigInt(1)) ^ -(value & BigInt(1));
+}
+
+
+
+// ================================================================================
+// MIDI variable-length quantities
+// ================================================================================
+
+/**
+ * Maximum number of bytes of a MIDI variable-length quantity (28 bits, 0x0FFFFFFF)
+ */
+const MAX_VLQ_BYTES = 4;
+
+/**
+ * MIDI variable-length quantity (delta times, meta event lengths): most significant group first
+ */
+Reader.defineReader("readVLQ", function() {
+  var that = this;
+  return _atomic(that, function() {
+    var bytes = _readGroups(that, "MIDI variable-length quantity", MAX_VLQ_BYTES);
+    if (bytes.length > 1 && bytes[0] === 0x80) throw new Errors.VarIntError(that, "MIDI variable-length quantity", "overlong encoding");
+    var value = 0;
+    for (var i=0; i<bytes.length; i++) value = value * 128 + (bytes[i] & 0x7F);
+    return value;
+  });
+});
+
+
+
+// ================================================================================
+// EBML variable-length integers
+// ================================================================================
+
+/**
+ * Value of readEBMLSize for elements of unknown size (all the value bits set, such as 0xFF or 0x01FFFFFFFFFFFFFF),
+ * used by live streams for Segment and Cluster elements
+ */
+Reader.EBML_UNKNOWN_SIZE = -1;
+
+/**
+ * Read an EBML variable-length integer: the number of leading zero bits of the first byte gives the number of
+ * additional bytes, and is followed by a 1 bit (the length marker)
+ * @param {PullStream|Chunk} reader - is the stream or chunk
+ * @param {string} what - is the name of the integer, for error messages
+ * @param {integer} maxBytes - is the maximum number of bytes (4 for IDs, 8 for sizes)
+ * @return {Object} - { length, raw, value } where length is the number of bytes, raw the integer with the length
+ *                    marker and value the integer without the length marker (both BigInts)
+ */
+function _readEBML(reader, what, maxBytes) {
+  reader.ensureCapacity(1);
+  var stream = reader.stream || reader;
+  var first = stream._slice(stream.position, stream.position + 1)[0];
+  var length = 1;
+  while (length <= 8 && (first & (0x100 >> length)) === 0) length = length + 1;
+  if (length > maxBytes) throw new Errors.VarIntError(reader, what, length > 8 ? "no length marker" : "more than " + maxBytes + " bytes");
+  if (!reader.hasMore(length)) throw new Errors.ShortReadError(reader, length, "when reading " + what);
+  var bytes = stream._slice(stream.position, stream.position + length);
+  var raw = BigInt(0);
+  for (var i=0; i<length; i++) raw = (raw << BigInt(8)) | BigInt(bytes[i]);
+  stream.position = stream.position + length;
+  var marker = BigInt(1) << BigInt(7 * length);
+  return { length: length, raw: raw, value: raw - marker, allOnes: raw - marker === marker - BigInt(1) };
+}
+
+/**
+ * EBML element ID. IDs are returned with their length marker, which is how specifications list them (EBML header
+ * 0x1A45DFA3, Segment 0x18538067, SimpleBlock 0xA3). IDs with all value bits set or cleared are reserved, and IDs must
+ * use the shortest encoding
+ */
+Reader.defineReader("readEBMLID", function() {
+  var that = this;
+  return _atomic(that, function() {
+    var id = _readEBML(that, "EBML element ID", 4);
+    if (id.allOnes || id.value === BigInt(0)) throw new Errors.VarIntError(that, "EBML element ID", "reserved value");
+    if (id.length > 1 && id.value < (BigInt(1) << BigInt(7 * (id.length - 1))) - BigInt(1)) throw new Errors.VarIntError(that, "EBML element ID", "overlong encoding");
+    return Number(id.raw);
+  });
+});
+
+/**
+ * EBML element data size. Sizes may use more bytes than needed. Returns Reader.EBML_UNKNOWN_SIZE for unknown sizes
+ */
+Reader.defineReader("readEBMLSize", function() {
+  var that = this;
+  return _atomic(that, function() {
+    var size = _readEBML(that, "EBML element size", 8);
+    if (size.allOnes) return Reader.EBML_UNKNOWN_SIZE;
+    return _toNumber(that, "EBML element size", size.value);
+  });
+});
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    EBML_UNKNOWN_SIZE: Reader.EBML_UNKNOWN_SIZE,
+    MAX_LEB128_BYTES: MAX_LEB128_BYTES,
+    MAX_VLQ_BYTES: MAX_VLQ_BYTES
+  };
+}
@@ -0,0 +1,460 @@
+/**
+ * @file wg-streams - ZIP archives (and JAR, DOCX, XLSX, EPUB... files)
+ *
+ * Archives are read from the end: the end of central directory record is found by scanning backward, and the central
+ * directory (including ZIP64 extensions) gives the metadata and the position of each entry. Entry data is returned as
+ * a chunk, or inflated with zlib into a new PullStream and checked against its CRC-32.
+ *
+ * Archives may come from untrusted sources. Entry names which could escape the extraction directory, entries which
+ * overlap or lie outside of the archive and suspicious compression ratios (zip bombs) are rejected.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const zlib = require('zlib');
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-streams::ZIP');
+
+const PullStream = require('./pullstream.js');
+const Text = require('./text.js');
+const PNG = require('./png.js');
+
+
+
+
+// ================================================================================
+// Records
+// ================================================================================
+
+/**
+ * Record signatures
+ */
+const LOCAL_FILE_HEADER = 0x04034B50;
+const CENTRAL_FILE_HEADER = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064B50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR = 0x07064B50;
+
+/**
+ * Record sizes (without variable-length fields)
+ */
+const LOCAL_FILE_HEADER_SIZE = 30;
+const CENTRAL_FILE_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE = 56;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE = 20;
+
+/**
+ * Maximum length of the archive comment, which follows the end of central directory record
+ */
+const MAX_COMMENT_LENGTH = 0xFFFF;
+
+/**
+ * Compression methods
+ */
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * General purpose flags
+ */
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * Extra field IDs
+ */
+const EXTRA_ZIP64 = 0x0001;
+const EXTRA_TIMESTAMP = 0x5455;
+const EXTRA_UNICODE_PATH = 0x7075;
+
+/**
+ * Default limits, for archives from untrusted sources
+ *   maxEntries      maximum number of entries
+ *   maxEntrySize    maximum uncompressed size of an entry
+ *   maxTotalSize    maximum uncompressed size of all the entries
+ *   maxRatio        maximum compression ratio (uncompressed size / compressed size), for entries larger than 1 MB
+ */
+const LIMITS = {
+  maxEntries: 10000,
+  maxEntrySize: 1024 * 1024 * 1024,
+  maxTotalSize: 4 * 1024 * 1024 * 1024,
+  maxRatio: 100
+};
+
+/**
+ * Entries smaller than this uncompressed size are not checked against the maximum compression ratio. Small files
+ * (such as files full of zeros) legitimately compress very well
+ */
+const MIN_RATIO_SIZE = 1024 * 1024;
+
+
+
+// ================================================================================
+// Central directory
+// ================================================================================
+
+/**
+ * Read the central directory of a ZIP archive, and the local header of each entry. The source may have data before
+ * the archive (such as self-extracting archives): offsets are then adjusted.
+ *
+ * Throws an error if the archive is invalid or unsafe: entry names which are absolute or contain ".." components (use
+ * the allowUnsafeNames option to accept them), entries which overlap or are outside of the archive, or limits which are
+ * exceeded.
+ *
+ * @param {PullStream|Chunk} source - is the stream or chunk holding the archive
+ * @param {Object} options - is an optional set of options
+ * @param {integer} options.maxEntries - is the maximum number of entries (see LIMITS)
+ * @param {integer} options.maxEntrySize - is the maximum uncompressed size of an entry (see LIMITS)
+ * @param {integer} options.maxTotalSize - is the maximum uncompressed size of all the entries (see LIMITS)
+ * @param {number} options.maxRatio - is the maximum compression ratio (see LIMITS)
+ * @param {boolean} options.allowUnsafeNames - is true to accept entry names which could escape the extraction directory
+ * @return {Object} - the archive { entries, comment, zip64, centralDirectory, warnings }
+ *                    - entries are the entries, in central directory order { name, comment, isDirectory, encrypted,
+ *                      method, crc32, compressedSize, uncompressedSize, lastModified, versionMadeBy, versionNeeded,
+ *                      flags, internalAttributes, externalAttributes, zip64, localHeaderOffset, dataOffset }. Offsets
+ *                      are relative to the source
+ *                    - comment is the archive comment
+ *                    - zip64 is true for ZIP64 archives
+ *                    - centralDirectory is { offset, size, count }
+ *                    - warnings are the problems which do not prevent reading the entries
+ */
+function read(source, options) {
+  options = Object.assign({}, LIMITS, options);
+  var result = { entries: [], comment: undefined, zip64: false, centralDirectory: undefined, warnings: [] };
+
+  var end = _readEndOfCentralDirectory(source, result);
+  var cd = result.centralDirectory;
+  if (cd.count > options.maxEntries)
+    throw new Exception({count:cd.count, maxEntries:options.maxEntries}, "Too many entries (" + cd.count + ", maximum is " + options.maxEntries + ")");
+  if (cd.offset + cd.size > end)
+    throw new Exception({offset:cd.offset, size:cd.size}, "Invalid central directory (outside of the archive)");
+  // The central directory is followed by the end of central directory record. If not, there's data before the archive
+  var bias = end - (cd.offset + cd.size);
+  if (bias > 0) log.debug({bias:bias}, "Data before the archive");
+  cd.offset = cd.offset + bias;
+
+  source.seek(cd.offset);
+  var directory = source.chunk("central directory", cd.size);
+  var totalSize = 0;
+  while (result.entries.length < cd.count && directory.hasMore(CENTRAL_FILE_HEADER_SIZE)) {
+    var entry = _readCentralEntry(directory, result);
+    entry.localHeaderOffset = entry.localHeaderOffset + bias;
+    _checkEntry(entry, options);
+    totalSize = totalSize + entry.uncompressedSize;
+    if (totalSize > options.maxTotalSize)
+      throw new Exception({totalSize:totalSize, maxTotalSize:options.maxTotalSize}, "Archive too large (more than " + options.maxTotalSize + " bytes uncompressed)");
+    result.entries.push(entry);
+  }
+  if (result.entries.length !== cd.count)
+    result.warnings.push("Central directory has " + result.entries.length + " entries instead of " + cd.count);
+
+  _readLocalHeaders(source, result.entries, cd.offset);
+  return result;
+}
+
+/**
+ * Find and read the end of central directory record (and the ZIP64 record if any). The record is the last one whose
+ * comment fits in the source, so that a signature in the comment is not mistaken for the record.
+ * @return {integer} - the position of the record following the central directory (the ZIP64 or regular end of central
+ *                     directory record), relative to the source
+ */
+function _readEndOfCentralDirectory(source, result) {
+  var size = source.maxPosition - source.startPosition;
+  if (size < END_OF_CENTRAL_DIRECTORY_SIZE) throw new Exception({size:size}, "Not a ZIP archive (end of central directory not found)");
+  var from = Math.max(0, size - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_LENGTH);
+  var signature = Buffer.alloc(4);
+  signature.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  // Scan backward the signatures of the records which would fit in the source. The scanned range ends before each
+  // candidate whose comment does not fit
+  source.seek(from);
+  var tail = source.chunk("end of central directory", size - END_OF_CENTRAL_DIRECTORY_SIZE + 4 - from);
+  var position = -1;
+  while (position === -1) {
+    tail.seek(0);
+    var found = tail.scanBackward(signature);
+    if (found === -1) throw new Exception({size:size}, "Not a ZIP archive (end of central directory not found)");
+    source.seek(from + found + 20);
+    if (from + found + END_OF_CENTRAL_DIRECTORY_SIZE + source.readUInt16LE() <= size) position = from + found;
+    else {
+      tail.seek(found);
+      tail.extend(found + 3 - (tail.maxPosition - tail.startPosition));
+    }
+  }
+
+  source.seek(position + 4);
+  var diskNumber = source.readUInt16LE();
+  var directoryDisk = source.readUInt16LE();
+  var diskCount = source.readUInt16LE();
+  var count = source.readUInt16LE();
+  var directorySize = source.readUInt32LE();
+  var directoryOffset = source.readUInt32LE();
+  var commentLength = source.readUInt16LE();
+  result.comment = Text.decode(source.readBytes(commentLength), "cp437").value;
+  if (position + END_OF_CENTRAL_DIRECTORY_SIZE + commentLength < size)
+    result.warnings.push((size - position - END_OF_CENTRAL_DIRECTORY_SIZE - commentLength) + " bytes after the end of central directory");
+
+  if (count === 0xFFFF || directorySize === 0xFFFFFFFF || directoryOffset === 0xFFFFFFFF) {
+    var zip64 = _readZip64EndOfCentralDirectory(source, position);
+    if (zip64) {
+      result.zip64 = true;
+      result.centralDirectory = { offset: zip64.directoryOffset, size: zip64.directorySize, count: zip64.count };
+      return zip64.position;
+    }
+  }
+  if (diskNumber !== directoryDisk || diskCount !== count)
+    throw new Exception({diskNumber:diskNumber, directoryDisk:directoryDisk}, "Multi-volume archives are not supported");
+  result.centralDirectory = { offset: directoryOffset, size: directorySize, count: count };
+  return position;
+}
+
+/**
+ * Read the ZIP64 end of central directory locator (just before the end of central directory record) and record
+ * @param {integer} position - is the position of the end of central directory record
+ * @return {Object} - { position, count, directorySize, directoryOffset }, or undefined if there's no locator
+ */
+function _readZip64EndOfCentralDirectory(source, position) {
+  if (position < ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE) return undefined;
+  source.seek(position - ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE);
+  if (source.readUInt32LE() !== ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR) return undefined;
+  source.skip(4);                                                       // disk of the ZIP64 record
+  var recordOffset = _toNumber(source.readUInt64LE(), "ZIP64 end of central directory offset");
+  var locator = position - ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE;
+  if (recordOffset + ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE > locator)
+    throw new Exception({offset:recordOffset}, "Invalid ZIP64 end of central directory (outside of the archive)");
+  // The record is followed by the locator (unless it has an extensible data sector). If the record is not at its
+  // offset, there's data before the archive
+  source.seek(recordOffset);
+  if (source.readUInt32LE() !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+    recordOffset = locator - ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE;
+    source.seek(recordOffset);
+    if (source.readUInt32LE() !== ZIP64_END_OF_CENTRAL_DIRECTORY)
+      throw new Exception({offset:recordOffset}, "Invalid ZIP64 end of central directory signature at offset " + recordOffset);
+  }
+  source.skip(8 + 2 + 2);                                               // record size, versions
+  var diskNumber = source.readUInt32LE();
+  var directoryDisk = source.readUInt32LE();
+  var diskCount = _toNumber(source.readUInt64LE(), "entry count");
+  var count = _toNumber(source.readUInt64LE(), "entry count");
+  if (diskNumber !== directoryDisk || diskCount !== count)
+    throw new Exception({diskNumber:diskNumber, directoryDisk:directoryDisk}, "Multi-volume archives are not supported");
+  return {
+    position: recordOffset,
+    count: count,
+    directorySize: _toNumber(source.readUInt64LE(), "central directory size"),
+    directoryOffset: _toNumber(source.readUInt64LE(), "central directory offset")
+  };
+}
+
+/**
+ * Read a central directory entry
+ */
+function _readCentralEntry(directory, result) {
+  var offset = directory.tell();
+  if (directory.readUInt32LE() !== CENTRAL_FILE_HEADER)
+    throw new Exception({offset:offset}, "Invalid central directory entry signature at offset " + offset);
+  var entry = {
+    name: undefined,
+    comment: undefined,
+    isDirectory: false,
+    encrypted: false,
+    versionMadeBy: directory.readUInt16LE(),
+    versionNeeded: directory.readUInt16LE(),
+    flags: directory.readUInt16LE(),
+    method: directory.readUInt16LE(),
+    lastModified: _dosDate(directory.readUInt16LE(), directory.readUInt16LE()),
+    crc32: directory.readUInt32LE(),
+    compressedSize: directory.readUInt32LE(),
+    uncompressedSize: directory.readUInt32LE(),
+    internalAttributes: undefined,
+    externalAttributes: undefined,
+    zip64: false,
+    localHeaderOffset: undefined,
+    dataOffset: undefined
+  };
+  var nameLength = directory.readUInt16LE();
+  var extraLength = directory.readUInt16LE();
+  var commentLength = directory.readUInt16LE();
+  var diskNumber = directory.readUInt16LE();
+  entry.internalAttributes = directory.readUInt16LE();
+  entry.externalAttributes = directory.readUInt32LE();
+  entry.localHeaderOffset = directory.readUInt32LE();
+
+  var encoding = (entry.flags & FLAG_UTF8) ? "utf8" : "cp437";
+  var rawName = directory.readBytes(nameLength);
+  entry.name = Text.decode(rawName, encoding).value;
+  var extra = directory.chunk("extra", extraLength);
+  _readExtraFields(extra, entry, diskNumber, rawName, result);
+  extra.skip();
+  entry.comment = Text.decode(directory.readBytes(commentLength), encoding).value;
+  entry.encrypted = (entry.flags & FLAG_ENCRYPTED) !== 0;
+  entry.isDirectory = /[\/\\]$/.test(entry.name);
+  return entry;
+}
+
+/**
+ * Read the extra fields of a central directory entry: ZIP64 sizes and offset, extended timestamp and Info-ZIP Unicode path
+ */
+function _readExtraFields(extra, entry, diskNumber, rawName, result) {
+  while (extra.hasMore(4)) {
+    var id = extra.readUInt16LE();
+    var size = extra.readUInt16LE();
+    if (!extra.hasMore(size)) {
+      result.warnings.push("Truncated extra field 0x" + id.toString(16) + " for entry " + entry.name);
+      return;
+    }
+    var field = extra.chunk("0x" + id.toString(16), size);
+    if (id === EXTRA_ZIP64) {
+      // Only the values which do not fit in the central directory entry are present, in this order
+      entry.zip64 = true;
+      if (entry.uncompressedSize === 0xFFFFFFFF) entry.uncompressedSize = _toNumber(field.readUInt64LE(), "entry size");
+      if (entry.compressedSize === 0xFFFFFFFF) entry.compressedSize = _toNumber(field.readUInt64LE(), "entry size");
+      if (entry.localHeaderOffset === 0xFFFFFFFF) entry.localHeaderOffset = _toNumber(field.readUInt64LE(), "entry offset");
+      if (diskNumber === 0xFFFF) diskNumber = field.readUInt32LE();
+    }
+    else if (id === EXTRA_TIMESTAMP && size >= 5) {
+      if (field.readByte() & 0x01) entry.lastModified = new Date(field.readInt32LE() * 1000);
+    }
+    else if (id === EXTRA_UNICODE_PATH && size >= 5) {
+      // Ignored if the name was changed by a tool unaware of the field
+      var version = field.readByte();
+      var crc = field.readUInt32LE();
+      if (version === 1 && crc === PNG.crc32(rawName)) entry.name = Text.decode(field.readBytes(size - 5), "utf8").value;
+    }
+    extra.skip(size - field.tell());
+  }
+  if (diskNumber !== 0) throw new Exception({name:entry.name, diskNumber:diskNumber}, "Multi-volume archives are not supported");
+}
+
+/**
+ * Read the local header of each entry, to find the position of the data. The entries must not overlap and must end
+ * before the central directory
+ * @param {integer} end - is the position of the central directory
+ */
+function _readLocalHeaders(source, entries, end) {
+  var sorted = entries.slice().sort(function(a, b) { return a.localHeaderOffset - b.localHeaderOffset; });
+  var previous;
+  sorted.forEach(function(entry) {
+    var offset = entry.localHeaderOffset;
+    if (offset + LOCAL_FILE_HEADER_SIZE > end)
+      throw new Exception({name:entry.name, offset:offset}, "Invalid entry " + entry.name + " (outside of the archive)");
+    if (previous && offset < previous.dataOffset + previous.compressedSize)
+      throw new Exception({name:entry.name, previous:previous.name}, "Overlapping entries " + previous.name + " and " + entry.name);
+    source.seek(offset);
+    if (source.readUInt32LE() !== LOCAL_FILE_HEADER)
+      throw new Exception({name:entry.name, offset:offset}, "Invalid local header signature for entry " + entry.name + " at offset " + offset);
+    source.skip(22);
+    var nameLength = source.readUInt16LE();
+    var extraLength = source.readUInt16LE();
+    entry.dataOffset = offset + LOCAL_FILE_HEADER_SIZE + nameLength + extraLength;
+    if (entry.dataOffset + entry.compressedSize > end)
+      throw new Exception({name:entry.name, offset:offset}, "Invalid entry " + entry.name + " (outside of the archive)");
+    previous = entry;
+  });
+}
+
+/**
+ * Check that an entry is safe to extract: name, sizes and compression ratio
+ */
+function _checkEntry(entry, options) {
+  var reason = _unsafeName(entry.name);
+  if (reason && !options.allowUnsafeNames)
+    throw new Exception({name:entry.name, reason:reason}, "Unsafe entry name " + JSON.stringify(entry.name) + " (" + reason + ")");
+  if (entry.uncompressedSize > options.maxEntrySize)
+    throw new Exception({name:entry.name, size:entry.uncompressedSize}, "Entry " + entry.name + " too large (" + entry.uncompressedSize + " bytes, maximum is " + options.maxEntrySize + ")");
+  if (entry.uncompressedSize > MIN_RATIO_SIZE && entry.uncompressedSize > options.maxRatio * entry.compressedSize)
+    throw new Exception({name:entry.name, compressedSize:entry.compressedSize, uncompressedSize:entry.uncompressedSize}, "Suspicious compression ratio for entry " + entry.name);
+}
+
+/**
+ * Check whether an entry name could escape the extraction directory
+ * @return {string} - the reason why the name is unsafe, or undefined if the name is safe
+ */
+function _unsafeName(name) {
+  if (name.length === 0) return "empty name";
+  if (name.indexOf("\u0000") !== -1) return "null character";
+  if (name[0] === "/" || name[0] === "\\") return "absolute path";
+  if (/^[a-zA-Z]:/.test(name)) return "drive letter";
+  if (name.split(/[\/\\]/).indexOf("..") !== -1) return "parent directory reference";
+  return undefined;
+}
+
+/**
+ * Convert a DOS date and time (local time, 2 seconds precision). DOS dates have no time zone: they are returned as UTC
+ */
+function _dosDate(time, date) {
+  return new Date(Date.UTC(1980 + (date >> 9), ((date >> 5) & 0x0F) - 1, date & 0x1F, time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2));
+}
+
+/**
+ * Convert a 64 bits value to a number. Throws an error if it does not fit
+ */
+function _toNumber(value, what) {
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Exception({value:value.toString()}, "Invalid " + what + " (too large)");
+  return Number(value);
+}
+
+
+
+// ================================================================================
+// Entry data
+// ================================================================================
+
+/**
+ * Get the data of an entry, as stored in the archive (compressed)
+ * @param {PullStream|Chunk} source - is the stream or chunk holding the archive (as passed to read)
+ * @param {Object} entry - is the entry
+ * @return {Chunk} - a chunk on the data, named after the entry
+ */
+function openEntry(source, entry) {
+  source.seek(entry.dataOffset);
+  return source.chunk(entry.name, entry.compressedSize);
+}
+
+/**
+ * Get the uncompressed data of an entry. The data is stored or inflated in memory, and cannot be larger than the
+ * uncompressed size of the entry. Throws an error if the data is invalid or its CRC does not match
+ * @param {PullStream|Chunk} source - is the stream or chunk holding the archive (as passed to read)
+ * @param {Object} entry - is the entry
+ * @param {Object} options - is an optional set of options
+ * @param {boolean} options.verifyCRC - is false to skip the CRC verification (default is true)
+ * @return {PullStream} - a new stream over the uncompressed data
+ */
+function inflateEntry(source, entry, options) {
+  options = options || {};
+  if (entry.encrypted) throw new Exception({name:entry.name}, "Encrypted entries are not supported (" + entry.name + ")");
+  var bytes = openEntry(source, entry).readBytes(entry.compressedSize);
+  var data;
+  if (entry.method === STORED) data = bytes;
+  else if (entry.method === DEFLATED) {
+    try {
+      // Output larger than the declared size is an error: stop inflating as soon as it's detected
+      data = zlib.inflateRawSync(bytes, { maxOutputLength: Math.max(entry.uncompressedSize, 1) });
+    } catch (err) {
+      throw new Exception({name:entry.name, err:err.message}, "Invalid compressed data for entry " + entry.name);
+    }
+  }
+  else throw new Exception({name:entry.name, method:entry.method}, "Unsupported compression method " + entry.method + " for entry " + entry.name);
+  if (data.length !== entry.uncompressedSize)
+    throw new Exception({name:entry.name, size:data.length, expected:entry.uncompressedSize}, "Invalid size for entry " + entry.name);
+  if (options.verifyCRC !== false && PNG.crc32(data) !== entry.crc32)
+    throw new Exception({name:entry.name}, "Invalid CRC for entry " + entry.name);
+  return PullStream.derive(source, data);
+}
+
+
+
+/**
+ * Public module interface
+ */
+if (typeof(module) !== "undefined") {
+  module.exports = {
+    STORED: STORED,
+    DEFLATED: DEFLATED,
+    LIMITS: LIMITS,
+    read: read,
+    openEntry: openEntry,
+    inflateEntry: inflateEntry
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * wg-streams - BitReader unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const BitReader = require('../lib/bitreader.js');
+
+describe('BitReader', function() {
+
+  it('Should read bits', function() {
+    // MPEG-1 Layer III frame header: 0xFFFB9064
+    var stream = new PullStream().fromBuffer(Buffer.from([ 0xFF, 0xFB, 0x90, 0x64, 0x42 ]));
+    var bits = stream.bitReader();
+    assert.strictEqual(40, bits.bitsRemaining());
+    assert.strictEqual(0x7FF, bits.readBits(11), "Frame sync");
+    assert.strictEqual(2, stream.tell(), "Shares position with the stream");
+    assert.strictEqual(3, bits.readBits(2), "MPEG version");
+    assert.strictEqual(1, bits.readBits(2), "Layer");
+    assert.strictEqual(1, bits.readBit(), "No CRC");
+    assert(bits.isAligned());
+    assert.strictEqual(9, bits.readBits(4), "Bitrate index");
+    assert.strictEqual(0, bits.readBits(2), "Sampling rate index");
+    assert(!bits.isAligned());
+    assert.strictEqual(18, bits.bitsRemaining());
+    bits.skipBits(2);
+    assert.strictEqual(0x64, bits.readBits(8));
+    bits.alignToByte();
+    assert.strictEqual(0x42, stream.readByte(), "Back to byte reads");
+    assert.throws(function() { bits.readBit(); });
+    assert.throws(function() { bits.readBits(54); });
+  });
+
+  it('Should read bits larger than 32 bits', function() {
+    var stream = new PullStream().fromBuffer(Buffer.from([ 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF ]));
+    var bits = new BitReader(stream);
+    bits.readBits(4);
+    assert.strictEqual(0xFFFFFFFFFFF, bits.readBits(44));
+  });
+
+  it('Should read Exp-Golomb codes', function() {
+    // 1 010 011 00100 00101 00110 00111 0001000 (0 to 7), then 0x00 padding
+    var stream = new PullStream().fromBuffer(Buffer.from([ 0xA6, 0x42, 0x98, 0xE2, 0x00 ]));
+    var bits = stream.bitReader();
+    assert.strictEqual(0, bits.readUE());
+    assert.strictEqual(1, bits.readUE());
+    assert.strictEqual(2, bits.readUE());
+    assert.strictEqual(3, bits.readUE());
+    stream.seek(0);
+    bits = stream.bitReader();
+    assert.strictEqual(0, bits.readSE());
+    assert.strictEqual(1, bits.readSE());
+    assert.strictEqual(-1, bits.readSE());
+    assert.strictEqual(2, bits.readSE());
+    assert.strictEqual(-2, bits.readSE());
+    assert.strictEqual(3, bits.readSE());
+    assert.strictEqual(-3, bits.readSE());
+    assert.strictEqual(4, bits.readSE());
+    assert.throws(function() { bits.readUE(); }, "Unterminated code");
+  });
+
+  it('Should respect chunk boundaries', function() {
+    var stream = new PullStream().fromBuffer(Buffer.from([ 0x12, 0x34, 0x56 ]));
+    var chunk = stream.chunk("Two bytes", 2);
+    var bits = chunk.bitReader();
+    assert.strictEqual(16, bits.bitsRemaining());
+    assert.strictEqual(0x123, bits.readBits(12));
+    assert.strictEqual(4, bits.bitsRemaining());
+    assert.throws(function() { bits.readBits(5); });
+  });
+
+});
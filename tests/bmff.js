@@ -0,0 +1,138 @@
+/**
+ * wg-streams - ISO base media file format unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const PushStream = require('../lib/pushstream.js');
+const BMFF = require('../lib/bmff.js');
+const Errors = require('../lib/errors.js');
+const Samples = require('./helpers/samples.js');
+
+
+describe('BMFF', function() {
+
+  it('Should iterate over boxes', function() {
+    var push = new PushStream();
+    Samples.box(push, "free", function(chunk) { chunk.writeBytes([ 1, 2 ]); });
+    push.writeLong(1); push.writeASCII4("wide"); push.writeUInt64(20); push.writeLong(0xCAFE);
+    push.writeLong(28); push.writeASCII4("uuid"); push.writeBytes(Buffer.alloc(16, 0xAB)); push.writeLong(7);
+    push.writeLong(0); push.writeASCII4("mdat"); push.writeBytes([ 1, 2, 3 ]);
+    push.writeBytes([ 0, 0 ]);
+    var stream = new PullStream().fromBuffer(push.toBuffer());
+    var boxes = [];
+    BMFF.forEachBox(stream, function(box, chunk) {
+      boxes.push(box);
+      if (box.type === "wide") assert.strictEqual(0xCAFE, chunk.readLong());
+      if (box.type === "uuid") assert.strictEqual(7, chunk.readLong());
+    });
+    assert.deepStrictEqual([ "free", "wide", "uuid", "mdat" ], boxes.map(function(b) { return b.type; }));
+    assert.deepStrictEqual([ 10, 20, 28, 13 ], boxes.map(function(b) { return b.size; }));
+    assert.deepStrictEqual([ 8, 16, 24, 8 ], boxes.map(function(b) { return b.headerSize; }));
+    assert.strictEqual("ab".repeat(16), boxes[2].uuid);
+    assert.strictEqual(58, boxes[3].offset);
+    assert.strictEqual(stream.maxPosition, stream.tell());
+  });
+
+  it('Should report invalid and truncated boxes', function() {
+    var push = new PushStream();
+    push.writeLong(100); push.writeASCII4("mdat"); push.writeBytes([ 1, 2, 3 ]);
+    var boxes = [];
+    BMFF.forEachBox(new PullStream().fromBuffer(push.toBuffer()), function(box) { boxes.push(box); });
+    assert.strictEqual(true, boxes[0].truncated);
+    assert.strictEqual(11, boxes[0].size);
+
+    push = new PushStream();
+    push.writeLong(4); push.writeASCII4("free");
+    assert.throws(function() { BMFF.forEachBox(new PullStream().fromBuffer(push.toBuffer()), function() {}); }, /Invalid box size/);
+  });
+
+  it('Should build a lazy box tree', function() {
+    var root = BMFF.read(new PullStream().fromBuffer(Samples.sampleMovie()));
+    assert.deepStrictEqual([ "ftyp", "moov", "free", "mdat" ], root.getChildren().map(function(b) { return b.type; }));
+    assert.strictEqual(undefined, root.find("moov")._children);
+    assert.strictEqual(5, root.find("mdat").size - root.find("mdat").headerSize);
+    assert.strictEqual("stbl", root.find("moov/trak/mdia/minf/stbl/stco").parent.type);
+    assert.deepStrictEqual([ "avc1", "mp4a" ], root.find("moov/trak/mdia/minf/stbl/stsd").getChildren().map(function(b) { return b.type; }));
+    assert.strictEqual(1, root.findAll("moov/trak").length);
+    assert.strictEqual(undefined, root.find("moov/trak/edts"));
+    assert.strictEqual(undefined, root.find("mdat").decode());
+  });
+
+  it('Should read boxes within their parent', function() {
+    var push = new PushStream();
+    Samples.box(push, "moov", function(moov) {
+      Samples.box(moov, "trak", function(trak) {
+        Samples.box(trak, "mdia", function(mdia) {
+          Samples.box(mdia, "mdhd", function(chunk) { Samples.fullBox(chunk, 0, 0); chunk.writeLong(0); });
+        });
+      });
+    });
+    var stream = new PullStream().fromBuffer(Buffer.concat([ Buffer.from("head"), push.toBuffer() ]));
+    stream.skip(4);
+    var root = BMFF.read(stream.chunk("file"));
+    var mdhd = root.find("moov/trak/mdia/mdhd");
+    assert.strictEqual("mdia", mdhd.chunk().parent.name);
+    assert.throws(function() { mdhd.decode(); }, function(err) {
+      assert(err instanceof Errors.ShortReadError, err.stack);
+      assert.strictEqual("file > moov > trak > mdia > mdhd", err.path);
+      return true;
+    });
+  });
+
+  it('Should decode common boxes', function() {
+    var root = BMFF.read(new PullStream().fromBuffer(Samples.sampleMovie()));
+    assert.deepStrictEqual({ majorBrand: "isom", minorVersion: 512, compatibleBrands: [ "isom", "mp41" ] }, root.find("ftyp").decode());
+
+    var mvhd = root.find("moov/mvhd").decode();
+    assert.strictEqual("1970-01-02T00:00:00.000Z", mvhd.creationTime.toISOString());
+    assert.strictEqual(0, mvhd.modificationTime.getTime());
+    assert.strictEqual(1000, mvhd.timescale);
+    assert.strictEqual(5000, mvhd.duration);
+    assert.strictEqual(1, mvhd.rate);
+    assert.strictEqual(1, mvhd.volume);
+    assert.strictEqual(2, mvhd.nextTrackId);
+
+    var tkhd = root.find("moov/trak/tkhd").decode();
+    assert.strictEqual(1, tkhd.version);
+    assert.strictEqual(true, tkhd.enabled);
+    assert.strictEqual(1, tkhd.trackId);
+    assert.strictEqual(5000, tkhd.duration);
+    assert.strictEqual(640, tkhd.width);
+    assert.strictEqual(480, tkhd.height);
+
+    var mdhd = root.find("moov/trak/mdia/mdhd").decode();
+    assert.strictEqual(90000, mdhd.timescale);
+    assert.strictEqual(450000, mdhd.duration);
+    assert.strictEqual("fra", mdhd.language);
+
+    var hdlr = root.find("moov/trak/mdia/hdlr").decode();
+    assert.strictEqual("vide", hdlr.handlerType);
+    assert.strictEqual("VideoHandler", hdlr.name);
+
+    var stsd = root.find("moov/trak/mdia/minf/stbl/stsd").decode();
+    assert.deepStrictEqual({ format: "avc1", dataReferenceIndex: 1, width: 640, height: 480, horizontalResolution: 72,
+      verticalResolution: 72, frameCount: 1, compressorName: "x264", depth: 24 }, stsd.entries[0]);
+    assert.deepStrictEqual({ format: "mp4a", dataReferenceIndex: 1, channelCount: 2, sampleSize: 16, sampleRate: 44100 }, stsd.entries[1]);
+
+    assert.deepStrictEqual([ 100, 200 ], root.find("moov/trak/mdia/minf/stbl/stco").decode().chunkOffsets);
+    assert.deepStrictEqual([ 0x100000000 ], root.find("moov/trak/mdia/minf/stbl/co64").decode().chunkOffsets);
+  });
+
+  it('Should decode iTunes tags', function() {
+    var root = BMFF.read(new PullStream().fromBuffer(Samples.sampleMovie()));
+    var meta = root.find("moov/udta/meta").decode();
+    assert.strictEqual("mdir", meta.handlerType);
+    var tags = meta.tags;
+    assert.strictEqual("Title", tags.title);
+    assert.strictEqual("Artist", tags.artist);
+    assert.deepStrictEqual({ number: 3, total: 12 }, tags.track);
+    assert.strictEqual("Rock", tags.genre);
+    assert.strictEqual(120, tags.tempo);
+    assert.deepStrictEqual([ { mimeType: "image/jpeg", data: Buffer.from([ 0xFF, 0xD8 ]) } ], tags.pictures);
+    assert.strictEqual("Happy", tags.items.MOOD);
+    assert.strictEqual("Title", tags.items["©nam"]);
+  });
+
+});
@@ -7,6 +7,8 @@ const assert = require('assert');
 const fs = require('fs');
 const PullStream = require('../lib/pullstream.js');
 const Chunk = require('../lib/chunk.js');
+const Reader = require('../lib/reader.js');
+const Errors = require('../lib/errors.js');
 
 describe('Chunk', function() {
 
@@ -65,5 +67,232 @@ describe('Chunk', function() {
     });
   });
 
-});
+  it('Should inherit and override byte order', function(done) {
+    var file = __dirname + "/./data/file1.txt"
+    var stream = new PullStream();
+    return stream.fromFile(file, function(err) {
+      if (err) return done(err);
+      stream.setByteOrder(PullStream.LITTLE_ENDIAN);
+      var chunk = stream.chunk("Little endian chunk", 100);
+      assert.strictEqual(Chunk.LITTLE_ENDIAN, chunk.byteOrder, "Inherited from stream");
+      assert.strictEqual(0x7550, chunk.readShort());
+      assert.strictEqual(0x6C6C, chunk.readShortBE());
+      chunk.setByteOrder(Chunk.BIG_ENDIAN);
+      assert.strictEqual(PullStream.LITTLE_ENDIAN, stream.byteOrder, "Stream byte order unchanged");
+      var child = chunk.chunk("Big endian child", 10);
+      assert.strictEqual(Chunk.BIG_ENDIAN, child.byteOrder, "Inherited from parent chunk");
+      assert.strictEqual(0x20636F, child.read3Bytes());
+      assert.strictEqual(0x64696E67, child.readLong());
+      assert.strictEqual(0x6F20, child.readShortLE());
+      assert.strictEqual(0x72, child.readByte());
+      assert.throws(function() { child.readLongLE(); });
+      return done();
+    });
+  });
+
+  it('Should read signed and unsigned integers', function() {
+    var stream = new PullStream();
+    stream.buffer = Buffer.from([ 0x80, 0x00, 0x00, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF ]);
+    stream.maxPosition = stream.buffer.length;
+    var chunk = stream.chunk("Integers", 10);
+    assert.strictEqual(0x80000001, chunk.readLong());
+    chunk.setByteOrder(Chunk.LITTLE_ENDIAN);
+    assert.strictEqual(-1, chunk.readInt16());
+    assert.strictEqual(-1, chunk.readInt8());
+    assert.strictEqual(0xFFFFFF, chunk.readUInt24());
+    assert.throws(function() { chunk.readUInt64(); }, "64 bits read past chunk end");
+    assert(!chunk.hasMore());
+    stream.position = 4;
+    assert.strictEqual(0xFFFF, chunk.readUInt16BE());
+    stream.position = 0;
+    chunk = stream.chunk("Longs");
+    assert.strictEqual(-0x7FFFFFFF, chunk.readInt32());
+    stream.position = 0;
+    assert.strictEqual(0x80000001FFFFFFFFn, chunk.readUInt64BE());
+    assert(chunk.hasMore(4));
+    assert(!chunk.hasMore(8));
+  });
 
+  it('Should read floating point and fixed point numbers', function() {
+    var stream = new PullStream();
+    stream.buffer = Buffer.from([ 0x00, 0x00, 0xC0, 0x3F, 0x00, 0x80, 0x01, 0x00 ]);
+    stream.maxPosition = stream.buffer.length;
+    var chunk = stream.chunk("Numbers", 6);
+    chunk.setByteOrder(Chunk.LITTLE_ENDIAN);
+    assert.strictEqual(1.5, chunk.readFloat32());
+    assert.throws(function() { chunk.readFixed16_16(); });
+    assert.strictEqual(0.5, chunk.readFixed8_8BE());
+  });
+
+  it('Should seek, peek and reset within chunk boundaries', function(done) {
+    var file = __dirname + "/./data/file1.txt"
+    var stream = new PullStream();
+    return stream.fromFile(file, function(err) {
+      if (err) return done(err);
+      stream.skip(5);
+      var chunk = stream.chunk("Chunk", 14);    // "coding or clie"
+      assert.strictEqual(5, chunk.startPosition);
+      assert.strictEqual(0, chunk.tell());
+      assert.strictEqual(0x636F, chunk.peekShort());
+      assert.strictEqual("cod", chunk.peekASCII3());
+      assert.strictEqual("coding", chunk.peekZString88591(true).substring(0, 6));
+      assert.strictEqual(0, chunk.tell(), "Peek does not consume");
+      chunk.seek(7);
+      assert.strictEqual(7, chunk.tell());
+      assert.strictEqual(12, stream.tell());
+      assert.strictEqual("or ", chunk.readASCII3());
+      chunk.mark();
+      assert.strictEqual("clie", chunk.readASCII4());
+      assert.throws(function() { chunk.peekByte(); });
+      assert.throws(function() { chunk.seek(15); });
+      assert.throws(function() { chunk.seek(-1); });
+      assert.throws(function() { chunk.seek([ 0, 8 ]); }, /Invalid seek offset \(not an integer\) in Chunk at offset/);
+      assert.throws(function() { chunk.seek(1.5); }, Errors.ReaderError);
+      assert.throws(function() { stream.seek("8"); }, Errors.ReaderError);
+      assert.strictEqual(14, chunk.tell(), "Position unchanged");
+      assert.strictEqual(19, stream.tell());
+      chunk.reset();
+      assert.strictEqual(10, chunk.tell());
+      chunk.seek(14);
+      assert(!chunk.hasMore());
+      chunk.seek(0);
+      assert.strictEqual("coding", chunk.readZString88591(true).substring(0, 6));
+      return done();
+    });
+  });
+
+  it('Should read strings and buffers across windows', function(done) {
+    var file = __dirname + "/./data/file1.txt"
+    var stream = new PullStream();
+    return stream.openFile(file, { windowSize: 8 }, function(err) {
+      if (err) return done(err);
+      var chunk = stream.chunk("Windowed chunk", 40);
+      assert.strictEqual("Pull coding or client pull is a style of", chunk.peekBuffer().toString());
+      assert.strictEqual("Pull coding or client pull is a style of", chunk.peekStringUTF8());
+      assert.strictEqual("Pull coding or client pull is a style of", chunk.peekZString88591(true));
+      assert.strictEqual("Pull coding or client pull is a style of", chunk.peekZStringUTF8(true));
+      assert.throws(function() { chunk.peekZStringUTF8(); });
+      chunk.skip(5);
+      assert.strictEqual("coding or client", chunk.readBytes(16).toString());
+      assert.strictEqual(" pull is a style of", chunk.readString88591());
+      assert(!chunk.hasMore());
+      return stream.close(done);
+    });
+  });
+
+  it('Should scan within chunk boundaries', function(done) {
+    var file = __dirname + "/./data/file1.txt"
+    var stream = new PullStream();
+    return stream.openFile(file, { windowSize: 8 }, function(err) {
+      if (err) return done(err);
+      stream.skip(5);
+      var chunk = stream.chunk("Chunk", 362);    // up to "pul" of the second "pull"
+      assert.deepStrictEqual([ 17 ], chunk.findAll("pull"));
+      assert.deepStrictEqual([ 64, 109, 125, 149, 208 ], chunk.findAll("the"));
+      assert.strictEqual(-1, chunk.scanBackward("pull", { limit: 100 }));
+      assert.strictEqual(17, chunk.scanBackward("pull"));
+      assert.strictEqual(17, chunk.tell());
+      chunk.skip(1);
+      assert.strictEqual(-1, chunk.scan("pull"), "Never leaves the chunk");
+      assert.strictEqual(18, chunk.tell());
+      assert(!chunk.scanLong(0x70756C6C));
+      assert(!chunk.hasMore(), "Failed scanLong moves to the end of the chunk");
+      chunk.seek(0);
+      assert(chunk.scan3Bytes(0x70756C));
+      assert.strictEqual(20, chunk.tell());
+      return stream.close(done);
+    });
+  });
+
+  it('Should track parents and report errors with the chunk path', function() {
+    var stream = new PullStream().fromBuffer(Buffer.from("0123456789abcdefghijklmnopqrstuvwxyz"));
+    var file = stream.chunk("file");
+    file.skip(4);
+    var moov = file.chunk("moov", 20);
+    moov.skip(2);
+    var trak = moov.chunk("trak[1]");
+    assert.strictEqual(moov, trak.parent);
+    assert.strictEqual(2, trak.offset);
+    assert.strictEqual(24, trak.maxPosition, "Unbounded sub-chunks are bounded by their parent");
+    assert.strictEqual("file > moov > trak[1]", trak.getPath());
+    assert.strictEqual("", stream.getPath());
+
+    assert.throws(function() { trak.chunk("stsd", 19); }, function(err) {
+      assert(err instanceof Errors.ChunkOverflowError);
+      assert.strictEqual("Chunk overflows its parent: 19 bytes, 18 left in file > moov > trak[1] > stsd at offset 0", err.message);
+      return true;
+    });
+    assert.throws(function() { stream.chunk("big", 37); }, /Chunk overflows its stream: 37 bytes, 30 left in big at offset 0/);
+    assert.throws(function() { trak.chunk("stsd", NaN); }, /Invalid chunk length \(not a non-negative integer\) in file > moov > trak\[1\] > stsd at offset 0/);
+    assert.throws(function() { trak.chunk("stsd", -1); }, Errors.ReaderError);
+    assert.throws(function() { trak.chunk("stsd", 1.5); }, Errors.ReaderError);
+    assert.throws(function() { stream.chunk("big", "8"); }, Errors.ReaderError);
+    assert.throws(function() { moov.extend(13); }, /Extend past the end of the parent in file > moov/);
+
+    trak.skip(16);
+    assert.throws(function() { trak.readLong(); }, function(err) {
+      assert(err instanceof Errors.ShortReadError);
+      assert(err instanceof Errors.ReaderError);
+      assert.strictEqual("Short read (chunk end boundary reached): 4 bytes needed, 2 left in file > moov > trak[1] at offset 16", err.message);
+      assert.strictEqual("file > moov > trak[1]", err.path);
+      assert.strictEqual(16, err.offset);
+      assert.strictEqual(22, err.position);
+      assert.strictEqual(4, err.n);
+      assert.strictEqual(2, err.remaining);
+      assert.strictEqual([
+        "00000000                    36 37  38 39 61 62 63 64 65 66  |      6789abcdef|",
+        "00000010  67 68 69 6a 6b 6c[6d]6e  6f 70 71 72 73 74 75 76  |ghijklmnopqrstuv|",
+        "00000020  77 78 79 7a                                       |wxyz            |"
+      ].join("\n"), err.hexDump);
+      return true;
+    });
+    assert.throws(function() { stream.seek(37); }, /Short read \(stream end boundary reached\): 15 bytes needed, 14 left at offset 22/);
+  });
+
+
+  it('Should iterate over chunk sequences', async function() {
+    // RIFF-like chunks (little endian), padded to an even length
+    var data = Buffer.from("fmt \u0003\u0000\u0000\u0000abc\u0000data\u0004\u0000\u0000\u0000wxyzLIST\u0002\u0000\u0000\u0000pq", 'latin1');
+    var readHeader = function(reader) {
+      var header = Reader.typeAndLength(reader);
+      header.padding = header.length % 2;
+      return header;
+    };
+    var stream = new PullStream().fromBuffer(data);
+    stream.setByteOrder(PullStream.LITTLE_ENDIAN);
+    var file = stream.chunk("file");
+    var names = [];
+    for await (var chunk of file.chunks(readHeader)) {
+      names.push(chunk.name);
+      assert.strictEqual(file, chunk.parent);
+      if (chunk.name === "fmt ") assert.strictEqual(0x61, chunk.readByte());     // the rest is skipped
+      if (chunk.name === "data") assert.strictEqual("wxyz", chunk.readBytes(4).toString());
+    }
+    assert.deepStrictEqual([ "fmt ", "data", "LIST" ], names);
+    assert.deepStrictEqual({ name: "LIST", length: 2, padding: 0 }, chunk.header);
+    assert(!file.hasMore());
+
+    stream.seek(0);
+    for await (var chunk of stream.chunks(readHeader)) {
+      if (chunk.name === "data") break;
+    }
+    assert.strictEqual(24, stream.tell(), "Left after the last chunk");
+    stream.seek(0);
+    for await (var chunk of stream.chunks(function(reader) { return reader.peekASCII4() === "LIST" ? undefined : readHeader(reader); })) {
+      names.push(chunk.name);
+    }
+    assert.deepStrictEqual([ "fmt ", "data", "LIST", "fmt ", "data" ], names);
+    assert.strictEqual(24, stream.tell(), "Stopped before the header");
+
+    stream = new PullStream().fromBuffer(data.subarray(0, 22));
+    stream.setByteOrder(PullStream.LITTLE_ENDIAN);
+    var iterator = stream.chunks(Reader.typeAndLength)[Symbol.asyncIterator]();
+    assert.strictEqual("fmt ", (await iterator.next()).value.name);
+    await assert.rejects(iterator.next(), function(err) {
+      assert(err instanceof Errors.ChunkOverflowError, err.stack);
+      return true;
+    });
+    assert.strictEqual(true, (await iterator.next()).done);
+  });
+
+});
@@ -0,0 +1,183 @@
+/**
+ * wg-streams - Command line inspector unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const PushStream = require('../lib/pushstream.js');
+const CLI = require('../lib/cli.js');
+
+const Samples = require('./helpers/samples.js');
+
+// A minimal movie: ftyp, moov (mvhd, trak/tkhd) and mdat
+function sampleMovie() {
+  var push = new PushStream();
+  Samples.box(push, "ftyp", function(chunk) { chunk.writeASCII4("isom"); chunk.writeLong(512); });
+  Samples.box(push, "moov", function(moov) {
+    Samples.box(moov, "mvhd", function(chunk) { chunk.writeLong(0); });
+    Samples.box(moov, "trak", function(trak) {
+      Samples.box(trak, "tkhd", function(chunk) { chunk.writeLong(0); });
+    });
+  });
+  Samples.box(push, "mdat", function(chunk) { chunk.writeBytes([ 1, 2, 3 ]); });
+  return push.toBuffer();
+}
+
+// A JPEG file with an APP0 segment and 3 bytes of entropy-coded data
+function sampleJPEG() {
+  var push = new PushStream();
+  push.writeBytes([ 0xFF, 0xD8 ]);
+  Samples.segment(push, 0xE0, Buffer.from([ 1, 2 ]));
+  Samples.segment(push, 0xDA, Buffer.alloc(0));
+  push.writeBytes([ 1, 2, 3, 0xFF, 0xD9 ]);
+  return push.toBuffer();
+}
+
+// An MP3 file with an ID3v2.3 tag (a single TIT2 frame) and 4 bytes of audio
+function sampleMP3() {
+  var push = new PushStream();
+  Samples.writeTag(push, 3, [ { id: "TIT2", data: Samples.text(0, "Hi") } ]);
+  push.writeBytes([ 0xFF, 0xFB, 0x90, 0x00 ]);
+  return push.toBuffer();
+}
+
+// A WAV file with an odd-sized data chunk
+function sampleWAV() {
+  var push = new PushStream();
+  push.setByteOrder("LE");
+  Samples.riffChunk(push, "RIFF", function(riff) {
+    riff.writeASCII4("WAVE");
+    Samples.riffChunk(riff, "data", function(c) { c.writeBytes([ 1, 2, 3 ]); });
+  });
+  return push.toBuffer();
+}
+
+// A live-recorded WebM file: the Segment and the first Cluster have an unknown size
+function sampleWebM() {
+  var header = Samples.el(0x1A45DFA3, [ Samples.str(0x4282, "w") ]);
+  var clusters = [
+    Samples.el(0x1F43B675, [ Samples.uint(0xE7, 0, 1), Samples.el(0xA3, Buffer.from([ 1, 2, 3 ])) ], true),
+    Samples.el(0x1F43B675, [ Samples.uint(0xE7, 1, 1) ])
+  ];
+  return Buffer.concat([ header, Samples.el(0x18538067, clusters, true) ]);
+}
+
+// A ZIP archive with a stored "a.txt" entry
+function sampleZip() {
+  return Samples.sampleZip([ { name: "a.txt", data: "hi", flags: 0 } ]);
+}
+
+
+describe('CLI', function() {
+
+  it('Should parse arguments', function() {
+    var options = CLI.parseArgs([ "hexdump", "--offset", "0x10", "--length", "32", "--json", "file.bin" ]);
+    assert.strictEqual("hexdump", options.command);
+    assert.strictEqual("file.bin", options.file);
+    assert.strictEqual(16, options.offset);
+    assert.strictEqual(32, options.length);
+    assert.strictEqual(true, options.json);
+    options = CLI.parseArgs([ "scan", "--hex", "ff d8", "file.bin" ]);
+    assert.strictEqual("ff d8", options.pattern);
+    assert.strictEqual(true, options.hex);
+    assert.strictEqual("mp4", CLI.parseArgs([ "dump", "--format", "mp4", "file.mp4" ]).format);
+    assert.throws(function() { CLI.parseArgs([]); }, /Missing command/);
+    assert.throws(function() { CLI.parseArgs([ "cat", "file.bin" ]); }, /Unknown command cat/);
+    assert.throws(function() { CLI.parseArgs([ "sniff" ]); }, /Invalid arguments for command sniff/);
+    assert.throws(function() { CLI.parseArgs([ "hexdump", "--offset", "ten", "file.bin" ]); }, /Invalid number for option --offset/);
+    assert.throws(function() { CLI.parseArgs([ "dump", "--format", "gif", "file.gif" ]); }, /Unknown format gif/);
+    assert.throws(function() { CLI.parseArgs([ "dump", "--verbose", "file.gif" ]); }, /Unknown option --verbose/);
+  });
+
+  it('Should dump and scan bytes', function() {
+    var stream = new PullStream().fromBuffer(Buffer.from("Hello, world! Hello!", 'latin1'));
+    assert.strictEqual("00000000        6c 6c 6f 2c                                 |  llo,          |\n",
+      CLI.run(stream, { command: "hexdump", offset: 2, length: 4 }));
+    assert.deepStrictEqual({ offset: 18, length: 2, hex: "6f21" }, JSON.parse(CLI.run(stream, { command: "hexdump", offset: 18, json: true })));
+    assert.strictEqual("00000000  0\n0000000e  14\n2 matches\n", CLI.run(stream, { command: "scan", pattern: "Hello" }));
+    assert.deepStrictEqual({ pattern: "6c6c", offsets: [ 2, 16 ] }, CLI.scan(stream, { pattern: "6c 6c", hex: true }));
+    assert.throws(function() { CLI.scan(stream, { pattern: "6c6", hex: true }); }, /Invalid hexadecimal pattern/);
+  });
+
+  it('Should identify file types', function() {
+    function sniff(buffer) { return CLI.sniff(new PullStream().fromBuffer(buffer)); }
+    assert.deepStrictEqual({ type: "mp4", description: "ISO base media file", mimeType: "video/mp4", format: "mp4" }, sniff(sampleMovie()));
+    assert.strictEqual("jpeg", sniff(sampleJPEG()).type);
+    assert.strictEqual("mp3", sniff(sampleMP3()).type);
+    assert.strictEqual("wav", sniff(sampleWAV()).type);
+    assert.strictEqual("riff", sniff(sampleWAV()).format);
+    assert.strictEqual("mkv", sniff(sampleWebM()).format);
+    assert.strictEqual("zip", sniff(sampleZip()).format);
+    assert.strictEqual("pdf", sniff(Buffer.from("%PDF-1.4\n", 'latin1')).type);
+    assert.strictEqual(undefined, sniff(Buffer.from("Hello", 'latin1')).type);
+    assert.strictEqual("Unknown file type\n", CLI.run(new PullStream().fromBuffer(Buffer.alloc(0)), { command: "sniff" }));
+    assert.strictEqual("mp4: ISO base media file (video/mp4), dump format mp4\n", CLI.run(new PullStream().fromBuffer(sampleMovie()), { command: "sniff" }));
+  });
+
+  it('Should dump chunk trees', function() {
+    assert.strictEqual([
+      "00000000  mp4  (67 bytes)",
+      "00000000    ftyp  (16 bytes)",
+      "00000010    moov  (40 bytes)",
+      "00000018      mvhd  (12 bytes)",
+      "00000024      trak  (20 bytes)",
+      "0000002c        tkhd  (12 bytes)",
+      "00000038    mdat  (11 bytes)",
+      ""
+    ].join("\n"), CLI.run(new PullStream().fromBuffer(sampleMovie()), { command: "dump" }));
+
+    var root = CLI.dump(new PullStream().fromBuffer(sampleJPEG()), { format: "jpeg" });
+    assert.deepStrictEqual([
+      { name: "SOI", offset: 0, size: 2 },
+      { name: "APP0", offset: 2, size: 6 },
+      { name: "SOS", offset: 8, size: 4 },
+      { name: "scan data", offset: 12, size: 3 },
+      { name: "EOI", offset: 15, size: 2 }
+    ], root.children);
+
+    root = CLI.dump(new PullStream().fromBuffer(sampleMP3()));
+    assert.strictEqual("id3", root.format);
+    assert.deepStrictEqual([
+      { name: "ID3v2.3.0", offset: 0, size: 23, children: [ { name: "header", offset: 0, size: 10 }, { name: "TIT2", offset: 10, size: 13 } ] },
+      { name: "audio", offset: 23, size: 4 }
+    ], root.children);
+
+    root = JSON.parse(CLI.run(new PullStream().fromBuffer(sampleWAV()), { command: "dump", json: true }));
+    assert.deepStrictEqual([ { name: "RIFF WAVE", offset: 0, size: 24, children: [ { name: "data", offset: 12, size: 11 } ] } ], root.children);
+
+    assert.strictEqual([
+      "00000000  mkv  (49 bytes)",
+      "00000000    EBML  (9 bytes)",
+      "00000005      DocType  (4 bytes)",
+      "00000009    Segment  (40 bytes)",
+      "00000015      Cluster  (20 bytes)",
+      "00000029      Cluster  (8 bytes)",
+      ""
+    ].join("\n"), CLI.run(new PullStream().fromBuffer(sampleWebM()), { command: "dump" }));
+
+    root = CLI.dump(new PullStream().fromBuffer(sampleZip()));
+    assert.deepStrictEqual([
+      { name: "a.txt", offset: 0, size: 37 },
+      { name: "central directory", offset: 37, size: 51 },
+      { name: "end of central directory", offset: 88, size: 22 }
+    ], root.children);
+
+    assert.throws(function() { CLI.dump(new PullStream().fromBuffer(Buffer.from("Hello", 'latin1'))); }, /Unknown file format/);
+  });
+
+  it('Should run commands on files', function(done) {
+    CLI.main([ "scan", "pull", __dirname + "/data/file1.txt" ], function(err, output) {
+      if (err) return done(err);
+      assert.strictEqual("00000016  22\n0000016d  365\n2 matches\n", output);
+      CLI.main([ "sniff", __dirname + "/data/missing.bin" ], function(err) {
+        assert.strictEqual("ENOENT", err.code);
+        CLI.main([ "sniff" ], function(err) {
+          assert(err.message.indexOf("Usage: wg-streams") !== -1, "Usage is missing");
+          return done();
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,122 @@
+/**
+ * wg-streams - EBML (Matroska, WebM) unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const EBML = require('../lib/ebml.js');
+const Samples = require('./helpers/samples.js');
+
+
+describe('EBML', function() {
+
+  it('Should iterate over elements', function() {
+    var stream = new PullStream().fromBuffer(Samples.sampleWebM());
+    var names = [];
+    EBML.forEachElement(stream, function(header, chunk) {
+      names.push(header.name);
+      assert.strictEqual(header.name, chunk.name);
+      if (header.name !== "Segment") return;
+      EBML.forEachElement(chunk, function(child, childChunk) {
+        names.push(child.name);
+        assert.strictEqual("Segment > " + child.name, childChunk.getPath());
+      });
+    });
+    assert.deepStrictEqual([ "EBML", "Segment", "SeekHead", "Void", "Cluster", "Cluster", "Info", "Tracks", "Cues", "Tags" ], names);
+    assert.strictEqual(stream.maxPosition, stream.tell());
+    assert.strictEqual("0x4A2B", EBML.elementName(0x4A2B));
+  });
+
+  it('Should find the end of elements of unknown size', function() {
+    var known = Samples.sampleWebM();
+    var stream = new PullStream().fromBuffer(Samples.sampleWebM(true));
+    var segment;
+    var clusters = [];
+    EBML.forEachElement(stream, function(header, chunk) {
+      if (header.name !== "Segment") return;
+      segment = header;
+      assert.strictEqual(true, header.unknownSize);
+      assert.strictEqual(undefined, header.size);
+      EBML.forEachElement(chunk, function(child) {
+        if (child.name === "Cluster") clusters.push(child);
+      });
+    });
+    assert.strictEqual(2, clusters.length);
+    assert.strictEqual(true, clusters[0].unknownSize);
+    assert.strictEqual(12, clusters[0].headerSize);
+    assert.strictEqual(12, clusters[0].size);
+    assert.strictEqual(clusters[0].offset + 24, clusters[1].offset);
+    assert.strictEqual(16, clusters[1].size);
+    assert.strictEqual(stream.maxPosition, segment.offset + segment.headerSize + segment.size);
+    assert.strictEqual(known.length + 6 + 2 * 7, stream.maxPosition);   // 8 bytes sizes instead of 2 and 1 bytes sizes
+  });
+
+  it('Should decode values', function() {
+    var stream = new PullStream().fromBuffer(Buffer.concat([
+      Samples.el(0x1549A966, [ Samples.uint(0x2AD7B1, 1000000, 3), Samples.float(0x4489, 2.5), Samples.el(0x4461, Buffer.from("0000000000000001", 'hex')), Samples.str(0x7BA9, "Titre\u0000\u0000") ]),
+      Samples.el(0xFB, Buffer.from([ 0xFF, 0xFE ])), Samples.el(0x73C5, Buffer.from("ffffffffffffffff", 'hex')), Samples.el(0xB5, Buffer.alloc(0))
+    ]));
+    var values = [];
+    EBML.forEachElement(stream, function(header, chunk) { values.push(EBML.readValue(header, chunk)); });
+    assert.deepStrictEqual({ TimestampScale: 1000000, Duration: 2.5, DateUTC: new Date("2001-01-01T00:00:00Z"), Title: "Titre" }, values[0]);
+    assert.strictEqual(-2, values[1]);
+    assert.strictEqual(BigInt("18446744073709551615"), values[2]);
+    assert.strictEqual(0, values[3]);
+  });
+
+  it('Should read Matroska metadata', function() {
+    [ false, true ].forEach(function(unknown) {
+      var stream = new PullStream().fromBuffer(Samples.sampleWebM(unknown));
+      var trace = stream.startTrace();
+      var webm = EBML.read(stream);
+      stream.stopTrace();
+      assert.deepStrictEqual([], webm.warnings);
+      assert.strictEqual("webm", webm.ebml.docType);
+      assert.strictEqual(4, webm.ebml.docTypeVersion);
+      assert.strictEqual(unknown, webm.segment.unknownSize);
+      assert.deepStrictEqual([ "Info", "Tracks", "Cues", "Tags" ], webm.seekHead.map(function(entry) { return entry.name; }));
+
+      assert.strictEqual(12.345, webm.info.duration);
+      assert.strictEqual("Démo", webm.info.title);
+      assert.strictEqual("wg-streams", webm.info.muxingApp);
+      assert.deepStrictEqual(new Date("2001-01-01T00:00:00Z"), webm.info.date);
+
+      assert.strictEqual(2, webm.tracks.length);
+      assert.strictEqual(BigInt("0x1122334455667788"), webm.tracks[0].uid);
+      assert.strictEqual("video", webm.tracks[0].type);
+      assert.strictEqual("V_VP9", webm.tracks[0].codecId);
+      assert.strictEqual("eng", webm.tracks[0].language);
+      assert.deepStrictEqual({ pixelWidth: 640, pixelHeight: 360, displayWidth: 640, displayHeight: 360, interlaced: false }, webm.tracks[0].video);
+      assert.strictEqual("audio", webm.tracks[1].type);
+      assert.strictEqual("fre", webm.tracks[1].language);
+      assert.strictEqual(false, webm.tracks[1].default);
+      assert.deepStrictEqual({ samplingFrequency: 48000, outputSamplingFrequency: 48000, channels: 2, bitDepth: undefined }, webm.tracks[1].audio);
+
+      assert.strictEqual(1, webm.tags.length);
+      assert.deepStrictEqual({ TITLE: "Démo", ARTIST: "Me" }, webm.tags[0].values);
+      assert.strictEqual("Me, Myself", webm.tags[0].simpleTags[1].simpleTags[0].string);
+
+      var clusterPosition = webm.cues[0].positions[0].clusterPosition;
+      assert.deepStrictEqual([ { time: 0, positions: [ { track: 1, clusterPosition: clusterPosition, relativePosition: undefined } ] } ], webm.cues);
+
+      // Nothing is read in the clusters, besides the header of the first one
+      var clusters = webm.segment.dataOffset + clusterPosition;
+      var end = webm.segment.dataOffset + webm.seekHead[0].position;
+      trace.entries.forEach(function(entry) {
+        if (entry.method === "chunk") return;
+        assert(entry.offset < clusters + (unknown ? 12 : 5) || entry.offset >= end, entry.method + " at offset " + entry.offset + " in the clusters");
+      });
+    });
+  });
+
+  it('Should report invalid files', function() {
+    assert.throws(function() { EBML.read(new PullStream().fromBuffer(Buffer.from("RIFF....", 'latin1'))); }, /Not an EBML file/);
+    var buffer = Samples.sampleWebM();
+    var webm = EBML.read(new PullStream().fromBuffer(buffer.slice(0, buffer.length - 10)));
+    assert.strictEqual(1, webm.warnings.length);
+    assert(/^Truncated Tags element at offset [0-9]+$/.test(webm.warnings[0]), webm.warnings[0]);
+    assert.strictEqual("Démo", webm.tags[0].values.TITLE);
+  });
+
+});
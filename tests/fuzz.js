@@ -0,0 +1,214 @@
+/**
+ * wg-streams - Fuzz tests. Readers and file format parsers are fed with random data and with randomly corrupted valid
+ * files, in hardened mode. They may fail, but only with the errors of the library (never a TypeError or RangeError),
+ * and never run past the limits. The data is pseudo-random with a fixed seed, so that failures can be reproduced
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const zlib = require('zlib');
+const Exception = require('wg-log').Exception;
+const PullStream = require('../lib/pullstream.js');
+const Limits = require('../lib/limits.js');
+const ID3 = require('../lib/id3.js');
+const EXIF = require('../lib/exif.js');
+const JPEG = require('../lib/jpeg.js');
+const BMFF = require('../lib/bmff.js');
+const RIFF = require('../lib/riff.js');
+const PNG = require('../lib/png.js');
+const EBML = require('../lib/ebml.js');
+const ZIP = require('../lib/zip.js');
+
+// Number of inputs per test
+const ITERATIONS = 300;
+
+// Limits of the fuzzed streams
+const LIMITS = Object.assign({}, Limits.HARDENED, { maxStringLength: 256, maxChunks: 1000, timeout: 1000 });
+
+// Pseudo-random number generator (mulberry32), returning numbers in [0, 1[
+function generator(seed) {
+  return function() {
+    seed = (seed + 0x6D2B79F5) | 0;
+    var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A random byte, biased towards small values so that lengths and counts are plausible and parsers go deeper
+function randomByte(random) {
+  var r = random();
+  return r < 0.4 ? 0 : (r < 0.7 ? Math.floor(random() * 16) : Math.floor(random() * 256));
+}
+
+// Inputs made of a prefix (such as a magic number) followed by random bytes
+function randomData(prefix) {
+  return function(random) {
+    var bytes = Buffer.alloc(Math.floor(random() * 512));
+    for (var i=0; i<bytes.length; i++) bytes[i] = randomByte(random);
+    return Buffer.concat([ Buffer.from(prefix, 'latin1'), bytes ]);
+  };
+}
+
+// Inputs made of a valid sample with a few random bytes changed, and sometimes truncated
+function mutated(sample) {
+  return function(random) {
+    var bytes = Buffer.from(sample);
+    var n = 1 + Math.floor(random() * 4);
+    for (var i=0; i<n; i++) bytes[Math.floor(random() * bytes.length)] = randomByte(random);
+    if (random() < 0.2) bytes = bytes.slice(0, Math.floor(random() * bytes.length));
+    return bytes;
+  };
+}
+
+// Run a parser on generated inputs
+function fuzz(seed, generate, parse) {
+  var random = generator(seed);
+  for (var i=0; i<ITERATIONS; i++) {
+    var data = generate(random);
+    var stream = new PullStream().fromBuffer(data);
+    stream.setLimits(LIMITS);
+    try {
+      parse(stream);
+    } catch (err) {
+      assert(err instanceof Exception, "Unexpected error for input " + i + " (" + data.toString('hex') + "): " + err.stack);
+    }
+    assert(stream.tell() >= 0 && stream.tell() <= data.length, "Invalid position for input " + i);
+  }
+}
+
+// Builders for the samples
+function be32(n) { var b = Buffer.alloc(4); b.writeUInt32BE(n); return b; }
+function le32(n) { var b = Buffer.alloc(4); b.writeUInt32LE(n); return b; }
+function bytes(parts) { return Buffer.concat([].concat(parts).map(function(part) { return Buffer.from(part, 'latin1'); })); }
+function box(type, content) { content = bytes(content); return bytes([ be32(8 + content.length), type, content ]); }
+function frame(id, content) { content = bytes(content); return bytes([ id, be32(content.length), "\u0000\u0000", content ]); }
+function riff(id, content) { content = bytes(content); return bytes([ id, le32(content.length), content, content.length % 2 ? "\u0000" : "" ]); }
+function png(type, content) { content = bytes(content); return bytes([ be32(content.length), type, content, be32(PNG.crc32(bytes([ type, content ]))) ]); }
+function el(id, content) { content = bytes(content); return bytes([ Buffer.from(id, 'hex'), Buffer.from([ 0x40 | (content.length >> 8), content.length & 0xFF ]), content ]); }
+
+// An EXIF (TIFF) structure with an orientation and a date
+const TIFF = bytes([ "MM\u0000*", be32(8), "\u0000\u0002", "\u0001\u0012\u0000\u0003", be32(1), "\u0000\u0006\u0000\u0000",
+  "\u00012\u0000\u0002", be32(20), be32(38), be32(0), "2016:03:14 10:30:20\u0000" ]);
+
+// Valid samples of each file format
+const SAMPLES = {
+  id3: (function() {
+    var frames = bytes([ frame("TIT2", "\u0000Title"), frame("COMM", "\u0001engÿþ\u0000\u0000ÿþH\u0000i\u0000"),
+      frame("APIC", "\u0000image/png\u0000\u0003Cover\u0000\u0001\u0002\u0003"), frame("TRCK", "\u00003/12") ]);
+    return bytes([ "ID3\u0003\u0000\u0000", Buffer.from([ 0, 0, frames.length >> 7, frames.length & 0x7F ]), frames, "ÿû\u0090\u0000" ]);
+  })(),
+  jpeg: bytes([ "ÿØÿá", Buffer.from([ 0, 8 + TIFF.length ]), "Exif\u0000\u0000", TIFF,
+    "ÿÚ\u0000\u0002\u0001\u0002\u0003ÿÙ" ]),
+  bmff: bytes([
+    box("ftyp", "isom\u0000\u0000\u0000\u0000isom"),
+    box("moov", [ box("mvhd", Buffer.alloc(100)), box("trak", [ box("tkhd", Buffer.alloc(84)), box("mdia", [ box("mdhd", Buffer.alloc(24)),
+      box("hdlr", [ Buffer.alloc(8), "vide", Buffer.alloc(12), "Video\u0000" ]) ]) ]),
+      box("udta", [ box("meta", [ Buffer.alloc(4), box("hdlr", [ Buffer.alloc(8), "mdir", Buffer.alloc(12), "\u0000" ]),
+        box("ilst", [ box("©nam", box("data", [ be32(1), be32(0), "Title" ])), box("trkn", box("data", [ be32(0), be32(0), be32(3), be32(0x000C0000) ])) ]) ]) ]) ]),
+    box("mdat", "\u0001\u0002\u0003")
+  ]),
+  riff: bytes([ "RIFF", le32(4 + 24 + 8 + 18 + 12), "WAVE",
+    riff("fmt ", [ "\u0001\u0000\u0002\u0000", le32(44100), le32(176400), "\u0004\u0000\u0010\u0000" ]),
+    riff("LIST", [ "INFO", riff("INAM", "Title\u0000") ]),
+    riff("data", "\u0001\u0002\u0003") ]),
+  png: bytes([ PNG.SIGNATURE, png("IHDR", [ be32(16), be32(16), "\u0008\u0006\u0000\u0000\u0000" ]), png("tEXt", "Title\u0000Hello"),
+    png("zTXt", [ "Comment\u0000\u0000", zlib.deflateSync(Buffer.from("Compressed")) ]), png("eXIf", TIFF), png("IEND", "") ]),
+  ebml: bytes([ el("1A45DFA3", [ el("4282", "webm"), el("4287", "\u0004") ]),
+    el("18538067", [ el("1549A966", [ el("2AD7B1", "\u000FB@"), el("4489", "F@ä\u0000"), el("7BA9", "Title") ]),
+      el("1654AE6B", el("AE", [ el("D7", "\u0001"), el("83", "\u0001"), el("86", "V_VP9"), el("E0", [ el("B0", "\u0010"), el("BA", "\u0010") ]) ])),
+      el("1254C367", el("7373", el("67C8", [ el("45A3", "TITLE"), el("4487", "Title") ]))),
+      el("1F43B675", [ el("E7", "\u0000"), el("A3", "\u0081\u0000\u0000\u0080\u0001") ]) ]) ]),
+  zip: (function() {
+    var data = zlib.deflateRawSync(Buffer.from("Hello, world! Hello, world!"));
+    var local = bytes([ le32(0x04034B50), "\u0014\u0000\u0000\u0000\u0008\u0000", le32(0), le32(PNG.crc32(Buffer.from("Hello, world! Hello, world!"))),
+      le32(data.length), le32(27), "\u0005\u0000\u0000\u0000", "a.txt", data ]);
+    var central = bytes([ le32(0x02014B50), "\u0014\u0000", local.slice(4, 30), "\u0000\u0000\u0000\u0000\u0000\u0000", le32(0), le32(0), "a.txt" ]);
+    return bytes([ local, central, le32(0x06054B50), "\u0000\u0000\u0000\u0000\u0001\u0000\u0001\u0000", le32(central.length), le32(local.length), "\u0000\u0000" ]);
+  })()
+};
+
+// Reader functions called on random data, with their arguments
+const READERS = [
+  [ "readByte" ], [ "readShort" ], [ "readLong" ], [ "readInt64LE" ], [ "readFloat80" ], [ "readRational" ],
+  [ "readBytes", 3 ], [ "readASCII4" ], [ "readZString88591" ], [ "readZStringUTF8", true ], [ "readZStringUTF16" ],
+  [ "readString", 5, "utf16" ], [ "readZString", "utf16be" ], [ "readZString", "ascii", { errors: "strict" } ],
+  [ "readULEB128" ], [ "readSLEB128BigInt" ], [ "readVLQ" ], [ "readEBMLID" ], [ "readEBMLSize" ], [ "readSyncsafe" ],
+  [ "skip", 7 ], [ "scan", "\u0001\u0002" ], [ "scanBackward", [ 0xFF ] ], [ "findAll", [ 0 ] ]
+];
+
+
+describe('Fuzz', function() {
+
+  it('Should have valid samples', function() {
+    assert.strictEqual("Title", ID3.read(new PullStream().fromBuffer(SAMPLES.id3)).v2.frames[0].text);
+    assert.strictEqual(6, EXIF.read(new PullStream().fromBuffer(TIFF).chunk("exif")).ifd0.byName.Orientation);
+    assert.strictEqual(6, JPEG.read(new PullStream().fromBuffer(SAMPLES.jpeg)).exif.ifd0.byName.Orientation);
+    assert.strictEqual("Title", BMFF.read(new PullStream().fromBuffer(SAMPLES.bmff)).find("moov/udta/meta").decode().tags.title);
+    assert.strictEqual("Title", RIFF.read(new PullStream().fromBuffer(SAMPLES.riff)).info.title);
+    assert.deepStrictEqual([], PNG.read(new PullStream().fromBuffer(SAMPLES.png)).warnings);
+    assert.strictEqual("Title", EBML.read(new PullStream().fromBuffer(SAMPLES.ebml)).tags[0].values.TITLE);
+    var stream = new PullStream().fromBuffer(SAMPLES.zip);
+    assert.strictEqual(27, ZIP.inflateEntry(stream, ZIP.read(stream).entries[0]).maxPosition);
+  });
+
+  it('Should read random data with any reader', function() {
+    var random = generator(1);
+    fuzz(2, randomData(""), function(stream) {
+      var source = random() < 0.5 ? stream : stream.chunk("fuzz", Math.floor(random() * (stream.maxPosition + 1)));
+      for (var i=0; i<20; i++) {
+        var reader = READERS[Math.floor(random() * READERS.length)];
+        var position = source.tell();
+        try {
+          source[reader[0]].apply(source, reader.slice(1));
+        } catch (err) {
+          assert(err instanceof Exception, reader[0] + ": " + err.stack);
+          source.seek(Math.min(position + 1, source.maxPosition - source.startPosition));
+        }
+        assert(source.tell() <= source.maxPosition - source.startPosition, reader[0] + " read past the end");
+      }
+    });
+  });
+
+  it('Should parse corrupted ID3 tags', function() {
+    fuzz(3, randomData("ID3\u0003\u0000\u0000"), function(stream) { ID3.read(stream); });
+    fuzz(4, randomData("ID3\u0004\u0000@"), function(stream) { ID3.read(stream); });
+    fuzz(5, mutated(SAMPLES.id3), function(stream) { ID3.read(stream); });
+  });
+
+  it('Should parse corrupted EXIF and JPEG data', function() {
+    fuzz(6, randomData("MM\u0000*\u0000\u0000\u0000\u0008"), function(stream) { EXIF.read(stream.chunk("exif")); });
+    fuzz(7, mutated(TIFF), function(stream) { EXIF.read(stream.chunk("exif")); });
+    fuzz(8, mutated(SAMPLES.jpeg), function(stream) { JPEG.read(stream); });
+  });
+
+  it('Should parse corrupted ISO base media files', function() {
+    var parse = function(stream) {
+      var decode = function(box) {
+        box.decode();
+        if (box.isContainer()) box.getChildren().forEach(decode);
+      };
+      BMFF.read(stream).getChildren().forEach(decode);
+    };
+    fuzz(9, randomData("\u0000\u0000\u0000\u0010ftypisom"), parse);
+    fuzz(10, mutated(SAMPLES.bmff), parse);
+  });
+
+  it('Should parse corrupted RIFF and PNG files', function() {
+    fuzz(11, randomData("FORM\u0000\u0000\u0001\u0000AIFF"), function(stream) { RIFF.read(stream); });
+    fuzz(12, mutated(SAMPLES.riff), function(stream) { RIFF.read(stream); });
+    fuzz(13, mutated(SAMPLES.png), function(stream) { PNG.read(stream, { verifyCRC: false }); });
+  });
+
+  it('Should parse corrupted Matroska files', function() {
+    fuzz(14, randomData("\u001AEß£"), function(stream) { EBML.read(stream); });
+    fuzz(15, mutated(SAMPLES.ebml), function(stream) { EBML.read(stream); });
+  });
+
+  it('Should parse corrupted ZIP archives', function() {
+    fuzz(16, mutated(SAMPLES.zip), function(stream) {
+      ZIP.read(stream).entries.forEach(function(entry) { ZIP.inflateEntry(stream, entry); });
+    });
+  });
+
+});
@@ -0,0 +1,609 @@
+/**
+ * wg-streams - Builders of the sample files used by the unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const zlib = require('zlib');
+const PushStream = require('../../lib/pushstream.js');
+const PNG = require('../../lib/png.js');
+const ZIP = require('../../lib/zip.js');
+
+
+
+
+// ================================================================================
+// ID3 tags
+// ================================================================================
+
+// Encode a syncsafe integer
+function syncsafe(n) {
+  return ((n >> 21) & 0x7F) * 0x1000000 + ((n >> 14) & 0x7F) * 0x10000 + ((n >> 7) & 0x7F) * 0x100 + (n & 0x7F);
+}
+
+// Write an ID3v2 tag. Frames are { id, data, flags, rawSize }
+function writeTag(push, major, frames, options) {
+  options = options || {};
+  var body = new PushStream();
+  frames.forEach(function(frame) {
+    var data = Buffer.from(frame.data);
+    if (major === 2) {
+      body.writeASCII3(frame.id);
+      body.write3Bytes(data.length);
+    }
+    else {
+      body.writeASCII4(frame.id);
+      body.writeLong(major === 4 && !frame.rawSize ? syncsafe(data.length) : data.length);
+      body.writeShort(frame.flags || 0);
+    }
+    body.writeBytes(data);
+  });
+  body.writeBytes(Buffer.alloc(options.padding || 0));
+  var data = body.toBuffer();
+  if (options.unsynchronise) data = unsynchronise(data);
+  push.writeASCII3("ID3");
+  push.writeByte(major);
+  push.writeByte(0);
+  push.writeByte(options.unsynchronise ? 0x80 : 0);
+  push.writeLong(syncsafe(data.length));
+  push.writeBytes(data);
+}
+
+// Insert 0x00 after each 0xFF
+function unsynchronise(buffer) {
+  var bytes = [];
+  for (var i=0; i<buffer.length; i++) {
+    bytes.push(buffer[i]);
+    if (buffer[i] === 0xFF) bytes.push(0);
+  }
+  return Buffer.from(bytes);
+}
+
+// Build the content of a text frame
+function text(encoding, str) {
+  var push = new PushStream();
+  push.writeByte(encoding);
+  if (encoding === 0) push.writeString88591(str);
+  if (encoding === 1) push.writeZStringUTF16(str);
+  if (encoding === 2) push.writeBytes(Buffer.from(str, 'ucs2').swap16());
+  if (encoding === 3) push.writeStringUTF8(str);
+  return push.toBuffer();
+}
+
+// Write an ID3v1.1 trailer
+function writeV1(push) {
+  var tag = Buffer.alloc(128);
+  tag.write("TAG", 0, 'latin1');
+  tag.write("Title v1", 3, 'latin1');
+  tag.write("Artist v1   ", 33, 'latin1');
+  tag.write("Album v1", 63, 'latin1');
+  tag.write("1999", 93, 'latin1');
+  tag.write("Comment", 97, 'latin1');
+  tag[126] = 7;
+  tag[127] = 17;
+  push.writeBytes(tag);
+}
+
+
+
+// ================================================================================
+// TIFF (EXIF) and JPEG
+// ================================================================================
+
+const SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Normalize the values of an entry to an array
+function valuesOf(entry) {
+  if (entry.type === 2) return Array.from(Buffer.from(entry.values + "\u0000", 'latin1'));
+  if (Array.isArray(entry.values)) return entry.values;
+  return [ entry.values ];
+}
+
+// Size in bytes of an IFD, including the values which do not fit in the entries
+function ifdSize(ifd) {
+  var size = 2 + 12 * ifd.entries.length + 4;
+  ifd.entries.forEach(function(entry) {
+    var length = SIZES[entry.type] * valuesOf(entry).length;
+    if (length > 4) size = size + length;
+  });
+  return size;
+}
+
+// Build a TIFF structure. IFDs are { entries, next }, entries are { tag, type, values }. A value "@n" is replaced by
+// the offset of the n-th IFD, and "@thumbnail" by the offset of the thumbnail, which is written after the IFDs
+function tiff(byteOrder, ifds, thumbnail) {
+  var offsets = [];
+  var offset = 8;
+  ifds.forEach(function(ifd) { offsets.push(offset); offset = offset + ifdSize(ifd); });
+  var resolve = function(value) {
+    if (value === "@thumbnail") return offset;
+    if (typeof value === "string" && value[0] === "@") return offsets[parseInt(value.substring(1), 10)];
+    return value;
+  };
+  var push = new PushStream();
+  push.setByteOrder(byteOrder);
+  push.writeASCII3(byteOrder === "LE" ? "II*" : "MM\u0000");
+  push.writeByte(byteOrder === "LE" ? 0 : 42);
+  push.writeLong(8);
+  ifds.forEach(function(ifd, index) {
+    var data = offsets[index] + 2 + 12 * ifd.entries.length + 4;
+    var extra = new PushStream();
+    extra.setByteOrder(byteOrder);
+    push.writeShort(ifd.entries.length);
+    ifd.entries.forEach(function(entry) {
+      var values = valuesOf(entry).map(resolve);
+      var value = new PushStream();
+      value.setByteOrder(byteOrder);
+      values.forEach(function(v) {
+        if (entry.type === 1 || entry.type === 2 || entry.type === 7) value.writeUInt8(v);
+        if (entry.type === 6) value.writeInt8(v);
+        if (entry.type === 3) value.writeUInt16(v);
+        if (entry.type === 8) value.writeInt16(v);
+        if (entry.type === 4) value.writeUInt32(v);
+        if (entry.type === 9) value.writeInt32(v);
+        if (entry.type === 5) { value.writeUInt32(v[0]); value.writeUInt32(v[1]); }
+        if (entry.type === 10) { value.writeInt32(v[0]); value.writeInt32(v[1]); }
+        if (entry.type === 11) value.writeFloat32(v);
+        if (entry.type === 12) value.writeFloat64(v);
+      });
+      var bytes = value.toBuffer();
+      push.writeShort(entry.tag);
+      push.writeShort(entry.type);
+      push.writeLong(values.length);
+      if (bytes.length > 4) {
+        push.writeLong(data + extra.tell());
+        extra.writeBytes(bytes);
+      }
+      else push.writeBytes(Buffer.concat([ bytes, Buffer.alloc(4 - bytes.length) ]));
+    });
+    push.writeLong(ifd.next === undefined ? 0 : offsets[ifd.next]);
+    push.writeBytes(extra.toBuffer());
+  });
+  if (thumbnail) push.writeBytes(thumbnail);
+  return push.toBuffer();
+}
+
+// A TIFF structure with all sub-IFDs and a thumbnail
+function sampleTIFF(byteOrder) {
+  var thumbnail = Buffer.from([ 0xFF, 0xD8, 0xFF, 0xD9 ]);
+  return tiff(byteOrder, [
+    { next: 4, entries: [
+      { tag: 0x010F, type: 2, values: "Canon" },
+      { tag: 0x0110, type: 2, values: "EOS" },
+      { tag: 0x0112, type: 3, values: 6 },
+      { tag: 0x011A, type: 5, values: [ [ 72, 1 ] ] },
+      { tag: 0x8769, type: 4, values: "@1" },
+      { tag: 0x8825, type: 4, values: "@2" },
+      { tag: 0xC000, type: 9, values: [ -1, 2 ] }
+    ]},
+    { entries: [
+      { tag: 0x829A, type: 5, values: [ [ 1, 250 ] ] },
+      { tag: 0x9000, type: 7, values: [ 0x30, 0x32, 0x33, 0x30 ] },
+      { tag: 0x9204, type: 10, values: [ [ -2, 3 ] ] },
+      { tag: 0x8827, type: 3, values: [ 100, 200 ] },
+      { tag: 0xA005, type: 4, values: "@3" }
+    ]},
+    { entries: [
+      { tag: 0x0001, type: 2, values: "N" },
+      { tag: 0x0002, type: 5, values: [ [ 48, 1 ], [ 51, 1 ], [ 3, 2 ] ] },
+      { tag: 0x0005, type: 1, values: 0 },
+      { tag: 0x0006, type: 12, values: 35.5 }
+    ]},
+    { entries: [
+      { tag: 0x0001, type: 2, values: "R98" }
+    ]},
+    { entries: [
+      { tag: 0x0103, type: 3, values: 6 },
+      { tag: 0x0201, type: 4, values: "@thumbnail" },
+      { tag: 0x0202, type: 4, values: thumbnail.length }
+    ]}
+  ], thumbnail);
+}
+
+// Write a segment with its marker and length
+function segment(push, marker, payload) {
+  push.writeByte(0xFF);
+  push.writeByte(marker);
+  push.writeShortBE(payload.length + 2);
+  push.writeBytes(payload);
+}
+
+// A JPEG file with JFIF, EXIF, comment, frame header and scan data
+function sampleJPEG(byteOrder) {
+  var push = new PushStream();
+  push.writeBytes([ 0xFF, 0xD8 ]);
+  segment(push, 0xE0, Buffer.concat([ Buffer.from("JFIF\u0000", 'latin1'), Buffer.from([ 1, 2, 1, 0, 72, 0, 72, 0, 0 ]) ]));
+  segment(push, 0xE1, Buffer.concat([ Buffer.from("Exif\u0000\u0000", 'latin1'), sampleTIFF(byteOrder) ]));
+  segment(push, 0xFE, Buffer.from("Hello", 'latin1'));
+  segment(push, 0xDB, Buffer.alloc(65));
+  push.writeByte(0xFF);                                 // Fill byte
+  segment(push, 0xC0, Buffer.from([ 8, 0x01, 0xE0, 0x02, 0x80, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1 ]));
+  segment(push, 0xDA, Buffer.from([ 1, 1, 0, 0, 63, 0 ]));
+  push.writeBytes([ 0x12, 0xFF, 0x00, 0x34, 0xFF, 0xD0, 0x56 ]);
+  push.writeBytes([ 0xFF, 0xD9 ]);
+  return push.toBuffer();
+}
+
+
+
+// ================================================================================
+// ISO base media files
+// ================================================================================
+
+// Write a box. The content is written by fn(chunk)
+function box(parent, type, fn) {
+  var chunk = parent.chunk(type, { inclusive: true });
+  chunk.writeASCII4(type);
+  if (fn) fn(chunk);
+  chunk.close();
+}
+
+// Write the version and flags of a full box
+function fullBox(chunk, version, flags) {
+  chunk.writeByte(version);
+  chunk.write3Bytes(flags);
+}
+
+// Write an iTunes tag item with a single data box
+function item(parent, type, dataType, value) {
+  box(parent, type, function(chunk) {
+    box(chunk, "data", function(data) {
+      data.writeLong(dataType);
+      data.writeLong(0);
+      data.writeBytes(value);
+    });
+  });
+}
+
+// A movie with a video track, an audio sample description and iTunes tags
+function sampleMovie() {
+  var push = new PushStream();
+  box(push, "ftyp", function(chunk) {
+    chunk.writeASCII4("isom"); chunk.writeLong(512); chunk.writeASCII4("isom"); chunk.writeASCII4("mp41");
+  });
+  box(push, "moov", function(moov) {
+    box(moov, "mvhd", function(chunk) {
+      fullBox(chunk, 0, 0);
+      chunk.writeLong(2082844800 + 86400); chunk.writeLong(2082844800);
+      chunk.writeLong(1000); chunk.writeLong(5000);
+      chunk.writeLong(0x00010000); chunk.writeShort(0x0100);
+      chunk.writeBytes(Buffer.alloc(10 + 36 + 24));
+      chunk.writeLong(2);
+    });
+    box(moov, "trak", function(trak) {
+      box(trak, "tkhd", function(chunk) {
+        fullBox(chunk, 1, 3);
+        chunk.writeUInt64(0); chunk.writeUInt64(0);
+        chunk.writeLong(1); chunk.writeLong(0);
+        chunk.writeUInt64(5000);
+        chunk.writeBytes(Buffer.alloc(8));
+        chunk.writeShort(0); chunk.writeShort(0); chunk.writeShort(0); chunk.writeShort(0);
+        chunk.writeBytes(Buffer.alloc(36));
+        chunk.writeLong(640 * 65536); chunk.writeLong(480 * 65536);
+      });
+      box(trak, "mdia", function(mdia) {
+        box(mdia, "mdhd", function(chunk) {
+          fullBox(chunk, 0, 0);
+          chunk.writeLong(0); chunk.writeLong(0); chunk.writeLong(90000); chunk.writeLong(450000);
+          chunk.writeShort(((0x66 - 0x60) << 10) | ((0x72 - 0x60) << 5) | (0x61 - 0x60));
+          chunk.writeShort(0);
+        });
+        box(mdia, "hdlr", function(chunk) {
+          fullBox(chunk, 0, 0);
+          chunk.writeLong(0); chunk.writeASCII4("vide"); chunk.writeBytes(Buffer.alloc(12));
+          chunk.writeZStringUTF8("VideoHandler");
+        });
+        box(mdia, "minf", function(minf) {
+          box(minf, "stbl", function(stbl) {
+            box(stbl, "stsd", function(chunk) {
+              fullBox(chunk, 0, 0);
+              chunk.writeLong(2);
+              box(chunk, "avc1", function(entry) {
+                entry.writeBytes(Buffer.alloc(6)); entry.writeShort(1);
+                entry.writeBytes(Buffer.alloc(16));
+                entry.writeShort(640); entry.writeShort(480);
+                entry.writeLong(72 * 65536); entry.writeLong(72 * 65536);
+                entry.writeLong(0); entry.writeShort(1);
+                var name = Buffer.alloc(32); name[0] = 4; name.write("x264", 1);
+                entry.writeBytes(name);
+                entry.writeShort(24); entry.writeShort(0xFFFF);
+                box(entry, "avcC", function(avcC) { avcC.writeBytes([ 1, 2, 3 ]); });
+              });
+              box(chunk, "mp4a", function(entry) {
+                entry.writeBytes(Buffer.alloc(6)); entry.writeShort(1);
+                entry.writeBytes(Buffer.alloc(8));
+                entry.writeShort(2); entry.writeShort(16);
+                entry.writeLong(0);
+                entry.writeLong(44100 * 65536);
+              });
+            });
+            box(stbl, "stco", function(chunk) {
+              fullBox(chunk, 0, 0); chunk.writeLong(2); chunk.writeLong(100); chunk.writeLong(200);
+            });
+            box(stbl, "co64", function(chunk) {
+              fullBox(chunk, 0, 0); chunk.writeLong(1); chunk.writeUInt64(0x100000000);
+            });
+          });
+        });
+      });
+    });
+    box(moov, "udta", function(udta) {
+      box(udta, "meta", function(meta) {
+        fullBox(meta, 0, 0);
+        box(meta, "hdlr", function(chunk) {
+          fullBox(chunk, 0, 0); chunk.writeLong(0); chunk.writeASCII4("mdir"); chunk.writeBytes(Buffer.alloc(12)); chunk.writeByte(0);
+        });
+        box(meta, "ilst", function(ilst) {
+          item(ilst, "©nam", 1, Buffer.from("Title"));
+          item(ilst, "©ART", 1, Buffer.from("Artist"));
+          item(ilst, "trkn", 0, [ 0, 0, 0, 3, 0, 12, 0, 0 ]);
+          item(ilst, "gnre", 0, [ 0, 18 ]);
+          item(ilst, "tmpo", 21, [ 0, 120 ]);
+          item(ilst, "covr", 13, [ 0xFF, 0xD8 ]);
+          box(ilst, "----", function(freeform) {
+            box(freeform, "mean", function(chunk) { chunk.writeLong(0); chunk.writeString88591("com.apple.iTunes"); });
+            box(freeform, "name", function(chunk) { chunk.writeLong(0); chunk.writeString88591("MOOD"); });
+            box(freeform, "data", function(chunk) { chunk.writeLong(1); chunk.writeLong(0); chunk.writeStringUTF8("Happy"); });
+          });
+        });
+      });
+    });
+  });
+  box(push, "free");
+  push.writeLong(0);                              // mdat extending to the end of file
+  push.writeASCII4("mdat");
+  push.writeBytes([ 1, 2, 3, 4, 5 ]);
+  return push.toBuffer();
+}
+
+
+
+// ================================================================================
+// RIFF
+// ================================================================================
+
+// Write a chunk (id, length, content, padding). The content is written by fn(chunk)
+function riffChunk(parent, id, fn) {
+  parent.writeASCII4(id);
+  var c = parent.chunk(id, { align: 2 });
+  if (fn) fn(c);
+  c.close();
+}
+
+// A WAV file with a format, an INFO list and 3 bytes of data (odd size, padded)
+function sampleWAV() {
+  var push = new PushStream();
+  push.setByteOrder("LE");
+  riffChunk(push, "RIFF", function(riff) {
+    riff.writeASCII4("WAVE");
+    riffChunk(riff, "fmt ", function(c) {
+      c.writeShort(1); c.writeShort(2); c.writeLong(44100); c.writeLong(44100 * 4); c.writeShort(4); c.writeShort(16);
+    });
+    riffChunk(riff, "LIST", function(list) {
+      list.writeASCII4("INFO");
+      riffChunk(list, "INAM", function(c) { c.writeZString88591("Title"); });
+      riffChunk(list, "IART", function(c) { c.writeZString88591("Artist"); });
+      riffChunk(list, "IXYZ", function(c) { c.writeZString88591("Other"); });
+    });
+    riffChunk(riff, "data", function(c) { c.writeBytes([ 1, 2, 3 ]); });
+    riffChunk(riff, "junk", function(c) { c.writeBytes([ 4 ]); });
+  });
+  return push.toBuffer();
+}
+
+
+
+// ================================================================================
+// PNG
+// ================================================================================
+
+// Write a chunk with its length and CRC
+function pngChunk(push, type, data) {
+  data = Buffer.from(data);
+  push.writeLong(data.length);
+  push.writeASCII4(type);
+  push.writeBytes(data);
+  push.writeLong(PNG.crc32(data, PNG.crc32(Buffer.from(type, 'latin1'))));
+}
+
+// A PNG file with metadata chunks
+function samplePNG() {
+  var push = new PushStream();
+  push.writeBytes(PNG.SIGNATURE);
+  pngChunk(push, "IHDR", [ 0, 0, 2, 0x80, 0, 0, 1, 0xE0, 8, 6, 0, 0, 0 ]);
+  pngChunk(push, "pHYs", [ 0, 0, 0x0B, 0x13, 0, 0, 0x0B, 0x13, 1 ]);
+  pngChunk(push, "tEXt", Buffer.from("Title\u0000Café", 'latin1'));
+  pngChunk(push, "zTXt", Buffer.concat([ Buffer.from("Comment\u0000\u0000", 'latin1'), zlib.deflateSync(Buffer.from("Compressed text", 'latin1')) ]));
+  pngChunk(push, "iTXt", Buffer.concat([ Buffer.from("Author\u0000\u0001\u0000fr\u0000", 'latin1'), Buffer.from("Auteur\u0000", 'utf8'), zlib.deflateSync(Buffer.from("Élodie", 'utf8')) ]));
+  pngChunk(push, "iTXt", Buffer.concat([ Buffer.from("Software\u0000\u0000\u0000\u0000\u0000", 'latin1'), Buffer.from("wg-streams ✓", 'utf8') ]));
+  pngChunk(push, "eXIf", [ 0x4D, 0x4D, 0, 42, 0, 0, 0, 8, 0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, 8, 0, 0, 0, 0, 0, 0 ]);
+  pngChunk(push, "IDAT", [ 1, 2, 3 ]);
+  pngChunk(push, "IEND", []);
+  return push.toBuffer();
+}
+
+
+
+// ================================================================================
+// EBML (WebM)
+// ================================================================================
+
+// An element ID, as bytes
+function id(value) {
+  var bytes = [];
+  while (value > 0) { bytes.unshift(value & 0xFF); value = Math.floor(value / 256); }
+  return Buffer.from(bytes);
+}
+
+// An element with a given content (buffer or array of elements). The size is written on 1, 2 or 4 bytes, or is
+// unknown if "unknown" is set
+function el(elementId, content, unknown) {
+  if (Array.isArray(content)) content = Buffer.concat(content);
+  var n = content.length;
+  var size;
+  if (unknown) size = Buffer.from([ 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF ]);
+  else if (n < 0x7F) size = Buffer.from([ 0x80 | n ]);
+  else if (n < 0x3FFF) size = Buffer.from([ 0x40 | (n >> 8), n & 0xFF ]);
+  else size = Buffer.from([ 0x10 | (n >> 24), (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF ]);
+  return Buffer.concat([ id(elementId), size, content ]);
+}
+
+// Elements with a typed value
+function uint(elementId, value, n) {
+  var buffer = Buffer.alloc(n || 4);
+  buffer.writeUIntBE(value, 0, n || 4);
+  return el(elementId, buffer);
+}
+function str(elementId, value) { return el(elementId, Buffer.from(value, 'utf8')); }
+function float(elementId, value) { var buffer = Buffer.alloc(8); buffer.writeDoubleBE(value); return el(elementId, buffer); }
+
+// A WebM file. The SeekHead points to the Info, Tracks, Cues and Tags elements, which are after the clusters. With
+// "unknown", the Segment and the clusters have an unknown size
+function sampleWebM(unknown) {
+  var header = el(0x1A45DFA3, [ uint(0x4286, 1, 1), str(0x4282, "webm"), uint(0x4287, 4, 1) ]);
+  var info = el(0x1549A966, [
+    uint(0x2AD7B1, 1000000), float(0x4489, 12345), el(0x4461, Buffer.alloc(8)), str(0x7BA9, "Démo"),
+    str(0x4D80, "wg-streams"), str(0x5741, "tests")
+  ]);
+  var tracks = el(0x1654AE6B, [
+    el(0xAE, [ uint(0xD7, 1, 1), el(0x73C5, Buffer.from("1122334455667788", 'hex')), uint(0x83, 1, 1), str(0x86, "V_VP9"),
+      el(0xE0, [ uint(0xB0, 640, 2), uint(0xBA, 360, 2) ]) ]),
+    el(0xAE, [ uint(0xD7, 2, 1), uint(0x73C5, 2, 1), uint(0x83, 2, 1), str(0x86, "A_OPUS"), str(0x22B59C, "fre"), uint(0x88, 0, 1),
+      el(0xE1, [ float(0xB5, 48000), uint(0x9F, 2, 1) ]) ])
+  ]);
+  var clusters = Buffer.concat([
+    el(0x1F43B675, [ uint(0xE7, 0, 1), el(0xA3, Buffer.from([ 0x81, 0, 0, 0x80, 1, 2, 3 ])) ], unknown),
+    el(0x1F43B675, [ uint(0xE7, 40, 1), el(0xA3, Buffer.from([ 0x82, 0, 0, 0x80, 4, 5, 6 ])), el(0xEC, Buffer.alloc(2)) ], unknown)
+  ]);
+  var seekHead = function(positions) {
+    return el(0x114D9B74, [ 0x1549A966, 0x1654AE6B, 0x1C53BB6B, 0x1254C367 ].map(function(seekId, index) {
+      return el(0x4DBB, [ el(0x53AB, id(seekId)), uint(0x53AC, positions[index]) ]);
+    }));
+  };
+  var start = seekHead([ 0, 0, 0, 0 ]).length + 5;                       // SeekHead and Void
+  var positions = [ start + clusters.length, start + clusters.length + info.length ];
+  var cues = el(0x1C53BB6B, [ el(0xBB, [ uint(0xB3, 0, 1), el(0xB7, [ uint(0xF7, 1, 1), uint(0xF1, start, 2) ]) ]) ]);
+  positions.push(positions[1] + tracks.length);
+  positions.push(positions[2] + cues.length);
+  var tags = el(0x1254C367, [ el(0x7373, [
+    el(0x63C0, [ uint(0x68CA, 50, 1) ]),
+    el(0x67C8, [ str(0x45A3, "TITLE"), str(0x4487, "Démo") ]),
+    el(0x67C8, [ str(0x45A3, "ARTIST"), str(0x4487, "Me"), el(0x67C8, [ str(0x45A3, "SORT_WITH"), str(0x4487, "Me, Myself") ]) ])
+  ]) ]);
+  var segment = el(0x18538067, [ seekHead(positions), el(0xEC, Buffer.alloc(3)), clusters, info, tracks, cues, tags ], unknown);
+  return Buffer.concat([ header, segment ]);
+}
+
+
+
+// ================================================================================
+// ZIP
+// ================================================================================
+
+// DOS date and time of the entries: 2016-03-14 10:30:20
+const DOS_DATE = (36 << 9) | (3 << 5) | 14;
+const DOS_TIME = (10 << 11) | (30 << 5) | 10;
+
+// A ZIP archive. Files are { name, data, method, flags, nameBytes, extra, comment } and may override the values written in the
+// central directory (crc32, uncompressedSize, localHeaderOffset). Options are { comment, prefix, zip64 }
+function sampleZip(files, options) {
+  options = options || {};
+  var locals = [];
+  var centrals = [];
+  var offset = options.prefix ? options.prefix.length : 0;
+  files.forEach(function(file) {
+    var data = Buffer.from(file.data || "");
+    var method = file.method || 0;
+    var compressed = method === ZIP.DEFLATED ? zlib.deflateRawSync(data) : data;
+    var name = file.nameBytes || Buffer.from(file.name, 'utf8');
+    var flags = file.flags === undefined ? 0x0800 : file.flags;
+    var crc = file.crc32 === undefined ? PNG.crc32(data) : file.crc32;
+    var local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    var central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(0x031E, 4);
+    central.writeUInt16LE(options.zip64 ? 45 : 20, 6);
+    local.copy(central, 8, 6, 30);                                      // flags to name length
+    var extra = file.extra || Buffer.alloc(0);
+    var entryComment = Buffer.from(file.comment || "", 'latin1');
+    var localHeaderOffset = file.localHeaderOffset === undefined ? offset : file.localHeaderOffset;
+    var uncompressedSize = file.uncompressedSize === undefined ? data.length : file.uncompressedSize;
+    central.writeUInt32LE(uncompressedSize, 24);
+    if (options.zip64) {
+      var field = Buffer.alloc(28);
+      field.writeUInt16LE(0x0001, 0);
+      field.writeUInt16LE(24, 2);
+      field.writeBigUInt64LE(BigInt(uncompressedSize), 4);
+      field.writeBigUInt64LE(BigInt(compressed.length), 12);
+      field.writeBigUInt64LE(BigInt(localHeaderOffset), 20);
+      extra = Buffer.concat([ field, extra ]);
+      central.writeUInt32LE(0xFFFFFFFF, 20);
+      central.writeUInt32LE(0xFFFFFFFF, 24);
+    }
+    central.writeUInt16LE(extra.length, 30);
+    central.writeUInt16LE(entryComment.length, 32);
+    central.writeUInt32LE(options.zip64 ? 0xFFFFFFFF : localHeaderOffset, 42);
+    locals.push(local, name, compressed);
+    centrals.push(central, name, extra, entryComment);
+    offset = offset + local.length + name.length + compressed.length;
+  });
+  var directory = Buffer.concat(centrals);
+  var comment = Buffer.from(options.comment || "", 'latin1');
+  var end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(comment.length, 20);
+  var zip64 = Buffer.alloc(0);
+  if (options.zip64) {
+    zip64 = Buffer.alloc(56 + 20);
+    zip64.writeUInt32LE(0x06064B50, 0);
+    zip64.writeBigUInt64LE(BigInt(44), 4);
+    zip64.writeBigUInt64LE(BigInt(files.length), 24);
+    zip64.writeBigUInt64LE(BigInt(files.length), 32);
+    zip64.writeBigUInt64LE(BigInt(directory.length), 40);
+    zip64.writeBigUInt64LE(BigInt(offset), 48);
+    zip64.writeUInt32LE(0x07064B50, 56);
+    zip64.writeBigUInt64LE(BigInt(offset + directory.length), 64);
+    end.writeUInt16LE(0xFFFF, 8);
+    end.writeUInt16LE(0xFFFF, 10);
+    end.writeUInt32LE(0xFFFFFFFF, 12);
+    end.writeUInt32LE(0xFFFFFFFF, 16);
+  }
+  return Buffer.concat([ options.prefix || Buffer.alloc(0) ].concat(locals, [ directory, zip64, end, comment ]));
+}
+
+// Files of a sample archive
+function sampleFiles() {
+  return [
+    { name: "docs/", flags: 0 },
+    { name: "docs/été.txt", data: "Hello, world! Hello, world! Hello, world!", method: ZIP.DEFLATED },
+    { name: "café", nameBytes: Buffer.from("caf\u0082", 'latin1'), flags: 0, data: "stored" }
+  ];
+}
+
+
+
+/**
+ * Public module interface
+ */
+module.exports = {
+  syncsafe: syncsafe, writeTag: writeTag, unsynchronise: unsynchronise, text: text, writeV1: writeV1,
+  tiff: tiff, sampleTIFF: sampleTIFF, segment: segment, sampleJPEG: sampleJPEG,
+  box: box, fullBox: fullBox, item: item, sampleMovie: sampleMovie,
+  riffChunk: riffChunk, sampleWAV: sampleWAV,
+  pngChunk: pngChunk, samplePNG: samplePNG,
+  id: id, el: el, uint: uint, str: str, float: float, sampleWebM: sampleWebM,
+  sampleZip: sampleZip, sampleFiles: sampleFiles
+};
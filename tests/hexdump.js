@@ -0,0 +1,29 @@
+/**
+ * wg-streams - Hexadecimal dump unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const HexDump = require('../lib/hexdump.js');
+
+describe('HexDump', function() {
+
+  it('Should format bytes', function() {
+    assert.strictEqual("00000010  48 65 6c 6c 6f 2c 20 77  6f 72 6c 64[21]0a 00 00  |Hello, world!...|",
+      HexDump.format(Buffer.from("Hello, world!\n\u0000\u0000"), { offset: 16, highlight: 28 }));
+    assert.strictEqual("00000000  61 62 63[  ]                                      |abc             |",
+      HexDump.format(Buffer.from("abc"), { highlight: 3 }));
+    assert.strictEqual("", HexDump.format(Buffer.alloc(0)));
+  });
+
+  it('Should format the bytes around a position', function() {
+    var stream = new PullStream().fromBuffer(Buffer.from("0123456789abcdefghij"));
+    assert.strictEqual([
+      "00000000  30 31 32 33 34 35 36 37  38 39 61 62 63 64 65 66  |0123456789abcdef|",
+      "00000010 [67]68 69 6a                                       |ghij            |"
+    ].join("\n"), HexDump.around(stream, 16, 16));
+    assert.strictEqual("00000010  67 68 69 6a[  ]                                   |ghij            |", HexDump.around(stream, 20, 4));
+  });
+
+});
@@ -0,0 +1,211 @@
+/**
+ * wg-streams - ID3 unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const zlib = require('zlib');
+const PullStream = require('../lib/pullstream.js');
+const PushStream = require('../lib/pushstream.js');
+const ID3 = require('../lib/id3.js');
+const Limits = require('../lib/limits.js');
+const Errors = require('../lib/errors.js');
+const Samples = require('./helpers/samples.js');
+
+
+describe('ID3', function() {
+
+  it('Should read ID3v2.3 and ID3v1 tags', function() {
+    var push = new PushStream();
+    var comm = new PushStream();
+    comm.writeByte(1); comm.writeASCII3("eng"); comm.writeZStringUTF16("desc"); comm.writeZStringUTF16("A comment");
+    var txxx = new PushStream();
+    txxx.writeByte(3); txxx.writeZStringUTF8("MusicBrainz Album Id"); txxx.writeStringUTF8("1234");
+    var apic = new PushStream();
+    apic.writeByte(0); apic.writeZString88591("image/jpeg"); apic.writeByte(3); apic.writeZString88591("Cover"); apic.writeBytes([ 0xFF, 0xD8, 0xFF ]);
+    Samples.writeTag(push, 3, [
+      { id: "TIT2", data: Samples.text(0, "Café") },
+      { id: "TPE1", data: Samples.text(1, "Artist ☺") },
+      { id: "TCON", data: Samples.text(0, "(17)") },
+      { id: "COMM", data: comm.toBuffer() },
+      { id: "TXXX", data: txxx.toBuffer() },
+      { id: "APIC", data: apic.toBuffer() },
+      { id: "PRIV", data: [ 1, 2, 3 ] }
+    ], { padding: 32 });
+    var audioPosition = push.tell();
+    push.writeBytes(Buffer.alloc(100, 0x55));
+    Samples.writeV1(push);
+
+    var stream = new PullStream().fromBuffer(push.toBuffer());
+    var tags = ID3.read(stream);
+    var tag = tags.v2;
+    assert.strictEqual(audioPosition, stream.tell(), "Positioned after the tag");
+    assert.strictEqual("2.3.0", tag.version);
+    assert.strictEqual(7, tag.frames.length);
+    assert.deepStrictEqual([], tag.warnings);
+    assert.strictEqual("Café", tag.title);
+    assert.strictEqual("Artist ☺", tag.artist);
+    assert.strictEqual("Rock", tag.genre);
+    assert.strictEqual("A comment", tag.comment);
+    assert.strictEqual("eng", tag.frames[3].language);
+    assert.strictEqual("desc", tag.frames[3].description);
+    assert.strictEqual("MusicBrainz Album Id", tag.frames[4].description);
+    assert.strictEqual("1234", tag.frames[4].text);
+    assert.strictEqual(1, tag.pictures.length);
+    assert.strictEqual("image/jpeg", tag.pictures[0].mimeType);
+    assert.strictEqual("Cover (front)", tag.pictures[0].pictureTypeName);
+    assert.strictEqual("Cover", tag.pictures[0].description);
+    assert.deepStrictEqual(Buffer.from([ 0xFF, 0xD8, 0xFF ]), tag.pictures[0].data);
+    assert.deepStrictEqual(Buffer.from([ 1, 2, 3 ]), tag.frames[6].data);
+
+    var v1 = tags.v1;
+    assert.strictEqual("1.1", v1.version);
+    assert.strictEqual("Title v1", v1.title);
+    assert.strictEqual("Artist v1", v1.artist);
+    assert.strictEqual("Album v1", v1.album);
+    assert.strictEqual("1999", v1.year);
+    assert.strictEqual("Comment", v1.comment);
+    assert.strictEqual(7, v1.track);
+    assert.strictEqual("Rock", v1.genre);
+  });
+
+  it('Should read ID3v2.4 tags', function() {
+    var push = new PushStream();
+    var long = "x".repeat(200);
+    Samples.writeTag(push, 4, [
+      { id: "TIT2", data: Samples.text(3, "One\u0000Two") },
+      { id: "TPE1", data: Samples.text(2, "Big endian") },
+      { id: "TALB", data: Samples.unsynchronise(Samples.text(0, "ÿÿ")), flags: 0x0002 },
+      { id: "TCOM", data: Buffer.concat([ Buffer.from([ 0, 0, 0, 6 ]), Samples.text(3, "Comp") ]), flags: 0x0001 },
+      { id: "TCOP", data: Samples.text(0, long), rawSize: true },
+      { id: "TENC", data: Buffer.concat([ Buffer.from([ 0, 0, 0, 5 ]), zlib.deflateSync(Samples.text(0, "Enc")) ]), flags: 0x0009 }
+    ]);
+    var tag = ID3.readV2(new PullStream().fromBuffer(push.toBuffer()));
+    assert.strictEqual("2.4.0", tag.version);
+    assert.deepStrictEqual([], tag.warnings);
+    assert.strictEqual("One\u0000Two", tag.title);
+    assert.deepStrictEqual([ "One", "Two" ], tag.frames[0].values);
+    assert.strictEqual("Big endian", tag.artist);
+    assert.strictEqual("ÿÿ", tag.album, "Frame unsynchronisation");
+    assert.strictEqual("Comp", tag.composer, "Data length indicator");
+    assert.strictEqual(long, tag.frames[4].text, "Non syncsafe frame size");
+    assert.strictEqual("Enc", tag.frames[5].text, "Compressed frame");
+
+    push = new PushStream();
+    Samples.writeTag(push, 4, [
+      { id: "TIT2", data: Buffer.concat([ Samples.text(0, "A"), Buffer.alloc(200000), Samples.text(0, "B").subarray(1), Buffer.alloc(3) ]) }
+    ]);
+    tag = ID3.readV2(new PullStream().fromBuffer(push.toBuffer()));
+    assert.deepStrictEqual([], tag.warnings);
+    assert.strictEqual(200001, tag.frames[0].values.length, "Empty values between values are kept");
+    assert.strictEqual("B", tag.frames[0].values[200000]);
+
+    push = new PushStream();
+    Samples.writeTag(push, 4, [ { id: "TIT2", data: Buffer.concat([ Samples.text(1, "Hi"), Buffer.from("x") ]) } ]);
+    assert.strictEqual("Hi", ID3.readV2(new PullStream().fromBuffer(push.toBuffer())).title, "Trailing odd byte");
+  });
+
+  it('Should bound the size of compressed frames', function() {
+    var bomb = zlib.deflateSync(Buffer.alloc(100000));
+    var push = new PushStream();
+    Samples.writeTag(push, 3, [
+      { id: "TIT2", data: Buffer.concat([ Buffer.from([ 0, 0, 0, 6 ]), zlib.deflateSync(Samples.text(0, "Title")) ]), flags: 0x0080 },
+      { id: "TPE1", data: Buffer.concat([ Buffer.from([ 0, 0, 0, 100 ]), bomb ]), flags: 0x0080 }
+    ]);
+    var tag = ID3.readV2(new PullStream().fromBuffer(push.toBuffer()));
+    assert.strictEqual("Title", tag.title);
+    assert.strictEqual(6, tag.frames[0].decompressedSize);
+    assert.deepStrictEqual([ "Failed to decode frame TPE1: Decompressed data larger than the declared size (100 bytes)" ], tag.warnings);
+
+    push = new PushStream();
+    Samples.writeTag(push, 4, [
+      { id: "TPE1", data: Buffer.concat([ Buffer.from([ 0, 0, 0, 100 ]), bomb ]), flags: 0x0009 },
+      { id: "TALB", data: zlib.deflateSync(Samples.text(0, "Album")), flags: 0x0008 }
+    ]);
+    tag = ID3.readV2(new PullStream().fromBuffer(push.toBuffer()));
+    assert.deepStrictEqual([
+      "Failed to decode frame TPE1: Decompressed data larger than the declared size (100 bytes)",
+      "Failed to decode frame TALB: Compressed frame without data length indicator"
+    ], tag.warnings);
+  });
+
+  it('Should read ID3v2.2 tags', function() {
+    var push = new PushStream();
+    var pic = new PushStream();
+    pic.writeByte(0); pic.writeASCII3("PNG"); pic.writeByte(0); pic.writeZString88591(""); pic.writeBytes([ 0x89, 0x50 ]);
+    Samples.writeTag(push, 2, [
+      { id: "TT2", data: Samples.text(0, "Old title") },
+      { id: "PIC", data: pic.toBuffer() }
+    ], { padding: 10 });
+    var tag = ID3.readV2(new PullStream().fromBuffer(push.toBuffer()));
+    assert.strictEqual("2.2.0", tag.version);
+    assert.strictEqual("Old title", tag.title);
+    assert.strictEqual("image/png", tag.pictures[0].mimeType);
+    assert.deepStrictEqual(Buffer.from([ 0x89, 0x50 ]), tag.pictures[0].data);
+
+    var data = push.toBuffer();
+    data[5] = 0x40;                                       // compression
+    var stream = new PullStream().fromBuffer(Buffer.concat([ data, Buffer.from("audio") ]));
+    tag = ID3.readV2(stream);
+    assert.strictEqual(true, tag.flags.compression);
+    assert.strictEqual(false, tag.flags.extendedHeader);
+    assert.deepStrictEqual([], tag.frames);
+    assert.deepStrictEqual([ "Compressed ID3v2.2 tags are not supported" ], tag.warnings);
+    assert.strictEqual(data.length, stream.tell(), "Tag skipped");
+  });
+
+  it('Should read unsynchronised tags', function() {
+    var push = new PushStream();
+    Samples.writeTag(push, 3, [
+      { id: "TIT2", data: Samples.text(0, "ÿþÿ") },
+      { id: "TPE1", data: Samples.text(0, "Artist") }
+    ], { unsynchronise: true });
+    var tag = ID3.readV2(new PullStream().fromBuffer(push.toBuffer()));
+    assert.strictEqual("ÿþÿ", tag.title);
+    assert.strictEqual("Artist", tag.artist);
+  });
+
+  it('Should tolerate malformed tags', function() {
+    var push = new PushStream();
+    Samples.writeTag(push, 3, [
+      { id: "TIT2", data: Samples.text(0, "Title") },
+      { id: "TPE1", data: Samples.text(0, "Artist") }
+    ]);
+    var data = push.toBuffer();
+    data.writeUInt32BE(1000, 10 + 10 + 6 + 4);            // TPE1 size
+    var tag = ID3.readV2(new PullStream().fromBuffer(data));
+    assert.strictEqual("Title", tag.title);
+    assert.strictEqual("Artist", tag.artist);
+    assert.deepStrictEqual([ "Frame TPE1 is truncated" ], tag.warnings);
+
+    data.writeUInt32BE(Samples.syncsafe(1000), 6);                // Tag size
+    tag = ID3.readV2(new PullStream().fromBuffer(data));
+    assert.strictEqual("Artist", tag.artist);
+    assert.strictEqual(2, tag.warnings.length);
+  });
+
+  it('Should honour the limits of the stream', function() {
+    var push = new PushStream();
+    Samples.writeTag(push, 3, [
+      { id: "TPE1", data: Samples.text(0, "Artist") },
+      { id: "TIT2", data: Samples.text(0, "x".repeat(300 * 1024)) }
+    ], { unsynchronise: true });
+    var stream = new PullStream().fromBuffer(push.toBuffer());
+    stream.setLimits(Limits.HARDENED);
+    assert.throws(function() { ID3.readV2(stream); }, function(err) {
+      assert(err instanceof Errors.LimitError, err.stack);
+      assert.strictEqual("maxStringLength", err.limit);
+      return true;
+    });
+    assert.strictEqual(4, stream.limits.chunks, "Chunks of the derived streams are counted");
+  });
+
+  it('Should ignore files without tags', function() {
+    var stream = new PullStream().fromBuffer(Buffer.alloc(200));
+    var tags = ID3.read(stream);
+    assert.strictEqual(undefined, tags.v2);
+    assert.strictEqual(undefined, tags.v1);
+    assert.strictEqual(0, stream.tell());
+  });
+
+});
@@ -0,0 +1,140 @@
+/**
+ * wg-streams - JPEG and EXIF unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const JPEG = require('../lib/jpeg.js');
+const EXIF = require('../lib/exif.js');
+const Samples = require('./helpers/samples.js');
+
+
+describe('EXIF', function() {
+
+  it('Should decode IFDs in both byte orders', function() {
+    [ "LE", "BE" ].forEach(function(byteOrder) {
+      var stream = new PullStream().fromBuffer(Samples.sampleTIFF(byteOrder));
+      var exif = EXIF.read(stream.chunk("TIFF"));
+      assert.strictEqual(byteOrder, exif.byteOrder);
+      assert.deepStrictEqual([], exif.warnings);
+      assert.strictEqual("Canon", exif.ifd0.byName.Make);
+      assert.strictEqual("EOS", exif.ifd0.byName.Model);
+      assert.strictEqual(6, exif.ifd0.byName.Orientation);
+      assert.strictEqual(6, exif.ifd0.byId[0x0112]);
+      assert.strictEqual(72, exif.ifd0.byName.XResolution);
+      assert.deepStrictEqual([ -1, 2 ], exif.ifd0.byId[0xC000]);
+      assert.deepStrictEqual({ id: 0xC000, name: undefined, type: "SLONG", count: 2, value: [ -1, 2 ] }, exif.ifd0.entries[6]);
+      assert.strictEqual(0.004, exif.exif.byName.ExposureTime);
+      assert.deepStrictEqual(Buffer.from("0230", 'latin1'), exif.exif.byName.ExifVersion);
+      assert.strictEqual(-2/3, exif.exif.byName.ExposureBiasValue);
+      assert.deepStrictEqual([ 100, 200 ], exif.exif.byName.ISOSpeedRatings);
+      assert.strictEqual("N", exif.gps.byName.GPSLatitudeRef);
+      assert.deepStrictEqual([ 48, 51, 1.5 ], exif.gps.byName.GPSLatitude);
+      assert.strictEqual(0, exif.gps.byName.GPSAltitudeRef);
+      assert.strictEqual(35.5, exif.gps.byName.GPSAltitude);
+      assert.strictEqual("R98", exif.interop.byName.InteroperabilityIndex);
+      assert.strictEqual(6, exif.ifd1.byName.Compression);
+      assert.deepStrictEqual(Buffer.from([ 0xFF, 0xD8, 0xFF, 0xD9 ]), exif.thumbnail);
+    });
+  });
+
+  it('Should report invalid structures', function() {
+    var data = Samples.tiff("LE", [
+      { next: 0, entries: [
+        { tag: 0x010F, type: 2, values: "Canon" },
+        { tag: 0x0110, type: 99, values: 1 },
+        { tag: 0x8769, type: 4, values: 5000 }
+      ]}
+    ]);
+    var exif = EXIF.read(new PullStream().fromBuffer(data).chunk("TIFF"));
+    assert.strictEqual("Canon", exif.ifd0.byName.Make);
+    assert.strictEqual(2, exif.ifd0.entries.length);
+    assert.strictEqual(3, exif.warnings.length);
+    assert.strictEqual("Unknown type 99 for tag 272", exif.warnings[0]);
+    assert.strictEqual("IFD loop at offset 8", exif.warnings[2]);
+
+    data = Samples.tiff("LE", [ { entries: [ { tag: 0x0111, type: 3, values: [ 1, 2, 3 ] }, { tag: 0x010F, type: 2, values: "Canon" } ] } ]);
+    data.writeUInt32LE(0x40000000, 8 + 2 + 4);                            // count of the first entry
+    exif = EXIF.read(new PullStream().fromBuffer(data).chunk("TIFF"));
+    assert.strictEqual("Canon", exif.ifd0.byName.Make);
+    assert.deepStrictEqual([ "Invalid value for tag 273 (1073741824 SHORT values do not fit in the chunk)" ], exif.warnings);
+
+    assert.throws(function() { EXIF.read(new PullStream().fromBuffer(Buffer.from("XX*\u0000", 'latin1')).chunk("TIFF")); }, /Invalid TIFF byte order/);
+  });
+
+  it('Should only follow pointers which are single integers', function() {
+    var data = Samples.tiff("LE", [
+      { next: 1, entries: [
+        { tag: 0x010F, type: 2, values: "Canon" },
+        { tag: 0x8769, type: 3, values: [ 0, 8 ] }
+      ]},
+      { entries: [
+        { tag: 0x0201, type: 5, values: [ [ 8, 1 ] ] },
+        { tag: 0x0202, type: 4, values: 4 }
+      ]}
+    ]);
+    var stream = new PullStream().fromBuffer(Buffer.concat([ data, Buffer.from("tail") ]));
+    var exif = EXIF.read(stream.chunk("TIFF", data.length));
+    assert.strictEqual("Canon", exif.ifd0.byName.Make);
+    assert.strictEqual(undefined, exif.exif);
+    assert.strictEqual(undefined, exif.thumbnail);
+    assert.deepStrictEqual([ "Invalid ExifIFDPointer (2 SHORT values)", "Invalid JPEGInterchangeFormat (1 RATIONAL values)" ], exif.warnings);
+    assert(Number.isSafeInteger(stream.tell()));
+    stream.seek(data.length);
+    assert.strictEqual("tail", stream.readASCII4());
+  });
+
+});
+
+
+describe('JPEG', function() {
+
+  it('Should walk segments', function() {
+    var stream = new PullStream().fromBuffer(Samples.sampleJPEG("LE"));
+    var names = JPEG.readSegments(stream).map(function(s) { return s.name; });
+    assert.deepStrictEqual([ "SOI", "APP0", "APP1", "COM", "DQT", "SOF0", "SOS" ], names);
+
+    var data = Samples.sampleJPEG("LE");
+    stream = new PullStream().fromBuffer(data);
+    var segments = JPEG.readSegments(stream, { scanData: true });
+    names = segments.map(function(s) { return s.name; });
+    assert.deepStrictEqual([ "SOI", "APP0", "APP1", "COM", "DQT", "SOF0", "SOS", "EOI" ], names);
+    assert.deepStrictEqual({ marker: 0xD9, name: "EOI", offset: data.length - 2, length: 0 }, segments[7]);
+    assert.strictEqual(0xC0, data[segments[5].offset + 1]);
+    assert.strictEqual(data.length, stream.tell());
+  });
+
+  it('Should give chunks to the walk callback', function() {
+    var stream = new PullStream().fromBuffer(Samples.sampleJPEG("BE"));
+    var comment;
+    JPEG.walk(stream, function(segment, chunk) {
+      if (segment.name === "COM") {
+        comment = chunk.readBytes(3).toString();
+        return false;
+      }
+    });
+    assert.strictEqual("Hel", comment);
+    assert.strictEqual("APP0", JPEG.markerName(0xE0));
+    assert.strictEqual("0x2", JPEG.markerName(0x02));
+  });
+
+  it('Should read metadata', function() {
+    var jpeg = JPEG.read(new PullStream().fromBuffer(Samples.sampleJPEG("BE")));
+    assert.deepStrictEqual([], jpeg.warnings);
+    assert.deepStrictEqual({ version: "1.02", units: 1, xDensity: 72, yDensity: 72 }, jpeg.jfif);
+    assert.deepStrictEqual([ "Hello" ], jpeg.comments);
+    assert.strictEqual("SOF0", jpeg.frame.type);
+    assert.strictEqual(640, jpeg.frame.width);
+    assert.strictEqual(480, jpeg.frame.height);
+    assert.deepStrictEqual({ id: 1, horizontalSampling: 2, verticalSampling: 2, quantizationTable: 0 }, jpeg.frame.components[0]);
+    assert.strictEqual("BE", jpeg.exif.byteOrder);
+    assert.strictEqual("Canon", jpeg.exif.ifd0.byName.Make);
+    assert.strictEqual(4, jpeg.exif.thumbnail.length);
+  });
+
+  it('Should reject non-JPEG files', function() {
+    assert.throws(function() { JPEG.read(new PullStream().fromBuffer(Buffer.from("GIF89a"))); }, /Not a JPEG file/);
+  });
+
+});
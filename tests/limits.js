@@ -0,0 +1,90 @@
+/**
+ * wg-streams - Resource limits unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const Limits = require('../lib/limits.js');
+const Errors = require('../lib/errors.js');
+
+// A stream with given limits
+function limited(data, options) {
+  var stream = new PullStream().fromBuffer(Buffer.from(data, 'latin1'));
+  stream.setLimits(options);
+  return stream;
+}
+
+// Check that a function fails with a LimitError for a given limit
+function assertLimit(fn, limit, message) {
+  assert.throws(fn, function(err) {
+    assert(err instanceof Errors.LimitError, err.stack);
+    assert(err instanceof Errors.ReaderError);
+    assert.strictEqual(limit, err.limit);
+    if (message) assert(message.test(err.message), err.message);
+    return true;
+  });
+}
+
+describe('Limits', function() {
+
+  it('Should limit string lengths', function() {
+    var stream = limited("abcde\u0000abcd\u0000", { maxStringLength: 4 });
+    assertLimit(function() { stream.readZString88591(); }, "maxStringLength", /^Limit exceeded \(maxStringLength is 4\) when reading ISO-8859-1 string at offset 0$/);
+    assert.strictEqual(0, stream.tell());
+    assertLimit(function() { stream.readZStringUTF8(); }, "maxStringLength");
+    assertLimit(function() { stream.readZString("utf8"); }, "maxStringLength");
+    assertLimit(function() { stream.readString(5); }, "maxStringLength");
+    assert.strictEqual(0, stream.tell());
+    stream.skip(6);
+    assert.strictEqual("abcd", stream.readZString88591());
+    stream.seek(6);
+    assert.strictEqual("abcd", stream.readZString("utf8", { maxLength: 5 }));
+
+    stream = limited("a\u0000b\u0000c\u0000\u0000\u0000", { maxStringLength: 4 });
+    assertLimit(function() { stream.readZStringUTF16(); }, "maxStringLength", /when reading UTF-16 string/);
+    assert.strictEqual(0, stream.tell());
+    assertLimit(function() { stream.readZString("utf16le"); }, "maxStringLength");
+    var chunk = stream.chunk("text", 4);
+    assertLimit(function() { stream.readStringUTF16(); }, "maxStringLength");
+    assert.strictEqual("ab", chunk.readStringUTF16());
+  });
+
+  it('Should limit chunks', function() {
+    var stream = limited("0123456789", { maxChunkDepth: 2, maxChunks: 3 });
+    var a = stream.chunk("a");
+    var b = a.chunk("b", 5);
+    assertLimit(function() { b.chunk("c", 2); }, "maxChunkDepth", /^Limit exceeded \(maxChunkDepth is 2\) when creating chunk in a > b > c at offset 0$/);
+    assertLimit(function() { stream.chunk("d"); }, "maxChunks");
+    assert.strictEqual(4, stream.limits.chunks);
+  });
+
+  it('Should limit the bytes scanned', function() {
+    var stream = limited("x".repeat(100) + "y", { maxScanBytes: 150 });
+    assert.strictEqual(100, stream.scan("y"));
+    assert.strictEqual(101, stream.limits.bytesScanned);
+    stream.seek(0);
+    assertLimit(function() { stream.scan("z"); }, "maxScanBytes", /when scanning at offset 0/);
+    assert.strictEqual(150, stream.limits.bytesScanned);
+    assert.strictEqual(0, stream.tell());
+    assertLimit(function() { stream.findAll("x"); }, "maxScanBytes");
+    assertLimit(function() { stream.readZString88591(); }, "maxScanBytes");
+
+    stream.limits.reset();
+    assert.deepStrictEqual([ 100 ], stream.findAll("y"));
+    assert.strictEqual(99, stream.scanBackward("x", { limit: 101 }));
+  });
+
+  it('Should limit the time', function() {
+    var stream = limited("0123456789", Limits.HARDENED);
+    assert.strictEqual(0x30, stream.readByte());
+    stream.limits.deadline = Date.now() - 1;
+    assertLimit(function() { stream.readByte(); }, "timeout", /^Limit exceeded \(timeout is 5000\) at offset 1$/);
+    assertLimit(function() { stream.chunk("a"); }, "timeout");
+    stream.limits.reset();
+    assert.strictEqual(0x31, stream.readByte());
+    stream.setLimits(undefined);
+    assert.strictEqual(undefined, stream.limits);
+  });
+
+});
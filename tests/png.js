@@ -0,0 +1,134 @@
+/**
+ * wg-streams - PNG unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const zlib = require('zlib');
+const PullStream = require('../lib/pullstream.js');
+const PushStream = require('../lib/pushstream.js');
+const PNG = require('../lib/png.js');
+const Limits = require('../lib/limits.js');
+const Errors = require('../lib/errors.js');
+const Samples = require('./helpers/samples.js');
+
+
+describe('PNG', function() {
+
+  it('Should compute CRC-32', function() {
+    assert.strictEqual(0xCBF43926, PNG.crc32(Buffer.from("123456789")));
+    assert.strictEqual(0xCBF43926, PNG.crc32(Buffer.from("6789"), PNG.crc32(Buffer.from("12345"))));
+    assert.strictEqual(0, PNG.crc32(Buffer.alloc(0)));
+  });
+
+  it('Should iterate over chunks', function() {
+    var data = Samples.samplePNG();
+    var stream = new PullStream().fromBuffer(data);
+    PNG.readSignature(stream);
+    var types = [];
+    PNG.forEachChunk(stream, function(header, c) {
+      types.push(header.type);
+      assert.strictEqual(header.type, c.name);
+      assert.strictEqual(true, header.crcValid);
+      if (header.type === "IDAT") assert.deepStrictEqual(Buffer.from([ 1, 2, 3 ]), c.readBytes(3));
+    });
+    assert.deepStrictEqual([ "IHDR", "pHYs", "tEXt", "zTXt", "iTXt", "iTXt", "eXIf", "IDAT", "IEND" ], types);
+    assert.strictEqual(data.length, stream.tell());
+  });
+
+  it('Should read metadata', function() {
+    var png = PNG.read(new PullStream().fromBuffer(Samples.samplePNG()));
+    assert.deepStrictEqual([], png.warnings);
+    assert.deepStrictEqual({ width: 640, height: 480, bitDepth: 8, colorType: 6, compressionMethod: 0, filterMethod: 0, interlaceMethod: 0 }, png.header);
+    assert.deepStrictEqual({ pixelsPerUnitX: 2835, pixelsPerUnitY: 2835, unit: 1 }, png.physical);
+    assert.deepStrictEqual({ Title: "Café", Comment: "Compressed text", Author: "Élodie", Software: "wg-streams ✓" }, png.text);
+    assert.deepStrictEqual({ Author: { language: "fr", translatedKeyword: "Auteur", text: "Élodie" } }, png.international);
+    assert.strictEqual(8, png.exif.ifd0.byName.Orientation);
+    assert.strictEqual(9, png.chunks.length);
+  });
+
+  it('Should detect CRC errors', function() {
+    var data = Samples.samplePNG();
+    data[8 + 8 + 3] = 1;                                  // IHDR width
+    var png = PNG.read(new PullStream().fromBuffer(data));
+    assert.strictEqual(false, png.chunks[0].crcValid);
+    assert.deepStrictEqual([ "Invalid CRC for chunk IHDR at offset 8" ], png.warnings);
+    assert.strictEqual(0x0201, png.header.width);
+
+    png = PNG.read(new PullStream().fromBuffer(data), { verifyCRC: false });
+    assert.strictEqual(undefined, png.chunks[0].crcValid);
+    assert.deepStrictEqual([], png.warnings);
+
+    assert.throws(function() { PNG.read(new PullStream().fromBuffer(data), { failOnCRCError: true }); }, /Invalid CRC for chunk IHDR/);
+  });
+
+  it('Should inflate compressed chunks', function() {
+    var stream = new PullStream().fromBuffer(zlib.deflateSync(Buffer.from([ 0, 1, 0, 2 ])));
+    var inflated = PNG.inflate(stream.chunk("zlib"));
+    assert.strictEqual(1, inflated.readShort());
+    assert.strictEqual(2, inflated.readShort());
+    assert.strictEqual(false, inflated.hasMore());
+    stream.seek(0);
+    assert.throws(function() { PNG.inflate(stream.chunk("zlib"), 3); }, /Decompressed data too large \(more than 3 bytes\)/);
+  });
+
+  it('Should limit the size of decompressed texts', function() {
+    var push = new PushStream();
+    push.writeBytes(PNG.SIGNATURE);
+    Samples.pngChunk(push, "zTXt", Buffer.concat([ Buffer.from("Bomb\u0000\u0000", 'latin1'), zlib.deflateSync(Buffer.alloc(1024 * 1024)) ]));
+    Samples.pngChunk(push, "tEXt", Buffer.from("Title\u0000Café", 'latin1'));
+    Samples.pngChunk(push, "IEND", []);
+    var data = push.toBuffer();
+    var png = PNG.read(new PullStream().fromBuffer(data), { maxTextLength: 1000 });
+    assert.deepStrictEqual({ Title: "Café" }, png.text);
+    assert.deepStrictEqual([ "Invalid chunk zTXt at offset 8: Decompressed data too large (more than 1000 bytes)" ], png.warnings);
+    var stream = new PullStream().fromBuffer(data);
+    stream.setLimits({ maxStringLength: 2000 });
+    png = PNG.read(stream);
+    assert.deepStrictEqual([ "Invalid chunk zTXt at offset 8: Decompressed data too large (more than 2000 bytes)" ], png.warnings);
+    assert.strictEqual(1024 * 1024, Buffer.byteLength(PNG.read(new PullStream().fromBuffer(data)).text.Bomb, 'latin1'));
+    push = new PushStream();
+    push.writeBytes(PNG.SIGNATURE);
+    Samples.pngChunk(push, "zTXt", Buffer.concat([ Buffer.from("Bomb\u0000\u0000", 'latin1'), zlib.deflateSync(Buffer.alloc(1024 * 1024 + 1)) ]));
+    Samples.pngChunk(push, "IEND", []);
+    png = PNG.read(new PullStream().fromBuffer(push.toBuffer()));
+    assert.deepStrictEqual([ "Invalid chunk zTXt at offset 8: Decompressed data too large (more than 1048576 bytes)" ], png.warnings, "Limited by default");
+  });
+
+  it('Should honour the limits of the stream', function() {
+    var push = new PushStream();
+    push.writeBytes(PNG.SIGNATURE);
+    Samples.pngChunk(push, "iTXt", Buffer.concat([ Buffer.from("Text\u0000\u0001\u0000\u0000\u0000", 'latin1'), zlib.deflateSync(Buffer.from("Compressed")) ]));
+    Samples.pngChunk(push, "tEXt", Buffer.concat([ Buffer.from("Title\u0000", 'latin1'), Buffer.alloc(100 * 1024, 0x41) ]));
+    Samples.pngChunk(push, "IEND", []);
+    var stream = new PullStream().fromBuffer(push.toBuffer());
+    stream.setLimits(Limits.HARDENED);
+    assert.throws(function() { PNG.read(stream); }, function(err) {
+      assert(err instanceof Errors.LimitError, err.stack);
+      assert.strictEqual("maxStringLength", err.limit);
+      return true;
+    });
+    stream.seek(8 + 8 + 9);                               // compressed text of the iTXt chunk
+    var inflated = PNG.inflate(stream.chunk("zlib", zlib.deflateSync(Buffer.from("Compressed")).length));
+    assert.strictEqual(stream.limits, inflated.limits, "Derived streams share the limits");
+  });
+
+  it('Should read truncated files', function() {
+    var data = Samples.samplePNG().subarray(0, 54 + 8 + 8);        // inside the tEXt chunk
+    var stream = new PullStream().fromBuffer(data);
+    var png = PNG.read(stream);
+    assert.deepStrictEqual([ "Chunk tEXt at offset 54 is truncated" ], png.warnings);
+    assert.deepStrictEqual({ Title: "Ca" }, png.text);
+    assert.deepStrictEqual({ type: "tEXt", offset: 54, length: 10, crc: undefined, crcValid: undefined, truncated: true }, png.chunks[2]);
+    assert.strictEqual(3, png.chunks.length);
+    assert.strictEqual(data.length, stream.tell());
+    png = PNG.read(new PullStream().fromBuffer(Samples.samplePNG().subarray(0, 54 + 8 + 10 + 2)));   // inside the CRC
+    assert.deepStrictEqual({ Title: "Café" }, png.text);
+    assert.deepStrictEqual([ "Chunk tEXt at offset 54 is truncated" ], png.warnings);
+  });
+
+  it('Should reject other files', function() {
+    assert.throws(function() { PNG.read(new PullStream().fromBuffer(Buffer.from("GIF89a0000"))); }, /Not a PNG file/);
+  });
+
+});
@@ -5,8 +5,17 @@
 
 const assert = require('assert');
 const fs = require('fs');
+const Readable = require('stream').Readable;
 const PullStream = require('../lib/pullstream.js');
 
+// Create a stream over an array of bytes
+function fromBytes(bytes) {
+  var stream = new PullStream();
+  stream.buffer = Buffer.from(bytes);
+  stream.maxPosition = stream.buffer.length;
+  return stream;
+}
+
 describe('PullStream', function() {
 
   it('Should read different elements', function(done) {
@@ -41,5 +50,275 @@ describe('PullStream', function() {
     });
   });
 
-});
+  it('Should read in both byte orders', function(done) {
+    var file = __dirname + "/./data/file1.txt"
+    var stream = new PullStream();
+    return stream.fromFile(file, function(err) {
+      if (err) return done(err);
+      assert.strictEqual(PullStream.BIG_ENDIAN, stream.byteOrder, "Big endian by default");
+      assert.strictEqual(0x7550, stream.readShortLE());
+      assert.strictEqual(0x6C6C, stream.readShortBE());
+      assert.strictEqual(0x6F6320, stream.read3BytesLE());
+      assert.strictEqual(0x676E6964, stream.readLongLE());
+      stream.setByteOrder(PullStream.LITTLE_ENDIAN);
+      assert.strictEqual(0x6F20, stream.readShort());
+      assert.strictEqual(0x632072, stream.read3Bytes());
+      assert.strictEqual(0x6E65696C, stream.readLong());
+      stream.setByteOrder(PullStream.BIG_ENDIAN);
+      assert.strictEqual(0x7420, stream.readShort());
+      assert.throws(function() { stream.setByteOrder("II"); });
+      return done();
+    });
+  });
 
+  it('Should read signed and unsigned integers', function() {
+    var stream = fromBytes([ 0xFF, 0xFF, 0xFE, 0x80, 0x00, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x80 ]);
+    assert.strictEqual(-1, stream.readInt8());
+    stream.position = 0;
+    assert.strictEqual(255, stream.readUInt8());
+    stream.position = 1;
+    assert.strictEqual(-2, stream.readInt16());
+    stream.position = 2;
+    assert.strictEqual(-32514, stream.readInt16LE());
+    stream.position = 0;
+    assert.strictEqual(0xFFFF, stream.readUInt16LE());
+    stream.position = 2;
+    assert.strictEqual(-0x18000, stream.readInt24());
+    stream.position = 2;
+    assert.strictEqual(0xFE8000, stream.readUInt24BE());
+    stream.position = 2;
+    assert.strictEqual(0x80FE, stream.readInt24LE());
+    stream.position = 1;
+    assert.strictEqual(0xFFFE8000, stream.readLong(), "readLong is unsigned");
+    stream.position = 1;
+    assert.strictEqual(0xFFFE8000, stream.readUInt32());
+    stream.position = 1;
+    assert.strictEqual(-0x18000, stream.readInt32BE());
+    stream.position = 1;
+    assert.strictEqual(0x0080FEFF, stream.readInt32LE());
+    stream.position = 1;
+    assert.strictEqual(0x0080FEFF, stream.readLongLE());
+    stream.position = 5;
+    assert.strictEqual(0xFFFFFFFF, stream.readUInt32LE());
+    stream.position = 5;
+    assert.strictEqual(-1, stream.readInt32LE());
+    stream.position = 5;
+    assert.strictEqual(0xFFFFFFFFFFFFFF80n, stream.readUInt64());
+    stream.position = 5;
+    assert.strictEqual(-128n, stream.readInt64BE());
+    stream.position = 5;
+    assert.strictEqual(0x80FFFFFFFFFFFFFFn, stream.readUInt64LE());
+    stream.position = 5;
+    stream.setByteOrder(PullStream.LITTLE_ENDIAN);
+    assert.strictEqual(-0x7F00000000000001n, stream.readInt64());
+    assert(!stream.hasMore());
+    assert.throws(function() { stream.readInt8(); });
+  });
+
+  it('Should read floating point and fixed point numbers', function() {
+    var stream = fromBytes([
+      0x3F, 0xC0, 0x00, 0x00,                                     // 1.5 (float)
+      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF0, 0xBF,             // -1 (double, little endian)
+      0x40, 0x0E, 0xAC, 0x44, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, // 44100 (extended)
+      0xFF, 0xFF, 0x80, 0x00,                                     // -0.5 (16.16)
+      0x01, 0x80,                                                 // 1.5 (8.8)
+      0x40, 0x00, 0x00, 0x00,                                     // 1.0 (2.30)
+      0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x04,             // 1/4 (rational)
+      0xFF, 0xFF, 0xFF, 0xFF, 0x00, 0x00, 0x00, 0x00,             // -1/0 (signed rational)
+    ]);
+    assert.strictEqual(1.5, stream.readFloat32());
+    assert.strictEqual(-1, stream.readFloat64LE());
+    assert.strictEqual(44100, stream.readFloat80());
+    assert.strictEqual(-0.5, stream.readFixed16_16());
+    stream.position = stream.position - 4;
+    assert.strictEqual(65535.5, stream.readUFixed16_16());
+    assert.strictEqual(1.5, stream.readFixed8_8());
+    assert.strictEqual(1, stream.readFixed2_30());
+    assert.strictEqual(0.25, stream.readRational());
+    assert(isNaN(stream.readSRational()));
+    assert(!stream.hasMore());
+    stream.position = 0;
+    stream.setByteOrder(PullStream.LITTLE_ENDIAN);
+    assert.strictEqual(0x3FC0, stream.readUFixed16_16BE());
+    assert.throws(function() { stream.skip(38); stream.readFloat64(); });
+  });
+
+  it('Should seek, peek and reset', function() {
+    var stream = fromBytes([ 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08 ]);
+    assert.strictEqual(0, stream.tell());
+    assert.strictEqual(0x0102, stream.peekShort());
+    assert.strictEqual(0x0201, stream.peekShortLE());
+    assert.strictEqual(0, stream.tell(), "Peek does not consume");
+    stream.seek(6);
+    assert.strictEqual(0x0708, stream.readShort());
+    assert.strictEqual(8, stream.tell());
+    stream.seek(8);
+    assert.throws(function() { stream.seek(9); });
+    assert.throws(function() { stream.seek(-1); });
+    assert.throws(function() { stream.peekByte(); });
+    assert.strictEqual(8, stream.tell(), "Failed peek does not move");
+    stream.seek(2);
+    stream.mark();
+    stream.skip(2);
+    stream.mark();
+    assert.strictEqual(0x05, stream.readByte());
+    stream.reset();
+    assert.strictEqual(4, stream.tell());
+    stream.reset();
+    assert.strictEqual(2, stream.tell());
+    assert.throws(function() { stream.reset(); });
+    stream.mark();
+    stream.skip(1);
+    stream.unmark();
+    assert.strictEqual(3, stream.tell());
+    assert.throws(function() { stream.unmark(); });
+  });
+
+  it('Should read file by windows', function(done) {
+    var file = __dirname + "/./data/file1.txt"
+    var stream = new PullStream();
+    return stream.openFile(file, { windowSize: 16 }, function(err) {
+      if (err) return done(err);
+      assert.strictEqual(743, stream.maxPosition);
+      assert.strictEqual(0x50, stream.readByte());
+      assert.strictEqual(0x75, stream.readByte());
+      assert.strictEqual(0x6C6C, stream.readShort());
+      assert.strictEqual(0x20, stream.readByte());
+      assert.strictEqual(0x636F, stream.readShort(), "Unaligned short");
+      assert.strictEqual(0x64696E67, stream.readLong());
+      assert.strictEqual(0x206F72, stream.read3Bytes(), "Across window boundary");
+      stream.skip(10);
+      assert.strictEqual(0x6C6C2069, stream.readLong());
+      assert.strictEqual('s a', stream.readASCII3());
+      assert.strictEqual(' sty', stream.readASCII4());
+      assert(stream.scan3Bytes(0x2C2077)); // ", w"
+      assert.strictEqual(0x68657265, stream.readLong());
+      assert(stream.scanLong(0x70756C6C)); // "pull"
+      assert.strictEqual(0x20636F64, stream.readLong());
+      stream.seek(5);
+      assert.strictEqual("coding or client pull is a style", stream.readBytes(32).toString(), "Larger than a window");
+      stream.seek(1);
+      assert.strictEqual(0x756C6C20, stream.peekLong(), "Backward seek");
+      stream.seek(740);
+      assert.strictEqual(0x65, stream.readByte(), "Almost at the end of the file");
+      assert(stream.hasMore(2));
+      assert(!stream.hasMore(3));
+      stream.readShort();
+      assert(!stream.hasMore());
+      assert.throws(function() { stream.readByte(); });
+      return stream.close(done);
+    });
+  });
+
+  it('Should read from buffers and typed arrays', function() {
+    var stream = new PullStream().fromBuffer(Buffer.from("Pull coding"));
+    assert.strictEqual(11, stream.maxPosition);
+    assert.strictEqual(0x50756C6C, stream.readLong());
+    var bytes = new Uint8Array([ 0x00, 0x01, 0x02, 0x03, 0x04 ]);
+    stream.fromBuffer(bytes.subarray(1, 4));
+    assert.strictEqual(0, stream.tell());
+    assert.strictEqual(3, stream.maxPosition);
+    assert.strictEqual(0x010203, stream.read3Bytes());
+    stream.fromBuffer(new Uint16Array([ 0x0102 ]));
+    assert.strictEqual(0x0102, stream.readShortLE());
+    stream.fromBuffer(bytes.buffer);
+    assert.strictEqual(5, stream.maxPosition);
+    assert.throws(function() { stream.fromBuffer("Pull coding"); });
+  });
+
+  it('Should read from a file descriptor', function(done) {
+    var file = __dirname + "/./data/file1.txt"
+    var fd = fs.openSync(file, 'r');
+    var stream = new PullStream();
+    return stream.fromFd(fd, 5, 6, function(err) {
+      if (err) { fs.closeSync(fd); return done(err); }
+      assert.strictEqual(6, stream.maxPosition);
+      assert.strictEqual('cod', stream.readASCII3());
+      assert.strictEqual('ing', stream.readASCII3());
+      assert(!stream.hasMore());
+      return stream.fromFd(fd, 740, undefined, function(err) {
+        fs.closeSync(fd);
+        if (err) return done(err);
+        assert.strictEqual(3, stream.maxPosition);
+        assert.strictEqual(0x65, stream.readByte());
+        return done();
+      });
+    });
+  });
+
+  it('Should read from a readable stream', function(done) {
+    var readable = Readable.from([ Buffer.from("Pull "), Buffer.from("coding") ]);
+    var pull = new PullStream();
+    return pull.fromReadable(readable, function(err) {
+      if (err) return done(err);
+      assert.strictEqual(11, pull.maxPosition);
+      assert.strictEqual('Pull coding', pull.readBytes(11).toString());
+      readable = Readable.from([ Buffer.from("Pull "), Buffer.from("coding") ]);
+      return pull.fromReadable(readable, { maxBytes: 10 }, function(err) {
+        assert(err, "Readable stream is too large");
+        assert.strictEqual(11, pull.maxPosition, "Stream unchanged");
+        return done();
+      });
+    });
+  });
+
+  it('Should scan for patterns', function(done) {
+    var file = __dirname + "/./data/file1.txt"
+    var check = function(stream) {
+      assert.deepStrictEqual([ 69, 114, 130, 154, 213, 499, 570, 693 ], stream.findAll("the"));
+      assert.deepStrictEqual([ 69, 114 ], stream.findAll(Buffer.from("the"), { limit: 117 }));
+      assert.strictEqual(22, stream.scan("pull"));
+      assert.strictEqual(22, stream.tell());
+      assert.strictEqual(22, stream.scan([ 0x70, 0x75, 0x6C, 0x6C ]), "Already at the match");
+      stream.skip(1);
+      assert.strictEqual(-1, stream.scan("pull", { limit: 345 }));
+      assert.strictEqual(23, stream.tell(), "Position unchanged");
+      assert.strictEqual(365, stream.scan("pull", { limit: 346 }));
+      stream.seek(0);
+      assert.strictEqual(693, stream.scanBackward("the"));
+      assert.strictEqual(693, stream.tell());
+      stream.seek(0);
+      assert.strictEqual(-1, stream.scanBackward("the", { limit: 49 }));
+      assert.strictEqual(693, stream.scanBackward("the", { limit: 50 }));
+      assert.strictEqual(-1, stream.scanBackward("Pull"), "Not before the current position");
+      stream.seek(0);
+      assert.strictEqual(665, stream.scanBackward("Pull"), "Last match");
+      assert.strictEqual(-1, stream.scan("not found"));
+      assert.throws(function() { stream.scan(""); }, /Invalid search pattern \(empty\)/);
+    };
+    var stream = new PullStream();
+    return stream.fromFile(file, function(err) {
+      if (err) return done(err);
+      check(stream);
+      return stream.openFile(file, { windowSize: 16 }, function(err) {
+        if (err) return done(err);
+        check(stream);
+        return stream.close(done);
+      });
+    });
+  });
+
+
+  it('Should return promises when no callback is given', async function() {
+    var file = __dirname + "/./data/file1.txt"
+    var stream = new PullStream();
+    assert.strictEqual(stream, await stream.fromFile(file));
+    assert.strictEqual(743, stream.maxPosition);
+    await stream.openFile(file, { windowSize: 16 });
+    assert.strictEqual(0x50756C6C, stream.readLong());
+    assert.strictEqual(stream, await stream.close());
+    assert.strictEqual(undefined, stream.fd);
+    await assert.rejects(stream.openFile(__dirname + "/./data/missing.txt"), /ENOENT/);
+    var fd = fs.openSync(file, 'r');
+    try {
+      await stream.fromFd(fd, 5, 6);
+      assert.strictEqual('coding', stream.readBytes(6).toString());
+    } finally {
+      fs.closeSync(fd);
+    }
+    await stream.fromReadable(Readable.from([ Buffer.from("Pull "), Buffer.from("coding") ]));
+    assert.strictEqual(11, stream.maxPosition);
+    await assert.rejects(stream.fromReadable(Readable.from([ Buffer.from("Pull coding") ]), { maxBytes: 10 }), /Readable stream is too large/);
+  });
+
+});
@@ -0,0 +1,106 @@
+/**
+ * wg-streams - PushStream unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const PushStream = require('../lib/pushstream.js');
+
+describe('PushStream', function() {
+
+  it('Should write different elements', function() {
+    var stream = new PushStream(4);
+    stream.writeByte(0x50);
+    stream.writeShort(0x756C);
+    stream.write3Bytes(0x6C2063);
+    stream.writeLong(0x6F64696E);
+    stream.writeASCII3("g o");
+    stream.writeASCII4("r cl");
+    assert.strictEqual(17, stream.tell());
+    assert.strictEqual("Pull coding or cl", stream.toBuffer().toString());
+    assert.throws(function() { stream.writeASCII4("abc"); });
+    assert.throws(function() { stream.writeByte(256); });
+  });
+
+  it('Should write in both byte orders', function() {
+    var stream = new PushStream();
+    stream.writeShortLE(0x0102);
+    stream.write3BytesLE(0x030405);
+    stream.writeLongBE(0x06070809);
+    stream.setByteOrder(PushStream.LITTLE_ENDIAN);
+    stream.writeLong(0x0A0B0C0D);
+    stream.writeUInt64(0x0E0F101112131415n);
+    stream.writeInt16(-2);
+    assert.deepStrictEqual(Buffer.from([ 0x02, 0x01, 0x05, 0x04, 0x03, 0x06, 0x07, 0x08, 0x09, 0x0D, 0x0C, 0x0B, 0x0A,
+                                         0x15, 0x14, 0x13, 0x12, 0x11, 0x10, 0x0F, 0x0E, 0xFE, 0xFF ]), stream.toBuffer());
+    assert.throws(function() { stream.setByteOrder("II"); });
+  });
+
+  it('Should round-trip with PullStream', function() {
+    var push = new PushStream();
+    push.writeInt8(-1);
+    push.writeUInt16BE(0xFFFE);
+    push.writeInt24LE(-3);
+    push.writeUInt32(0xFFFFFFFF);
+    push.writeInt64LE(-5n);
+    push.writeFloat32(1.5);
+    push.writeFloat64LE(-0.25);
+    push.writeZString88591("café");
+    push.writeZStringUTF8("café ☕");
+    push.writeZStringUTF16("été");
+    var pull = new PullStream().fromBuffer(push.toBuffer());
+    assert.strictEqual(-1, pull.readInt8());
+    assert.strictEqual(0xFFFE, pull.readUInt16BE());
+    assert.strictEqual(-3, pull.readInt24LE());
+    assert.strictEqual(0xFFFFFFFF, pull.readLong());
+    assert.strictEqual(-5n, pull.readInt64LE());
+    assert.strictEqual(1.5, pull.readFloat32());
+    assert.strictEqual(-0.25, pull.readFloat64LE());
+    var chunk = pull.chunk("Strings");
+    assert.strictEqual("café", chunk.readZString88591());
+    assert.strictEqual("café ☕", chunk.readZStringUTF8());
+    assert.strictEqual("été", chunk.readZStringUTF16());
+    assert(!chunk.hasMore());
+  });
+
+  it('Should fill in chunk lengths', function() {
+    var push = new PushStream();
+    // ISO BMFF like box: 32 bits length including header, followed by type
+    var box = push.chunk("moov", { inclusive: true });
+    box.writeASCII4("moov");
+    var child = box.chunk("mvhd", { inclusive: true });
+    child.writeASCII4("mvhd");
+    child.writeLong(42);
+    assert.strictEqual(12, child.close());
+    assert.strictEqual(20, box.close());
+    assert.throws(function() { box.close(); });
+    // RIFF like chunk: type, then 32 bits little endian length of the payload, padded to an even size
+    push.writeASCII4("data");
+    var data = push.chunk("data", { byteOrder: PushStream.LITTLE_ENDIAN, align: 2 });
+    data.writeBytes([ 1, 2, 3 ]);
+    assert.strictEqual(3, data.close());
+    push.writeByte(0x42);
+
+    var pull = new PullStream().fromBuffer(push.toBuffer());
+    assert.strictEqual(20, pull.readLong());
+    assert.strictEqual("moov", pull.readASCII4());
+    var mvhd = pull.chunk("mvhd", pull.readLong() - 4);
+    assert.strictEqual("mvhd", mvhd.readASCII4());
+    assert.strictEqual(42, mvhd.readLong());
+    assert(!mvhd.hasMore());
+    assert.strictEqual("data", pull.readASCII4());
+    assert.strictEqual(3, pull.readLongLE());
+    pull.skip(4);
+    assert.strictEqual(0x42, pull.readByte());
+  });
+
+  it('Should fail to close chunks too large for their length field', function() {
+    var push = new PushStream();
+    var chunk = push.chunk("Too large", { lengthSize: 1 });
+    chunk.writeBytes(Buffer.alloc(256));
+    assert.throws(function() { chunk.close(); });
+    assert.throws(function() { push.chunk("Invalid", { lengthSize: 5 }); });
+  });
+
+});
@@ -0,0 +1,137 @@
+/**
+ * wg-streams - Reader unit tests. The same tests are run on a PullStream and on a Chunk
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const Chunk = require('../lib/chunk.js');
+const Reader = require('../lib/reader.js');
+
+// Strings, numbers and a trailer. Chunks are created on the same data surrounded by garbage bytes
+const DATA = Buffer.concat([
+  Buffer.from("Café\u0000", 'latin1'),
+  Buffer.from("Été\u0000", 'utf8'),
+  Buffer.from("Hi\u0000", 'utf16le'),
+  Buffer.from([ 0x12, 0x34, 0xCA, 0xFE, 0xBA, 0xBE ]),
+  Buffer.from("tail", 'latin1')
+]);
+
+// Readers on the test data, by kind
+const READERS = {
+  "PullStream": function() {
+    return new PullStream().fromBuffer(DATA);
+  },
+  "Chunk": function() {
+    var stream = new PullStream().fromBuffer(Buffer.concat([ Buffer.from("xx"), DATA, Buffer.from("yy") ]));
+    stream.skip(2);
+    return stream.chunk("data", DATA.length);
+  }
+};
+
+describe('Reader', function() {
+
+  Object.keys(READERS).forEach(function(kind) {
+
+    describe(kind, function() {
+
+      it('Should read strings and buffers', function() {
+        var reader = READERS[kind]();
+        assert(reader instanceof Reader);
+        assert(reader instanceof (kind === "Chunk" ? Chunk : PullStream));
+        assert.strictEqual("Café", reader.peekZString88591());
+        assert.strictEqual("Café", reader.readZString88591());
+        assert.strictEqual("Été", reader.readZStringUTF8());
+        assert.strictEqual("Hi", reader.readZStringUTF16());
+        assert.strictEqual(0x1234, reader.readShort());
+        assert.deepStrictEqual(Buffer.from("tail"), reader.readBuffer().slice(4));
+        assert.strictEqual(19, reader.tell());
+        reader.skip(4);
+        assert.strictEqual("tail", reader.readString88591());
+        assert.strictEqual("", reader.readString88591());
+        reader.seek(23);
+        assert.strictEqual("tail", reader.readZString88591(true));
+        assert.throws(function() { reader.readZString88591(); }, /Short read .* when reading ISO-8859-1 string/);
+      });
+
+      it('Should read strings with explicit encodings', function() {
+        var reader = READERS[kind]();
+        assert.strictEqual("Caf", reader.peekString(3));
+        assert.deepStrictEqual({ value: "Café", encoding: "windows-1252", bytesRead: 5 }, reader.readZString("cp1252", { details: true }));
+        assert.throws(function() { reader.readZString("ascii", { errors: "strict" }); }, /Invalid ASCII character/);
+        assert.strictEqual(5, reader.tell());
+        assert.throws(function() { reader.readZString("utf8", { maxLength: 3 }); }, /String too long/);
+        assert.strictEqual("É", reader.readZString("utf8", { maxLength: 2, allowShortRead: true }));
+        assert.strictEqual(7, reader.tell());
+        assert.strictEqual("té", reader.readZString("utf8"));
+        assert.deepStrictEqual({ value: "Hi", encoding: "utf16le", bytesRead: 6 }, reader.readZString("utf16", { details: true }));
+        assert.strictEqual("\u1234\uCAFE", reader.readString(4, "utf16be"));
+        assert.throws(function() { reader.readString(2, "ascii", { errors: "strict" }); }, /Invalid ASCII character at offset 0/);
+        assert.strictEqual(21, reader.tell());
+        reader.seek(17);
+        assert.throws(function() { reader.readZString("utf16be"); }, /Short read .* when reading utf16be string/);
+        assert.strictEqual("\u1234\uCAFE\uBABE\u7461\u696C", reader.readZString("utf16be", { allowShortRead: true }));
+        assert.throws(function() { reader.readString(1); }, /Short read/);
+      });
+
+      it('Should skip, seek and extend', function() {
+        var reader = READERS[kind]();
+        reader.seek(19);
+        reader.mark();
+        assert.strictEqual(0xCAFEBABE, reader.readLong());
+        reader.reset();
+        reader.extend(-4);
+        assert(reader.hasMore(4));
+        assert(!reader.hasMore(5));
+        assert.throws(function() { reader.skip(5); }, /Short read/);
+        reader.skip();
+        assert.strictEqual(23, reader.tell());
+        assert.throws(function() { reader.readByte(); }, /Short read/);
+        reader.extend(4);
+        assert.strictEqual("tail", reader.readASCII4());
+        assert.throws(function() { reader.extend(3); }, /Extend past the end/);
+        assert.throws(function() { reader.extend(-1); }, /Extend before the current position/);
+        assert.throws(function() { reader.seek(-1); }, /Seek before the/);
+      });
+
+      it('Should scan', function() {
+        var reader = READERS[kind]();
+        assert.deepStrictEqual([ 4, 10 ], reader.findAll([ 0 ], { limit: 12 }));
+        assert.strictEqual(true, reader.scanLong(0xCAFEBABE));
+        assert.strictEqual(23, reader.tell());
+        reader.seek(0);
+        assert.strictEqual(true, reader.scan3Bytes(0x1234CA));
+        assert.strictEqual(20, reader.tell());
+        assert.strictEqual(false, reader.scan3Bytes(0x1234CA));
+        assert.strictEqual(false, reader.hasMore());
+        reader.seek(0);
+        assert.strictEqual(23, reader.scanBackward("tail"));
+      });
+
+      it('Should use third-party readers', function() {
+        var reader = READERS[kind]();
+        reader.seek(17);
+        assert.deepStrictEqual([ 0x12, 0x34 ], reader.peekPair());
+        assert.deepStrictEqual([ 0x1234, 0xFECA ], [ reader.readSwappedLE(), reader.readSwapped() ]);
+        assert.strictEqual(21, reader.tell());
+        reader.setByteOrder(Reader.LITTLE_ENDIAN);
+        assert.strictEqual(0xBABE, reader.readSwapped());
+        reader.seek(26);
+        assert.throws(function() { reader.readSwapped(); }, /Short read/);
+      });
+
+    });
+
+  });
+
+});
+
+/**
+ * Third-party readers, defined once for PullStream and Chunk
+ */
+Reader.defineReader("readPair", function() {
+  return [ this.readByte(), this.readByte() ];
+});
+Reader.defineReader("readSwapped", function(byteOrder) {
+  return byteOrder === Reader.LITTLE_ENDIAN ? this.readUInt16BE() : this.readUInt16LE();
+}, { byteOrder: true });
@@ -0,0 +1,96 @@
+/**
+ * wg-streams - RIFF and IFF unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const PushStream = require('../lib/pushstream.js');
+const RIFF = require('../lib/riff.js');
+const Samples = require('./helpers/samples.js');
+
+
+describe('RIFF', function() {
+
+  it('Should iterate over chunks with padding', function() {
+    var stream = new PullStream().fromBuffer(Samples.sampleWAV());
+    stream.skip(12);
+    var ids = [];
+    RIFF.forEachChunk(stream, "LE", function(header, c) {
+      ids.push(header.id);
+      assert.strictEqual(header.id, c.name);
+      assert.strictEqual("LE", c.byteOrder);
+    });
+    assert.deepStrictEqual([ "fmt ", "LIST", "data", "junk" ], ids);
+    assert.strictEqual(stream.maxPosition, stream.tell());
+  });
+
+  it('Should read WAV files', function() {
+    var wav = RIFF.read(new PullStream().fromBuffer(Samples.sampleWAV()));
+    assert.strictEqual("RIFF", wav.id);
+    assert.strictEqual("WAVE", wav.formType);
+    assert.strictEqual("LE", wav.byteOrder);
+    assert.deepStrictEqual([ "fmt ", "LIST", "data", "junk" ], wav.chunks.map(function(node) { return node.id; }));
+    assert.deepStrictEqual({ formatTag: 1, channels: 2, sampleRate: 44100, byteRate: 176400, blockAlign: 4, bitsPerSample: 16 }, wav.format);
+    assert.deepStrictEqual({ title: "Title", artist: "Artist", IXYZ: "Other" }, wav.info);
+    assert.deepStrictEqual({ length: 3 }, wav.chunks[2].value);
+    assert.strictEqual(3 / 176400, wav.duration);
+    assert.deepStrictEqual([], wav.warnings);
+
+    var data = wav.chunks[2].chunk;
+    assert.strictEqual("data", data.name);
+    data.seek(0);
+    assert.deepStrictEqual(Buffer.from([ 1, 2, 3 ]), data.readBytes(3));
+    assert.throws(function() { data.readByte(); }, /Short read/);
+  });
+
+  it('Should read truncated files', function() {
+    var buffer = Samples.sampleWAV();
+    buffer.writeUInt32LE(0xFFFFFFFF, 4);
+    var wav = RIFF.read(new PullStream().fromBuffer(buffer));
+    assert.strictEqual(true, wav.truncated);
+    assert.strictEqual(4, wav.chunks.length);
+  });
+
+  it('Should read AIFF files', function() {
+    var push = new PushStream();
+    Samples.riffChunk(push, "FORM", function(form) {
+      form.writeASCII4("AIFF");
+      Samples.riffChunk(form, "COMM", function(c) {
+        c.writeShort(1); c.writeLong(88200); c.writeShort(16);
+        c.writeBytes([ 0x40, 0x0E, 0xAC, 0x44, 0, 0, 0, 0, 0, 0 ]);          // 44100 as 80 bits float
+      });
+      Samples.riffChunk(form, "SSND", function(c) { c.writeLong(0); c.writeLong(0); c.writeBytes([ 1, 2 ]); });
+    });
+    var aiff = RIFF.read(new PullStream().fromBuffer(push.toBuffer()));
+    assert.strictEqual("BE", aiff.byteOrder);
+    assert.strictEqual("AIFF", aiff.formType);
+    assert.deepStrictEqual({ channels: 1, sampleFrames: 88200, sampleSize: 16, sampleRate: 44100 }, aiff.format);
+    assert.strictEqual(2, aiff.duration);
+  });
+
+  it('Should read WebP files', function() {
+    var push = new PushStream();
+    push.setByteOrder("LE");
+    Samples.riffChunk(push, "RIFF", function(riff) {
+      riff.writeASCII4("WEBP");
+      Samples.riffChunk(riff, "VP8X", function(c) { c.writeByte(0x0C); c.writeBytes([ 0, 0, 0 ]); c.write3Bytes(639); c.write3Bytes(479); });
+      Samples.riffChunk(riff, "VP8 ", function(c) { c.writeBytes([ 0, 0, 0 ]); });
+      Samples.riffChunk(riff, "EXIF", function(c) {
+        c.writeString88591("II*"); c.writeByte(0); c.writeLong(8);
+        c.writeShort(1); c.writeShort(0x0112); c.writeShort(3); c.writeLong(1); c.writeShort(3); c.writeShort(0);
+        c.writeLong(0);
+      });
+      Samples.riffChunk(riff, "XMP ", function(c) { c.writeStringUTF8("<x:xmpmeta/>"); });
+    });
+    var webp = RIFF.read(new PullStream().fromBuffer(push.toBuffer()));
+    assert.deepStrictEqual({ icc: false, alpha: false, exif: true, xmp: true, animation: false, canvasWidth: 640, canvasHeight: 480 }, webp.chunks[0].value);
+    assert.strictEqual(3, webp.exif.ifd0.byName.Orientation);
+    assert.strictEqual("<x:xmpmeta/>", webp.xmp);
+  });
+
+  it('Should reject other files', function() {
+    assert.throws(function() { RIFF.read(new PullStream().fromBuffer(Buffer.from("OggS0000"))); }, /Not a RIFF or IFF file/);
+  });
+
+});
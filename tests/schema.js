@@ -0,0 +1,96 @@
+/**
+ * wg-streams - Schema unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const PushStream = require('../lib/pushstream.js');
+const Schema = require('../lib/schema.js');
+
+const FRAME = { fields: [
+  { name: "id",    type: "ASCII4" },
+  { name: "size",  type: "UInt32" },
+  { name: "data",  type: "bytes", length: "size" }
+]};
+
+const HEADER = { name: "header", fields: [
+  { name: "magic",    type: "ASCII3" },
+  { name: "version",  type: "UInt16LE" },
+  { name: "flags",    type: "Byte" },
+  { name: "extended", type: "UInt32", if: function(record) { return record.flags & 0x40; } },
+  { name: "crc",      type: "UInt32", if: "hasCRC" },
+  { type: "skip", length: 1 },
+  { name: "count",    type: "UInt16", byteOrder: "LE" },
+  { name: "frames",   type: "array", count: "count", of: { type: "struct", schema: FRAME } },
+  { name: "trailer",  type: "chunk", length: 6, fields: [
+    { name: "values", type: "array", of: { type: "Int16" } }
+  ]},
+  { name: "end",      type: "Byte", transform: function(value) { return value === 0xFF; } }
+]};
+
+// Build test data
+function build(frames, trailerLength) {
+  var push = new PushStream();
+  push.writeASCII3("TAG");
+  push.writeShortLE(3);
+  push.writeByte(0x40);
+  push.writeLong(0x12345678);
+  push.writeByte(0);
+  push.writeShortLE(frames.length);
+  frames.forEach(function(frame) {
+    push.writeASCII4(frame.id);
+    push.writeLong(frame.size !== undefined ? frame.size : frame.data.length);
+    push.writeStringUTF8(frame.data);
+  });
+  for (var i=0; i<trailerLength; i++) push.writeInt16(-i);
+  push.writeByte(0xFF);
+  return new PullStream().fromBuffer(push.toBuffer());
+}
+
+describe('Schema', function() {
+
+  it('Should parse records', function() {
+    var stream = build([ { id:"TIT2", data:"Title" }, { id:"TALB", data:"Album" } ], 3);
+    var header = Schema.parse(HEADER, stream);
+    assert.strictEqual("TAG", header.magic);
+    assert.strictEqual(3, header.version);
+    assert.strictEqual(0x12345678, header.extended);
+    assert(!("crc" in header), "Conditional field not read");
+    assert.strictEqual(2, header.count);
+    assert.strictEqual(2, header.frames.length);
+    assert.strictEqual("TALB", header.frames[1].id);
+    assert.strictEqual(5, header.frames[1].size);
+    assert.strictEqual("Album", header.frames[1].data.toString());
+    assert.deepStrictEqual({ values: [ 0, -1, -2 ] }, header.trailer);
+    assert.strictEqual(true, header.end);
+    assert(!stream.hasMore());
+  });
+
+  it('Should skip the remainder of sub-chunks', function() {
+    var stream = build([], 4);
+    var schema = { fields: [
+      { type: "skip", length: 11 },
+      { name: "first", type: "chunk", length: 6, fields: [ { name: "value", type: "Int16" } ] },
+      { name: "next", type: "Int16LE" }
+    ]};
+    var record = Schema.parse(schema, stream.chunk("Whole file"));
+    assert.deepStrictEqual({ first: { value: 0 }, next: -257 }, record);
+  });
+
+  it('Should report the path of the failing field', function() {
+    var stream = build([ { id:"TIT2", data:"Title" }, { id:"TALB", size:100, data:"Album" } ], 0);
+    assert.throws(function() { Schema.parse(HEADER, stream); }, function(err) {
+      assert.strictEqual("header.frames[1].data", err.fieldPath);
+      assert(err.message.indexOf("header.frames[1].data") !== -1);
+      return true;
+    });
+    stream.seek(0);
+    var schema = { name: "bad", fields: [ { name: "x", type: "Unknown" } ] };
+    assert.throws(function() { Schema.parse(schema, stream); }, /bad\.x/);
+    stream.seek(0);
+    schema = { name: "empty", fields: [ { name: "items", type: "array", of: { type: "bytes", length: 0 } } ] };
+    assert.throws(function() { Schema.parse(schema, stream); }, /Failed to parse empty\.items: Invalid schema \(array element of 0 bytes\)/);
+  });
+
+});
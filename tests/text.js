@@ -0,0 +1,42 @@
+/**
+ * wg-streams - Text decoding unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const Text = require('../lib/text.js');
+
+describe('Text', function() {
+
+  it('Should decode single byte encodings', function() {
+    var bytes = Buffer.from([ 0x43, 0x61, 0x66, 0xE9, 0x20, 0x80, 0x93, 0x81 ]);
+    assert.deepStrictEqual({ value: "Café \u0080\u0093\u0081", encoding: "latin1" }, Text.decode(bytes, "ISO-8859-1"));
+    assert.strictEqual("Café €“\u0081", Text.decode(bytes, "windows-1252").value);
+    assert.strictEqual("Caf� ���", Text.decode(bytes, "ascii").value);
+    assert.deepStrictEqual({ value: "CafΘ Çôü", encoding: "cp437" }, Text.decode(bytes, "IBM437"));
+    assert.throws(function() { Text.decode(bytes, "ascii", { errors: "strict" }); }, /Invalid ASCII character at offset 3/);
+    assert.throws(function() { Text.decode(bytes, "ebcdic"); }, /Unsupported encoding/);
+  });
+
+  it('Should decode UTF-8', function() {
+    assert.strictEqual("Été ✓", Text.decode(Buffer.from("Été ✓"), "utf-8", { errors: "strict" }).value);
+    var invalid = Buffer.from([ 0x61, 0xC3, 0x28, 0x62 ]);
+    assert.strictEqual("a�(b", Text.decode(invalid, "utf8").value);
+    assert.throws(function() { Text.decode(invalid, "utf8", { errors: "strict" }); }, /Invalid UTF-8 string/);
+  });
+
+  it('Should decode UTF-16 without modifying the bytes', function() {
+    var be = Buffer.from([ 0xFE, 0xFF, 0x00, 0x48, 0xD8, 0x3D, 0xDE, 0x00 ]);
+    var copy = Buffer.from(be);
+    assert.deepStrictEqual({ value: "H😀", encoding: "utf16be" }, Text.decode(be, "utf16"));
+    assert.deepStrictEqual({ value: "﻿H😀", encoding: "utf16be" }, Text.decode(be, "utf-16be"));
+    assert.deepStrictEqual(copy, be);
+    assert.deepStrictEqual({ value: "Hi", encoding: "utf16le" }, Text.decode(Buffer.from([ 0xFF, 0xFE, 0x48, 0, 0x69, 0 ]), "utf16"));
+    assert.deepStrictEqual({ value: "Hi", encoding: "utf16be" }, Text.decode(Buffer.from([ 0, 0x48, 0, 0x69 ]), "utf16", { defaultByteOrder: "BE" }));
+    var invalid = Buffer.from([ 0x3D, 0xD8, 0x48, 0x00, 0x69 ]);
+    assert.strictEqual("�H�", Text.decode(invalid, "utf16le").value);
+    assert.throws(function() { Text.decode(invalid, "utf16le", { errors: "strict" }); }, /unpaired surrogate at offset 0/);
+    assert.throws(function() { Text.decode(invalid.slice(2), "utf16le", { errors: "strict" }); }, /odd number of bytes/);
+  });
+
+});
@@ -0,0 +1,67 @@
+/**
+ * wg-streams - Read trace unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+
+// A 4 bytes id, a zero-terminated string, a long and a few more bytes
+const DATA = Buffer.concat([ Buffer.from("RIFFab\u0000"), Buffer.from([ 0, 1, 0, 0xFF, 0x3C, 0x3D, 0x3E ]) ]);
+
+describe('Trace', function() {
+
+  // Reads a small record: a 4 bytes id, a chunk with a string and a long, and a skipped byte
+  function parse(stream) {
+    stream.readASCII4();
+    var chunk = stream.chunk("record", 9);
+    assert.strictEqual("ab", chunk.peekZString88591());
+    chunk.readZString88591();
+    chunk.readLong();
+    stream.skip(1);
+  }
+
+  it('Should record reads, skips and chunks', function() {
+    var stream = new PullStream().fromBuffer(DATA);
+    var trace = stream.startTrace();
+    parse(stream);
+    assert.throws(function() { stream.readLong(); }, /Short read/);
+    assert.strictEqual(trace, stream.stopTrace());
+    stream.seek(0);
+    stream.readByte();
+    assert.deepStrictEqual([
+      { offset: 0, length: 4, method: "readASCII4", chunk: undefined, path: "", value: "RIFF" },
+      { offset: 4, length: 9, method: "chunk", chunk: "record", path: "record", value: undefined },
+      { offset: 4, length: 3, method: "readZString88591", chunk: "record", path: "record", value: "ab" },
+      { offset: 7, length: 4, method: "readLong", chunk: "record", path: "record", value: 0x000100FF },
+      { offset: 11, length: 1, method: "skip", chunk: undefined, path: "", value: undefined },
+      { offset: 12, length: 0, method: "readLong", chunk: undefined, path: "", value: undefined,
+        error: "Short read (stream end boundary reached): 4 bytes needed, 2 left at offset 12" }
+    ], trace.entries);
+    var json = JSON.parse(JSON.stringify(trace));
+    assert.strictEqual(14, json.size);
+    assert.strictEqual(6, json.entries.length);
+  });
+
+  it('Should export annotated hexadecimal dumps', function() {
+    var stream = new PullStream().fromBuffer(DATA);
+    var trace = stream.startTrace({ maxEntries: 4 });
+    parse(stream);
+    assert.strictEqual([
+      "00000000  4 bytes  readASCII4 = \"RIFF\"",
+      "    00000000  52 49 46 46                                       |RIFF            |",
+      "00000004  9 bytes  chunk [record]",
+      "00000004  3 bytes  readZString88591 [record] = \"ab\"",
+      "    00000000              61 62 00                              |    ab.         |",
+      "00000007  4 bytes  readLong [record] = 65791",
+      "    00000000                       00  01 00 ff                 |       ...ÿ     |",
+      "... 1 entries dropped",
+      ""
+    ].join("\n"), trace.toText());
+    var html = trace.toHTML({ title: "<test>" });
+    assert(html.indexOf("<title>&lt;test&gt;</title>") !== -1);
+    assert(html.indexOf("<span class=\"c0\" title=\"00000000 readASCII4 = &quot;RIFF&quot;\">52</span>") !== -1);
+    assert(html.indexOf(" 3e\n") !== -1, "Bytes which were not read are not highlighted");
+  });
+
+});
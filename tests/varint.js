@@ -0,0 +1,112 @@
+/**
+ * wg-streams - Variable-length integers unit tests. The same tests are run on a PullStream and on a Chunk
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const Reader = require('../lib/reader.js');
+const Errors = require('../lib/errors.js');
+
+// Readers on given bytes, by kind. Chunks are followed by bytes which would complete a truncated integer
+const READERS = {
+  "PullStream": function(bytes) {
+    return new PullStream().fromBuffer(Buffer.from(bytes));
+  },
+  "Chunk": function(bytes) {
+    var stream = new PullStream().fromBuffer(Buffer.concat([ Buffer.from(bytes), Buffer.from("yy") ]));
+    return stream.chunk("varint", bytes.length);
+  }
+};
+
+// Check that a reader fails with a given error, and leaves the position unchanged
+function assertInvalid(reader, fn, type, message) {
+  assert.throws(function() { reader[fn](); }, function(err) {
+    return err instanceof type && message.test(err.message);
+  });
+  assert.strictEqual(0, reader.tell());
+}
+
+describe('VarInt', function() {
+
+  Object.keys(READERS).forEach(function(kind) {
+
+    describe(kind, function() {
+
+      function reader(bytes) { return READERS[kind](bytes); }
+
+      it('Should read syncsafe integers', function() {
+        assert.strictEqual(257, reader([ 0, 0, 2, 1 ]).readSyncsafe());
+        assert.strictEqual(0xFFFFFFFF, reader([ 0x0F, 0x7F, 0x7F, 0x7F, 0x7F ]).readSyncsafe(5));
+        assertInvalid(reader([ 0, 0, 0x80, 0 ]), "readSyncsafe", Errors.VarIntError, /^Invalid syncsafe integer \(most significant bit set in byte 2\)( in varint)? at offset 0$/);
+        assertInvalid(reader([ 0, 0 ]), "readSyncsafe", Errors.ShortReadError, /4 bytes needed, 2 left/);
+      });
+
+      it('Should read LEB128 integers', function() {
+        var r = reader([ 0xE5, 0x8E, 0x26, 0x7F, 0x80, 0x7F, 0xC0, 0xBB, 0x78 ]);
+        assert.strictEqual(624485, r.peekULEB128());
+        assert.strictEqual(624485, r.readULEB128());
+        assert.strictEqual(-1, r.readSLEB128());
+        assert.strictEqual(-128, r.readSLEB128());
+        assert.strictEqual(BigInt(-123456), r.readSLEB128BigInt());
+        assert.strictEqual(false, r.hasMore());
+
+        assert.strictEqual(Number.MAX_SAFE_INTEGER, reader([ 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x0F ]).readULEB128());
+        assert.strictEqual(BigInt("18446744073709551615"), reader([ 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x01 ]).readULEB128BigInt());
+        assert.strictEqual(-(BigInt(1) << BigInt(63)), reader([ 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x7F ]).readSLEB128BigInt());
+
+        assertInvalid(reader([ 0x80, 0x00 ]), "readULEB128", Errors.VarIntError, /^Invalid LEB128 integer \(overlong encoding\)/);
+        assertInvalid(reader([ 0xFF, 0x7F ]), "readSLEB128", Errors.VarIntError, /overlong encoding/);
+        assertInvalid(reader([ 0x80, 0x00 ]), "readSLEB128", Errors.VarIntError, /overlong encoding/);
+        assertInvalid(reader([ 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x01 ]), "readULEB128", Errors.VarIntError, /value does not fit in a number/);
+        assertInvalid(reader([ 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x02 ]), "readULEB128BigInt", Errors.VarIntError, /more than 64 bits/);
+        assertInvalid(reader([ 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x00 ]), "readULEB128BigInt", Errors.VarIntError, /more than 10 bytes/);
+        assertInvalid(reader([ 0x80, 0x80 ]), "readULEB128", Errors.ShortReadError, /Short read \((stream|chunk) end boundary reached\) when reading LEB128 integer: 3 bytes needed, 2 left/);
+      });
+
+      it('Should read protobuf varints', function() {
+        var r = reader([ 0x96, 0x01, 0x03, 0x04, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x01, 0x01 ]);
+        assert.strictEqual(150, r.readProtobufVarint());
+        assert.strictEqual(-2, r.readProtobufSInt());
+        assert.strictEqual(2, r.readProtobufSInt());
+        assert.strictEqual(BigInt(-1), BigInt.asIntN(64, r.readProtobufVarintBigInt()));
+        assert.strictEqual(BigInt(-1), r.readProtobufSIntBigInt());
+        assertInvalid(reader([ 0x81, 0x80, 0x00 ]), "readProtobufVarint", Errors.VarIntError, /^Invalid protobuf varint \(overlong encoding\)/);
+      });
+
+      it('Should read MIDI variable-length quantities', function() {
+        var r = reader([ 0x00, 0x7F, 0x81, 0x00, 0xC0, 0x00, 0xFF, 0xFF, 0xFF, 0x7F ]);
+        assert.strictEqual(0, r.readVLQ());
+        assert.strictEqual(0x7F, r.readVLQ());
+        assert.strictEqual(0x80, r.readVLQ());
+        assert.strictEqual(0x2000, r.readVLQ());
+        assert.strictEqual(0x0FFFFFFF, r.readVLQ());
+        assertInvalid(reader([ 0x80, 0x40 ]), "readVLQ", Errors.VarIntError, /^Invalid MIDI variable-length quantity \(overlong encoding\)/);
+        assertInvalid(reader([ 0x81, 0x80, 0x80, 0x80, 0x00 ]), "readVLQ", Errors.VarIntError, /more than 4 bytes/);
+        assertInvalid(reader([ 0x81 ]), "readVLQ", Errors.ShortReadError, /2 bytes needed, 1 left/);
+      });
+
+      it('Should read EBML variable-length integers', function() {
+        var r = reader([ 0x1A, 0x45, 0xDF, 0xA3, 0xA3, 0x42, 0x86, 0x81, 0x40, 0x02, 0x01, 0, 0, 0, 0, 0, 0, 0x05, 0xFF, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF ]);
+        assert.strictEqual(0x1A45DFA3, r.readEBMLID());
+        assert.strictEqual(0xA3, r.readEBMLID());
+        assert.strictEqual(0x4286, r.readEBMLID());
+        assert.strictEqual(1, r.readEBMLSize());
+        assert.strictEqual(2, r.readEBMLSize());
+        assert.strictEqual(5, r.readEBMLSize());
+        assert.strictEqual(Reader.EBML_UNKNOWN_SIZE, r.readEBMLSize());
+        assert.strictEqual(Reader.EBML_UNKNOWN_SIZE, r.readEBMLSize());
+        assert.strictEqual(false, r.hasMore());
+
+        assertInvalid(reader([ 0x40, 0x01 ]), "readEBMLID", Errors.VarIntError, /^Invalid EBML element ID \(overlong encoding\)/);
+        assertInvalid(reader([ 0xFF ]), "readEBMLID", Errors.VarIntError, /reserved value/);
+        assertInvalid(reader([ 0x08, 0, 0, 0, 1 ]), "readEBMLID", Errors.VarIntError, /more than 4 bytes/);
+        assertInvalid(reader([ 0x00, 0x81 ]), "readEBMLSize", Errors.VarIntError, /no length marker/);
+        assertInvalid(reader([ 0x01, 0x40, 0, 0, 0, 0, 0, 0 ]), "readEBMLSize", Errors.VarIntError, /value does not fit in a number/);
+        assertInvalid(reader([ 0x40 ]), "readEBMLSize", Errors.ShortReadError, /when reading EBML element size: 2 bytes needed, 1 left/);
+      });
+
+    });
+  });
+
+});
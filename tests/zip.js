@@ -0,0 +1,126 @@
+/**
+ * wg-streams - ZIP unit tests
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const assert = require('assert');
+const PullStream = require('../lib/pullstream.js');
+const ZIP = require('../lib/zip.js');
+const Errors = require('../lib/errors.js');
+const Samples = require('./helpers/samples.js');
+
+// Read the bytes of a stream
+function bytes(stream) {
+  return stream.readBytes(stream.maxPosition - stream.tell());
+}
+
+
+describe('ZIP', function() {
+
+  it('Should list entries', function() {
+    var stream = new PullStream().fromBuffer(Samples.sampleZip(Samples.sampleFiles(), { comment: "Archive" }));
+    var zip = ZIP.read(stream);
+    assert.deepStrictEqual([], zip.warnings);
+    assert.strictEqual("Archive", zip.comment);
+    assert.strictEqual(false, zip.zip64);
+    assert.strictEqual(3, zip.centralDirectory.count);
+    assert.deepStrictEqual([ "docs/", "docs/été.txt", "café" ], zip.entries.map(function(entry) { return entry.name; }));
+    assert.deepStrictEqual([ true, false, false ], zip.entries.map(function(entry) { return entry.isDirectory; }));
+
+    var entry = zip.entries[1];
+    assert.strictEqual(ZIP.DEFLATED, entry.method);
+    assert.strictEqual(41, entry.uncompressedSize);
+    assert(entry.compressedSize < 41);
+    assert.deepStrictEqual(new Date("2016-03-14T10:30:20Z"), entry.lastModified);
+    assert.strictEqual(30 + 5, entry.localHeaderOffset);
+    assert.strictEqual(entry.localHeaderOffset + 30 + Buffer.byteLength("docs/été.txt"), entry.dataOffset);
+  });
+
+  it('Should read entry data', function() {
+    var stream = new PullStream().fromBuffer(Samples.sampleZip(Samples.sampleFiles()));
+    var zip = ZIP.read(stream);
+    var chunk = ZIP.openEntry(stream, zip.entries[2]);
+    assert.strictEqual("café", chunk.name);
+    assert.strictEqual("stored", chunk.readBytes(6).toString());
+    assert.strictEqual("Hello, world! Hello, world! Hello, world!", bytes(ZIP.inflateEntry(stream, zip.entries[1])).toString());
+    assert.strictEqual("stored", bytes(ZIP.inflateEntry(stream, zip.entries[2])).toString());
+    assert.strictEqual(0, ZIP.inflateEntry(stream, zip.entries[0]).maxPosition);
+  });
+
+  it('Should read ZIP64 archives and archives with data before them', function() {
+    var comment = "PK\u0005\u0006" + "x".repeat(30);                 // not an end of central directory record
+    [ { zip64: true }, { prefix: Buffer.from("#!/bin/sh\nexit 0\n"), comment: comment } ].forEach(function(options) {
+      var stream = new PullStream().fromBuffer(Samples.sampleZip(Samples.sampleFiles(), options));
+      var zip = ZIP.read(stream);
+      assert.deepStrictEqual([], zip.warnings);
+      assert.strictEqual(options.zip64 === true, zip.zip64);
+      assert.strictEqual(options.zip64 === true, zip.entries[1].zip64);
+      assert.strictEqual(options.comment || "", zip.comment);
+      assert.strictEqual(41, zip.entries[1].uncompressedSize);
+      assert.strictEqual("stored", bytes(ZIP.inflateEntry(stream, zip.entries[2])).toString());
+    });
+    var stream = new PullStream().fromBuffer(Samples.sampleZip(Samples.sampleFiles(), { comment: "x".repeat(1000) }));
+    stream.setLimits({ maxScanBytes: 100 });
+    assert.throws(function() { ZIP.read(stream); }, Errors.LimitError, "Scanned within the scan budget");
+    stream = new PullStream().fromBuffer(Buffer.concat([ Buffer.from("header"), Samples.sampleZip(Samples.sampleFiles()) ]));
+    stream.skip(6);
+    var zip = ZIP.read(stream.chunk("zip"));
+    assert.strictEqual(35, zip.entries[1].localHeaderOffset);
+    // ZIP64 archive whose offsets do not account for the data before it
+    var prefix = Buffer.from("#!/bin/sh\nexit 0\n");
+    stream = new PullStream().fromBuffer(Buffer.concat([ prefix, Samples.sampleZip(Samples.sampleFiles(), { zip64: true }) ]));
+    zip = ZIP.read(stream);
+    assert.strictEqual(true, zip.zip64);
+    assert.strictEqual(prefix.length + 35, zip.entries[1].localHeaderOffset);
+    assert.strictEqual("Hello, world! Hello, world! Hello, world!", bytes(ZIP.inflateEntry(stream, zip.entries[1])).toString());
+    assert.strictEqual("stored", bytes(ZIP.inflateEntry(stream, zip.entries[2])).toString());
+  });
+
+  it('Should read entries with extra fields and comments', function() {
+    var timestamp = Buffer.from([ 0x55, 0x54, 5, 0, 1, 0, 0, 0, 0 ]);   // extended timestamp
+    timestamp.writeInt32LE(Date.UTC(2020, 0, 1) / 1000, 5);
+    var files = Samples.sampleFiles().map(function(file, index) {
+      return Object.assign({ extra: timestamp, comment: "Comment " + index }, file);
+    });
+    [ {}, { zip64: true } ].forEach(function(options) {
+      var stream = new PullStream().fromBuffer(Samples.sampleZip(files, options));
+      var zip = ZIP.read(stream);
+      assert.deepStrictEqual([], zip.warnings);
+      assert.deepStrictEqual([ "docs/", "docs/été.txt", "café" ], zip.entries.map(function(entry) { return entry.name; }));
+      assert.deepStrictEqual([ "Comment 0", "Comment 1", "Comment 2" ], zip.entries.map(function(entry) { return entry.comment; }));
+      assert.deepStrictEqual(new Date("2020-01-01T00:00:00Z"), zip.entries[1].lastModified);
+      assert.strictEqual(41, zip.entries[1].uncompressedSize);
+      assert.strictEqual("stored", bytes(ZIP.inflateEntry(stream, zip.entries[2])).toString());
+    });
+  });
+
+  it('Should verify entry data', function() {
+    var files = Samples.sampleFiles();
+    files[2].crc32 = 1;
+    files[1].uncompressedSize = 20;
+    files.push({ name: "secret", flags: 0x0001, data: "xxxx" }, { name: "bzip2", method: 12, data: "xxxx" });
+    var stream = new PullStream().fromBuffer(Samples.sampleZip(files));
+    var zip = ZIP.read(stream);
+    assert.throws(function() { ZIP.inflateEntry(stream, zip.entries[2]); }, /Invalid CRC for entry café/);
+    assert.strictEqual("stored", bytes(ZIP.inflateEntry(stream, zip.entries[2], { verifyCRC: false })).toString());
+    assert.throws(function() { ZIP.inflateEntry(stream, zip.entries[1]); }, /Invalid compressed data for entry docs\/été.txt/);
+    assert.throws(function() { ZIP.inflateEntry(stream, zip.entries[3]); }, /Encrypted entries are not supported/);
+    assert.throws(function() { ZIP.inflateEntry(stream, zip.entries[4]); }, /Unsupported compression method 12/);
+  });
+
+  it('Should reject unsafe archives', function() {
+    function read(files, options) { return ZIP.read(new PullStream().fromBuffer(Samples.sampleZip(files)), options); }
+    assert.throws(function() { ZIP.read(new PullStream().fromBuffer(Buffer.from("PK\u0003\u0004"))); }, /Not a ZIP archive/);
+    assert.throws(function() { read([ { name: "docs/../../etc/passwd" } ]); }, /Unsafe entry name "docs\/..\/..\/etc\/passwd" \(parent directory reference\)/);
+    assert.throws(function() { read([ { name: "/etc/passwd" } ]); }, /absolute path/);
+    assert.throws(function() { read([ { name: "C:\\Windows" } ]); }, /drive letter/);
+    assert.strictEqual("../x", read([ { name: "../x" } ], { allowUnsafeNames: true }).entries[0].name);
+    assert.throws(function() { read([ { name: "a", data: "aaaa" }, { name: "b", data: "bbbb", localHeaderOffset: 0 } ]); }, /Overlapping entries a and b/);
+    assert.throws(function() { read([ { name: "a", data: "aaaa", localHeaderOffset: 1000 } ]); }, /Invalid entry a \(outside of the archive\)/);
+    assert.throws(function() { read(Samples.sampleFiles(), { maxEntries: 2 }); }, /Too many entries \(3, maximum is 2\)/);
+    assert.throws(function() { read([ { name: "bomb", data: "x", uncompressedSize: 2 * 1024 * 1024 } ]); }, /Suspicious compression ratio for entry bomb/);
+    assert.throws(function() { read(Samples.sampleFiles(), { maxEntrySize: 40 }); }, /Entry docs\/été.txt too large/);
+    assert.throws(function() { read(Samples.sampleFiles(), { maxTotalSize: 45 }); }, /Archive too large/);
+  });
+
+});